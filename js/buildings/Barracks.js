@@ -75,12 +75,10 @@ export default class Barracks extends Building {
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Barracks: Cannot afford ${upgrade.name}`);
       return false;
@@ -99,11 +97,11 @@ export default class Barracks extends Building {
    * Apply upgrade effects
    */
   applyUpgrade(upgradeKey) {
-    if (!this.scene.buildingUpgrades) this.scene.buildingUpgrades = {};
+    const buildingUpgrades = this.scene.getBuildingUpgrades(this.faction);
 
     switch (upgradeKey) {
       case 'VETERAN_TRAINING':
-        this.scene.buildingUpgrades.veteranTraining = true;
+        buildingUpgrades.veteranTraining = true;
         // Apply to existing combat units
         if (this.scene.units) {
           this.scene.units.forEach(unit => {
@@ -116,7 +114,7 @@ export default class Barracks extends Building {
         console.log('Barracks: Veteran Training - combat units have +25% HP');
         break;
       case 'COMBAT_DRILLS':
-        this.scene.buildingUpgrades.combatDrills = true;
+        buildingUpgrades.combatDrills = true;
         // Apply to existing combat units
         if (this.scene.units) {
           this.scene.units.forEach(unit => {
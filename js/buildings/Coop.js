@@ -62,12 +62,10 @@ export default class Coop extends Building {
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Coop: Cannot afford ${upgrade.name}`);
       return false;
@@ -97,8 +95,7 @@ export default class Coop extends Building {
         break;
       case 'LARGE_NESTS':
         // Store for new workers and apply to existing
-        if (!this.scene.buildingUpgrades) this.scene.buildingUpgrades = {};
-        this.scene.buildingUpgrades.largeNests = true;
+        this.scene.getBuildingUpgrades(this.faction).largeNests = true;
         // Apply to existing workers
         if (this.scene.units) {
           this.scene.units.forEach(unit => {
@@ -128,4 +125,24 @@ export default class Coop extends Building {
   onConstructionComplete() {
     console.log('Coop: Main base operational - can produce workers');
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      trainSpeedMultiplier: this.trainSpeedMultiplier
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (data?.trainSpeedMultiplier) {
+      this.trainSpeedMultiplier = data.trainSpeedMultiplier;
+    }
+  }
 }
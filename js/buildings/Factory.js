@@ -63,13 +63,12 @@ export default class Factory extends Building {
    * Make a tool instantly (called from UI button)
    */
   queueToolProduction() {
-    if (this.faction !== 'PLAYER') return false;
     if (this.isSabotaged) {
       console.log('Factory: Cannot produce - building is sabotaged!');
       return false;
     }
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager) return false;
 
     // Check if we have enough sticks
@@ -91,9 +90,9 @@ export default class Factory extends Building {
    */
   updateProduction(delta) {
     // Only process player faction with auto-production enabled, not paused, and not sabotaged
-    if (this.faction !== 'PLAYER' || !this.autoProduction || this.isPaused || this.isSabotaged) return;
+    if (!this.autoProduction || this.isPaused || this.isSabotaged) return;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager) return;
 
     // Auto-production timer
@@ -150,10 +149,9 @@ export default class Factory extends Building {
    * Make batch tools instantly (5 tools for 20 sticks)
    */
   queueBatchProduction() {
-    if (this.faction !== 'PLAYER') return false;
     if (!this.upgrades.BATCH_PRODUCTION.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager) return false;
 
     const batchCost = 20; // 20 sticks for 5 tools (instead of 25)
@@ -174,12 +172,10 @@ export default class Factory extends Building {
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Factory: Cannot afford ${upgrade.name}`);
       return false;
@@ -203,8 +199,7 @@ export default class Factory extends Building {
         console.log('Factory: Batch Production unlocked - make 5 tools for 20 sticks');
         break;
       case 'RECYCLING':
-        if (!this.scene.researchUpgrades) this.scene.researchUpgrades = {};
-        this.scene.researchUpgrades.toolRecycling = true;
+        this.scene.getResearchUpgrades(this.faction).toolRecycling = true;
         console.log('Factory: Recycling active - recover tools when units die');
         break;
     }
@@ -227,11 +222,37 @@ export default class Factory extends Building {
     console.log(`Factory: Converts ${this.sticksPerTool} sticks into 1 tool (instant)`);
 
     // Apply research bonuses
-    if (this.scene.researchUpgrades?.efficientTools) {
+    const research = this.scene.getResearchUpgrades(this.faction);
+    if (research.efficientTools) {
       this.reduceCost(3);
     }
-    if (this.scene.researchUpgrades?.autoProduction) {
+    if (research.autoProduction) {
       this.enableAutoProduction();
     }
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      sticksPerTool: this.sticksPerTool,
+      autoProduction: this.autoProduction,
+      autoProductionTimer: this.autoProductionTimer,
+      isPaused: this.isPaused
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.sticksPerTool = data.sticksPerTool || this.sticksPerTool;
+    this.autoProduction = data.autoProduction ?? this.autoProduction;
+    this.autoProductionTimer = data.autoProductionTimer ?? this.autoProductionTimer;
+    this.isPaused = data.isPaused ?? this.isPaused;
+  }
 }
@@ -76,26 +76,21 @@ export default class Farm extends Building {
    * Generate food
    */
   generateFood() {
-    const resourceManager = this.scene.resourceManager;
-    if (resourceManager && this.faction === 'PLAYER') {
-      resourceManager.addResources('food', this.gatherAmount);
-      console.log(`Farm: Harvested ${this.gatherAmount} food`);
-    } else if (this.faction === 'ENEMY_AI' && this.scene.aiManager) {
-      this.scene.aiManager.resources.food += this.gatherAmount;
-      console.log(`AI Farm: Harvested ${this.gatherAmount} food`);
-    }
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) return;
+
+    resourceManager.addResources('food', this.gatherAmount);
+    console.log(`Farm: Harvested ${this.gatherAmount} food`);
   }
 
   /**
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Farm: Cannot afford ${upgrade.name}`);
       return false;
@@ -155,4 +150,29 @@ export default class Farm extends Building {
     }
     return `Producing ${this.gatherAmount} food/${this.gatherInterval/1000}s`;
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      gatherTimer: this.gatherTimer,
+      gatherInterval: this.gatherInterval,
+      gatherAmount: this.gatherAmount,
+      isPaused: this.isPaused
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.gatherTimer = data.gatherTimer ?? this.gatherTimer;
+    this.gatherInterval = data.gatherInterval || this.gatherInterval;
+    this.gatherAmount = data.gatherAmount ?? this.gatherAmount;
+    this.isPaused = data.isPaused ?? this.isPaused;
+  }
 }
@@ -76,26 +76,21 @@ export default class LumberMill extends Building {
    * Generate sticks
    */
   generateSticks() {
-    const resourceManager = this.scene.resourceManager;
-    if (resourceManager && this.faction === 'PLAYER') {
-      resourceManager.addResources('sticks', this.gatherAmount);
-      console.log(`Lumber Mill: Produced ${this.gatherAmount} sticks`);
-    } else if (this.faction === 'ENEMY_AI' && this.scene.aiManager) {
-      this.scene.aiManager.resources.sticks += this.gatherAmount;
-      console.log(`AI Lumber Mill: Produced ${this.gatherAmount} sticks`);
-    }
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) return;
+
+    resourceManager.addResources('sticks', this.gatherAmount);
+    console.log(`Lumber Mill: Produced ${this.gatherAmount} sticks`);
   }
 
   /**
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Lumber Mill: Cannot afford ${upgrade.name}`);
       return false;
@@ -155,4 +150,29 @@ export default class LumberMill extends Building {
     }
     return `Producing ${this.gatherAmount} sticks/${this.gatherInterval/1000}s`;
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      gatherTimer: this.gatherTimer,
+      gatherInterval: this.gatherInterval,
+      gatherAmount: this.gatherAmount,
+      isPaused: this.isPaused
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.gatherTimer = data.gatherTimer ?? this.gatherTimer;
+    this.gatherInterval = data.gatherInterval || this.gatherInterval;
+    this.gatherAmount = data.gatherAmount ?? this.gatherAmount;
+    this.isPaused = data.isPaused ?? this.isPaused;
+  }
 }
@@ -120,28 +120,22 @@ export default class Mine extends Building {
       return;
     }
 
-    // Add directly to player/AI resources based on faction
-    const resourceManager = this.scene.resourceManager;
-    if (resourceManager && this.faction === 'PLAYER') {
-      resourceManager.addResources('stone', this.gatherAmount);
-      console.log(`Mine: Generated ${this.gatherAmount} stone (${this.rockTileCount} rock tiles)`);
-    } else if (this.faction === 'ENEMY_AI' && this.scene.aiManager) {
-      // AI mines add to AI resources
-      this.scene.aiManager.resources.stone += this.gatherAmount;
-      console.log(`AI Mine: Generated ${this.gatherAmount} stone`);
-    }
+    // Add directly to the owning faction's stockpile
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) return;
+
+    resourceManager.addResources('stone', this.gatherAmount);
+    console.log(`Mine: Generated ${this.gatherAmount} stone (${this.rockTileCount} rock tiles)`);
   }
 
   /**
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Mine: Cannot afford ${upgrade.name}`);
       return false;
@@ -207,4 +201,27 @@ export default class Mine extends Building {
     }
     return `Mining ${this.gatherAmount} stone/${this.gatherInterval/1000}s`;
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      gatherTimer: this.gatherTimer,
+      gatherInterval: this.gatherInterval,
+      gatherAmount: this.gatherAmount
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.gatherTimer = data.gatherTimer ?? this.gatherTimer;
+    this.gatherInterval = data.gatherInterval || this.gatherInterval;
+    this.gatherAmount = data.gatherAmount ?? this.gatherAmount;
+  }
 }
@@ -85,16 +85,7 @@ export default class PowerStation extends Building {
    * Generate passive resources
    */
   generateResources() {
-    if (this.faction !== 'PLAYER') {
-      // AI Power Station
-      if (this.scene.aiManager) {
-        this.scene.aiManager.resources.tools += this.toolsPerCycle;
-        console.log(`AI PowerStation: Generated ${this.toolsPerCycle} tool(s)`);
-      }
-      return;
-    }
-
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager) return;
 
     // Power Station generates tools passively
@@ -153,12 +144,10 @@ export default class PowerStation extends Building {
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`PowerStation: Cannot afford ${upgrade.name}`);
       return false;
@@ -225,4 +214,29 @@ export default class PowerStation extends Building {
     }
     super.destroy();
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      generateTimer: this.generateTimer,
+      generateInterval: this.generateInterval,
+      toolsPerCycle: this.toolsPerCycle,
+      auraRange: this.auraRange
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.generateTimer = data.generateTimer ?? this.generateTimer;
+    this.generateInterval = data.generateInterval || this.generateInterval;
+    this.toolsPerCycle = data.toolsPerCycle || this.toolsPerCycle;
+    this.auraRange = data.auraRange || this.auraRange;
+  }
 }
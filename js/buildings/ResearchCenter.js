@@ -141,8 +141,6 @@ export default class ResearchCenter extends Building {
    * Start researching an upgrade
    */
   startResearch(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade) {
       console.log(`ResearchCenter: Unknown upgrade ${upgradeKey}`);
@@ -160,7 +158,7 @@ export default class ResearchCenter extends Building {
     }
 
     // Check resources
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`ResearchCenter: Cannot afford ${upgrade.name}`);
       return false;
@@ -202,11 +200,6 @@ export default class ResearchCenter extends Building {
 
     console.log(`ResearchCenter: Completed ${upgrade.name}!`);
 
-    // Initialize research upgrades storage if needed
-    if (!this.scene.researchUpgrades) {
-      this.scene.researchUpgrades = {};
-    }
-
     // Apply upgrade effects
     switch (upgradeKey) {
       case 'SPY_TRAINING':
@@ -255,7 +248,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyEfficientTools() {
-    this.scene.researchUpgrades.efficientTools = true;
+    this.scene.getResearchUpgrades(this.faction).efficientTools = true;
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
         if (building.buildingType === 'FACTORY' && building.faction === this.faction) {
@@ -266,7 +259,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyAutoProduction() {
-    this.scene.researchUpgrades.autoProduction = true;
+    this.scene.getResearchUpgrades(this.faction).autoProduction = true;
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
         if (building.buildingType === 'FACTORY' && building.faction === this.faction) {
@@ -277,7 +270,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyAdvancedShelving() {
-    this.scene.researchUpgrades.advancedShelving = true;
+    this.scene.getResearchUpgrades(this.faction).advancedShelving = true;
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
         if (building.buildingType === 'RESOURCE_STORAGE' && building.faction === this.faction) {
@@ -288,7 +281,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyEfficientGathering() {
-    this.scene.researchUpgrades.efficientGathering = true;
+    this.scene.getResearchUpgrades(this.faction).efficientGathering = true;
     // Apply to all existing workers
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
@@ -301,7 +294,7 @@ export default class ResearchCenter extends Building {
   }
 
   applySwiftFeet() {
-    this.scene.researchUpgrades.swiftFeet = true;
+    this.scene.getResearchUpgrades(this.faction).swiftFeet = true;
     // Apply to all existing units
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
@@ -314,7 +307,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyEagleEyes() {
-    this.scene.researchUpgrades.eagleEyes = true;
+    this.scene.getResearchUpgrades(this.faction).eagleEyes = true;
     // Apply to all existing units
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
@@ -327,7 +320,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyThickFeathers() {
-    this.scene.researchUpgrades.thickFeathers = true;
+    this.scene.getResearchUpgrades(this.faction).thickFeathers = true;
     // Apply to all existing units
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
@@ -340,7 +333,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyQuickBuild() {
-    this.scene.researchUpgrades.quickBuild = true;
+    this.scene.getResearchUpgrades(this.faction).quickBuild = true;
     // Apply to buildings under construction
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
@@ -353,7 +346,7 @@ export default class ResearchCenter extends Building {
   }
 
   applyFortifiedWalls() {
-    this.scene.researchUpgrades.fortifiedWalls = true;
+    this.scene.getResearchUpgrades(this.faction).fortifiedWalls = true;
     // Apply to all existing buildings
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
@@ -430,4 +423,25 @@ export default class ResearchCenter extends Building {
     console.log('ResearchCenter: Research facility operational');
     this.completeResearch('SPY_TRAINING');
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      currentResearch: this.currentResearch,
+      researchProgress: this.researchProgress
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.currentResearch = data.currentResearch || null;
+    this.researchProgress = data.researchProgress || 0;
+  }
 }
@@ -32,11 +32,11 @@ export default class ResourceStorage extends Building {
     console.log('ResourceStorage: Storage facility operational - increasing storage limits');
 
     // Check if shelving research is complete
-    const hasShelvingBonus = this.scene.researchUpgrades?.advancedShelving || false;
+    const hasShelvingBonus = this.scene.getResearchUpgrades(this.faction).advancedShelving || false;
     const multiplier = hasShelvingBonus ? 1.5 : 1.0;
 
     // Apply storage bonuses to resource manager
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (resourceManager) {
       const foodBonus = Math.floor(STORAGE.FOOD_PER_STORAGE * multiplier);
       const waterBonus = Math.floor(STORAGE.WATER_PER_STORAGE * multiplier);
@@ -86,7 +86,7 @@ export default class ResourceStorage extends Building {
       return;
     }
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager || !this.appliedBonuses) return;
 
     // Add the extra 50% bonus
@@ -106,4 +106,27 @@ export default class ResourceStorage extends Building {
 
     console.log('ResourceStorage: Applied Advanced Shelving bonus (+50% capacity)');
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      shelvingBonusApplied: this.shelvingBonusApplied,
+      appliedBonuses: this.appliedBonuses ? { ...this.appliedBonuses } : null
+    };
+  }
+
+  /**
+   * Load from save game (storage limits themselves are restored by ResourceManager)
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.shelvingBonusApplied = data.shelvingBonusApplied ?? this.shelvingBonusApplied;
+    if (data.appliedBonuses) {
+      this.appliedBonuses = { ...data.appliedBonuses };
+    }
+  }
 }
@@ -115,7 +115,7 @@ export default class Watchtower extends Building {
     // Check enemy units
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
-        if (unit.active && unit.faction !== this.faction) {
+        if (unit.active && this.scene.diplomacy.areHostile(this.faction, unit.faction)) {
           const dist = Phaser.Math.Distance.Between(this.x, this.y, unit.x, unit.y);
           if (dist <= this.attackRange) {
             enemies.push({ target: unit, distance: dist });
@@ -127,7 +127,7 @@ export default class Watchtower extends Building {
     // Check enemy buildings
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
-        if (building.active && building !== this && building.faction !== this.faction) {
+        if (building.active && building !== this && this.scene.diplomacy.areHostile(this.faction, building.faction)) {
           const dist = Phaser.Math.Distance.Between(this.x, this.y, building.x, building.y);
           if (dist <= this.attackRange) {
             enemies.push({ target: building, distance: dist });
@@ -221,21 +221,22 @@ export default class Watchtower extends Building {
       onUpdate: () => {
         drawArrow(arrow, angle);
       },
-      onComplete: () => {
-        arrow.destroy();
-        // Deal damage when arrow hits
-        if (target && target.active && target.takeDamage) {
-          target.takeDamage(this.damage);
-          // Flash red on hit
-          if (target.sprite) {
-            const originalTint = target.sprite.tintTopLeft;
-            target.sprite.setTint(0xFF0000);
-            this.scene.time.delayedCall(100, () => {
-              if (target && target.sprite && target.active) {
-                target.sprite.setTint(originalTint);
-              }
-            });
-          }
+      onComplete: () => arrow.destroy()
+    });
+
+    // Damage lands on the simulation clock (the tween is only the visual)
+    this.scene.scheduleSimEvent(duration, () => {
+      if (target && target.active && target.takeDamage) {
+        target.takeDamage(this.damage);
+        // Flash red on hit
+        if (target.sprite) {
+          const originalTint = target.sprite.tintTopLeft;
+          target.sprite.setTint(0xFF0000);
+          this.scene.time.delayedCall(100, () => {
+            if (target && target.sprite && target.active) {
+              target.sprite.setTint(originalTint);
+            }
+          });
         }
       }
     });
@@ -261,8 +262,8 @@ export default class Watchtower extends Building {
     this.alarmActive = true;
     console.log('Watchtower: ALARM! Enemies spotted!');
 
-    // Notify UI to flash minimap at this location
-    const uiScene = this.scene.scene.get('UIScene');
+    // Notify UI to flash minimap at this location (only the player's own towers)
+    const uiScene = this.faction === FACTIONS.PLAYER ? this.scene.getUIScene() : null;
     if (uiScene && uiScene.flashMinimapLocation) {
       uiScene.flashMinimapLocation(this.x, this.y, 0xFF0000);
     }
@@ -277,12 +278,10 @@ export default class Watchtower extends Building {
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Watchtower: Cannot afford ${upgrade.name}`);
       return false;
@@ -381,4 +380,28 @@ export default class Watchtower extends Building {
     }
     super.destroy();
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      attackRange: this.attackRange,
+      visionRange: this.visionRange,
+      attackTimer: this.attackTimer
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.attackRange = data.attackRange || this.attackRange;
+    this.visionRange = data.visionRange || this.visionRange;
+    this.attackTimer = data.attackTimer ?? this.attackTimer;
+    this.updateRangeIndicator();
+  }
 }
@@ -76,26 +76,21 @@ export default class Well extends Building {
    * Generate water
    */
   generateWater() {
-    const resourceManager = this.scene.resourceManager;
-    if (resourceManager && this.faction === 'PLAYER') {
-      resourceManager.addResources('water', this.gatherAmount);
-      console.log(`Well: Extracted ${this.gatherAmount} water`);
-    } else if (this.faction === 'ENEMY_AI' && this.scene.aiManager) {
-      this.scene.aiManager.resources.water += this.gatherAmount;
-      console.log(`AI Well: Extracted ${this.gatherAmount} water`);
-    }
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) return;
+
+    resourceManager.addResources('water', this.gatherAmount);
+    console.log(`Well: Extracted ${this.gatherAmount} water`);
   }
 
   /**
    * Purchase an upgrade
    */
   purchaseUpgrade(upgradeKey) {
-    if (this.faction !== 'PLAYER') return false;
-
     const upgrade = this.upgrades[upgradeKey];
     if (!upgrade || upgrade.purchased) return false;
 
-    const resourceManager = this.scene.resourceManager;
+    const resourceManager = this.scene.getResourceManager(this.faction);
     if (!resourceManager.canAfford(upgrade.cost)) {
       console.log(`Well: Cannot afford ${upgrade.name}`);
       return false;
@@ -155,4 +150,29 @@ export default class Well extends Building {
     }
     return `Extracting ${this.gatherAmount} water/${this.gatherInterval/1000}s`;
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      gatherTimer: this.gatherTimer,
+      gatherInterval: this.gatherInterval,
+      gatherAmount: this.gatherAmount,
+      isPaused: this.isPaused
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.gatherTimer = data.gatherTimer ?? this.gatherTimer;
+    this.gatherInterval = data.gatherInterval || this.gatherInterval;
+    this.gatherAmount = data.gatherAmount ?? this.gatherAmount;
+    this.isPaused = data.isPaused ?? this.isPaused;
+  }
 }
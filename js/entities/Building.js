@@ -9,6 +9,9 @@ export default class Building extends Phaser.GameObjects.Container {
 
     this.scene = scene;
 
+    // Stable id used to reference this building from save data
+    this.entityId = scene.allocateEntityId ? scene.allocateEntityId() : 0;
+
     // Building properties
     this.buildingType = config.type || 'building';
     this.buildingName = config.name || 'Building';
@@ -215,6 +218,11 @@ export default class Building extends Phaser.GameObjects.Container {
    * Update building each frame
    */
   update(time, delta) {
+    // Sabotage ends on the simulation clock so replays see it end on the same tick
+    if (this.isSabotaged && time >= this.sabotageEndTime) {
+      this.endSabotage();
+    }
+
     // Update construction
     if (this.state === BUILDING_STATES.CONSTRUCTION) {
       this.updateConstruction(delta);
@@ -299,7 +307,7 @@ export default class Building extends Phaser.GameObjects.Container {
    */
   setSabotaged(duration) {
     this.isSabotaged = true;
-    this.sabotageEndTime = this.scene.time.now + duration;
+    this.sabotageEndTime = this.scene.simTime + duration;
 
     // Visual feedback - gray tint
     if (this.sprite) {
@@ -307,11 +315,6 @@ export default class Building extends Phaser.GameObjects.Container {
     }
 
     console.log(`Building ${this.buildingName}: SABOTAGED for ${duration / 1000}s!`);
-
-    // Schedule end of sabotage
-    this.scene.time.delayedCall(duration, () => {
-      this.endSabotage();
-    });
   }
 
   /**
@@ -486,8 +489,7 @@ export default class Building extends Phaser.GameObjects.Container {
    * Check and apply research bonuses when building completes
    */
   applyResearchBonuses() {
-    const upgrades = this.scene.researchUpgrades;
-    if (!upgrades) return;
+    const upgrades = this.scene.getResearchUpgrades(this.faction);
 
     if (upgrades.fortifiedWalls) {
       this.applyHealthBonus(1.5);
@@ -536,16 +538,30 @@ export default class Building extends Phaser.GameObjects.Container {
    * Serialize for save game
    */
   toJSON() {
+    // Upgrades are stored as a set of completed keys
+    const upgrades = {};
+    if (this.upgrades) {
+      for (const [key, upgrade] of Object.entries(this.upgrades)) {
+        if (upgrade.purchased || upgrade.researched) upgrades[key] = true;
+      }
+    }
+
     return {
+      entityId: this.entityId,
       buildingType: this.buildingType,
       x: this.x,
       y: this.y,
       faction: this.faction,
       state: this.state,
-      health: this.health,
+      health: this.currentHealth,
       maxHealth: this.maxHealth,
-      progress: this.progress,
-      sabotagedTimeRemaining: this.sabotagedTimeRemaining
+      progress: this.constructionProgress,
+      constructionTime: this.constructionTime,
+      sabotagedTimeRemaining: this.isSabotaged ? Math.max(0, this.sabotageEndTime - this.scene.simTime) : 0,
+      rallyPoint: this.rallyPoint ? { ...this.rallyPoint } : null,
+      canProduce: this.canProduce ? [...this.canProduce] : undefined,
+      upgrades,
+      productionQueue: this.productionQueue ? this.productionQueue.toJSON() : undefined
     };
   }
 
@@ -554,19 +570,49 @@ export default class Building extends Phaser.GameObjects.Container {
    */
   fromJSON(data) {
     if (!data) return;
+    this.entityId = data.entityId ?? this.entityId;
     this.state = data.state || this.state;
-    this.health = data.health ?? this.health;
     this.maxHealth = data.maxHealth || this.maxHealth;
-    this.progress = data.progress || this.progress;
-    this.sabotagedTimeRemaining = data.sabotagedTimeRemaining || 0;
+    this.currentHealth = data.health ?? this.currentHealth;
+    this.constructionProgress = data.progress ?? this.constructionProgress;
+    this.constructionTime = data.constructionTime || this.constructionTime;
+
+    if (data.upgrades && this.upgrades) {
+      for (const key of Object.keys(data.upgrades)) {
+        const upgrade = this.upgrades[key];
+        if (!upgrade) continue;
+        if ('researched' in upgrade) {
+          upgrade.researched = true;
+        } else {
+          upgrade.purchased = true;
+        }
+      }
+    }
+
+    if (Array.isArray(data.canProduce) && this.canProduce) {
+      this.canProduce = [...data.canProduce];
+    }
+
+    if (data.productionQueue && this.productionQueue) {
+      this.productionQueue.fromJSON(data.productionQueue);
+    }
+
+    if (data.rallyPoint) {
+      this.setRallyPoint(data.rallyPoint.x, data.rallyPoint.y);
+    }
+
+    if (data.sabotagedTimeRemaining > 0) {
+      this.setSabotaged(data.sabotagedTimeRemaining);
+    }
 
     // Update visuals based on restored state
+    this.sprite.setAlpha(this.state === BUILDING_STATES.OPERATIONAL ? 1 : 0.3 + (this.constructionProgress / 100) * 0.7);
     this.updateHealthBar();
-    this.updateProgressBar();
-    if (this.state === BUILDING_STATES.OPERATIONAL) {
-      if (this.progressBar) this.progressBar.setVisible(false);
-      if (this.progressBg) this.progressBg.setVisible(false);
-      this.clearTint();
+    if (this.state === BUILDING_STATES.CONSTRUCTION) {
+      this.progressBg.setVisible(true);
+      this.progressFill.setVisible(true);
+      this.progressText.setVisible(true);
     }
+    this.updateProgressBar();
   }
 }
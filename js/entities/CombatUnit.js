@@ -1,8 +1,16 @@
 // Combat Unit Base Class - Extends Unit with attack capabilities
 
 import Unit from './Unit.js';
-import { UNIT_STATES, FACTIONS } from '../utils/Constants.js';
+import { UNIT, UNIT_STATES, UNIT_STANCES, FACTIONS } from '../utils/Constants.js';
 import { playAttackLunge, updateIdleAnimation } from '../systems/UnitAnimator.js';
+import { COMMANDS } from '../systems/CommandDispatcher.js';
+
+const ATTACK_MOVE_SCAN_MS = 250;   // How often an attack-move checks for enemies and resumes the march
+const ATTACK_MOVE_ARRIVAL = 60;    // px - close enough to the attack-move destination to stop
+const PURSUIT_REPATH_MS = 500;     // Least time between pursuit paths
+const PURSUIT_REFRESH_MS = 2000;   // Re-path a pursuit this often even if the target holds still
+const PURSUIT_TARGET_MOVED = 48;   // px - the target moved this far from the path's goal: re-path
+const LEASH_ARRIVAL = 40;          // px - close enough to the leash point not to walk back
 
 export default class CombatUnit extends Unit {
   constructor(scene, x, y, config, faction) {
@@ -17,7 +25,27 @@ export default class CombatUnit extends Unit {
 
     // Target tracking
     this.targetEnemy = null;
-    this.chaseRange = this.engagementRange * 1.5; // How far to chase before giving up
+    this.orderedTarget = null; // Target of an explicit attack order - chased until it dies
+    this.chaseRange = this.engagementRange * 1.5; // How far to chase before giving up (unordered targets)
+
+    // Pursuit paths are walked without leaving the ATTACKING state
+    this.pursuitRequestId = null; // pathRequestId of the pursuit path on its way
+    this.pursuitGoal = null;  // Target position the current pursuit path leads to
+    this.pursuitAge = 0;      // ms since the last pursuit path was requested
+
+    // Attack-move: march to a destination, fighting any enemy met on the way
+    this.attackMoveTarget = null;     // { x, y } destination, null when not attack-moving
+    this.attackMoveTimer = 0;
+    this.attackMoveResumedFrom = null; // Where the march last resumed (a march that gets nowhere is dropped)
+
+    // Standing orders: patrol (attack-move around a loop of points) and hold position
+    this.patrolRoute = null;  // [{ x, y }, ...], null when not patrolling
+    this.patrolIndex = 0;     // Route point currently marched to
+    this.holdingPosition = false; // Never move - only fight enemies within attack range
+
+    // Stance: how the unit reacts to enemies it was not ordered to fight
+    this.stance = UNIT_STANCES.AGGRESSIVE;
+    this.leashPoint = null; // { x, y } a defensive unit returns to after an unprompted fight
 
     console.log(`CombatUnit created: ${this.unitType} with ${this.damage} damage, ${this.attackRange}px range`);
   }
@@ -33,13 +61,155 @@ export default class CombatUnit extends Unit {
       this.attackTimer -= delta;
     }
 
-    // Handle ATTACKING state
+    // ATTACKING is updated by Unit.update; idle units look for a fight (passive ones never do)
+    if (this.state === UNIT_STATES.IDLE && this.stance !== UNIT_STANCES.PASSIVE) {
+      const { x, y } = this;
+      this.checkForNearbyEnemies();
+
+      // Defensive units remember where they stood, to walk back once the fight is over
+      if (this.state === UNIT_STATES.ATTACKING && this.stance === UNIT_STANCES.DEFENSIVE &&
+        !this.attackMoveTarget && !this.leashPoint) {
+        this.leashPoint = { x, y };
+      }
+    }
+
+    if (this.attackMoveTarget) {
+      this.updateAttackMove(delta);
+    }
+  }
+
+  /**
+   * Attack-move to a position: walk there, but engage enemies that come within engagement range
+   */
+  attackMoveTo(worldX, worldY) {
+    this.attackMoveTarget = { x: worldX, y: worldY };
+    this.attackMoveTimer = 0;
+    this.attackMoveResumedFrom = null;
+    this.moveTo(worldX, worldY);
+  }
+
+  /**
+   * Patrol between the current position and a point, fighting enemies met on the way
+   */
+  patrolTo(worldX, worldY) {
+    this.patrolRoute = [{ x: this.x, y: this.y }, { x: worldX, y: worldY }];
+    this.patrolIndex = 1;
+    this.attackMoveTo(worldX, worldY);
+  }
+
+  /**
+   * Add a point to the end of the patrol loop (shift-queued patrol orders)
+   */
+  addPatrolPoint(worldX, worldY) {
+    this.patrolRoute.push({ x: worldX, y: worldY });
+  }
+
+  /**
+   * A patrol leads round its loop, back to the point being marched to
+   */
+  getOrderWaypoints() {
+    if (!this.patrolRoute) return super.getOrderWaypoints();
+
+    const count = this.patrolRoute.length;
+    const waypoints = [];
+    for (let i = 0; i <= count; i++) {
+      waypoints.push({ ...this.patrolRoute[(this.patrolIndex + i) % count], type: COMMANDS.PATROL });
+    }
+    return waypoints;
+  }
+
+  /**
+   * Stand still and only fight enemies that come within attack range
+   */
+  holdPosition() {
+    this.stop();
+    this.holdingPosition = true;
+  }
+
+  /**
+   * Change stance (keeps current orders; a fight already under way is not broken off)
+   */
+  setStance(stance) {
+    this.stance = stance;
+    if (stance !== UNIT_STANCES.DEFENSIVE) this.leashPoint = null;
+  }
+
+  /**
+   * Attack a target on the player's (or AI's) order: focus it and chase it until it dies
+   */
+  attackOrder(target) {
+    this.orderedTarget = target;
+    this.engageTarget(target);
+  }
+
+  /**
+   * Drop standing orders (queue, attack-move, ordered target, patrol, hold, leash) - a new order replaces them
+   */
+  clearOrders() {
+    super.clearOrders();
+    this.attackMoveTarget = null;
+    this.attackMoveResumedFrom = null;
+    this.orderedTarget = null;
+    this.patrolRoute = null;
+    this.holdingPosition = false;
+    this.leashPoint = null;
+  }
+
+  /**
+   * Attack-moves and ordered targets keep the unit busy until they are done; patrols and
+   * hold position until they are replaced
+   */
+  isBusy() {
+    return super.isBusy() || !!this.attackMoveTarget || !!this.orderedTarget ||
+      !!this.patrolRoute || this.holdingPosition;
+  }
+
+  /**
+   * How close an enemy must be to be engaged unprompted
+   */
+  getEngagementRange() {
+    return this.holdingPosition ? this.attackRange : this.engagementRange;
+  }
+
+  /**
+   * Attack-move upkeep: engage enemies met while marching, and resume the march after a fight
+   */
+  updateAttackMove(delta) {
     if (this.state === UNIT_STATES.ATTACKING) {
-      this.updateAttacking(delta);
-    } else if (this.state === UNIT_STATES.IDLE) {
-      // Auto-engage nearby enemies when idle
+      this.attackMoveResumedFrom = null;
+      return;
+    }
+
+    this.attackMoveTimer -= delta;
+    if (this.attackMoveTimer > 0) return;
+    this.attackMoveTimer = ATTACK_MOVE_SCAN_MS;
+
+    if (this.state === UNIT_STATES.MOVING) {
       this.checkForNearbyEnemies();
+      return;
+    }
+    if (this.state !== UNIT_STATES.IDLE) return;
+
+    const { x, y } = this.attackMoveTarget;
+    const distance = Phaser.Math.Distance.Between(this.x, this.y, x, y);
+    const resumedFrom = this.attackMoveResumedFrom;
+    if (distance <= ATTACK_MOVE_ARRIVAL ||
+      (resumedFrom && Phaser.Math.Distance.Between(this.x, this.y, resumedFrom.x, resumedFrom.y) < 10)) {
+      // Arrived, or the last attempt to resume got nowhere (no path)
+      this.attackMoveTarget = null;
+      this.attackMoveResumedFrom = null;
+
+      // Patrols march on to the next point of the loop
+      if (this.patrolRoute) {
+        this.patrolIndex = (this.patrolIndex + 1) % this.patrolRoute.length;
+        const next = this.patrolRoute[this.patrolIndex];
+        this.attackMoveTo(next.x, next.y);
+      }
+      return;
     }
+
+    this.attackMoveResumedFrom = { x: this.x, y: this.y };
+    this.moveTo(x, y);
   }
 
   /**
@@ -49,6 +219,7 @@ export default class CombatUnit extends Unit {
     // Check if target still exists
     if (!this.targetEnemy || !this.targetEnemy.active) {
       if (window.gcVerbose) console.log(`${this.unitType}: Target destroyed, finding new target`);
+      if (this.targetEnemy === this.orderedTarget) this.orderedTarget = null;
       this.targetEnemy = null;
       this.findNewTarget();
       return;
@@ -60,11 +231,23 @@ export default class CombatUnit extends Unit {
       this.targetEnemy.x, this.targetEnemy.y
     );
 
-    // If target out of chase range, give up
-    if (distance > this.chaseRange) {
+    // If target out of chase range (or attack range, holding position), give up (unless it was ordered)
+    const giveUpRange = this.holdingPosition ? this.attackRange : this.chaseRange;
+    if (distance > giveUpRange && this.targetEnemy !== this.orderedTarget) {
       if (window.gcVerbose) console.log(`${this.unitType}: Target out of chase range, going idle`);
       this.targetEnemy = null;
       this.setState(UNIT_STATES.IDLE);
+      this.returnToLeashPoint();
+      return;
+    }
+
+    // Defensive units don't let a chase drag them away from where it started
+    if (this.leashPoint && this.targetEnemy !== this.orderedTarget &&
+      Phaser.Math.Distance.Between(this.x, this.y, this.leashPoint.x, this.leashPoint.y) > UNIT.DEFENSIVE_LEASH) {
+      if (window.gcVerbose) console.log(`${this.unitType}: Chased past the leash, returning`);
+      this.targetEnemy = null;
+      this.setState(UNIT_STATES.IDLE);
+      this.returnToLeashPoint();
       return;
     }
 
@@ -95,22 +278,60 @@ export default class CombatUnit extends Unit {
       }
     } else {
       // Move toward target (pursue)
-      if (this.currentPath.length === 0 || this.currentPathIndex >= this.currentPath.length) {
-        // For ranged units, move to attack range instead of directly to target
-        if (this.isRanged && this.attackRange > 0) {
-          // Calculate position at attack range from target
-          const angle = Phaser.Math.Angle.Between(this.targetEnemy.x, this.targetEnemy.y, this.x, this.y);
-          // Stop slightly inside attack range for safety margin
-          const stopDistance = this.attackRange * 0.85;
-          const targetX = this.targetEnemy.x + Math.cos(angle) * stopDistance;
-          const targetY = this.targetEnemy.y + Math.sin(angle) * stopDistance;
-          this.moveTo(targetX, targetY);
-        } else {
-          // Melee units move directly to target
-          this.moveTo(this.targetEnemy.x, this.targetEnemy.y);
-        }
+      this.pursue(delta);
+    }
+  }
+
+  /**
+   * Close in on the target: path toward it and walk the path, re-pathing when the target
+   * moves away from where the path leads
+   */
+  pursue(delta) {
+    const target = this.targetEnemy;
+    const pathDone = this.currentPathIndex >= this.currentPath.length;
+    const targetMoved = !this.pursuitGoal ||
+      Phaser.Math.Distance.Between(target.x, target.y, this.pursuitGoal.x, this.pursuitGoal.y) > PURSUIT_TARGET_MOVED;
+
+    this.pursuitAge += delta;
+    const pending = this.pursuitRequestId === this.pathRequestId;
+    if (!pending && this.pursuitAge >= PURSUIT_REPATH_MS &&
+      (pathDone || targetMoved || this.pursuitAge >= PURSUIT_REFRESH_MS)) {
+      this.pursuitAge = 0;
+      this.pursuitGoal = { x: target.x, y: target.y };
+
+      // For ranged units, move to attack range instead of directly to target
+      if (this.isRanged && this.attackRange > 0) {
+        // Calculate position at attack range from target
+        const angle = Phaser.Math.Angle.Between(target.x, target.y, this.x, this.y);
+        // Stop slightly inside attack range for safety margin
+        const stopDistance = this.attackRange * 0.85;
+        this.moveTo(target.x + Math.cos(angle) * stopDistance, target.y + Math.sin(angle) * stopDistance);
+      } else {
+        // Melee units move directly to target
+        this.moveTo(target.x, target.y);
+      }
+      this.pursuitRequestId = this.pathRequestId;
+    }
+
+    // The request above may have answered at once with an empty path (no way to the target)
+    if (this.currentPathIndex < this.currentPath.length) {
+      this.advanceAlongPath(delta);
+    }
+  }
+
+  /**
+   * Pursuit paths are walked in the ATTACKING state (and dropped if the fight is over); others start a move
+   */
+  onPathFound(path) {
+    if (this.pursuitRequestId === this.pathRequestId) {
+      this.pursuitRequestId = null;
+      if (this.state === UNIT_STATES.ATTACKING) {
+        this.currentPath = path || [];
+        this.currentPathIndex = 0;
       }
+      return;
     }
+    super.onPathFound(path);
   }
 
   /**
@@ -245,12 +466,11 @@ export default class CombatUnit extends Unit {
       onUpdate: () => {
         drawArrow(arrow, 0, 0, angle);
       },
-      onComplete: () => {
-        arrow.destroy();
-        // Deal damage when projectile hits
-        this.dealDamageToTarget(target);
-      }
+      onComplete: () => arrow.destroy()
     });
+
+    // Deal damage when projectile hits (on the simulation clock, so replays agree)
+    this.scene.scheduleSimEvent(duration, () => this.dealDamageToTarget(target));
   }
 
   /**
@@ -321,10 +541,11 @@ export default class CombatUnit extends Unit {
         // Impact effect
         this.showRockImpact(endX, endY);
         rock.destroy();
-        // Deal damage when rock hits
-        this.dealDamageToTarget(target);
       }
     });
+
+    // Deal damage when rock hits
+    this.scene.scheduleSimEvent(duration, () => this.dealDamageToTarget(target));
   }
 
   /**
@@ -362,7 +583,7 @@ export default class CombatUnit extends Unit {
     const enemy = this.findNearestEnemy();
     if (enemy) {
       const distance = Phaser.Math.Distance.Between(this.x, this.y, enemy.x, enemy.y);
-      if (distance <= this.engagementRange) {
+      if (distance <= this.getEngagementRange()) {
         if (window.gcVerbose) console.log(`${this.unitType}: Enemy detected at ${Math.round(distance)}px, engaging!`);
         this.engageTarget(enemy);
       }
@@ -390,7 +611,7 @@ export default class CombatUnit extends Unit {
     // Check enemy units
     if (this.scene.units) {
       this.scene.units.forEach(unit => {
-        if (!unit.active || unit.faction === this.faction) return;
+        if (!unit.active || !this.scene.diplomacy.areHostile(this.faction, unit.faction)) return;
 
         // Skip aerial targets if we can't hit them
         if (!this.canTargetEnemy(unit)) return;
@@ -406,7 +627,7 @@ export default class CombatUnit extends Unit {
     // Check enemy buildings
     if (this.scene.buildings) {
       this.scene.buildings.forEach(building => {
-        if (!building.active || building.faction === this.faction) return;
+        if (!building.active || !this.scene.diplomacy.areHostile(this.faction, building.faction)) return;
 
         const distance = Phaser.Math.Distance.Between(this.x, this.y, building.x, building.y);
         if (distance < nearestDistance) {
@@ -423,10 +644,11 @@ export default class CombatUnit extends Unit {
    * Find new target after current target is destroyed
    */
   findNewTarget() {
-    const enemy = this.findNearestEnemy();
+    // Passive units stop once their ordered target is dead (attack-moves still fight on)
+    const enemy = this.stance !== UNIT_STANCES.PASSIVE || this.attackMoveTarget ? this.findNearestEnemy() : null;
     if (enemy) {
       const distance = Phaser.Math.Distance.Between(this.x, this.y, enemy.x, enemy.y);
-      if (distance <= this.engagementRange) {
+      if (distance <= this.getEngagementRange()) {
         this.engageTarget(enemy);
         return;
       }
@@ -434,12 +656,31 @@ export default class CombatUnit extends Unit {
 
     // No nearby enemies, go idle
     this.setState(UNIT_STATES.IDLE);
+    this.returnToLeashPoint();
+  }
+
+  /**
+   * After an unprompted fight, a defensive unit walks back to where it started
+   */
+  returnToLeashPoint() {
+    const point = this.leashPoint;
+    if (!point) return;
+
+    this.leashPoint = null;
+    if (Phaser.Math.Distance.Between(this.x, this.y, point.x, point.y) > LEASH_ARRIVAL) {
+      this.moveTo(point.x, point.y);
+    }
   }
 
   /**
    * Engage a specific target
    */
   engageTarget(target) {
+    // Drop any walk in progress - updateAttacking paths toward the target itself
+    this.currentPath = [];
+    this.currentPathIndex = 0;
+    this.pursuitGoal = null;
+    this.pursuitAge = PURSUIT_REPATH_MS;
     this.targetEnemy = target;
     this.setState(UNIT_STATES.ATTACKING);
     if (window.gcVerbose) console.log(`${this.unitType}: Engaging ${target.unitType || target.buildingName}`);
@@ -456,4 +697,52 @@ export default class CombatUnit extends Unit {
 
     super.setState(newState);
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      damage: this.damage,
+      attackTimer: this.attackTimer,
+      attackMoveTarget: this.attackMoveTarget ? { ...this.attackMoveTarget } : null,
+      patrolRoute: this.patrolRoute ? this.patrolRoute.map(point => ({ ...point })) : null,
+      patrolIndex: this.patrolIndex,
+      holdingPosition: this.holdingPosition,
+      stance: this.stance,
+      leashPoint: this.leashPoint ? { ...this.leashPoint } : null,
+      orderedTargetId: this.orderedTarget?.active ? this.orderedTarget.entityId : null,
+      targetEnemyId: this.targetEnemy?.active ? this.targetEnemy.entityId : null
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.damage = data.damage || this.damage;
+    this.attackTimer = data.attackTimer ?? this.attackTimer;
+    this.attackMoveTarget = data.attackMoveTarget ? { ...data.attackMoveTarget } : null;
+    this.patrolRoute = data.patrolRoute ? data.patrolRoute.map(point => ({ ...point })) : null;
+    this.patrolIndex = data.patrolIndex ?? 0;
+    this.holdingPosition = !!data.holdingPosition;
+    this.stance = data.stance || this.stance;
+    this.leashPoint = data.leashPoint ? { ...data.leashPoint } : null;
+  }
+
+  /**
+   * Re-link combat target once everything in the save is restored
+   */
+  resolveReferences(data) {
+    if (data?.targetEnemyId) {
+      this.targetEnemy = this.scene.findEntityById(data.targetEnemyId);
+    }
+    if (data?.orderedTargetId) {
+      this.orderedTarget = this.scene.findEntityById(data.orderedTargetId);
+    }
+    super.resolveReferences(data);
+  }
 }
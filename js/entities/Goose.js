@@ -5,6 +5,10 @@ import { UNIT, UNIT_STATES, BUILDING_STATES, FACTIONS } from '../utils/Constants
 import { worldToGridInt } from '../utils/IsometricUtils.js';
 import { updateGatherAnimation } from '../systems/UnitAnimator.js';
 
+// px from a resource node a goose gathers within. A walk toward a node ends within 35px of the path's
+// last tile anchor, which sits up to a tile from the node itself (and water is gathered from the shore).
+const GATHER_DISTANCE = 100;
+
 export default class Goose extends CombatUnit {
   constructor(scene, x, y, faction) {
     // Configure worker goose properties (use builder sprite for worker units)
@@ -138,17 +142,15 @@ export default class Goose extends CombatUnit {
    * Check if there's storage space for any resource in inventory
    */
   hasStorageSpaceForInventory() {
-    // For player faction, check resource manager
-    if (this.faction === FACTIONS.PLAYER && this.scene.resourceManager) {
-      // Check if any resource we're carrying has storage space
-      if (this.inventory.food > 0 && this.scene.resourceManager.hasStorageSpaceFor('food')) return true;
-      if (this.inventory.water > 0 && this.scene.resourceManager.hasStorageSpaceFor('water')) return true;
-      if (this.inventory.sticks > 0 && this.scene.resourceManager.hasStorageSpaceFor('sticks')) return true;
-      if (this.inventory.tools > 0 && this.scene.resourceManager.hasStorageSpaceFor('tools')) return true;
-      return false;
-    }
-    // AI doesn't have storage limits for now
-    return true;
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) return true;
+
+    // Check if any resource we're carrying has storage space
+    if (this.inventory.food > 0 && resourceManager.hasStorageSpaceFor('food')) return true;
+    if (this.inventory.water > 0 && resourceManager.hasStorageSpaceFor('water')) return true;
+    if (this.inventory.sticks > 0 && resourceManager.hasStorageSpaceFor('sticks')) return true;
+    if (this.inventory.tools > 0 && resourceManager.hasStorageSpaceFor('tools')) return true;
+    return false;
   }
 
   /**
@@ -245,13 +247,7 @@ export default class Goose extends CombatUnit {
       this.targetResource.x, this.targetResource.y
     );
 
-    // Gather distance - needs to account for:
-    // 1. Resource spawn offset (±20 pixels)
-    // 2. Unit arriving at grid cell center vs exact resource position
-    // Water resources need extra range since units can't walk on water
-    const gatherDistance = this.targetResource.getResourceType() === 'water' ? 100 : 70;
-
-    if (distance < gatherDistance) {
+    if (distance < GATHER_DISTANCE) {
       // At the resource, start gathering
       this.gatherTimer += delta;
 
@@ -404,11 +400,7 @@ export default class Goose extends CombatUnit {
     const distance = Phaser.Math.Distance.Between(this.x, this.y, resourceNode.x, resourceNode.y);
     console.log(`Goose: Distance to resource: ${Math.round(distance)}`);
 
-    // Gathering distance - must match the check in updateGatheringBehavior
-    // Water resources need extra range since units gather from adjacent land
-    const gatherDistance = resourceNode.getResourceType() === 'water' ? 100 : 70;
-
-    if (distance < gatherDistance) {
+    if (distance < GATHER_DISTANCE) {
       // Already at resource, start gathering immediately
       console.log(`Goose: Already at resource (distance: ${Math.round(distance)}), starting to gather immediately`);
       this.setState(UNIT_STATES.GATHERING);
@@ -530,7 +522,7 @@ export default class Goose extends CombatUnit {
   }
 
   /**
-   * Deposit resources at base (to player or AI resource pool based on faction)
+   * Deposit resources at base (into this goose's faction stockpile)
    */
   depositResources() {
     const resources = this.emptyInventory();
@@ -540,31 +532,18 @@ export default class Goose extends CombatUnit {
       console.log(`Goose: Depositing resources: food=${resources.food}, water=${resources.water}, sticks=${resources.sticks}, tools=${resources.tools}`);
     }
 
-    // Check faction and deposit to appropriate manager
-    if (this.faction === 'ENEMY_AI') {
-      // Deposit to AI manager
-      if (this.scene.aiManager) {
-        for (const [type, amount] of Object.entries(resources)) {
-          if (amount > 0) {
-            this.scene.aiManager.addResources(type, amount);
-          }
-        }
-      } else {
-        console.error('Goose: No AI manager found for AI worker!');
-      }
-    } else {
-      // Deposit to player resource manager
-      if (this.scene.resourceManager) {
-        for (const [type, amount] of Object.entries(resources)) {
-          if (amount > 0) {
-            if (isPlayer) {
-              console.log(`Goose: Adding ${amount} ${type} to player stockpile`);
-            }
-            this.scene.resourceManager.addResources(type, amount);
-          }
+    const resourceManager = this.scene.getResourceManager(this.faction);
+    if (!resourceManager) {
+      console.error(`Goose: No resource manager found for ${this.faction}!`);
+      return;
+    }
+
+    for (const [type, amount] of Object.entries(resources)) {
+      if (amount > 0) {
+        if (isPlayer) {
+          console.log(`Goose: Adding ${amount} ${type} to player stockpile`);
         }
-      } else {
-        console.error('Goose: No resource manager found!');
+        resourceManager.addResources(type, amount);
       }
     }
 
@@ -661,10 +640,11 @@ export default class Goose extends CombatUnit {
       this.y,
       searchRadius,
       (node) => {
-        // Filter: only active nodes of matching type with resources available
+        // Filter: only active, reachable nodes of matching type with resources available
         return node.active &&
           node.getResourceType() === resourceType &&
-          node.hasResources();
+          node.hasResources() &&
+          !this.isResourceInsideBuilding(node);
       }
     );
 
@@ -774,6 +754,24 @@ export default class Goose extends CombatUnit {
     this.setState(UNIT_STATES.IDLE);
   }
 
+  /**
+   * A new order also takes the worker off its construction site
+   */
+  clearOrders() {
+    super.clearOrders();
+    this.targetBuilding = null;
+    this.pendingConstruction = false;
+  }
+
+  /**
+   * Gathering never finishes on its own, so orders queued behind it take over at once
+   */
+  isBusy() {
+    const gathering = this.state === UNIT_STATES.GATHERING || this.state === UNIT_STATES.RETURNING ||
+      this.pendingGatherStart || this.pendingReturnToBase;
+    return !gathering && super.isBusy();
+  }
+
   /**
    * Override setState to handle gathering cleanup
    */
@@ -799,16 +797,13 @@ export default class Goose extends CombatUnit {
    * Apply worker-specific bonuses at spawn
    */
   applyWorkerBonuses() {
-    // Only apply for player faction
-    if (this.faction !== FACTIONS.PLAYER) return;
-
     // Check for building upgrades (Coop's Large Nests)
-    if (this.scene.buildingUpgrades?.largeNests) {
+    if (this.scene.getBuildingUpgrades(this.faction).largeNests) {
       this.applyCarryBonus(10);
     }
 
     // Check for research upgrades (Efficient Gathering)
-    if (this.scene.researchUpgrades?.efficientGathering) {
+    if (this.scene.getResearchUpgrades(this.faction).efficientGathering) {
       this.applyGatheringBonus(1.25); // 25% faster
     }
   }
@@ -828,4 +823,52 @@ export default class Goose extends CombatUnit {
     this.gatherDuration = Math.floor(this.baseGatherDuration / multiplier);
     console.log(`Goose: Gather duration reduced to ${this.gatherDuration}ms`);
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      inventoryMax: this.inventoryMax,
+      gatherTimer: this.gatherTimer,
+      gatherDuration: this.gatherDuration,
+      pendingGatherStart: this.pendingGatherStart,
+      pendingReturnToBase: this.pendingReturnToBase,
+      pendingConstruction: this.pendingConstruction,
+      targetResourceId: this.targetResource?.active ? this.targetResource.entityId : null,
+      homeBaseId: this.homeBase?.active ? this.homeBase.entityId : null,
+      targetBuildingId: this.targetBuilding?.active ? this.targetBuilding.entityId : null
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.inventoryMax = data.inventoryMax || this.inventoryMax;
+    this.gatherTimer = data.gatherTimer ?? this.gatherTimer;
+    this.gatherDuration = data.gatherDuration || this.gatherDuration;
+    this.pendingGatherStart = !!data.pendingGatherStart;
+    this.pendingReturnToBase = !!data.pendingReturnToBase;
+    this.pendingConstruction = !!data.pendingConstruction;
+  }
+
+  /**
+   * Re-link resource, home base and construction targets once everything is restored
+   */
+  resolveReferences(data) {
+    if (data) {
+      this.targetResource = data.targetResourceId ? this.scene.findEntityById(data.targetResourceId) : null;
+      this.homeBase = data.homeBaseId ? this.scene.findEntityById(data.homeBaseId) : null;
+      this.targetBuilding = data.targetBuildingId ? this.scene.findEntityById(data.targetBuildingId) : null;
+
+      if (this.targetResource && this.state === UNIT_STATES.GATHERING) {
+        this.targetResource.assignWorker(this);
+      }
+    }
+    super.resolveReferences(data);
+  }
 }
@@ -10,13 +10,16 @@ export default class ResourceNode extends Phaser.GameObjects.Container {
     this.scene = scene;
     this.resourceType = resourceType; // 'food', 'water', 'sticks', 'stone'
 
+    // Stable id used to reference this node from save data
+    this.entityId = scene.allocateEntityId ? scene.allocateEntityId() : 0;
+
     // Resource configuration
     const config = RESOURCE[resourceType.toUpperCase()];
     this.maxCapacity = config.capacity;
 
     // Randomize capacity for variety (80-120% of base capacity)
     // For sticks, this gives 24-36 sticks per tree with base capacity of 30
-    const capacityVariation = 0.8 + Math.random() * 0.4;
+    const capacityVariation = 0.8 + scene.randomManager.mapgen.next() * 0.4;
     this.currentCapacity = Math.floor(this.maxCapacity * capacityVariation);
 
     this.gatherRate = config.gatherRate;
@@ -55,7 +58,7 @@ export default class ResourceNode extends Phaser.GameObjects.Container {
         // Use wheat spritesheet - 4 frames available (2x2 grid)
         // Pick a random variant at creation (consistent for this node)
         spriteKey = 'wheat';
-        this.baseFrame = Math.floor(Math.random() * 4); // 0-3
+        this.baseFrame = Math.floor(this.scene.randomManager.mapgen.next() * 4); // 0-3
         frame = this.baseFrame;
         scale = 0.15; // Scale down the larger 400x300 frames
         break;
@@ -96,7 +99,7 @@ export default class ResourceNode extends Phaser.GameObjects.Container {
 
       case 'sticks':
         // Use individual tree images - pick a random tree variant (1-5)
-        this.treeVariant = Math.floor(Math.random() * 5) + 1; // 1-5
+        this.treeVariant = Math.floor(this.scene.randomManager.mapgen.next() * 5) + 1; // 1-5
         spriteKey = `tree${this.treeVariant}`;
         frame = null; // Not using spritesheet frames
         scale = 1.0;
@@ -391,4 +394,36 @@ export default class ResourceNode extends Phaser.GameObjects.Container {
       }
     });
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      entityId: this.entityId,
+      resourceType: this.resourceType,
+      x: this.x,
+      y: this.y,
+      currentCapacity: this.currentCapacity,
+      maxCapacity: this.maxCapacity,
+      isDepleted: this.isDepleted,
+      baseFrame: this.baseFrame,
+      treeVariant: this.treeVariant
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    if (!data) return;
+    this.entityId = data.entityId ?? this.entityId;
+    this.maxCapacity = data.maxCapacity || this.maxCapacity;
+    this.currentCapacity = data.currentCapacity ?? this.currentCapacity;
+    this.isDepleted = data.isDepleted ?? this.isDepleted;
+    if (data.baseFrame !== undefined) this.baseFrame = data.baseFrame;
+    if (data.treeVariant !== undefined) this.treeVariant = data.treeVariant;
+
+    this.updateVisual();
+  }
 }
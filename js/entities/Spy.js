@@ -1,9 +1,12 @@
 // Spy Unit - Saboteur with stealth, building sabotage, and resource theft
 
 import CombatUnit from './CombatUnit.js';
-import { UNIT, UNIT_STATS, FACTIONS } from '../utils/Constants.js';
+import { UNIT, UNIT_STATS, UNIT_STATES, UNIT_STANCES, FACTIONS } from '../utils/Constants.js';
 import { updateStealthAnimation } from '../systems/UnitAnimator.js';
 
+// Buildings a Spy can steal from
+const STEAL_TARGETS = ['RESOURCE_STORAGE', 'COOP', 'RESOURCESTORAGE'];
+
 export default class Spy extends CombatUnit {
   constructor(scene, x, y, faction) {
     const stats = UNIT_STATS.SPY;
@@ -42,6 +45,12 @@ export default class Spy extends CombatUnit {
     this.stealTimer = 0;       // Ready when 0
     this.stealRange = 100;     // Must be adjacent to storage
 
+    // Ability ordered on a building: walk there and use it once in range
+    this.abilityOrder = null;  // { ability: 'sabotage' | 'steal', target }
+
+    // Stays hidden rather than picking fights (the stance can still be changed)
+    this.stance = UNIT_STANCES.PASSIVE;
+
     // Visual stealth effect
     this.updateStealthVisual();
 
@@ -78,6 +87,83 @@ export default class Spy extends CombatUnit {
 
     // Check if detected by nearby enemies
     this.checkDetection();
+
+    if (this.abilityOrder) {
+      this.updateAbilityOrder();
+    }
+  }
+
+  /**
+   * Attack orders on a building default to the Spy's abilities: steal from stockpiles, sabotage
+   * anything else (whichever is off cooldown). Returns false when neither applies.
+   */
+  useAbilityOn(target) {
+    if (!target?.buildingType) return false;
+
+    let ability = null;
+    if (STEAL_TARGETS.includes(target.buildingType.toUpperCase()) && this.stealTimer <= 0) {
+      ability = 'steal';
+    } else if (this.sabotageTimer <= 0) {
+      ability = 'sabotage';
+    }
+    if (!ability) return false;
+
+    this.abilityOrder = { ability, target };
+    this.moveTo(target.x, target.y);
+    return true;
+  }
+
+  /**
+   * Walk to the ordered building and use the ability once in range
+   */
+  updateAbilityOrder() {
+    const { ability, target } = this.abilityOrder;
+    if (!target.active) {
+      this.abilityOrder = null;
+      return;
+    }
+
+    const range = ability === 'steal' ? this.stealRange : this.sabotageRange;
+    if (Phaser.Math.Distance.Between(this.x, this.y, target.x, target.y) > range) {
+      // The walk ended short (or was interrupted) - head there again
+      if (this.state === UNIT_STATES.IDLE && !this.finalDestination) {
+        this.moveTo(target.x, target.y);
+      }
+      return;
+    }
+
+    this.abilityOrder = null;
+    if (ability === 'steal') {
+      this.stealResources(target);
+    } else {
+      this.sabotageBuilding(target);
+    }
+    if (this.state === UNIT_STATES.MOVING) {
+      this.setState(UNIT_STATES.IDLE);
+    }
+  }
+
+  /**
+   * Drop standing orders, including an ability order
+   */
+  clearOrders() {
+    super.clearOrders();
+    this.abilityOrder = null;
+  }
+
+  /**
+   * An ability order keeps the Spy busy until it is used
+   */
+  isBusy() {
+    return super.isBusy() || !!this.abilityOrder;
+  }
+
+  /**
+   * Don't pick fights while on the way to use an ability
+   */
+  checkForNearbyEnemies() {
+    if (this.abilityOrder) return;
+    super.checkForNearbyEnemies();
   }
 
   /**
@@ -129,7 +215,7 @@ export default class Spy extends CombatUnit {
     // Check nearby enemy units
     if (this.scene.units) {
       for (const unit of this.scene.units) {
-        if (!unit.active || unit.faction === this.faction) continue;
+        if (!unit.active || !this.scene.diplomacy.areHostile(this.faction, unit.faction)) continue;
 
         const distance = Phaser.Math.Distance.Between(this.x, this.y, unit.x, unit.y);
         if (distance <= this.stealthDetectionRange) {
@@ -142,7 +228,7 @@ export default class Spy extends CombatUnit {
     // Check nearby watchtowers (extended detection)
     if (this.scene.buildings) {
       for (const building of this.scene.buildings) {
-        if (!building.active || building.faction === this.faction) continue;
+        if (!building.active || !this.scene.diplomacy.areHostile(this.faction, building.faction)) continue;
         if (building.buildingType !== 'WATCHTOWER') continue;
 
         const distance = Phaser.Math.Distance.Between(this.x, this.y, building.x, building.y);
@@ -172,7 +258,7 @@ export default class Spy extends CombatUnit {
       return false;
     }
 
-    if (targetBuilding.faction === this.faction) {
+    if (!this.scene.diplomacy.areHostile(this.faction, targetBuilding.faction)) {
       console.log('Spy: Cannot sabotage friendly buildings');
       return false;
     }
@@ -194,7 +280,7 @@ export default class Spy extends CombatUnit {
     } else {
       // Fallback: directly set sabotage state
       targetBuilding.isSabotaged = true;
-      targetBuilding.sabotageEndTime = this.scene.time.now + this.sabotageDuration;
+      targetBuilding.sabotageEndTime = this.scene.simTime + this.sabotageDuration;
 
       // Visual feedback
       if (targetBuilding.sprite) {
@@ -242,14 +328,13 @@ export default class Spy extends CombatUnit {
       return false;
     }
 
-    if (targetBuilding.faction === this.faction) {
+    if (!this.scene.diplomacy.areHostile(this.faction, targetBuilding.faction)) {
       console.log('Spy: Cannot steal from friendly buildings');
       return false;
     }
 
     // Only steal from storage-type buildings
-    const validTargets = ['RESOURCE_STORAGE', 'COOP', 'RESOURCESTORAGE'];
-    if (!validTargets.includes(targetBuilding.buildingType?.toUpperCase())) {
+    if (!STEAL_TARGETS.includes(targetBuilding.buildingType?.toUpperCase())) {
       console.log('Spy: Can only steal from storage buildings');
       return false;
     }
@@ -265,25 +350,25 @@ export default class Spy extends CombatUnit {
     this.breakStealth();
     this.stealTimer = this.stealCooldown;
 
-    // Determine what to steal (from AI resources)
+    // Determine what to steal (from the building owner's stockpile)
     let stolenResources = {};
-    if (targetBuilding.faction === FACTIONS.ENEMY_AI && this.scene.aiManager) {
-      const aiRes = this.scene.aiManager.resources;
+    const victimResources = this.scene.getResourceManager(targetBuilding.faction);
+    const ownResources = this.scene.getResourceManager(this.faction);
+    if (victimResources) {
       const resourceTypes = ['food', 'water', 'sticks', 'stone'];
 
       for (const type of resourceTypes) {
-        const available = aiRes[type] || 0;
-        const stolen = Math.min(this.stealAmount, available);
+        const stolen = Math.min(this.stealAmount, victimResources.getAmount(type));
         if (stolen > 0) {
-          aiRes[type] -= stolen;
+          victimResources.removeResources(type, stolen);
           stolenResources[type] = stolen;
         }
       }
 
-      // Add to player resources
-      if (this.faction === FACTIONS.PLAYER && this.scene.resourceManager) {
+      // Add to our own faction's resources
+      if (ownResources) {
         for (const [type, amount] of Object.entries(stolenResources)) {
-          this.scene.resourceManager.addResources(type, amount);
+          ownResources.addResources(type, amount);
         }
       }
     }
@@ -373,4 +458,44 @@ export default class Spy extends CombatUnit {
   getVisionRange() {
     return this.visionRange;
   }
+
+  /**
+   * Serialize for save game
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      isStealthed: this.isStealthed,
+      stealthBrokenTimer: this.stealthBrokenTimer,
+      sabotageTimer: this.sabotageTimer,
+      stealTimer: this.stealTimer,
+      abilityOrder: this.abilityOrder?.target.active
+        ? { ability: this.abilityOrder.ability, targetId: this.abilityOrder.target.entityId }
+        : null
+    };
+  }
+
+  /**
+   * Load from save game
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+    if (!data) return;
+    this.isStealthed = data.isStealthed ?? this.isStealthed;
+    this.stealthBrokenTimer = data.stealthBrokenTimer ?? this.stealthBrokenTimer;
+    this.sabotageTimer = data.sabotageTimer ?? this.sabotageTimer;
+    this.stealTimer = data.stealTimer ?? this.stealTimer;
+    this.updateStealthVisual();
+  }
+
+  /**
+   * Re-link the ability order's target once everything in the save is restored
+   */
+  resolveReferences(data) {
+    const target = data?.abilityOrder ? this.scene.findEntityById(data.abilityOrder.targetId) : null;
+    if (target) {
+      this.abilityOrder = { ability: data.abilityOrder.ability, target };
+    }
+    super.resolveReferences(data);
+  }
 }
@@ -1,7 +1,7 @@
 // Base Unit Class
 
 import { UNIT_STATES, DEPTH, COLORS, FACTIONS, FACTION_COLORS } from '../utils/Constants.js';
-import { worldToGridInt, calculateDepth } from '../utils/IsometricUtils.js';
+import { worldToGridInt, gridToWorld, calculateDepth } from '../utils/IsometricUtils.js';
 import { updateIdleAnimation, updateWalkAnimation, resetAnimation } from '../systems/UnitAnimator.js';
 
 export default class Unit extends Phaser.GameObjects.Container {
@@ -10,6 +10,9 @@ export default class Unit extends Phaser.GameObjects.Container {
 
     this.scene = scene;
 
+    // Stable id used to reference this unit from save data
+    this.entityId = scene.allocateEntityId ? scene.allocateEntityId() : 0;
+
     // Unit properties
     this.unitType = config.type || 'unit';
     this.faction = faction;
@@ -27,6 +30,12 @@ export default class Unit extends Phaser.GameObjects.Container {
 
     // Store the original movement destination (world coordinates)
     this.finalDestination = null;
+    this.pathRequestId = 0; // Only the latest path request is acted on
+    this.awaitingPath = false;
+    this.pathFailedTick = null; // Tick of the last path request that found no path
+
+    // Shift-queued orders ({ type, ...payload } as in CommandDispatcher), started in turn once idle
+    this.orderQueue = [];
 
     // Stuck detection
     this.stuckCheckPosition = { x: x, y: y };
@@ -153,6 +162,10 @@ export default class Unit extends Phaser.GameObjects.Container {
    * Update unit each frame
    */
   update(time, delta) {
+    if (this.orderQueue.length > 0) {
+      this.updateOrderQueue();
+    }
+
     switch (this.state) {
       case UNIT_STATES.IDLE:
         this.updateIdle(delta);
@@ -187,6 +200,65 @@ export default class Unit extends Phaser.GameObjects.Container {
     }
   }
 
+  /**
+   * Start queued orders once the current one is done (orders whose target is gone are skipped)
+   */
+  updateOrderQueue() {
+    while (this.orderQueue.length > 0 && !this.isBusy()) {
+      this.scene.commandDispatcher.applyOrder(this, this.orderQueue.shift());
+    }
+  }
+
+  /**
+   * Whether the unit is still carrying out an order (queued orders wait until it isn't)
+   */
+  isBusy() {
+    return this.state !== UNIT_STATES.IDLE || this.awaitingPath;
+  }
+
+  /**
+   * Stop where the unit stands (also drops a path still being computed)
+   */
+  stop() {
+    this.pathRequestId++;
+    this.awaitingPath = false;
+    this.setState(UNIT_STATES.IDLE);
+  }
+
+  /**
+   * Drop the order queue - a new order replaces it
+   */
+  clearOrders() {
+    this.orderQueue = [];
+  }
+
+  /**
+   * Where an order leads (null if it has no place, or its target is gone)
+   */
+  getOrderPosition(order) {
+    const entityId = order.targetId ?? order.resourceId ?? order.buildingId;
+    if (entityId === undefined) return Number.isFinite(order.x) ? { x: order.x, y: order.y } : null;
+
+    const entity = this.scene.findEntityById(entityId);
+    return entity && entity.active ? { x: entity.x, y: entity.y } : null;
+  }
+
+  /**
+   * Points the unit's orders lead through: its current destination, then each queued order
+   * @returns {Array<{x: number, y: number, type: string|null}>} type is null for the current destination
+   */
+  getOrderWaypoints() {
+    const waypoints = [];
+    if (this.finalDestination) {
+      waypoints.push({ ...this.finalDestination, type: null });
+    }
+    this.orderQueue.forEach(order => {
+      const position = this.getOrderPosition(order);
+      if (position) waypoints.push({ ...position, type: order.type });
+    });
+    return waypoints;
+  }
+
   /**
    * Update status text display
    */
@@ -295,8 +367,8 @@ export default class Unit extends Phaser.GameObjects.Container {
         // First attempt: apply a small jitter to get un-stuck from corners
         if (this.stuckRecoveryAttempts === 1) {
           console.log(`Unit: Applying anti-stuck jitter`);
-          this.x += (Math.random() - 0.5) * 15;
-          this.y += (Math.random() - 0.5) * 15;
+          this.x += (this.scene.randomManager.gameplay.next() - 0.5) * 15;
+          this.y += (this.scene.randomManager.gameplay.next() - 0.5) * 15;
           return;
         }
 
@@ -314,7 +386,7 @@ export default class Unit extends Phaser.GameObjects.Container {
             console.log(`Unit: Close enough to destination (${Math.round(distToFinal)}px), considering arrived`);
             this.currentPath = [];
             this.currentPathIndex = 0;
-            this.setState(UNIT_STATES.IDLE);
+            this.arrive();
             return;
           }
 
@@ -338,9 +410,48 @@ export default class Unit extends Phaser.GameObjects.Container {
       }
     }
 
-    // Get current target node
+    if (this.advanceAlongPath(delta)) {
+      // Reached final destination
+      if (window.gcVerbose) console.log(`Unit: Reached final destination`);
+
+      // Reset stuck detection
+      this.stuckTimer = 0;
+
+      this.arrive();
+    }
+  }
+
+  /**
+   * At the destination: start what the walk was for (a goose's gathering, deposit or construction) or go idle
+   */
+  arrive() {
+    if (this.pendingGatherStart && this.targetResource) {
+      if (window.gcVerbose) console.log(`Unit: Transitioning to GATHERING state`);
+      this.setState(UNIT_STATES.GATHERING);
+      this.pendingGatherStart = false;
+    } else if (this.pendingReturnToBase) {
+      if (window.gcVerbose) console.log(`Unit: Transitioning to RETURNING state`);
+      this.setState(UNIT_STATES.RETURNING);
+      this.pendingReturnToBase = false;
+    } else if (this.pendingConstruction && this.targetBuilding) {
+      if (window.gcVerbose) console.log(`Unit: Transitioning to CONSTRUCTING state`);
+      this.setState(UNIT_STATES.CONSTRUCTING);
+      this.pendingConstruction = false;
+    } else {
+      this.setState(UNIT_STATES.IDLE);
+    }
+  }
+
+  /**
+   * Walk the current path for one tick; returns true once the last waypoint is reached
+   */
+  advanceAlongPath(delta) {
+    // Get current target node - walking through the middle of each tile on the way (the point worldToGridInt
+    // maps back to it); the last waypoint keeps the map's tile anchor that arrival ranges are measured from
     const targetNode = this.currentPath[this.currentPathIndex];
-    const targetWorld = this.scene.isometricMap.getWorldPosCenter(targetNode.x, targetNode.y);
+    const targetWorld = this.currentPathIndex < this.currentPath.length - 1
+      ? gridToWorld(targetNode.x, targetNode.y)
+      : this.scene.isometricMap.getWorldPosCenter(targetNode.x, targetNode.y);
 
     // Calculate distance to target
     const distance = Phaser.Math.Distance.Between(this.x, this.y, targetWorld.x, targetWorld.y);
@@ -350,57 +461,33 @@ export default class Unit extends Phaser.GameObjects.Container {
     if (distance < 35) {
       this.currentPathIndex++;
       if (window.gcVerbose) console.log(`Unit: Reached waypoint ${this.currentPathIndex}/${this.currentPath.length}`);
+      return this.currentPathIndex >= this.currentPath.length;
+    }
 
-      if (this.currentPathIndex >= this.currentPath.length) {
-        // Reached final destination
-        if (window.gcVerbose) console.log(`Unit: Reached final destination`);
+    // Move toward target
+    const angle = Phaser.Math.Angle.Between(this.x, this.y, targetWorld.x, targetWorld.y);
+    const moveDistance = this.speed * (delta / 1000);
 
-        // Reset stuck detection
-        this.stuckTimer = 0;
+    const newX = this.x + Math.cos(angle) * moveDistance;
+    const newY = this.y + Math.sin(angle) * moveDistance;
 
-        // Check if this is a goose with pending operations
-        if (this.pendingGatherStart && this.targetResource) {
-          if (window.gcVerbose) console.log(`Unit: Transitioning to GATHERING state`);
-          this.setState(UNIT_STATES.GATHERING);
-          this.pendingGatherStart = false;
-        } else if (this.pendingReturnToBase) {
-          if (window.gcVerbose) console.log(`Unit: Transitioning to RETURNING state`);
-          this.setState(UNIT_STATES.RETURNING);
-          this.pendingReturnToBase = false;
-        } else if (this.pendingConstruction && this.targetBuilding) {
-          if (window.gcVerbose) console.log(`Unit: Transitioning to CONSTRUCTING state`);
-          this.setState(UNIT_STATES.CONSTRUCTING);
-          this.pendingConstruction = false;
-        } else {
-          this.setState(UNIT_STATES.IDLE);
-        }
-        return;
-      }
-    } else {
-      // Move toward target
-      const angle = Phaser.Math.Angle.Between(this.x, this.y, targetWorld.x, targetWorld.y);
-      const moveDistance = this.speed * (delta / 1000);
-
-      const newX = this.x + Math.cos(angle) * moveDistance;
-      const newY = this.y + Math.sin(angle) * moveDistance;
-
-      this.x = newX;
-      this.y = newY;
-
-      // Mirror sprite horizontally based on movement direction
-      // If moving left (angle between 90° and 270°), flip sprite
-      // Reset container rotation (no rotation, only flip)
-      this.rotation = 0;
-      if (Math.cos(angle) < 0) {
-        this.sprite.setFlipX(true);
-      } else {
-        this.sprite.setFlipX(false);
-      }
+    this.x = newX;
+    this.y = newY;
 
-      // Walking wobble animation
-      this.animTime += delta / 1000;
-      this.applyMovingAnimation(delta);
+    // Mirror sprite horizontally based on movement direction
+    // If moving left (angle between 90° and 270°), flip sprite
+    // Reset container rotation (no rotation, only flip)
+    this.rotation = 0;
+    if (Math.cos(angle) < 0) {
+      this.sprite.setFlipX(true);
+    } else {
+      this.sprite.setFlipX(false);
     }
+
+    // Walking wobble animation
+    this.animTime += delta / 1000;
+    this.applyMovingAnimation(delta);
+    return false;
   }
 
   /**
@@ -469,28 +556,65 @@ export default class Unit extends Phaser.GameObjects.Container {
     this.finalDestination = { x: worldX, y: worldY };
 
     // Convert positions to grid coordinates
-    const startGrid = worldToGridInt(this.x, this.y);
-    const endGrid = worldToGridInt(worldX, worldY);
+    let startGrid = worldToGridInt(this.x, this.y);
+    if (!this.scene.pathfindingManager.isValidCoordinate(startGrid.x, startGrid.y)) {
+      // Walked off the map (paths along its edge pass tile corners outside it) - step back on
+      startGrid = this.snapToGrid(startGrid);
+    }
+    const endGrid = this.clampToGrid(worldToGridInt(worldX, worldY));
 
     if (window.gcVerbose) console.log(`Unit moving from grid (${startGrid.x}, ${startGrid.y}) to (${endGrid.x}, ${endGrid.y})`);
 
-    // Request path from pathfinding manager
+    // Request path from pathfinding manager (a newer request makes this one stale)
+    const requestId = ++this.pathRequestId;
+    this.awaitingPath = true;
     this.scene.pathfindingManager.findPath(
       startGrid.x, startGrid.y,
       endGrid.x, endGrid.y,
-      (path) => this.onPathFound(path)
+      (path) => {
+        if (requestId !== this.pathRequestId) return;
+        this.awaitingPath = false;
+        this.onPathFound(path);
+      }
     );
   }
 
+  /**
+   * Nearest grid cell inside the map
+   */
+  clampToGrid(grid) {
+    const map = this.scene.isometricMap;
+    return {
+      x: Phaser.Math.Clamp(grid.x, 0, map.gridWidth - 1),
+      y: Phaser.Math.Clamp(grid.y, 0, map.gridHeight - 1)
+    };
+  }
+
+  /**
+   * Move the unit onto the nearest walkable tile inside the map
+   * @returns {{x: number, y: number}} The tile it now stands on
+   */
+  snapToGrid(grid) {
+    const clamped = this.clampToGrid(grid);
+    const tile = this.scene.pathfindingManager.findNearestWalkableTile(clamped.x, clamped.y) || clamped;
+    const world = gridToWorld(tile.x, tile.y);
+    this.x = this.prevX = world.x;
+    this.y = this.prevY = world.y;
+    console.warn(`Unit: ${this.unitType} was off the map, moved to tile (${tile.x}, ${tile.y})`);
+    return { x: tile.x, y: tile.y };
+  }
+
   /**
    * Callback when path is found
    */
   onPathFound(path) {
     if (path === null || path.length === 0) {
       console.warn('Unit: No path found');
+      this.pathFailedTick = this.scene.tick; // Lets the AI back off instead of re-ordering every tick
       this.setState(UNIT_STATES.IDLE);
       return;
     }
+    this.pathFailedTick = null;
 
     if (window.gcVerbose) console.log(`Unit: Path found with ${path.length} nodes from (${path[0].x}, ${path[0].y}) to (${path[path.length - 1].x}, ${path[path.length - 1].y})`);
 
@@ -500,23 +624,7 @@ export default class Unit extends Phaser.GameObjects.Container {
       this.currentPath = [];
       this.currentPathIndex = 0;
       this.targetNode = null;
-
-      // Check if this is a goose with pending operations
-      if (this.pendingGatherStart && this.targetResource) {
-        if (window.gcVerbose) console.log(`Unit: Transitioning to GATHERING state (already at destination)`);
-        this.setState(UNIT_STATES.GATHERING);
-        this.pendingGatherStart = false;
-      } else if (this.pendingReturnToBase) {
-        if (window.gcVerbose) console.log(`Unit: Transitioning to RETURNING state (already at destination)`);
-        this.setState(UNIT_STATES.RETURNING);
-        this.pendingReturnToBase = false;
-      } else if (this.pendingConstruction && this.targetBuilding) {
-        if (window.gcVerbose) console.log(`Unit: Transitioning to CONSTRUCTING state (already at destination)`);
-        this.setState(UNIT_STATES.CONSTRUCTING);
-        this.pendingConstruction = false;
-      } else {
-        this.setState(UNIT_STATES.IDLE);
-      }
+      this.arrive();
       return;
     }
 
@@ -671,8 +779,7 @@ export default class Unit extends Phaser.GameObjects.Container {
    * Check and apply all relevant research bonuses (for newly spawned units)
    */
   applyResearchBonuses() {
-    const upgrades = this.scene.researchUpgrades;
-    if (!upgrades) return;
+    const upgrades = this.scene.getResearchUpgrades(this.faction);
 
     if (upgrades.swiftFeet) {
       this.applySpeedBonus(1.25);
@@ -761,8 +868,8 @@ export default class Unit extends Phaser.GameObjects.Container {
     console.log(`Unit ${this.unitType} died`);
 
     // Check for tool recycling (Factory upgrade)
-    if (this.scene.researchUpgrades?.toolRecycling) {
-      const resourceManager = this.scene.resourceManager;
+    if (this.scene.getResearchUpgrades(this.faction).toolRecycling) {
+      const resourceManager = this.scene.getResourceManager(this.faction);
       if (resourceManager) {
         resourceManager.addResources('tools', 1);
         console.log('Tool recycled from fallen unit');
@@ -798,6 +905,7 @@ export default class Unit extends Phaser.GameObjects.Container {
    */
   toJSON() {
     return {
+      entityId: this.entityId,
       unitType: this.unitType,
       x: this.x,
       y: this.y,
@@ -806,6 +914,10 @@ export default class Unit extends Phaser.GameObjects.Container {
       health: this.currentHealth,
       maxHealth: this.maxHealth,
       speed: this.speed,
+      visionRange: this.visionRange,
+      finalDestination: this.finalDestination ? { ...this.finalDestination } : null,
+      orderQueue: this.orderQueue.map(order => ({ ...order })),
+      pathFailedTick: this.pathFailedTick,
       inventory: this.inventory ? { ...this.inventory } : null
     };
   }
@@ -815,10 +927,15 @@ export default class Unit extends Phaser.GameObjects.Container {
    */
   fromJSON(data) {
     if (!data) return;
+    this.entityId = data.entityId ?? this.entityId;
     this.state = data.state || this.state;
     this.currentHealth = data.health ?? this.currentHealth;
     this.maxHealth = data.maxHealth || this.maxHealth;
     this.speed = data.speed || this.speed;
+    this.visionRange = data.visionRange || this.visionRange;
+    this.finalDestination = data.finalDestination ? { ...data.finalDestination } : null;
+    this.orderQueue = (data.orderQueue || []).map(order => ({ ...order }));
+    this.pathFailedTick = data.pathFailedTick ?? null;
 
     if (data.inventory && this.inventory) {
       this.inventory = { ...data.inventory };
@@ -826,4 +943,17 @@ export default class Unit extends Phaser.GameObjects.Container {
 
     this.draw();
   }
+
+  /**
+   * Re-link references to other entities once everything in the save is restored
+   */
+  resolveReferences(data) {
+    // Paths aren't saved - request a fresh one to the stored destination
+    if (this.state === UNIT_STATES.MOVING) {
+      this.state = UNIT_STATES.IDLE;
+      if (this.finalDestination) {
+        this.moveTo(this.finalDestination.x, this.finalDestination.y);
+      }
+    }
+  }
 }
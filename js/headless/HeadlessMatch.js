@@ -0,0 +1,129 @@
+// Headless Match - Runs a full GameScene match under Node with no renderer
+//
+// Usage:
+//   const match = await HeadlessMatch.create({ seed: 'abc', width: 60, height: 60, enemies: 1 });
+//   match.run(3000); // one minute at 50 ticks/second
+//   console.log(match.getSummary());
+
+import { installHeadlessGlobals } from './HeadlessPhaser.js';
+import { attachHeadlessSystems } from './HeadlessScene.js';
+import { SIMULATION } from '../utils/Constants.js';
+import { registerStrategy, STRATEGY_DIR } from '../systems/AIStrategies.js';
+import { readFileSync } from 'node:fs';
+
+// The browser loop's fixed tick
+export const DEFAULT_TICK_MS = SIMULATION.TICK_MS;
+
+let strategiesLoaded = false;
+
+export default class HeadlessMatch {
+  /**
+   * Build and start a match. Scene modules are imported here because they extend
+   * Phaser classes, so the headless globals have to be installed first.
+   * @param {Object} mapConfig - Same shape as the menu's game config (seed, width, height, enemies, ...)
+   */
+  static async create(mapConfig = {}) {
+    installHeadlessGlobals();
+    HeadlessMatch.loadStrategies();
+    const { default: GameScene } = await import('../scenes/GameScene.js');
+    return new HeadlessMatch(GameScene, mapConfig);
+  }
+
+  /**
+   * Register the strategy files BootScene loads in the browser, so simulations play the same AIs
+   */
+  static loadStrategies() {
+    if (strategiesLoaded) return;
+    strategiesLoaded = true;
+
+    const dir = new URL(`../../${STRATEGY_DIR}`, import.meta.url);
+    const readJSON = file => JSON.parse(readFileSync(new URL(file, dir), 'utf8'));
+    (readJSON('index.json').strategies || []).forEach(file => registerStrategy(readJSON(file)));
+  }
+
+  constructor(SceneClass, mapConfig) {
+    this.scene = attachHeadlessSystems(new SceneClass());
+    this.scene.init({ ...mapConfig });
+    this.scene.create();
+  }
+
+  get tick() {
+    return this.scene.tick;
+  }
+
+  get gameOver() {
+    return !!this.scene.gameOver;
+  }
+
+  /**
+   * Advance one tick, the same way GameScene.runSimulationFrame does
+   */
+  step(delta = DEFAULT_TICK_MS) {
+    this.scene.time.update(delta);
+    this.scene.advanceSimulation(delta);
+    return this;
+  }
+
+  /**
+   * Advance a number of ticks (stops early if the match ends)
+   */
+  run(ticks, delta = DEFAULT_TICK_MS) {
+    for (let i = 0; i < ticks && !this.gameOver; i++) {
+      this.step(delta);
+    }
+    return this;
+  }
+
+  /**
+   * Advance until the predicate holds, the match ends or maxTicks pass
+   * @returns {boolean} Whether the predicate was met
+   */
+  runUntil(predicate, maxTicks, delta = DEFAULT_TICK_MS) {
+    for (let i = 0; i < maxTicks && !this.gameOver; i++) {
+      if (predicate(this)) return true;
+      this.step(delta);
+    }
+    return predicate(this);
+  }
+
+  /**
+   * Issue an order through the command dispatcher (as a player click would)
+   */
+  dispatch(command) {
+    return this.scene.commandDispatcher.dispatch(command);
+  }
+
+  /**
+   * Per-faction counts and stockpiles, for balance runs and regression checks
+   */
+  getSummary() {
+    const scene = this.scene;
+    const summary = {
+      tick: scene.tick,
+      simTime: Math.round(scene.simTime),
+      gameOver: this.gameOver,
+      outcome: scene.outcome || null,
+      factions: {}
+    };
+
+    for (const faction of scene.getFactions()) {
+      summary.factions[faction] = scene.getFactionStats(faction);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Full save-format snapshot of the match (see GameScene.serializeGameState)
+   */
+  getState() {
+    return this.scene.serializeGameState();
+  }
+
+  /**
+   * The recorded replay so far, playable in ReplayScene
+   */
+  getReplay() {
+    return this.scene.replayRecorder ? this.scene.replayRecorder.toJSON() : null;
+  }
+}
@@ -0,0 +1,220 @@
+// Headless Phaser - The slice of the Phaser API the simulation uses, without rendering
+//
+// Entities still create sprites, text and graphics for their views; headless those are
+// inert objects that accept any call, so the same game-state code runs under Node.
+
+import { readFileSync } from 'node:fs';
+
+// Keys an inert object must not fake: promise/JSON detection would misfire
+const UNDEFINED_KEYS = new Set(['then', 'toJSON', 'constructor']);
+
+/**
+ * Create a display object stand-in: reads of unknown properties and calls of unknown
+ * methods return the object itself, so chained view code (setOrigin().setDepth()) is a no-op
+ */
+export function createInertObject(props = {}) {
+  const state = {
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+    depth: 0,
+    alpha: 1,
+    scale: 1,
+    rotation: 0,
+    visible: true,
+    active: true,
+    ...props
+  };
+
+  const proxy = new Proxy(function () { }, {
+    get(target, key) {
+      if (key in state) return state[key];
+      if (key === Symbol.iterator) return function* () { };
+      if (key === Symbol.toPrimitive) return () => 0;
+      if (typeof key === 'symbol' || UNDEFINED_KEYS.has(key)) return undefined;
+      return proxy;
+    },
+    set(target, key, value) {
+      state[key] = value;
+      return true;
+    },
+    has(target, key) {
+      return key in state;
+    },
+    apply() {
+      return proxy;
+    }
+  });
+
+  return proxy;
+}
+
+/**
+ * Container base class for units, buildings and resource nodes
+ */
+export class HeadlessContainer {
+  constructor(scene, x = 0, y = 0, children = []) {
+    this.scene = scene;
+    this.x = x;
+    this.y = y;
+    this.list = [];
+    this.active = true;
+    this.visible = true;
+    this.depth = 0;
+    this.alpha = 1;
+    this.scale = 1;
+    this.width = 0;
+    this.height = 0;
+    this.add(children);
+  }
+
+  add(children) {
+    (Array.isArray(children) ? children : [children]).forEach(child => this.list.push(child));
+    return this;
+  }
+
+  remove(child) {
+    this.list = this.list.filter(c => c !== child);
+    return this;
+  }
+
+  removeAll() {
+    this.list = [];
+    return this;
+  }
+
+  setPosition(x, y = x) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  setDepth(depth) {
+    this.depth = depth;
+    return this;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    return this;
+  }
+
+  setAlpha(alpha) {
+    this.alpha = alpha;
+    return this;
+  }
+
+  setScale(scale) {
+    this.scale = scale;
+    return this;
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    return this;
+  }
+
+  setActive(active) {
+    this.active = active;
+    return this;
+  }
+
+  setInteractive() {
+    return this;
+  }
+
+  disableInteractive() {
+    return this;
+  }
+
+  removeInteractive() {
+    return this;
+  }
+
+  on() {
+    return this;
+  }
+
+  once() {
+    return this;
+  }
+
+  off() {
+    return this;
+  }
+
+  emit() {
+    return false;
+  }
+
+  destroy() {
+    this.active = false;
+    this.visible = false;
+    this.list = [];
+  }
+}
+
+/**
+ * Build the Phaser namespace the simulation modules reference at import time
+ */
+export function createHeadlessPhaser() {
+  return {
+    Math: {
+      Distance: {
+        Between: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1)
+      },
+      Angle: {
+        Between: (x1, y1, x2, y2) => Math.atan2(y2 - y1, x2 - x1)
+      },
+      Clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+      RadToDeg: (rad) => rad * (180 / Math.PI),
+      DegToRad: (deg) => deg * (Math.PI / 180)
+    },
+    Geom: {
+      Rectangle: class Rectangle {
+        constructor(x = 0, y = 0, width = 0, height = 0) {
+          Object.assign(this, { x, y, width, height });
+        }
+
+        static Contains(rect, x, y) {
+          return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+        }
+      }
+    },
+    GameObjects: {
+      Container: HeadlessContainer
+    },
+    Input: {
+      Keyboard: { KeyCodes: {} }
+    },
+    Scene: class Scene {
+      constructor(config) {
+        this.sys = { settings: config };
+      }
+    }
+  };
+}
+
+/**
+ * Load the bundled EasyStar build (a browser script that declares a global)
+ */
+export function loadEasyStar() {
+  const source = readFileSync(new URL('../../lib/easystar-0.4.4.min.js', import.meta.url), 'utf8');
+  return new Function(`${source}\nreturn EasyStar;`)();
+}
+
+/**
+ * Install the headless Phaser namespace and the real EasyStar as globals.
+ * Must run before any entity or scene module is imported (they extend Phaser classes).
+ */
+export function installHeadlessGlobals(target = globalThis) {
+  target.Phaser = createHeadlessPhaser();
+  target.EasyStar = loadEasyStar();
+
+  // Debug flags (window.gcVerbose) are read off window
+  if (typeof target.window === 'undefined') {
+    target.window = target;
+  }
+}
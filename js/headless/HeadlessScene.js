@@ -0,0 +1,171 @@
+// Headless Scene - Scene systems (events, clock, registry, display factory) for a scene run without Phaser
+//
+// Only what the simulation reads is real: events, the scene clock and the registry.
+// Display objects, tweens, cameras, input and sound are inert stand-ins.
+
+import { createInertObject } from './HeadlessPhaser.js';
+
+const VIEWPORT = { width: 1280, height: 720 };
+
+/**
+ * Minimal event emitter with the on/once/off/emit surface of Phaser's EventEmitter
+ */
+export class HeadlessEvents {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, fn, context) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push({ fn, context, once: false });
+    return this;
+  }
+
+  once(event, fn, context) {
+    this.on(event, fn, context);
+    const list = this.listeners.get(event);
+    list[list.length - 1].once = true;
+    return this;
+  }
+
+  off(event, fn) {
+    const list = this.listeners.get(event);
+    if (!list) return this;
+    this.listeners.set(event, fn ? list.filter(l => l.fn !== fn) : []);
+    return this;
+  }
+
+  emit(event, ...args) {
+    const list = this.listeners.get(event);
+    if (!list || list.length === 0) return false;
+
+    // Copy so listeners may unsubscribe while being called
+    for (const listener of [...list]) {
+      if (listener.once) this.off(event, listener.fn);
+      listener.fn.apply(listener.context, args);
+    }
+    return true;
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+    return this;
+  }
+}
+
+/**
+ * Scene clock: delayedCall/addEvent timers advanced by the caller instead of the browser
+ */
+export class HeadlessClock {
+  constructor() {
+    this.now = 0;
+    this.timeScale = 1;
+    this.events = [];
+  }
+
+  delayedCall(delay, callback, args = [], callbackScope) {
+    return this.addEvent({ delay, callback, args, callbackScope });
+  }
+
+  addEvent(config) {
+    const event = {
+      delay: config.delay || 0,
+      callback: config.callback,
+      args: config.args || [],
+      callbackScope: config.callbackScope,
+      loop: !!config.loop,
+      repeatCount: config.repeat || 0,
+      dueAt: this.now + (config.delay || 0),
+      removed: false,
+      remove() {
+        this.removed = true;
+      },
+      destroy() {
+        this.removed = true;
+      }
+    };
+    this.events.push(event);
+    return event;
+  }
+
+  removeAllEvents() {
+    this.events.forEach(event => event.remove());
+    this.events = [];
+  }
+
+  /**
+   * Advance the clock and fire due timers in due order
+   */
+  update(delta) {
+    this.now += delta * this.timeScale;
+
+    const due = this.events
+      .filter(event => !event.removed && event.dueAt <= this.now)
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+    for (const event of due) {
+      if (event.removed) continue;
+      event.callback.apply(event.callbackScope, event.args);
+
+      if ((event.loop || event.repeatCount > 0) && event.delay > 0) {
+        if (!event.loop) event.repeatCount--;
+        event.dueAt += event.delay;
+      } else {
+        event.removed = true;
+      }
+    }
+
+    this.events = this.events.filter(event => !event.removed);
+  }
+}
+
+/**
+ * Scene manager stand-in: no other scenes exist headless
+ */
+function createSceneManager() {
+  return createInertObject({
+    isActive: () => false,
+    isVisible: () => false,
+    get: () => null
+  });
+}
+
+/**
+ * Give a scene the systems Phaser would normally inject before init()
+ */
+export function attachHeadlessSystems(scene) {
+  scene.headless = true;
+
+  scene.events = new HeadlessEvents();
+  scene.time = new HeadlessClock();
+  scene.registry = new Map();
+
+  // Display factory: add.graphics(), add.sprite(), ... all return inert views
+  scene.add = createInertObject({
+    existing: (gameObject) => gameObject
+  });
+  scene.make = createInertObject();
+
+  // Tweens are purely visual, so they never run
+  scene.tweens = createInertObject({ timeScale: 1 });
+
+  scene.cameras = {
+    main: createInertObject({
+      ...VIEWPORT,
+      scrollX: 0,
+      scrollY: 0,
+      zoom: 1,
+      worldView: { x: 0, y: 0, ...VIEWPORT }
+    })
+  };
+  scene.input = createInertObject({ activePointer: createInertObject() });
+  scene.sound = createInertObject();
+
+  // Report every asset as loaded so entities build their normal (inert) sprites
+  scene.textures = createInertObject({ exists: () => true });
+  scene.anims = createInertObject({ exists: () => true });
+  scene.physics = createInertObject();
+  scene.scene = createSceneManager();
+
+  return scene;
+}
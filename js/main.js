@@ -8,6 +8,8 @@ import LoadingScene from './scenes/LoadingScene.js';
 import GameScene from './scenes/GameScene.js';
 import UIScene from './scenes/UIScene.js';
 import VictoryScene from './scenes/VictoryScene.js';
+import ReplayScene from './scenes/ReplayScene.js';
+import ReplayUIScene from './scenes/ReplayUIScene.js';
 
 // Phaser Game Configuration
 // Use window dimensions for fullscreen experience
@@ -15,7 +17,7 @@ const config = {
   type: Phaser.AUTO,
   backgroundColor: GAME_CONFIG.BACKGROUND_COLOR,
   parent: 'game-container',
-  scene: [BootScene, SplashScene, MenuScene, LoadingScene, GameScene, UIScene, VictoryScene],
+  scene: [BootScene, SplashScene, MenuScene, LoadingScene, GameScene, UIScene, VictoryScene, ReplayScene, ReplayUIScene],
   physics: {
     default: 'arcade',
     arcade: {
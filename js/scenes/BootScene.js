@@ -1,5 +1,7 @@
 // Boot Scene - Asset Loading
 
+import { registerStrategy, STRATEGY_DIR } from '../systems/AIStrategies.js';
+
 export default class BootScene extends Phaser.Scene {
   constructor() {
     super({ key: 'BootScene' });
@@ -90,6 +92,12 @@ export default class BootScene extends Phaser.Scene {
     this.load.image('ui-minimap', 'assets/ui/minimap.png');
     this.load.image('ui-scroll', 'assets/ui/menu_scroll.png');
 
+    // Load AI strategy files listed in the manifest (queued once the manifest itself is in)
+    this.load.once('filecomplete-json-strategy-index', (key, type, manifest) => {
+      (manifest.strategies || []).forEach(file => this.load.json(`strategy-${file}`, STRATEGY_DIR + file));
+    });
+    this.load.json('strategy-index', STRATEGY_DIR + 'index.json');
+
     console.log('BootScene: Preloading assets...');
   }
 
@@ -103,6 +111,9 @@ export default class BootScene extends Phaser.Scene {
 
     console.log('BootScene: Assets loaded successfully, transitioning to SplashScene');
 
+    const manifest = this.cache.json.get('strategy-index');
+    (manifest?.strategies || []).forEach(file => registerStrategy(this.cache.json.get(`strategy-${file}`)));
+
     // Debug: Check if assets loaded correctly
     try {
       const wheatTexture = this.textures.get('wheat');
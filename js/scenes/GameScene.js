@@ -1,6 +1,6 @@
 // Game Scene - Main Gameplay
 
-import { CAMERA, MAP, TILE, FACTIONS, DEPTH } from '../utils/Constants.js';
+import { CAMERA, MAP, TILE, FACTIONS, FACTION_COLORS, DEPTH, SAVE, SIMULATION, TERRAIN_COLORS, GAME_VERSION } from '../utils/Constants.js';
 import IsometricMap from '../systems/IsometricMap.js';
 import PathfindingManager from '../systems/PathfindingManager.js';
 import SelectionManager from '../systems/SelectionManager.js';
@@ -8,9 +8,17 @@ import ResourceManager from '../systems/ResourceManager.js';
 import BuildingManager from '../systems/BuildingManager.js';
 import BuildingUnlockManager from '../systems/BuildingUnlockManager.js';
 import AIManager from '../systems/AIManager.js';
+import { resolveStrategy } from '../systems/AIStrategies.js';
 import FogOfWar from '../systems/FogOfWar.js';
 import SoundManager from '../systems/SoundManager.js';
+import RandomManager from '../systems/RandomManager.js';
+import CommandDispatcher, { COMMANDS } from '../systems/CommandDispatcher.js';
+import Diplomacy from '../systems/Diplomacy.js';
+import ReplayRecorder from '../systems/ReplayRecorder.js';
 import SpatialHash from '../utils/SpatialHash.js';
+import SaveManager from '../utils/SaveManager.js';
+import { SAVE_FORMAT_VERSION } from '../utils/SaveMigrations.js';
+import { worldToGridInt } from '../utils/IsometricUtils.js';
 import Goose from '../entities/Goose.js';
 import Guard from '../entities/Guard.js';
 import Scout from '../entities/Scout.js';
@@ -19,9 +27,34 @@ import Maverick from '../entities/Maverick.js';
 import ResourceNode from '../entities/ResourceNode.js';
 import Coop from '../buildings/Coop.js';
 
+// Unit classes keyed by saved unitType ('worker' kept for older saves)
+const UNIT_CLASSES_BY_TYPE = {
+  goose: Goose,
+  worker: Goose,
+  guard: Guard,
+  scout: Scout,
+  spy: Spy,
+  maverick: Maverick
+};
+
+// Waypoint line colors of queued orders, matching the command indicators
+const WAYPOINT_COLORS = {
+  [COMMANDS.MOVE]: 0x00ff00,
+  [COMMANDS.GATHER]: 0xFFD700,
+  [COMMANDS.BUILD]: 0xFFAA00,
+  [COMMANDS.ATTACK]: 0xff3333,
+  [COMMANDS.ATTACK_MOVE]: 0xff3333,
+  [COMMANDS.PATROL]: 0x3399ff
+};
+
+// Copy a { faction: { flag: true } } upgrade map so saves never share objects with the live scene
+function copyFactionFlags(flagsByFaction = {}) {
+  return Object.fromEntries(Object.entries(flagsByFaction).map(([faction, flags]) => [faction, { ...flags }]));
+}
+
 export default class GameScene extends Phaser.Scene {
-  constructor() {
-    super({ key: 'GameScene' });
+  constructor(config = { key: 'GameScene' }) {
+    super(config);
   }
 
   init(data) {
@@ -34,20 +67,40 @@ export default class GameScene extends Phaser.Scene {
   create() {
     console.log('GameScene: Initializing...');
 
+    // Seeded random streams shared by every system (same seed = same map and match)
+    this.randomManager = new RandomManager(this.mapConfig.seed);
+
     // Initialize core systems
     this.isometricMap = new IsometricMap(this);
     this.pathfindingManager = new PathfindingManager(this, this.isometricMap);
     this.selectionManager = new SelectionManager(this);
-    this.resourceManager = new ResourceManager(this);
+    this.resourceManager = new ResourceManager(this); // The player's stockpile (shown in the HUD)
+    this.resourceManagers = { [FACTIONS.PLAYER]: this.resourceManager };
+    this.researchUpgrades = {}; // Completed research flags per faction (see getResearchUpgrades)
+    this.buildingUpgrades = {}; // Purchased building upgrade flags per faction
     this.buildingUnlockManager = new BuildingUnlockManager(this);
     this.buildingManager = new BuildingManager(this);
+    this.commandDispatcher = new CommandDispatcher(this);
+
+    // Teams from the game setup (an empty table is a free-for-all)
+    this.diplomacy = new Diplomacy(this.mapConfig.teams);
+
+    // Spectated matches have no player: every spawn slot goes to an AI
+    this.spectating = !!this.mapConfig.spectate;
 
     // Setup AI Managers dynamically based on Game Setup
     this.aiManagers = [];
     const enemyCount = this.mapConfig.enemies || 1;
     const enemyFactions = [FACTIONS.ENEMY_1, FACTIONS.ENEMY_2, FACTIONS.ENEMY_3];
+    const difficulties = this.mapConfig.aiDifficulties || [];
+    const strategies = this.mapConfig.aiStrategies || [];
     for (let i = 0; i < enemyCount; i++) {
-      this.aiManagers.push(new AIManager(this, enemyFactions[i]));
+      // Random strategies come from the seed, so a regenerated match gets the same opponents
+      const strategy = resolveStrategy(strategies[i], this.randomManager.setup);
+      this.resourceManagers[enemyFactions[i]] = new ResourceManager(this, enemyFactions[i]);
+      const ai = new AIManager(this, enemyFactions[i], difficulties[i], strategy);
+      ai.setFullVision(this.mapConfig.aiFullVision);
+      this.aiManagers.push(ai);
     }
     this.fogOfWar = new FogOfWar(this);
     this.soundManager = new SoundManager(this);
@@ -60,11 +113,15 @@ export default class GameScene extends Phaser.Scene {
     this.debugGraphics = this.add.graphics();
     this.debugGraphics.setDepth(10000); // Draw on top
 
-    // Setup camera
-    this.setupCamera();
+    // Waypoint lines of the selected units' queued orders
+    this.waypointGraphics = this.add.graphics();
+    this.waypointGraphics.setDepth(DEPTH.SELECTION);
 
-    // Setup input controls
-    this.setupInput();
+    // Camera and input only exist with a renderer (headless matches run under Node)
+    if (!this.headless) {
+      this.setupCamera();
+      this.setupInput();
+    }
 
     // Create custom cursor
 
@@ -72,6 +129,14 @@ export default class GameScene extends Phaser.Scene {
     this.units = [];
     this.buildings = [];
     this.resourceNodes = [];
+    this.nextEntityId = 1;
+    this.matchTimeOffset = 0;
+    this.tick = 0; // Simulation frames since match start (stamped on commands)
+    this.simTime = 0; // Simulated ms since match start (the clock entities are updated with)
+    this.simEvents = []; // Delayed effects (e.g. projectile hits) due at a simTime
+    this.simAccumulator = 0; // Frame time not yet simulated (less than one tick)
+    this.paused = false;
+    this.gameSpeed = 1;
 
     // Expose unit classes for debug console commands
     this.unitClasses = { Goose, Guard, Scout, Spy, Maverick };
@@ -83,34 +148,350 @@ export default class GameScene extends Phaser.Scene {
     this.isometricMap.ensureSpawnConnectivity(this.spawnPoints);
 
     // Spawn player starting base & units at Spawn 0
-    this.spawnStartingBase(this.spawnPoints[0]);
-    this.spawnStartingUnits(this.spawnPoints[0]);
+    if (!this.spectating) {
+      this.spawnStartingBase(this.spawnPoints[0]);
+      this.spawnStartingUnits(this.spawnPoints[0]);
+    }
 
     // Spawn resource nodes, avoiding all spawn points
     this.spawnResourceNodes();
 
-    // Spawn AI enemy bases and units at remaining Spawn Points
+    // Spawn AI enemy bases and units at remaining Spawn Points (all of them when spectating)
+    const firstAISpawn = this.spectating ? 0 : 1;
     for (let i = 0; i < this.aiManagers.length; i++) {
-      this.aiManagers[i].spawnAIBase(this.spawnPoints[i + 1].x, this.spawnPoints[i + 1].y);
+      const spawn = this.spawnPoints[i + firstAISpawn];
+      this.aiManagers[i].spawnAIBase(spawn.x, spawn.y);
     }
 
-    // Fade in
-    this.cameras.main.fadeIn(500, 0, 0, 0);
+    // Observers start with the fog off
+    if (this.spectating) this.setViewFaction(null);
+
+    // Periodic autosave (rotates through SAVE.AUTOSAVE_SLOTS slots)
+    this.saveManager = new SaveManager();
+
+    if (!this.headless) {
+      // Fade in
+      this.cameras.main.fadeIn(500, 0, 0, 0);
 
-    // Start background music
-    this.soundManager.playMusic('music-game', true);
+      // Start background music
+      this.soundManager.playMusic('music-game', true);
+
+      this.time.addEvent({
+        delay: SAVE.AUTOSAVE_INTERVAL,
+        loop: true,
+        callback: () => this.autosaveGame()
+      });
+
+      // Units are drawn between their last two tick positions, then put back before the next update
+      this.game.events.on(Phaser.Core.Events.PRE_RENDER, this.interpolateUnits, this);
+      this.game.events.on(Phaser.Core.Events.POST_RENDER, this.restoreUnitPositions, this);
+      this.events.once('shutdown', () => {
+        this.game.events.off(Phaser.Core.Events.PRE_RENDER, this.interpolateUnits, this);
+        this.game.events.off(Phaser.Core.Events.POST_RENDER, this.restoreUnitPositions, this);
+      });
+    }
 
     console.log('GameScene: Ready');
 
-    // Check for pending load from main menu
+    // Check for pending load from main menu (recording restarts from the loaded state)
     if (window.__goosecraft_pending_load) {
       this.time.delayedCall(100, () => {
-        this.applyPendingLoad(window.__goosecraft_pending_load);
+        const gameState = window.__goosecraft_pending_load;
+        this.applyPendingLoad(gameState);
         window.__goosecraft_pending_load = null;
+        this.startRecording(gameState);
+      });
+    } else {
+      this.startRecording();
+    }
+  }
+
+  /**
+   * Allocate a stable id for a unit, building or resource node
+   */
+  allocateEntityId() {
+    return this.nextEntityId++;
+  }
+
+  /**
+   * Find a unit, building or resource node by its entity id
+   */
+  findEntityById(entityId) {
+    if (!entityId) return null;
+    return this.units.find(u => u.entityId === entityId) ||
+      this.buildings.find(b => b.entityId === entityId) ||
+      this.resourceNodes.find(n => n.entityId === entityId) ||
+      null;
+  }
+
+  /**
+   * Stockpile of a faction (null for factions without one, e.g. NEUTRAL)
+   */
+  getResourceManager(faction) {
+    return this.resourceManagers[faction] || null;
+  }
+
+  /**
+   * Research flags a faction has completed (swiftFeet, efficientGathering, ...)
+   */
+  getResearchUpgrades(faction) {
+    if (!this.researchUpgrades[faction]) this.researchUpgrades[faction] = {};
+    return this.researchUpgrades[faction];
+  }
+
+  /**
+   * Building upgrade flags a faction has purchased that affect its units (largeNests, ...)
+   */
+  getBuildingUpgrades(faction) {
+    if (!this.buildingUpgrades[faction]) this.buildingUpgrades[faction] = {};
+    return this.buildingUpgrades[faction];
+  }
+
+  /**
+   * Factions playing this match (the player first, unless spectating)
+   */
+  getFactions() {
+    const aiFactions = this.aiManagers.map(ai => ai.faction);
+    return this.spectating ? aiFactions : [FACTIONS.PLAYER, ...aiFactions];
+  }
+
+  /**
+   * Team, unit, building and stockpile counts of a faction (spectator overlay, headless summaries)
+   */
+  getFactionStats(faction) {
+    const units = this.units.filter(u => u.active && u.faction === faction);
+    const workers = units.filter(u => u.unitType === 'goose').length;
+    return {
+      team: this.diplomacy.getTeam(faction),
+      units: units.length,
+      workers,
+      army: units.length - workers,
+      buildings: this.buildings.filter(b => b.active && b.faction === faction).length,
+      resources: this.getResourceManager(faction).getResources()
+    };
+  }
+
+  /**
+   * Run a callback once the simulation has advanced by delay ms.
+   * Use this rather than Phaser timers for anything that changes match state.
+   */
+  scheduleSimEvent(delay, callback) {
+    this.simEvents.push({ time: this.simTime + delay, callback });
+  }
+
+  /**
+   * Run scheduled events that are due, in the order they were scheduled
+   */
+  runSimEvents() {
+    if (this.simEvents.length === 0) return;
+
+    const due = this.simEvents.filter(event => event.time <= this.simTime);
+    if (due.length === 0) return;
+
+    this.simEvents = this.simEvents.filter(event => event.time > this.simTime);
+    due.forEach(event => event.callback());
+  }
+
+  /**
+   * Elapsed match time in ms (carried over across save/load)
+   */
+  getMatchTime() {
+    return this.simTime + this.matchTimeOffset;
+  }
+
+  /**
+   * Get the UI overlay if it is running (replays and tests run without one)
+   */
+  getUIScene() {
+    return this.scene.isActive('UIScene') ? this.scene.get('UIScene') : null;
+  }
+
+  /**
+   * Map settings that regenerate this world (seed, size, enemy count, AI setup and teams)
+   */
+  getMapConfig() {
+    return {
+      ...this.mapConfig,
+      width: this.isometricMap.gridWidth,
+      height: this.isometricMap.gridHeight,
+      enemies: this.aiManagers.length,
+      aiDifficulties: this.aiManagers.map(ai => ai.difficulty),
+      aiStrategies: this.aiManagers.map(ai => ai.strategy),
+      aiFullVision: !!this.mapConfig.aiFullVision,
+      teams: this.diplomacy.toJSON(),
+      seed: this.isometricMap.seed
+    };
+  }
+
+  /**
+   * Capture the complete simulation state for saving
+   */
+  serializeGameState() {
+    return {
+      saveVersion: SAVE_FORMAT_VERSION,
+      gameVersion: GAME_VERSION,
+      mapConfig: this.getMapConfig(),
+      map: this.isometricMap.toJSON(),
+      matchTime: this.getMatchTime(),
+      nextEntityId: this.nextEntityId,
+      tick: this.tick,
+      simTime: this.simTime,
+      resources: Object.fromEntries(
+        Object.entries(this.resourceManagers).map(([faction, manager]) => [faction, manager.toJSON()])
+      ),
+      researchUpgrades: copyFactionFlags(this.researchUpgrades),
+      buildingUpgrades: copyFactionFlags(this.buildingUpgrades),
+      buildingUnlocks: this.buildingUnlockManager.toJSON(),
+      resourceNodes: this.resourceNodes.filter(n => n.active).map(n => n.toJSON()),
+      buildings: this.buildingManager.toJSON(),
+      units: this.units.filter(u => u.active).map(u => u.toJSON()),
+      aiManagers: this.aiManagers.map(ai => ai.toJSON()),
+      fogOfWar: this.fogOfWar.toJSON(),
+      random: this.randomManager.toJSON(),
+      stats: {
+        unitsTrained: this.registry.get('stat_units_trained') || 0,
+        buildingsBuilt: this.registry.get('stat_buildings_built') || 0,
+        resourcesGathered: this.registry.get('stat_resources_gathered') || 0
+      },
+      camera: {
+        x: this.cameras.main.scrollX,
+        y: this.cameras.main.scrollY,
+        zoom: this.cameras.main.zoom
+      }
+    };
+  }
+
+  /**
+   * Summary shown in the save browser
+   */
+  getSaveMetadata() {
+    return {
+      mapWidth: this.isometricMap.gridWidth,
+      mapHeight: this.isometricMap.gridHeight,
+      seed: this.isometricMap.seed,
+      matchTime: this.getMatchTime(),
+      thumbnail: this.createSaveThumbnail()
+    };
+  }
+
+  /**
+   * Render a small minimap-style picture of the world as a data URL
+   */
+  createSaveThumbnail() {
+    if (typeof document === 'undefined') return null;
+
+    const size = SAVE.THUMBNAIL_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const map = this.isometricMap;
+    const gridWidth = map.gridWidth;
+    const gridHeight = map.gridHeight;
+    const scale = size / Math.max(gridWidth, gridHeight);
+    const toColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+    // Same rotated diamond projection as the in-game minimap
+    const gridToThumb = (gx, gy) => ({
+      x: (gx - gy) * scale * 0.5 + size / 2,
+      y: (gx + gy) * scale * 0.25 + size / 4
+    });
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, size, size);
+
+    // Sample terrain so large maps stay cheap to render
+    const step = Math.max(1, Math.floor(1 / scale));
+    const pixel = Math.max(1, scale * step);
+    for (let x = 0; x < gridWidth; x += step) {
+      for (let y = 0; y < gridHeight; y += step) {
+        const tile = map.getTile(x, y);
+        if (!tile) continue;
+
+        const pos = gridToThumb(x, y);
+        ctx.fillStyle = toColor(TERRAIN_COLORS[tile.terrainType] ?? TERRAIN_COLORS.grass);
+        ctx.fillRect(pos.x, pos.y, pixel, pixel / 2);
+      }
+    }
+
+    // Buildings as faction-colored dots
+    this.buildings.forEach(building => {
+      const gridPos = worldToGridInt(building.x, building.y);
+      const pos = gridToThumb(gridPos.x, gridPos.y);
+      ctx.fillStyle = toColor(FACTION_COLORS[building.faction] ?? FACTION_COLORS.PLAYER);
+      ctx.fillRect(pos.x - 2, pos.y - 1, 4, 3);
+    });
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Write the current match to the next autosave slot
+   */
+  async autosaveGame() {
+    if (this.gameOver || window.__goosecraft_pending_load) return;
+
+    try {
+      const saveId = await this.saveManager.autosave(this.serializeGameState(), this.getSaveMetadata());
+      console.log(`GameScene: Autosaved to ${saveId}`);
+    } catch (err) {
+      console.error('GameScene: Autosave failed:', err);
+    }
+  }
+
+  /**
+   * Start a fresh replay recording of this match
+   * @param {Object} [startState] - Serialized state the recording resumes from (after a load)
+   */
+  startRecording(startState = null) {
+    if (this.replayRecorder) this.replayRecorder.destroy();
+    this.replayRecorder = new ReplayRecorder(this, startState);
+    this.replayId = null;
+  }
+
+  /**
+   * Store the recording so far in the replay browser (overwrites this match's earlier copy)
+   */
+  async saveReplay(name = null) {
+    if (!this.replayRecorder) return null;
+
+    const replay = this.replayRecorder.toJSON();
+    const labels = { victory: 'Victory', defeat: 'Defeat', finished: 'Spectated' };
+    const label = labels[replay.outcome] || 'Match';
+    this.replayId ??= this.saveManager.createReplayId();
+
+    try {
+      await this.saveManager.saveReplay(this.replayId, replay, {
+        name: name || `${label} ${new Date().toLocaleString()}`,
+        metadata: { ...this.getSaveMetadata(), outcome: replay.outcome }
       });
+      console.log(`GameScene: Replay saved to ${this.replayId}`);
+      return this.replayId;
+    } catch (err) {
+      console.error('GameScene: Replay save failed:', err);
+      return null;
     }
   }
 
+  /**
+   * Restart the match from a saved game state.
+   * The world is regenerated from the saved map config, then applyPendingLoad restores the rest.
+   */
+  restartFromSave(gameState) {
+    window.__goosecraft_pending_load = gameState;
+
+    if (this.soundManager) {
+      this.soundManager.stopMusic(false);
+      this.soundManager.destroy();
+      this.soundManager = null;
+    }
+
+    this.scene.stop('UIScene');
+    this.scene.start('LoadingScene', gameState.mapConfig || this.mapConfig);
+  }
+
   /**
    * Apply a pending load from the main menu
    */
@@ -123,42 +504,92 @@ export default class GameScene extends Phaser.Scene {
     this.buildings = [];
     this.units = [];
 
-    // Restore resources
-    if (gameState.resources) this.resourceManager.fromJSON(gameState.resources);
+    // Restore terrain before anything that blocks tiles or reads terrain (e.g. Mine rock count)
+    if (gameState.map) {
+      this.isometricMap.fromJSON(gameState.map);
+    }
+    this.pathfindingManager.reset();
+
+    // Simulation clock first - restored timers (e.g. sabotage) are relative to it.
+    // Replays of this load start from the same tick.
+    this.tick = gameState.tick || 0;
+    this.simTime = gameState.simTime || 0;
+    this.simEvents = [];
+    this.lastVictoryCheck = null;
+
+    // Per-faction upgrade flags must exist before entities are constructed
+    this.researchUpgrades = copyFactionFlags(gameState.researchUpgrades);
+    this.buildingUpgrades = copyFactionFlags(gameState.buildingUpgrades);
+
+    // Restore each faction's stockpile
+    if (gameState.resources) {
+      Object.entries(gameState.resources).forEach(([faction, data]) => {
+        const manager = this.getResourceManager(faction);
+        if (manager) manager.fromJSON(data);
+      });
+    }
+
+    // Restore resource nodes
+    if (gameState.resourceNodes && Array.isArray(gameState.resourceNodes)) {
+      this.resourceNodes.forEach(node => node.destroy());
+      this.resourceNodes = [];
+      this.resourceSpatialHash.clear();
+
+      gameState.resourceNodes.forEach(nData => {
+        const node = new ResourceNode(this, nData.x, nData.y, nData.resourceType);
+        node.fromJSON(nData);
+        this.resourceNodes.push(node);
+        this.resourceSpatialHash.insert(node, node.x, node.y);
+      });
+      console.log(`GameScene: Restored ${this.resourceNodes.length} resource nodes from save`);
+    }
 
     // Restore buildings
     if (gameState.buildings) this.buildingManager.fromJSON(gameState.buildings);
 
     // Restore units
     if (gameState.units && Array.isArray(gameState.units)) {
+      const restored = [];
       gameState.units.forEach(uData => {
-        let unit;
-        const type = uData.unitType?.toLowerCase() || 'worker';
+        const UnitClass = UNIT_CLASSES_BY_TYPE[uData.unitType?.toLowerCase() || 'goose'];
+        if (!UnitClass) return;
 
-        switch (type) {
-          case 'worker':
-            if (this.unitClasses.Goose) unit = new this.unitClasses.Goose(this, uData.x, uData.y, uData.faction);
-            break;
-          case 'guard':
-            if (this.unitClasses.Guard) unit = new this.unitClasses.Guard(this, uData.x, uData.y, uData.faction);
-            break;
-          case 'scout':
-            if (this.unitClasses.Scout) unit = new this.unitClasses.Scout(this, uData.x, uData.y, uData.faction);
-            break;
-          case 'spy':
-            if (this.unitClasses.Spy) unit = new this.unitClasses.Spy(this, uData.x, uData.y, uData.faction);
-            break;
-          case 'maverick':
-            if (this.unitClasses.Maverick) unit = new this.unitClasses.Maverick(this, uData.x, uData.y, uData.faction);
-            break;
-        }
+        const unit = new UnitClass(this, uData.x, uData.y, uData.faction);
+        unit.fromJSON(uData);
+        this.units.push(unit);
+        restored.push({ unit, uData });
+      });
 
-        if (unit) {
-          unit.fromJSON(uData);
-          this.units.push(unit);
-        }
+      // Targets can only be linked once every entity exists
+      restored.forEach(({ unit, uData }) => unit.resolveReferences(uData));
+      console.log(`GameScene: Restored ${restored.length} units from save`);
+    }
+
+    // Restore AI managers by faction
+    if (gameState.aiManagers && Array.isArray(gameState.aiManagers)) {
+      gameState.aiManagers.forEach(aiData => {
+        const ai = this.aiManagers.find(a => a.faction === aiData.faction);
+        if (ai) ai.fromJSON(aiData);
       });
-      console.log(`GameScene: Restored ${gameState.units.length} units from save`);
+    }
+
+    if (gameState.buildingUnlocks) this.buildingUnlockManager.fromJSON(gameState.buildingUnlocks);
+    if (gameState.fogOfWar) this.fogOfWar.fromJSON(gameState.fogOfWar);
+    if (gameState.random) this.randomManager.fromJSON(gameState.random);
+
+    // Keep newly created entities from reusing saved ids
+    if (gameState.nextEntityId) {
+      this.nextEntityId = Math.max(this.nextEntityId, gameState.nextEntityId);
+    }
+
+    // Restore match clock and stats
+    if (gameState.matchTime) {
+      this.matchTimeOffset = gameState.matchTime - this.simTime;
+    }
+    if (gameState.stats) {
+      this.registry.set('stat_units_trained', gameState.stats.unitsTrained || 0);
+      this.registry.set('stat_buildings_built', gameState.stats.buildingsBuilt || 0);
+      this.registry.set('stat_resources_gathered', gameState.stats.resourcesGathered || 0);
     }
 
     // Restore camera
@@ -171,6 +602,50 @@ export default class GameScene extends Phaser.Scene {
   }
 
   update(time, delta) {
+    const ticks = this.runSimulationFrame(delta);
+    this.updateView(delta, ticks > 0);
+  }
+
+  /**
+   * Run as many fixed-length ticks as this frame covers at the current game speed
+   * @returns {number} Ticks simulated (0 while paused)
+   */
+  runSimulationFrame(delta) {
+    if (this.paused) return 0;
+
+    this.simAccumulator += delta * this.gameSpeed;
+
+    let ticks = 0;
+    while (this.simAccumulator >= SIMULATION.TICK_MS && ticks < SIMULATION.MAX_TICKS_PER_FRAME) {
+      this.simAccumulator -= SIMULATION.TICK_MS;
+      this.advanceSimulation(SIMULATION.TICK_MS);
+      ticks++;
+    }
+
+    // Drop the backlog rather than spiral when the machine cannot keep up
+    if (ticks === SIMULATION.MAX_TICKS_PER_FRAME) {
+      this.simAccumulator = Math.min(this.simAccumulator, SIMULATION.TICK_MS);
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Record and simulate one frame's delta (shared by the browser loop and HeadlessMatch)
+   */
+  advanceSimulation(delta) {
+    // Rounded so a recorded delta replays bit-for-bit
+    const simDelta = Math.round(delta * 100) / 100;
+    if (this.replayRecorder) this.replayRecorder.recordTick(simDelta);
+    this.stepSimulation(simDelta);
+  }
+
+  /**
+   * Per-frame camera, culling and overlay work (not part of the simulation)
+   * @param {number} delta - Real frame time in ms
+   * @param {boolean} [simulationAdvanced=true] - Whether a tick ran this frame
+   */
+  updateView(delta, simulationAdvanced = true) {
     // Update camera controls
     this.updateCameraControls(delta);
 
@@ -184,17 +659,63 @@ export default class GameScene extends Phaser.Scene {
       this.selectionManager.update();
     }
 
-    // Update AI managers
-    this.aiManagers.forEach(ai => ai.update(delta));
-
-    // Update fog of war
+    // Update fog of war (visibility only changes when the simulation moves)
     if (this.fogOfWar) {
-      this.fogOfWar.update();
+      this.fogOfWar.update(simulationAdvanced);
+    }
+
+    // Show where the selected units' queued orders lead
+    this.drawOrderWaypoints();
+
+    // Draw debug hitboxes if debug mode is enabled
+    if (this.debugMode) {
+      this.drawDebugHitboxes();
     }
+  }
+
+  /**
+   * Draw waypoint lines through the queued orders of the selected units
+   */
+  drawOrderWaypoints() {
+    this.waypointGraphics.clear();
+    if (!this.selectionManager) return;
+
+    this.selectionManager.getSelectedUnits().forEach(unit => {
+      if (!unit.active || (unit.orderQueue.length === 0 && !unit.patrolRoute)) return;
+
+      let from = { x: unit.x, y: unit.y };
+      unit.getOrderWaypoints().forEach(waypoint => {
+        const color = WAYPOINT_COLORS[waypoint.type] ?? 0xffffff;
+        this.waypointGraphics.lineStyle(1, color, 0.6);
+        this.waypointGraphics.lineBetween(from.x, from.y, waypoint.x, waypoint.y);
+        this.waypointGraphics.fillStyle(color, 0.8);
+        this.waypointGraphics.fillCircle(waypoint.x, waypoint.y, 4);
+        from = waypoint;
+      });
+    });
+  }
+
+  /**
+   * Advance the simulation by one tick.
+   * Everything that changes match state lives here, so a replay can re-run it from recorded deltas.
+   */
+  stepSimulation(delta) {
+    this.tick++;
+    this.simTime += delta;
+    const time = this.simTime;
 
-    // Update all units
+    // Deliver paths computed for this tick, then projectile hits and other delayed effects
+    this.pathfindingManager.update();
+    this.runSimEvents();
+
+    // Update AI managers
+    this.aiManagers.forEach(ai => ai.update(delta));
+
+    // Update all units (remembering where they were, for render interpolation)
     this.units.forEach(unit => {
       if (unit.active) {
+        unit.prevX = unit.x;
+        unit.prevY = unit.y;
         unit.update(time, delta);
       }
     });
@@ -213,11 +734,6 @@ export default class GameScene extends Phaser.Scene {
       }
     });
 
-    // Draw debug hitboxes if debug mode is enabled
-    if (this.debugMode) {
-      this.drawDebugHitboxes();
-    }
-
     // Check victory conditions once per second
     if (!this.gameOver && (!this.lastVictoryCheck || time - this.lastVictoryCheck > 1000)) {
       this.lastVictoryCheck = time;
@@ -225,43 +741,165 @@ export default class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * How far the frame is between the last tick and the next (0-1)
+   */
+  getInterpolationAlpha() {
+    return Math.min(this.simAccumulator / SIMULATION.TICK_MS, 1);
+  }
+
+  /**
+   * Move units to their interpolated draw positions (just before rendering)
+   */
+  interpolateUnits() {
+    const alpha = this.getInterpolationAlpha();
+
+    this.units.forEach(unit => {
+      if (!unit.active || unit.prevX === undefined) return;
+      unit.simX = unit.x;
+      unit.simY = unit.y;
+      unit.x = unit.prevX + (unit.simX - unit.prevX) * alpha;
+      unit.y = unit.prevY + (unit.simY - unit.prevY) * alpha;
+    });
+  }
+
+  /**
+   * Put units back at their simulation positions (right after rendering)
+   */
+  restoreUnitPositions() {
+    this.units.forEach(unit => {
+      if (unit.simX === undefined) return;
+      unit.x = unit.simX;
+      unit.y = unit.simY;
+      unit.simX = undefined;
+      unit.simY = undefined;
+    });
+  }
+
+  togglePause() {
+    this.setPaused(!this.paused);
+    return this.paused;
+  }
+
+  /**
+   * Freeze or resume the simulation (camera and UI keep running)
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.applyTimeScale();
+    console.log(`GameScene: ${paused ? 'Paused' : 'Resumed'}`);
+  }
+
+  /**
+   * Speeds the +/- keys and HUD cycle through
+   */
+  getGameSpeeds() {
+    return SIMULATION.SPEEDS;
+  }
+
+  setGameSpeed(speed) {
+    this.gameSpeed = speed;
+    this.applyTimeScale();
+    console.log(`GameScene: Game speed ${speed}x`);
+  }
+
+  /**
+   * Step to the next faster (+1) or slower (-1) speed, stopping at either end
+   */
+  changeGameSpeed(direction) {
+    const speeds = this.getGameSpeeds();
+    const index = Phaser.Math.Clamp(speeds.indexOf(this.gameSpeed) + direction, 0, speeds.length - 1);
+    this.setGameSpeed(speeds[index]);
+    return this.gameSpeed;
+  }
+
+  /**
+   * Step to the next speed, wrapping around to the slowest
+   */
+  cycleGameSpeed() {
+    const speeds = this.getGameSpeeds();
+    this.setGameSpeed(speeds[(speeds.indexOf(this.gameSpeed) + 1) % speeds.length]);
+    return this.gameSpeed;
+  }
+
+  /**
+   * Run visual timers and tweens (hit flashes, projectiles) at game speed, and refresh the HUD
+   */
+  applyTimeScale() {
+    const scale = this.paused ? 0 : this.gameSpeed;
+    this.time.timeScale = scale;
+    this.tweens.timeScale = scale;
+
+    const uiScene = this.getUIScene();
+    if (uiScene && uiScene.updateSpeedControls) {
+      uiScene.updateSpeedControls(this.paused, this.gameSpeed);
+    }
+  }
+
   /**
    * Check if win or loss conditions have been met
    */
   checkVictoryConditions() {
     // Fast path: Don't check until at least 10 seconds into the match
     // to allow initial bases to finish spawning
-    if (this.time.now < 10000) return;
+    if (this.simTime < 10000) return;
 
-    let playerHasBuildings = false;
-    let enemyHasBuildings = false;
-
-    // Count operational buildings
+    // Teams with an operational building left (allies win or lose together)
+    const standingTeams = new Set();
     for (const building of this.buildings) {
-      if (building.active && building.isOperational()) {
-        if (building.faction === 'PLAYER') {
-          playerHasBuildings = true;
-        } else if (building.faction.startsWith('ENEMY_')) {
-          enemyHasBuildings = true;
-        }
+      if (building.active && building.isOperational() && building.faction !== FACTIONS.NEUTRAL) {
+        standingTeams.add(this.diplomacy.getTeam(building.faction));
       }
     }
 
-    if (!playerHasBuildings) {
+    if (this.spectating) {
+      if (standingTeams.size <= 1) this.finishSpectatedMatch([...standingTeams][0] ?? null);
+      return;
+    }
+
+    const playerTeam = this.diplomacy.getTeam(FACTIONS.PLAYER);
+    if (!standingTeams.has(playerTeam)) {
       this.triggerGameOver(false); // Defeat
-    } else if (!enemyHasBuildings) {
+    } else if (standingTeams.size === 1) {
       this.triggerGameOver(true); // Victory
     }
   }
 
+  /**
+   * End a spectated match once one team is left standing (the overlay shows the winners)
+   * @param {string|null} team - Winning team, or null if nobody has a building left
+   */
+  finishSpectatedMatch(team) {
+    if (this.gameOver) return;
+    this.gameOver = true;
+    this.outcome = 'finished';
+    this.winningFactions = this.getFactions().filter(faction => team !== null && this.diplomacy.getTeam(faction) === team);
+    console.log(`Game Over! Winners: ${this.winningFactions.join(', ') || 'none'}`);
+
+    if (this.replayRecorder) this.replayRecorder.finish(this.outcome);
+    if (this.headless) return;
+
+    // Keep the match in the replay browser; the observer can keep looking around
+    if (this.replayRecorder) this.saveReplay();
+  }
+
   /**
    * Handle game over state and launch VictoryScene
    */
   triggerGameOver(isVictory) {
     if (this.gameOver) return;
     this.gameOver = true;
+    this.outcome = isVictory ? 'victory' : 'defeat';
     console.log(`Game Over! ${isVictory ? 'Victory' : 'Defeat'}`);
 
+    if (this.replayRecorder) this.replayRecorder.finish(this.outcome);
+
+    // Headless runs have no replay browser or overlay; the caller reads the outcome
+    if (this.headless) return;
+
+    // Keep the finished match in the replay browser
+    if (this.replayRecorder) this.saveReplay();
+
     // Pause game updates
     this.physics.pause();
     this.time.removeAllEvents();
@@ -274,7 +912,7 @@ export default class GameScene extends Phaser.Scene {
     }
 
     // Calculate match duration
-    const matchTimeMs = this.time.now;
+    const matchTimeMs = this.getMatchTime();
     const minutes = Math.floor(matchTimeMs / 60000);
     const seconds = Math.floor((matchTimeMs % 60000) / 1000);
     const durationStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -329,6 +967,7 @@ export default class GameScene extends Phaser.Scene {
    * Spawn resource nodes on the map
    */
   spawnResourceNodes() {
+    const rng = this.randomManager.mapgen;
 
     // Spawn forest groves first (clusters of trees)
     this.spawnForestGroves();
@@ -361,8 +1000,8 @@ export default class GameScene extends Phaser.Scene {
       while (spawned < config.count && attempts < maxAttempts) {
         attempts++;
 
-        const gridX = Math.floor(Math.random() * this.mapWidth);
-        const gridY = Math.floor(Math.random() * this.mapHeight);
+        const gridX = Math.floor(rng.next() * this.mapWidth);
+        const gridY = Math.floor(rng.next() * this.mapHeight);
 
         let tooCloseToSpawn = false;
         for (const point of this.spawnPoints) {
@@ -388,8 +1027,8 @@ export default class GameScene extends Phaser.Scene {
         }
 
         const worldPos = this.isometricMap.getWorldPosCenter(gridX, gridY);
-        const offsetX = (Math.random() - 0.5) * 20;
-        const offsetY = (Math.random() - 0.5) * 20;
+        const offsetX = (rng.next() - 0.5) * 20;
+        const offsetY = (rng.next() - 0.5) * 20;
 
         const node = new ResourceNode(
           this,
@@ -413,6 +1052,7 @@ export default class GameScene extends Phaser.Scene {
    * Spawn forest groves - clusters of trees spread across the map
    */
   spawnForestGroves() {
+    const rng = this.randomManager.mapgen;
     const numGroves = 80;  // Number of forest groves
     const minTreesPerGrove = 20;
     const maxTreesPerGrove = 50;
@@ -423,8 +1063,8 @@ export default class GameScene extends Phaser.Scene {
 
     for (let grove = 0; grove < numGroves; grove++) {
       // Pick random grove center
-      const groveCenterX = Math.floor(Math.random() * this.mapWidth);
-      const groveCenterY = Math.floor(Math.random() * this.mapHeight);
+      const groveCenterX = Math.floor(rng.next() * this.mapWidth);
+      const groveCenterY = Math.floor(rng.next() * this.mapHeight);
 
       let tooCloseToSpawn = false;
       for (const point of this.spawnPoints) {
@@ -437,13 +1077,13 @@ export default class GameScene extends Phaser.Scene {
       if (tooCloseToSpawn) continue;
 
       // Determine number of trees in this grove
-      const treesInGrove = minTreesPerGrove + Math.floor(Math.random() * (maxTreesPerGrove - minTreesPerGrove));
+      const treesInGrove = minTreesPerGrove + Math.floor(rng.next() * (maxTreesPerGrove - minTreesPerGrove));
 
       // Spawn trees in cluster around grove center
       for (let t = 0; t < treesInGrove; t++) {
         // Use gaussian-like distribution for natural clustering
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * Math.random() * groveRadius; // Squared for density at center
+        const angle = rng.next() * Math.PI * 2;
+        const distance = rng.next() * rng.next() * groveRadius; // Squared for density at center
         const gridX = Math.floor(groveCenterX + Math.cos(angle) * distance);
         const gridY = Math.floor(groveCenterY + Math.sin(angle) * distance);
 
@@ -454,8 +1094,8 @@ export default class GameScene extends Phaser.Scene {
         if (!tile || !validTerrains.includes(tile.terrainType)) continue;
 
         const worldPos = this.isometricMap.getWorldPosCenter(gridX, gridY);
-        const offsetX = (Math.random() - 0.5) * 30;
-        const offsetY = (Math.random() - 0.5) * 30;
+        const offsetX = (rng.next() - 0.5) * 30;
+        const offsetY = (rng.next() - 0.5) * 30;
 
         const node = new ResourceNode(
           this,
@@ -487,7 +1127,7 @@ export default class GameScene extends Phaser.Scene {
     ];
 
     const enemyCount = this.mapConfig.enemies || 1;
-    this.spawnPoints = potentialSpawns.slice(0, enemyCount + 1);
+    this.spawnPoints = potentialSpawns.slice(0, this.spectating ? enemyCount : enemyCount + 1);
   }
 
   /**
@@ -623,6 +1263,16 @@ export default class GameScene extends Phaser.Scene {
    * Setup keyboard and mouse input
    */
   setupInput() {
+    // Observers can only look around and control the clock
+    if (this.spectating) {
+      this.setupObserverInput();
+      this.input.keyboard.on('keydown-P', () => this.togglePause());
+      ['PLUS', 'NUMPAD_ADD'].forEach(key => this.input.keyboard.on(`keydown-${key}`, () => this.changeGameSpeed(1)));
+      ['MINUS', 'NUMPAD_SUBTRACT'].forEach(key => this.input.keyboard.on(`keydown-${key}`, () => this.changeGameSpeed(-1)));
+      this.input.keyboard.on('keydown-V', () => this.cycleViewFaction());
+      return;
+    }
+
     // Keyboard input for camera panning
     this.cursors = this.input.keyboard.createCursorKeys();
     this.wasd = this.input.keyboard.addKeys({
@@ -634,7 +1284,7 @@ export default class GameScene extends Phaser.Scene {
 
     // Mouse wheel zoom (skip if pointer is over UI panel)
     this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY, deltaZ) => {
-      const uiScene = this.scene.get('UIScene');
+      const uiScene = this.getUIScene();
       if (uiScene && uiScene.isPointerOverPanel && uiScene.isPointerOverPanel(pointer)) {
         return; // Let UIScene handle the scroll
       }
@@ -644,11 +1294,29 @@ export default class GameScene extends Phaser.Scene {
     // Disable right-click context menu
     this.input.mouse.disableContextMenu();
 
+    // Attack-move (A) and patrol (R) wait for a left-click on the destination or the minimap
+    // (right-click or Esc cancels); hold position (H) and stop (X) apply at once
+    this.armedOrder = null; // COMMANDS.ATTACK_MOVE or COMMANDS.PATROL while waiting for a destination
+    this.pointerConsumed = false; // The current press was an order - keep it from selecting
+    this.input.keyboard.on('keydown-A', () => this.armOrder(COMMANDS.ATTACK_MOVE));
+    this.input.keyboard.on('keydown-R', () => this.armOrder(COMMANDS.PATROL));
+    this.input.keyboard.on('keydown-H', () => this.issueUnitOrder(COMMANDS.HOLD));
+    this.input.keyboard.on('keydown-X', () => this.issueUnitOrder(COMMANDS.STOP));
+    this.input.keyboard.on('keydown-ESC', () => this.disarmOrder());
+
     // Mouse events for selection and building placement
     this.input.on('pointerdown', (pointer) => {
       // Check if in building placement mode
       if (this.buildingManager.isInPlacementMode()) {
         this.buildingManager.handlePointerDown(pointer);
+      } else if (this.armedOrder) {
+        this.pointerConsumed = true;
+        if (pointer.rightButtonDown()) {
+          this.disarmOrder();
+        } else {
+          const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+          this.issueArmedOrder(worldPoint.x, worldPoint.y);
+        }
       } else {
         this.selectionManager.handlePointerDown(pointer);
 
@@ -663,7 +1331,7 @@ export default class GameScene extends Phaser.Scene {
       // Building placement takes priority
       if (this.buildingManager.isInPlacementMode()) {
         this.buildingManager.handlePointerMove(pointer);
-      } else {
+      } else if (!this.pointerConsumed) {
         this.selectionManager.handlePointerMove(pointer);
       }
 
@@ -672,7 +1340,9 @@ export default class GameScene extends Phaser.Scene {
     });
 
     this.input.on('pointerup', (pointer) => {
-      if (!this.buildingManager.isInPlacementMode()) {
+      if (this.pointerConsumed) {
+        this.pointerConsumed = false;
+      } else if (!this.buildingManager.isInPlacementMode()) {
         this.selectionManager.handlePointerUp(pointer);
       }
     });
@@ -684,6 +1354,11 @@ export default class GameScene extends Phaser.Scene {
       });
     }
 
+    // Pause (P) and game speed (+/-)
+    this.input.keyboard.on('keydown-P', () => this.togglePause());
+    ['PLUS', 'NUMPAD_ADD'].forEach(key => this.input.keyboard.on(`keydown-${key}`, () => this.changeGameSpeed(1)));
+    ['MINUS', 'NUMPAD_SUBTRACT'].forEach(key => this.input.keyboard.on(`keydown-${key}`, () => this.changeGameSpeed(-1)));
+
     // Edge scrolling
     this.edgeScrollMargin = CAMERA.EDGE_SCROLL_MARGIN;
 
@@ -691,7 +1366,61 @@ export default class GameScene extends Phaser.Scene {
   }
 
   /**
-   * Handle right click (move, gather, or build command)
+   * Camera panning and zoom only (spectated matches and replays cannot be ordered around)
+   */
+  setupObserverInput() {
+    this.cursors = this.input.keyboard.createCursorKeys();
+    this.wasd = this.input.keyboard.addKeys({
+      w: Phaser.Input.Keyboard.KeyCodes.W,
+      a: Phaser.Input.Keyboard.KeyCodes.A,
+      s: Phaser.Input.Keyboard.KeyCodes.S,
+      d: Phaser.Input.Keyboard.KeyCodes.D
+    });
+
+    this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => this.handleZoom(deltaY));
+    this.input.mouse.disableContextMenu();
+    this.edgeScrollMargin = CAMERA.EDGE_SCROLL_MARGIN;
+  }
+
+  /**
+   * Factions the view can cycle through (null = no fog)
+   */
+  getViewFactions() {
+    return [null, ...this.getFactions()];
+  }
+
+  /**
+   * Show the match through one faction's fog, or with the fog off
+   */
+  setViewFaction(faction) {
+    this.viewFaction = faction;
+
+    if (faction === null) {
+      if (this.fogOfWar.enabled) this.fogOfWar.toggle();
+      return;
+    }
+
+    if (!this.fogOfWar.enabled) this.fogOfWar.toggle();
+    this.fogOfWar.setViewFaction(faction);
+  }
+
+  cycleViewFaction() {
+    const factions = this.getViewFactions();
+    const index = factions.indexOf(this.viewFaction);
+    this.setViewFaction(factions[(index + 1) % factions.length]);
+    return this.viewFaction;
+  }
+
+  /**
+   * Whether shift is held - orders are then queued after the units' current ones
+   */
+  isQueueingOrders() {
+    const shiftKey = this.input.keyboard.addKey('SHIFT', false);
+    return !!(shiftKey && shiftKey.isDown);
+  }
+
+  /**
+   * Handle right click (move, gather, build or attack command; shift queues it)
    */
   handleRightClick(pointer) {
     console.log('GameScene: Right-click detected');
@@ -711,10 +1440,21 @@ export default class GameScene extends Phaser.Scene {
     const worldPoint = camera.getWorldPoint(pointer.x, pointer.y);
     const worldPos = { x: worldPoint.x, y: worldPoint.y };
 
+    const unitIds = selectedUnits.map(unit => unit.entityId);
+    const queued = this.isQueueingOrders();
+
     if (selectedBuilding && selectedBuilding.setRallyPoint) {
       // Set rally point for the building
-      selectedBuilding.setRallyPoint(worldPos.x, worldPos.y);
-      this.soundManager.playSFX('sfx-worker-acknowledge');
+      const result = this.commandDispatcher.dispatch({
+        type: COMMANDS.RALLY,
+        faction: FACTIONS.PLAYER,
+        buildingId: selectedBuilding.entityId,
+        x: worldPos.x,
+        y: worldPos.y
+      });
+      if (result.ok) {
+        this.soundManager.playSFX('sfx-worker-acknowledge');
+      }
       return;
     }
 
@@ -724,13 +1464,39 @@ export default class GameScene extends Phaser.Scene {
     // Check if clicking on a building under construction
     const clickedBuilding = this.findBuildingAtPosition(worldPos.x, worldPos.y);
 
+    // Check if clicking on an enemy the player can see
+    const clickedEnemy = this.findEnemyAtPosition(worldPos.x, worldPos.y) ||
+      (clickedBuilding && clickedBuilding.visible && this.diplomacy.areHostile(FACTIONS.PLAYER, clickedBuilding.faction)
+        ? clickedBuilding : null);
+
+    if (clickedEnemy) {
+      // Focus fire on the enemy (Spies use their abilities on buildings)
+      const result = this.commandDispatcher.dispatch({
+        type: COMMANDS.ATTACK,
+        faction: FACTIONS.PLAYER,
+        unitIds,
+        queued,
+        targetId: clickedEnemy.entityId
+      });
+      if (result.ok) {
+        console.log(`GameScene: Attack command on ${clickedEnemy.unitType || clickedEnemy.buildingName}`);
+        this.soundManager.playSFX('sfx-worker-acknowledge');
+        this.showAttackIndicator(clickedEnemy);
+        return;
+      }
+      // No combat units selected - fall through to a move
+    }
+
     if (clickedResource && clickedResource.hasResources()) {
       // Command workers to gather from this resource
-      selectedUnits.forEach(unit => {
-        if (unit.unitType === 'goose' && unit.gatherFrom) {
-          unit.gatherFrom(clickedResource);
-        }
+      const result = this.commandDispatcher.dispatch({
+        type: COMMANDS.GATHER,
+        faction: FACTIONS.PLAYER,
+        unitIds,
+        queued,
+        resourceId: clickedResource.entityId
       });
+      if (!result.ok) return;
 
       console.log(`GameScene: Gather command on ${clickedResource.getResourceType()}`);
 
@@ -741,11 +1507,14 @@ export default class GameScene extends Phaser.Scene {
       this.showGatherIndicator(clickedResource.x, clickedResource.y);
     } else if (clickedBuilding && clickedBuilding.state === 'CONSTRUCTION') {
       // Command workers to build this construction
-      selectedUnits.forEach(unit => {
-        if (unit.unitType === 'goose' && unit.buildConstruction) {
-          unit.buildConstruction(clickedBuilding);
-        }
+      const result = this.commandDispatcher.dispatch({
+        type: COMMANDS.BUILD,
+        faction: FACTIONS.PLAYER,
+        unitIds,
+        queued,
+        buildingId: clickedBuilding.entityId
       });
+      if (!result.ok) return;
 
       console.log(`GameScene: Build command on ${clickedBuilding.buildingName}`);
 
@@ -756,12 +1525,15 @@ export default class GameScene extends Phaser.Scene {
       this.showBuildIndicator(clickedBuilding.x, clickedBuilding.y);
     } else {
       // Regular move command - this also cancels any current gathering
-      selectedUnits.forEach(unit => {
-        if (unit.unitType === 'goose' && unit.stopGathering) {
-          unit.stopGathering();
-        }
-        unit.moveTo(worldPos.x, worldPos.y);
+      const result = this.commandDispatcher.dispatch({
+        type: COMMANDS.MOVE,
+        faction: FACTIONS.PLAYER,
+        unitIds,
+        queued,
+        x: worldPos.x,
+        y: worldPos.y
       });
+      if (!result.ok) return;
 
       console.log(`GameScene: Move command to (${Math.round(worldPos.x)}, ${Math.round(worldPos.y)})`);
 
@@ -773,6 +1545,85 @@ export default class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Wait for the destination of an attack-move or patrol (only when combat units are selected)
+   */
+  armOrder(type) {
+    if (this.buildingManager.isInPlacementMode()) return;
+    const method = type === COMMANDS.PATROL ? 'patrolTo' : 'attackMoveTo';
+    if (!this.selectionManager.getSelectedUnits().some(unit => unit[method])) return;
+
+    this.armedOrder = type;
+    this.input.setDefaultCursor('crosshair');
+  }
+
+  disarmOrder() {
+    if (!this.armedOrder) return;
+    this.armedOrder = null;
+    this.input.setDefaultCursor('default');
+  }
+
+  /**
+   * Send the selected units on the armed attack-move or patrol to a world position (also used by
+   * minimap clicks; shift queues it)
+   */
+  issueArmedOrder(worldX, worldY) {
+    const type = this.armedOrder;
+    this.disarmOrder();
+
+    const result = this.commandDispatcher.dispatch({
+      type,
+      faction: FACTIONS.PLAYER,
+      unitIds: this.selectionManager.getSelectedUnits().map(unit => unit.entityId),
+      x: worldX,
+      y: worldY,
+      queued: this.isQueueingOrders()
+    });
+    if (!result.ok) return;
+
+    console.log(`GameScene: ${type} to (${Math.round(worldX)}, ${Math.round(worldY)})`);
+    this.soundManager.playSFX('sfx-worker-acknowledge');
+    this.showOrderRing(worldX, worldY, WAYPOINT_COLORS[type]);
+  }
+
+  /**
+   * Give the selected units an order that needs no target (hold position, stop)
+   */
+  issueUnitOrder(type) {
+    const selectedUnits = this.selectionManager.getSelectedUnits();
+    if (selectedUnits.length === 0) return;
+
+    const result = this.commandDispatcher.dispatch({
+      type,
+      faction: FACTIONS.PLAYER,
+      unitIds: selectedUnits.map(unit => unit.entityId),
+      queued: this.isQueueingOrders()
+    });
+    if (result.ok) {
+      this.soundManager.playSFX('sfx-worker-acknowledge');
+    }
+  }
+
+  /**
+   * Put the selected combat units in a stance (UNIT_STANCES)
+   * @returns {boolean} Whether any unit took it
+   */
+  setSelectionStance(stance) {
+    const selectedUnits = this.selectionManager.getSelectedUnits();
+    if (selectedUnits.length === 0) return false;
+
+    const result = this.commandDispatcher.dispatch({
+      type: COMMANDS.SET_STANCE,
+      faction: FACTIONS.PLAYER,
+      unitIds: selectedUnits.map(unit => unit.entityId),
+      stance
+    });
+    if (result.ok) {
+      this.soundManager.playSFX('sfx-worker-acknowledge');
+    }
+    return result.ok;
+  }
+
   /**
    * Find resource node at position
    */
@@ -821,8 +1672,8 @@ export default class GameScene extends Phaser.Scene {
 
     for (let i = this.units.length - 1; i >= 0; i--) {
       const unit = this.units[i];
-      if (!unit.active) continue;
-      if (unit.faction !== FACTIONS.ENEMY_AI) continue;
+      if (!unit.active || !unit.visible) continue;
+      if (!this.diplomacy.areHostile(FACTIONS.PLAYER, unit.faction)) continue;
 
       const distance = Phaser.Math.Distance.Between(worldX, worldY, unit.x, unit.y);
       if (distance < clickRadius) {
@@ -843,6 +1694,12 @@ export default class GameScene extends Phaser.Scene {
       return;
     }
 
+    // Waiting for an attack-move or patrol destination
+    if (this.armedOrder) {
+      this.input.setDefaultCursor('crosshair');
+      return;
+    }
+
     // Get world position
     const camera = this.cameras.main;
     const worldPoint = camera.getWorldPoint(pointer.x, pointer.y);
@@ -853,7 +1710,7 @@ export default class GameScene extends Phaser.Scene {
     const enemyUnit = this.findEnemyAtPosition(worldX, worldY);
     const building = this.findBuildingAtPositionSilent(worldX, worldY);
 
-    if (enemyUnit || (building && building.faction === FACTIONS.ENEMY_AI)) {
+    if (enemyUnit || (building && this.diplomacy.areHostile(FACTIONS.PLAYER, building.faction))) {
       // Attack cursor - crosshair for enemies
       this.input.setDefaultCursor('crosshair');
       return;
@@ -951,6 +1808,47 @@ export default class GameScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Highlight the target of an attack command (the ring follows it while it fades)
+   */
+  showAttackIndicator(target) {
+    const radius = target.buildingType ? 50 : 20;
+    const indicator = this.add.circle(target.x, target.y, radius);
+    indicator.setStrokeStyle(3, 0xff3333, 1);
+    indicator.setDepth(target.depth + 1);
+
+    // Pulse twice, then fade
+    this.tweens.add({
+      targets: indicator,
+      scaleX: 1.2,
+      scaleY: 1.2,
+      alpha: 0,
+      duration: 450,
+      repeat: 1,
+      onUpdate: () => indicator.setPosition(target.x, target.y),
+      onComplete: () => indicator.destroy()
+    });
+  }
+
+  /**
+   * Show visual feedback for attack-move and patrol commands
+   */
+  showOrderRing(x, y, color) {
+    // A ring rather than the move command's dot
+    const indicator = this.add.circle(x, y, 12);
+    indicator.setStrokeStyle(3, color, 0.9);
+
+    // Animate
+    this.tweens.add({
+      targets: indicator,
+      scaleX: 2,
+      scaleY: 2,
+      alpha: 0,
+      duration: 500,
+      onComplete: () => indicator.destroy()
+    });
+  }
+
   /**
    * Show visual feedback for build command
    */
@@ -980,7 +1878,8 @@ export default class GameScene extends Phaser.Scene {
     let panY = 0;
 
     // WASD / Arrow key panning
-    if (this.cursors.left.isDown || this.wasd.a.isDown) {
+    // A doubles as the attack-move key while combat units are selected
+    if (this.cursors.left.isDown || (this.wasd.a.isDown && !this.armedOrder)) {
       panX -= panSpeed;
     }
     if (this.cursors.right.isDown || this.wasd.d.isDown) {
@@ -63,6 +63,12 @@ export default class LoadingScene extends Phaser.Scene {
         // If we transition to GameScene immediately, its create() method blocks the thread 
         // and the LoadingScene never gets painted to the screen.
         this.time.delayedCall(500, () => {
+            // Replays run in their own scene with a playback overlay instead of the game UI
+            if (this.gameConfig.replay) {
+                this.scene.start('ReplayScene', this.gameConfig);
+                return;
+            }
+
             // Start GameScene in background
             this.scene.start('GameScene', this.gameConfig);
             this.scene.launch('UIScene');
@@ -2,6 +2,10 @@
 
 import SoundManager from '../systems/SoundManager.js';
 import SaveManager from '../utils/SaveManager.js';
+import SaveBrowser from '../ui/SaveBrowser.js';
+import Diplomacy from '../systems/Diplomacy.js';
+import { AI_STRATEGIES, RANDOM_STRATEGY } from '../systems/AIStrategies.js';
+import { AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, FACTIONS, TEAM_SETUPS } from '../utils/Constants.js';
 
 export default class MenuScene extends Phaser.Scene {
   constructor() {
@@ -24,7 +28,7 @@ export default class MenuScene extends Phaser.Scene {
     // New Game Button
     const newGameButton = this.createButton(
       width / 2,
-      height / 2 + 50,
+      height / 2 + 20,
       'New Game',
       () => this.showNewGameSetup()
     );
@@ -32,15 +36,23 @@ export default class MenuScene extends Phaser.Scene {
     // Load Game Button
     const loadGameButton = this.createButton(
       width / 2,
-      height / 2 + 140,
+      height / 2 + 100,
       'Load Game',
-      () => this.loadSavedGame()
+      () => this.saveBrowser.show('load')
+    );
+
+    // Replays Button
+    const replaysButton = this.createButton(
+      width / 2,
+      height / 2 + 180,
+      'Replays',
+      () => this.saveBrowser.show('replays')
     );
 
     // Settings Button
     const settingsButton = this.createButton(
       width / 2,
-      height / 2 + 230,
+      height / 2 + 260,
       'Settings',
       () => this.showSettings()
     );
@@ -61,6 +73,12 @@ export default class MenuScene extends Phaser.Scene {
     // Create new game setup panel (hidden by default)
     this.createNewGamePanel();
 
+    // Save browser for loading named saves, autosaves and replays (hidden by default)
+    this.saveBrowser = new SaveBrowser(this, new SaveManager(), {
+      onLoad: (gameState) => this.loadSavedGame(gameState),
+      onWatch: (replay) => this.watchReplay(replay)
+    });
+
     this.selectedMapConfig = { width: 250, height: 250 }; // Default Medium
 
     console.log('MenuScene: Ready');
@@ -208,52 +226,52 @@ export default class MenuScene extends Phaser.Scene {
   }
 
   /**
-   * Load a previously saved game
+   * Start a previously saved game picked in the save browser
    */
-  async loadSavedGame() {
+  loadSavedGame(gameState) {
     console.log('MenuScene: Loading saved game...');
 
-    try {
-      const saveManager = new SaveManager();
-      await saveManager.init();
-      const gameState = await saveManager.loadGame('auto_save');
-
-      if (!gameState) {
-        console.log('MenuScene: No save found');
-        // Show a brief message using a temp text
-        const noSave = this.add.text(
-          this.cameras.main.width / 2,
-          this.cameras.main.height / 2 + 190,
-          'No save file found!',
-          { fontSize: '18px', fill: '#ff6666', fontFamily: 'Arial', stroke: '#000', strokeThickness: 3 }
-        ).setOrigin(0.5).setDepth(3000);
-        this.time.delayedCall(2000, () => noSave.destroy());
-        return;
-      }
+    // Store save data globally so GameScene can pick it up after create()
+    window.__goosecraft_pending_load = gameState;
 
-      // Store save data globally so GameScene can pick it up after create()
-      window.__goosecraft_pending_load = gameState;
+    // Stop menu music
+    if (this.soundManager && this.soundManager.currentMusic) {
+      this.soundManager.stopMusic(false);
+    }
 
-      // Stop menu music
-      if (this.soundManager && this.soundManager.currentMusic) {
-        this.soundManager.stopMusic(false);
+    // Fade out and start game
+    this.cameras.main.fadeOut(500, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      if (this.soundManager) {
+        this.soundManager.destroy();
+        this.soundManager = null;
       }
+      this.scene.stop('MenuScene');
+      // Regenerate the saved map (seed/size/enemies); the rest is applied from the pending load
+      this.scene.start('LoadingScene', gameState.mapConfig);
+    });
+  }
 
-      // Fade out and start game
-      this.cameras.main.fadeOut(500, 0, 0, 0);
-      this.cameras.main.once('camerafadeoutcomplete', () => {
-        if (this.soundManager) {
-          this.soundManager.destroy();
-          this.soundManager = null;
-        }
-        this.scene.stop('MenuScene');
-        // Passing the config via window var earlier, but we still need to hit LoadingScene
-        this.scene.start('LoadingScene');
-      });
+  /**
+   * Play back a recorded match picked in the replay browser
+   */
+  watchReplay(replay) {
+    console.log('MenuScene: Starting replay...');
 
-    } catch (err) {
-      console.error('MenuScene: Failed to load game:', err);
+    if (this.soundManager && this.soundManager.currentMusic) {
+      this.soundManager.stopMusic(false);
     }
+
+    this.cameras.main.fadeOut(500, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      if (this.soundManager) {
+        this.soundManager.destroy();
+        this.soundManager = null;
+      }
+      this.scene.stop('MenuScene');
+      // LoadingScene hands the recording to ReplayScene, which regenerates the recorded map
+      this.scene.start('LoadingScene', { replay });
+    });
   }
 
   /**
@@ -276,22 +294,42 @@ export default class MenuScene extends Phaser.Scene {
 
   showNewGameSetup() {
     // Always reset config to fresh defaults when panel opens
-    this.selectedMapConfig = { width: 250, height: 250, enemies: 1 };
+    this.selectedMapConfig = {
+      width: 250,
+      height: 250,
+      enemies: 1,
+      aiDifficulties: [DEFAULT_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY],
+      aiStrategies: [RANDOM_STRATEGY, RANDOM_STRATEGY, RANDOM_STRATEGY],
+      aiFullVision: false,
+      teamSetup: 'FREE_FOR_ALL',
+      spectate: false
+    };
 
-    // Reset the enemy button label
+    // Reset the enemy, mode, vision and teams button labels
     if (this.enemyBtn) {
       this.enemyBtn.setText('1 AI Faction');
     }
+    if (this.modeBtn) {
+      this.modeBtn.setText('Mode: Play');
+    }
+    if (this.visionBtn) {
+      this.visionBtn.setText('AI Vision: Fog of War');
+    }
+    if (this.teamsBtn) {
+      this.teamsBtn.setText(`Teams: ${TEAM_SETUPS.FREE_FOR_ALL.name}`);
+    }
 
     if (this.newGamePanelElements) {
       this.newGamePanelElements.forEach(element => element.setVisible(true));
     }
+    this.refreshSlotButtons();
   }
 
   hideNewGameSetup() {
     if (this.newGamePanelElements) {
       this.newGamePanelElements.forEach(element => element.setVisible(false));
     }
+    [...this.difficultyBtns, ...this.strategyBtns].forEach(btn => btn.setVisible(false));
   }
 
   /**
@@ -492,7 +530,7 @@ export default class MenuScene extends Phaser.Scene {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
     const panelWidth = 400;
-    const panelHeight = 620;
+    const panelHeight = 720;
     const panelX = width / 2 - panelWidth / 2;
     const panelY = height / 2 - panelHeight / 2;
 
@@ -537,19 +575,19 @@ export default class MenuScene extends Phaser.Scene {
       return btn;
     };
 
-    const smallBtn = createSizeBtn(0, 160, 'Small (100x100)', 100, 100);
-    const medBtn = createSizeBtn(0, 230, 'Medium (250x250)', 250, 250);
-    const lgBtn = createSizeBtn(0, 300, 'Large (400x400)', 400, 400);
+    const smallBtn = createSizeBtn(0, 150, 'Small (100x100)', 100, 100);
+    const medBtn = createSizeBtn(0, 205, 'Medium (250x250)', 250, 250);
+    const lgBtn = createSizeBtn(0, 260, 'Large (400x400)', 400, 400);
 
     // Default select medium (selectedMapConfig is reset when panel opens, not here)
     medBtn.setBackgroundColor('#4CAF50');
 
     // Map Seed Field
-    const seedLabel = this.add.text(panelX + panelWidth / 2, panelY + 360, 'Map Seed (Optional)', {
+    const seedLabel = this.add.text(panelX + panelWidth / 2, panelY + 315, 'Map Seed (Optional)', {
       fontSize: '20px', fill: '#aaaaaa', fontFamily: 'Arial'
     }).setOrigin(0.5).setDepth(2001).setVisible(false);
 
-    const seedBtn = this.add.text(panelX + panelWidth / 2, panelY + 400, 'Random', {
+    const seedBtn = this.add.text(panelX + panelWidth / 2, panelY + 350, 'Random', {
       fontSize: '20px', fill: '#ffffff', backgroundColor: '#333333', padding: { x: 15, y: 10 }
     }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
 
@@ -562,27 +600,89 @@ export default class MenuScene extends Phaser.Scene {
     });
 
     // Enemy Count Field
-    const enemyLabel = this.add.text(panelX + panelWidth / 2, panelY + 460, 'Opponents', {
+    const enemyLabel = this.add.text(panelX + panelWidth / 2, panelY + 405, 'Opponents', {
       fontSize: '20px', fill: '#aaaaaa', fontFamily: 'Arial'
     }).setOrigin(0.5).setDepth(2001).setVisible(false);
 
-    const enemyBtn = this.add.text(panelX + panelWidth / 2, panelY + 500, '1 AI Faction', {
+    const enemyBtn = this.add.text(panelX + panelWidth / 2 - 80, panelY + 440, '1 AI Faction', {
       fontSize: '20px', fill: '#ffffff', backgroundColor: '#F44336', padding: { x: 15, y: 10 }
     }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
 
-    enemyBtn.on('pointerdown', () => {
-      // Guard: make sure enemies is a real number before incrementing
-      let count = (this.selectedMapConfig.enemies || 1) + 1;
-      if (count > 3) count = 1;
+    // Spectating needs at least two AIs, since they take every spawn slot
+    const setEnemyCount = (count) => {
+      const min = this.selectedMapConfig.spectate ? 2 : 1;
+      if (count > 3) count = min;
+      count = Math.max(count, min);
 
       this.selectedMapConfig.enemies = count;
       const suffix = count === 1 ? 'Faction' : 'Factions';
       enemyBtn.setText(`${count} AI ${suffix}`);
+      this.refreshSlotButtons();
+    };
+
+    enemyBtn.on('pointerdown', () => {
+      // Guard: make sure enemies is a real number before incrementing
+      setEnemyCount((this.selectedMapConfig.enemies || 1) + 1);
     });
 
     // Store enemyBtn reference so showNewGameSetup can reset its label
     this.enemyBtn = enemyBtn;
 
+    // Play, or spectate the AIs fighting each other (no player base, view only)
+    const modeBtn = this.add.text(panelX + panelWidth / 2 + 100, panelY + 440, 'Mode: Play', {
+      fontSize: '16px', fill: '#ffffff', backgroundColor: '#333333', padding: { x: 10, y: 8 }
+    }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
+
+    modeBtn.on('pointerdown', () => {
+      this.selectedMapConfig.spectate = !this.selectedMapConfig.spectate;
+      modeBtn.setText(this.selectedMapConfig.spectate ? 'Mode: Spectate' : 'Mode: Play');
+      setEnemyCount(this.selectedMapConfig.enemies || 1);
+    });
+    this.modeBtn = modeBtn;
+
+    // Per AI slot: difficulty (Easy -> Brutal) and strategy (Random, then each profile); click to cycle
+    const createSlotBtn = (slot, yOffset, configKey, options) => {
+      const btn = this.add.text(panelX + panelWidth / 2 + (slot - 1) * 125, panelY + yOffset, '', {
+        fontSize: '16px', fill: '#ffffff', backgroundColor: '#333333', padding: { x: 10, y: 8 }
+      }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
+
+      btn.on('pointerdown', () => {
+        const choices = this.selectedMapConfig[configKey];
+        choices[slot] = options[(options.indexOf(choices[slot]) + 1) % options.length];
+        this.refreshSlotButtons();
+      });
+      return btn;
+    };
+
+    const difficultyKeys = Object.keys(AI_DIFFICULTY);
+    const strategyKeys = [RANDOM_STRATEGY, ...Object.keys(AI_STRATEGIES)];
+    this.difficultyBtns = [0, 1, 2].map(slot => createSlotBtn(slot, 495, 'aiDifficulties', difficultyKeys));
+    this.strategyBtns = [0, 1, 2].map(slot => createSlotBtn(slot, 535, 'aiStrategies', strategyKeys));
+
+    // Hard and Brutal opponents may be allowed to see through the fog of war
+    const visionBtn = this.add.text(panelX + panelWidth / 2, panelY + 580, 'AI Vision: Fog of War', {
+      fontSize: '16px', fill: '#ffffff', backgroundColor: '#333333', padding: { x: 10, y: 8 }
+    }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
+
+    visionBtn.on('pointerdown', () => {
+      this.selectedMapConfig.aiFullVision = !this.selectedMapConfig.aiFullVision;
+      visionBtn.setText(this.selectedMapConfig.aiFullVision ? 'AI Vision: Full (Hard, Brutal)' : 'AI Vision: Fog of War');
+    });
+    this.visionBtn = visionBtn;
+
+    // Team setup (click to cycle); allies share vision, never fight and win together
+    const teamSetupKeys = Object.keys(TEAM_SETUPS);
+    const teamsBtn = this.add.text(panelX + panelWidth / 2, panelY + 620, `Teams: ${TEAM_SETUPS.FREE_FOR_ALL.name}`, {
+      fontSize: '16px', fill: '#ffffff', backgroundColor: '#333333', padding: { x: 10, y: 8 }
+    }).setOrigin(0.5).setDepth(2001).setVisible(false).setInteractive({ useHandCursor: true });
+
+    teamsBtn.on('pointerdown', () => {
+      const setup = teamSetupKeys[(teamSetupKeys.indexOf(this.selectedMapConfig.teamSetup) + 1) % teamSetupKeys.length];
+      this.selectedMapConfig.teamSetup = setup;
+      teamsBtn.setText(`Teams: ${TEAM_SETUPS[setup].name}`);
+    });
+    this.teamsBtn = teamsBtn;
+
     // Start Button
     const startBtn = this.add.text(panelX + panelWidth / 2 - 80, panelY + panelHeight - 60, 'START', {
       fontSize: '24px', fill: '#ffffff', backgroundColor: '#4CAF50', padding: { x: 30, y: 15 }
@@ -590,7 +690,15 @@ export default class MenuScene extends Phaser.Scene {
 
     startBtn.on('pointerdown', () => {
       this.hideNewGameSetup();
-      this.startNewGame(this.selectedMapConfig);
+      const { teamSetup, ...config } = this.selectedMapConfig;
+      const aiFactions = [FACTIONS.ENEMY_1, FACTIONS.ENEMY_2, FACTIONS.ENEMY_3].slice(0, config.enemies);
+      const factions = config.spectate ? aiFactions : [FACTIONS.PLAYER, ...aiFactions];
+      this.startNewGame({
+        ...config,
+        aiDifficulties: config.aiDifficulties.slice(0, config.enemies),
+        aiStrategies: config.aiStrategies.slice(0, config.enemies),
+        teams: Diplomacy.teamsForSetup(teamSetup, factions)
+      });
     });
 
     // Cancel Button
@@ -603,7 +711,19 @@ export default class MenuScene extends Phaser.Scene {
     });
 
     this.newGamePanelElements = [
-      bg, border, title, mapSizeLabel, smallBtn, medBtn, lgBtn, seedLabel, seedBtn, enemyLabel, enemyBtn, startBtn, cancelBtn
+      bg, border, title, mapSizeLabel, smallBtn, medBtn, lgBtn, seedLabel, seedBtn, enemyLabel, enemyBtn, modeBtn, visionBtn, teamsBtn, startBtn, cancelBtn
     ];
   }
+
+  /**
+   * Label the per-opponent difficulty and strategy buttons and show those of selected opponents
+   */
+  refreshSlotButtons() {
+    const { enemies, aiDifficulties, aiStrategies } = this.selectedMapConfig;
+    for (let slot = 0; slot < 3; slot++) {
+      const strategy = AI_STRATEGIES[aiStrategies[slot]];
+      this.difficultyBtns[slot].setText(`AI ${slot + 1}: ${AI_DIFFICULTY[aiDifficulties[slot]].name}`).setVisible(slot < enemies);
+      this.strategyBtns[slot].setText(strategy ? strategy.name : 'Random').setVisible(slot < enemies);
+    }
+  }
 }
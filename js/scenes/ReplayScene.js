@@ -0,0 +1,324 @@
+// Replay Scene - Re-simulates a recorded match from its seed and command stream
+
+import GameScene from './GameScene.js';
+import { CAMERA } from '../utils/Constants.js';
+import { migrateSave } from '../utils/SaveMigrations.js';
+import { AI_CHECK_TICKS, CommandDigest } from '../systems/ReplayRecorder.js';
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// Playback never runs more ticks than this per frame; a slow machine falls behind instead of freezing
+const MAX_STEPS_PER_FRAME = 32;
+
+// Time spent re-simulating per frame while seeking, so the overlay stays responsive
+const SEEK_FRAME_BUDGET = 30;
+
+export default class ReplayScene extends GameScene {
+  constructor() {
+    super({ key: 'ReplayScene' });
+  }
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.replay - Recording from ReplayRecorder.toJSON()
+   * @param {number} [data.seekTick] - Fast-forward to this tick once the match is rebuilt
+   * @param {number} [data.speed] - Playback speed multiplier (one of REPLAY_SPEEDS)
+   * @param {boolean} [data.paused]
+   * @param {string|null} [data.viewFaction] - Faction whose fog is shown (null shows everything)
+   */
+  init(data) {
+    this.replay = data.replay;
+    this.initialSpeed = data.speed || 1;
+    this.initialPaused = !!data.paused;
+    this.initialViewFaction = data.viewFaction ?? null;
+    this.seekTarget = Number.isInteger(data.seekTick) ? data.seekTick : null;
+
+    super.init(this.replay.mapConfig);
+  }
+
+  create() {
+    // Regenerates the recorded world from its seed
+    super.create();
+
+    if (this.replay.startState) {
+      this.applyPendingLoad(migrateSave(this.replay.startState));
+    }
+
+    this.gameSpeed = this.initialSpeed;
+    this.paused = this.initialPaused;
+
+    this.startTick = this.replay.startTick;
+    this.endTick = this.replay.endTick;
+    this.deltaRun = 0;
+    this.deltaRunOffset = 0;
+    this.playbackClock = 0;
+    this.ended = false;
+    this.outcome = null;
+
+    // Total recorded duration, for the timeline
+    this.startSimTime = this.simTime;
+    this.duration = this.replay.deltas.reduce((sum, [delta, count]) => sum + delta * count, 0);
+
+    // Commands of factions without an AI are re-issued from the recording; AI factions
+    // re-decide on their own, so their orders are only checksummed against the recording's
+    // to spot desyncs (version 1 recordings kept them in full - those are checksummed here)
+    this.aiFactions = new Set(this.aiManagers.map(ai => ai.faction));
+    this.injectedCommands = this.replay.commands.filter(c => !this.aiFactions.has(c.faction));
+    let expectedChecks = this.replay.aiChecks;
+    if (!expectedChecks) {
+      const recorded = new CommandDigest(this.startTick);
+      this.replay.commands.filter(c => this.aiFactions.has(c.faction)).forEach(c => recorded.add(c));
+      expectedChecks = recorded.checks;
+    }
+    this.expectedAIChecks = new Map(expectedChecks.map(check => [check.tick, check]));
+    this.aiDigest = new CommandDigest(this.startTick);
+    this.nextInjected = 0;
+    this.desynced = false;
+
+    // Scene events outlive a restart, so the listener is removed on shutdown
+    const onCommand = (command, result) => this.checkAICommand(command, result);
+    this.events.on('command', onCommand);
+    this.events.once('shutdown', () => this.events.off('command', onCommand));
+    if (this.peekDelta() === null) this.ended = true;
+
+    this.setViewFaction(this.initialViewFaction);
+    this.applyTimeScale();
+
+    this.scene.launch('ReplayUIScene');
+    console.log(`ReplayScene: Playing ticks ${this.startTick}-${this.endTick} (${this.replay.commands.length} commands)`);
+  }
+
+  /**
+   * Camera panning and zoom only - the recorded match cannot be ordered around
+   */
+  setupInput() {
+    this.setupObserverInput();
+  }
+
+  /**
+   * Zoom immediately (zoom tweens would freeze while playback is paused)
+   */
+  handleZoom(deltaY) {
+    const camera = this.cameras.main;
+    const step = deltaY > 0 ? -CAMERA.ZOOM_STEP : CAMERA.ZOOM_STEP;
+    camera.setZoom(Phaser.Math.Clamp(camera.zoom + step, CAMERA.ZOOM_MIN, CAMERA.ZOOM_MAX));
+  }
+
+  /**
+   * Replays are never recorded or autosaved
+   */
+  startRecording() { }
+
+  async autosaveGame() { }
+
+  /**
+   * The recording ends here - keep the final state on screen instead of showing VictoryScene
+   */
+  triggerGameOver(isVictory) {
+    if (this.gameOver) return;
+    this.gameOver = true;
+    this.outcome = isVictory ? 'victory' : 'defeat';
+    console.log(`ReplayScene: Match ended in ${this.outcome} at tick ${this.tick}`);
+  }
+
+  update(time, delta) {
+    const startTick = this.tick;
+
+    if (this.seekTarget !== null) {
+      this.fastForward();
+    } else if (!this.paused && !this.ended) {
+      this.playbackClock += delta * this.gameSpeed;
+
+      let steps = 0;
+      let next = this.peekDelta();
+      while (next !== null && this.playbackClock >= next && steps < MAX_STEPS_PER_FRAME) {
+        this.playbackClock -= next;
+        this.stepReplay();
+        next = this.peekDelta();
+        steps++;
+      }
+
+      // Drop the backlog rather than spiral when the machine cannot keep up
+      if (steps === MAX_STEPS_PER_FRAME) this.playbackClock = 0;
+    }
+
+    this.updateView(delta, this.tick !== startTick);
+  }
+
+  /**
+   * Progress towards the next recorded tick (recorded deltas need not be the fixed tick length)
+   */
+  getInterpolationAlpha() {
+    const next = this.peekDelta();
+    return next ? Math.min(this.playbackClock / next, 1) : 1;
+  }
+
+  /**
+   * Re-issue recorded orders that were given before the next tick, then advance one tick
+   */
+  stepReplay() {
+    const delta = this.takeDelta();
+    if (delta === null) {
+      this.ended = true;
+      return;
+    }
+
+    while (this.nextInjected < this.injectedCommands.length && this.injectedCommands[this.nextInjected].tick <= this.tick) {
+      const command = this.injectedCommands[this.nextInjected];
+      const result = this.commandDispatcher.dispatch({ ...command });
+      if (!result.ok) this.reportDesync(`recorded ${command.type} at tick ${command.tick} was rejected (${result.reason})`);
+      this.nextInjected++;
+    }
+
+    this.stepSimulation(delta);
+
+    // An interval of AI orders is complete once the tick after it has been stepped
+    if ((this.tick - this.startTick) % AI_CHECK_TICKS === 0) {
+      this.checkAIOrders(this.tick - AI_CHECK_TICKS);
+    }
+
+    if (this.peekDelta() === null) {
+      this.ended = true;
+      this.checkAIOrders(this.aiDigest.intervalStart(this.tick));
+      console.log('ReplayScene: End of recording');
+    }
+  }
+
+  /**
+   * Delta of the next recorded tick, or null at the end of the recording
+   */
+  peekDelta() {
+    const run = this.replay.deltas[this.deltaRun];
+    return run ? run[0] : null;
+  }
+
+  /**
+   * Consume the next recorded tick's delta
+   */
+  takeDelta() {
+    const run = this.replay.deltas[this.deltaRun];
+    if (!run) return null;
+
+    this.deltaRunOffset++;
+    if (this.deltaRunOffset >= run[1]) {
+      this.deltaRun++;
+      this.deltaRunOffset = 0;
+    }
+    return run[0];
+  }
+
+  /**
+   * Add an AI order to the playback's checksum
+   */
+  checkAICommand(command, result) {
+    if (!result.ok || !this.aiFactions.has(command.faction)) return;
+    this.aiDigest.add(command);
+  }
+
+  /**
+   * Compare the AI orders of the interval starting at a tick against the recording -
+   * a mismatch means the re-simulation drifted
+   */
+  checkAIOrders(tick) {
+    const expected = this.expectedAIChecks.get(tick);
+    const actual = this.aiDigest.get(tick);
+    if ((expected?.count ?? 0) !== (actual?.count ?? 0) || expected?.hash !== actual?.hash) {
+      this.reportDesync(`AI issued ${actual?.count ?? 0} orders in ticks ${tick}-${tick + AI_CHECK_TICKS - 1}, recording has ${expected?.count ?? 0}`);
+    }
+  }
+
+  /**
+   * Flag that playback no longer matches the recording (reported once)
+   */
+  reportDesync(reason) {
+    if (this.desynced) return;
+    this.desynced = true;
+    console.warn(`ReplayScene: Desync - ${reason}`);
+  }
+
+  /**
+   * Re-simulate towards the seek target within this frame's budget
+   */
+  fastForward() {
+    const started = performance.now();
+
+    while (this.tick < this.seekTarget && !this.ended && performance.now() - started < SEEK_FRAME_BUDGET) {
+      this.stepReplay();
+    }
+
+    if (this.tick >= this.seekTarget || this.ended) {
+      console.log(`ReplayScene: Reached tick ${this.tick}`);
+      this.seekTarget = null;
+      this.playbackClock = 0;
+    }
+  }
+
+  /**
+   * Jump to a tick. Going back rebuilds the match and re-simulates from the start.
+   */
+  seekTo(tick) {
+    const target = Phaser.Math.Clamp(Math.round(tick), this.startTick, this.endTick);
+
+    if (target >= this.tick) {
+      this.seekTarget = target;
+      return;
+    }
+
+    this.restartPlayback({ seekTick: target });
+  }
+
+  /**
+   * Restart the scene with the current playback settings
+   */
+  restartPlayback(overrides = {}) {
+    if (this.soundManager) {
+      this.soundManager.stopMusic(false);
+      this.soundManager.destroy();
+      this.soundManager = null;
+    }
+
+    this.scene.restart({
+      replay: this.replay,
+      speed: this.gameSpeed,
+      paused: this.paused,
+      viewFaction: this.viewFaction,
+      ...overrides
+    });
+  }
+
+  /**
+   * Current position as a 0-1 fraction of the recording
+   */
+  getProgress() {
+    const total = this.endTick - this.startTick;
+    return total > 0 ? (this.tick - this.startTick) / total : 1;
+  }
+
+  /**
+   * Elapsed and total recorded time in ms
+   */
+  getPlaybackTime() {
+    return { elapsed: this.simTime - this.startSimTime, total: this.duration };
+  }
+
+  /**
+   * Playback speeds cycled by the overlay
+   */
+  getGameSpeeds() {
+    return REPLAY_SPEEDS;
+  }
+
+  /**
+   * Leave playback and return to the main menu
+   */
+  exitReplay() {
+    if (this.soundManager) {
+      this.soundManager.stopMusic(false);
+      this.soundManager.destroy();
+      this.soundManager = null;
+    }
+
+    this.scene.stop('ReplayUIScene');
+    this.scene.start('MenuScene');
+  }
+}
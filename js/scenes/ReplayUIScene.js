@@ -0,0 +1,125 @@
+// Replay UI Scene - Playback controls overlaid on ReplayScene
+
+import { formatMatchTime } from '../ui/SaveBrowser.js';
+import { FACTION_LABELS } from '../utils/Constants.js';
+
+const BAR_HEIGHT = 70;
+const TIMELINE_MARGIN = 20;
+const OUTCOME_LABELS = { victory: 'Victory', defeat: 'Defeat', finished: 'Match over' };
+
+export default class ReplayUIScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ReplayUIScene' });
+  }
+
+  create() {
+    this.replayScene = this.scene.get('ReplayScene');
+
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+    const barY = height - BAR_HEIGHT;
+
+    // Bottom control bar
+    const bar = this.add.rectangle(0, barY, width, BAR_HEIGHT, 0x1a1a1a, 0.9).setOrigin(0, 0);
+    bar.setInteractive(); // Keep clicks on the bar from reaching the map
+
+    // Timeline (click to seek)
+    this.timelineX = TIMELINE_MARGIN;
+    this.timelineWidth = width - TIMELINE_MARGIN * 2;
+    const timelineY = barY + 14;
+    this.add.rectangle(this.timelineX, timelineY, this.timelineWidth, 8, 0x333333).setOrigin(0, 0.5);
+    this.timelineFill = this.add.rectangle(this.timelineX, timelineY, 0, 8, 0x4CAF50).setOrigin(0, 0.5);
+    this.seekFill = this.add.rectangle(this.timelineX, timelineY, 0, 8, 0x2196F3, 0.5).setOrigin(0, 0.5);
+
+    const timelineHit = this.add.rectangle(this.timelineX, timelineY, this.timelineWidth, 24, 0xffffff, 0).setOrigin(0, 0.5);
+    timelineHit.setInteractive({ useHandCursor: true });
+    timelineHit.on('pointerdown', (pointer) => this.seekToPointer(pointer));
+
+    // Buttons
+    const buttonY = barY + 45;
+    this.playButton = this.createButton(TIMELINE_MARGIN + 45, buttonY, '⏸ Pause', '#4CAF50', () => this.togglePause());
+    this.speedButton = this.createButton(TIMELINE_MARGIN + 150, buttonY, '1x', '#2196F3', () => this.cycleSpeed());
+    this.viewButton = this.createButton(TIMELINE_MARGIN + 280, buttonY, 'Fog: Off', '#555555', () => this.cycleView());
+    this.createButton(width - TIMELINE_MARGIN - 40, buttonY, 'Exit', '#F44336', () => this.replayScene.exitReplay());
+
+    this.timeText = this.add.text(TIMELINE_MARGIN + 400, buttonY, '', {
+      fontSize: '16px', fill: '#ffffff', fontFamily: 'Arial'
+    }).setOrigin(0, 0.5);
+
+    this.statusText = this.add.text(width / 2 + 150, buttonY, '', {
+      fontSize: '16px', fill: '#FF9800', fontFamily: 'Arial'
+    }).setOrigin(0, 0.5);
+
+    // Replay banner
+    this.add.text(width / 2, 20, 'REPLAY', {
+      fontSize: '24px', fill: '#ffffff', fontFamily: 'Arial', fontStyle: 'bold',
+      stroke: '#000000', strokeThickness: 4
+    }).setOrigin(0.5);
+
+    this.input.keyboard.on('keydown-SPACE', () => this.togglePause());
+
+    console.log('ReplayUIScene: Ready');
+  }
+
+  /**
+   * Create a small text button in the style of the settings panels
+   */
+  createButton(x, y, label, color, onClick) {
+    const button = this.add.text(x, y, label, {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      backgroundColor: color,
+      padding: { x: 12, y: 6 }
+    }).setOrigin(0.5);
+    button.setInteractive({ useHandCursor: true });
+    button.on('pointerdown', onClick);
+    return button;
+  }
+
+  togglePause() {
+    this.replayScene.togglePause();
+  }
+
+  cycleSpeed() {
+    this.replayScene.cycleGameSpeed();
+  }
+
+  cycleView() {
+    this.replayScene.cycleViewFaction();
+  }
+
+  /**
+   * Seek to the tick under the pointer
+   */
+  seekToPointer(pointer) {
+    const scene = this.replayScene;
+    const fraction = Phaser.Math.Clamp((pointer.x - this.timelineX) / this.timelineWidth, 0, 1);
+    scene.seekTo(scene.startTick + fraction * (scene.endTick - scene.startTick));
+  }
+
+  update() {
+    const scene = this.replayScene;
+    if (!scene || !scene.replay || scene.startTick === undefined) return;
+
+    this.timelineFill.width = this.timelineWidth * scene.getProgress();
+
+    const seeking = scene.seekTarget !== null;
+    const totalTicks = scene.endTick - scene.startTick;
+    const seekFraction = seeking && totalTicks > 0 ? (scene.seekTarget - scene.startTick) / totalTicks : 0;
+    this.seekFill.width = this.timelineWidth * seekFraction;
+
+    this.playButton.setText(scene.paused ? '▶ Play' : '⏸ Pause');
+    this.speedButton.setText(`${scene.gameSpeed}x`);
+    this.viewButton.setText(scene.viewFaction ? `Fog: ${FACTION_LABELS[scene.viewFaction] || scene.viewFaction}` : 'Fog: Off');
+
+    const { elapsed, total } = scene.getPlaybackTime();
+    this.timeText.setText(`${formatMatchTime(elapsed)} / ${formatMatchTime(total)}  (tick ${scene.tick})`);
+
+    const status = [];
+    if (seeking) status.push('Seeking...');
+    if (scene.ended) status.push(OUTCOME_LABELS[scene.outcome] || 'End of replay');
+    if (scene.desynced) status.push('⚠ Desync: playback differs from the recording');
+    this.statusText.setText(status.join('  •  '));
+  }
+}
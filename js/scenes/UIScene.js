@@ -1,10 +1,27 @@
 // UI Scene - HUD Overlay
 
-import { STARTING_RESOURCES, GAME_CONFIG, UI, BUILDING, FACTION_COLORS, FACTIONS, STORAGE, UNIT_COSTS } from '../utils/Constants.js';
+import { STARTING_RESOURCES, GAME_CONFIG, UI, BUILDING, FACTION_COLORS, FACTION_LABELS, FACTIONS, STORAGE, UNIT_COSTS, UNIT_STANCES, TERRAIN_COLORS, AI_DIFFICULTY } from '../utils/Constants.js';
+import { AI_STRATEGIES } from '../systems/AIStrategies.js';
 import Goose from '../entities/Goose.js';
 import { createStyledButton } from '../ui/StyledButton.js';
+import SaveBrowser from '../ui/SaveBrowser.js';
+import { COMMANDS } from '../systems/CommandDispatcher.js';
 import { worldToGridInt } from '../utils/IsometricUtils.js';
 
+// Orders on the unit panel's command card (the hotkeys are bound in GameScene)
+const COMMAND_CARD = [
+  { type: COMMANDS.STOP, label: 'Stop', hotkey: 'X', icon: '✋', tooltip: 'Stop and drop all orders.' },
+  { type: COMMANDS.HOLD, label: 'Hold Position', hotkey: 'H', icon: '🛡️', tooltip: 'Stand still and only fight enemies within attack range.' },
+  { type: COMMANDS.PATROL, label: 'Patrol', hotkey: 'R', icon: '🔁', tooltip: 'Click a point to patrol to and from, fighting enemies met on the way.\nShift-click more points to extend the loop.' }
+];
+
+// Stances on the command card (shown when combat units are selected)
+const STANCE_BUTTONS = [
+  { stance: UNIT_STANCES.AGGRESSIVE, label: 'Aggressive', icon: '⚔️', tooltip: 'Engage enemies that come near and chase them.' },
+  { stance: UNIT_STANCES.DEFENSIVE, label: 'Defensive', icon: '🏰', tooltip: 'Engage enemies that come near, but return to position after a short chase.' },
+  { stance: UNIT_STANCES.PASSIVE, label: 'Passive', icon: '🕊️', tooltip: 'Never engage unless ordered to. Good for scouts and Spies.' }
+];
+
 export default class UIScene extends Phaser.Scene {
   constructor() {
     super({ key: 'UIScene' });
@@ -35,9 +52,16 @@ export default class UIScene extends Phaser.Scene {
     // Create tooltip
     this.createTooltip();
 
+    // Observers of an AI-only match get per-faction overlays instead of the player's economy and build menu
+    this.spectating = !!this.scene.get('GameScene')?.spectating;
+
     // Create HUD elements
-    this.createTopBar();
-    this.createBuildMenu();
+    if (this.spectating) {
+      this.createSpectatorOverlay();
+    } else {
+      this.createTopBar();
+      this.createBuildMenu();
+    }
     this.createMinimap();
     // Create building panel
     this.createBuildingPanel();
@@ -45,6 +69,9 @@ export default class UIScene extends Phaser.Scene {
     // Create settings panel (contains Save/Load)
     this.createSettingsPanel();
 
+    // Pause and game speed controls
+    this.createSpeedControls();
+
     // Listen for resize events
     this.scale.on('resize', this.handleResize, this);
 
@@ -127,6 +154,17 @@ export default class UIScene extends Phaser.Scene {
     if (this.settingsButton) {
       this.settingsButton.x = this.screenWidth - 50;
     }
+
+    // Update speed controls position
+    if (this.pauseButton) {
+      this.pauseButton.x = this.screenWidth - 150;
+      this.speedButton.x = this.screenWidth - 100;
+      this.pausedBanner.x = this.screenWidth / 2;
+    }
+
+    if (this.winnerBanner) {
+      this.winnerBanner.x = this.screenWidth / 2;
+    }
   }
 
   update(time, delta) {
@@ -176,6 +214,7 @@ export default class UIScene extends Phaser.Scene {
     this.buildMenuRefreshTimer += delta;
     if (this.buildMenuRefreshTimer > 500) {
       this.updateBuildMenu();
+      if (this.spectating) this.updateSpectatorOverlay();
       this.buildMenuRefreshTimer = 0;
     }
   }
@@ -268,6 +307,96 @@ export default class UIScene extends Phaser.Scene {
     this.topBarHeight = barHeight;
   }
 
+  /**
+   * Create the observer's overlay: one row per faction (stockpile, workers, army, buildings),
+   * a fog perspective switch and the result banner
+   */
+  createSpectatorOverlay() {
+    const gameScene = this.scene.get('GameScene');
+    const factions = gameScene.getFactions();
+    const rowHeight = 22;
+    const panelHeight = 44 + factions.length * rowHeight;
+
+    this.spectatorBg = this.add.rectangle(0, 0, 620, panelHeight, 0x1a1a1a, 0.85).setOrigin(0, 0);
+    this.spectatorBg.setScrollFactor(0);
+    this.spectatorBg.setDepth(1000);
+
+    this.spectatorRows = factions.map((faction, i) => {
+      const color = `#${(FACTION_COLORS[faction] || FACTION_COLORS.NEUTRAL).toString(16).padStart(6, '0')}`;
+      const row = this.add.text(10, 8 + i * rowHeight, '', {
+        fontSize: '14px',
+        fill: color,
+        fontFamily: 'Arial',
+        stroke: '#000000',
+        strokeThickness: 2
+      });
+      row.setScrollFactor(0);
+      row.setDepth(1001);
+      return { faction, text: row };
+    });
+
+    // Fog perspective (V): everything, or one faction's view at a time
+    this.viewButton = this.add.text(10, panelHeight - 30, '', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      backgroundColor: '#3d2817',
+      padding: { x: 8, y: 4 }
+    });
+    this.viewButton.setScrollFactor(0);
+    this.viewButton.setDepth(1001);
+    this.viewButton.setInteractive({ useHandCursor: true });
+    this.viewButton.on('pointerdown', () => {
+      gameScene.cycleViewFaction();
+      this.updateSpectatorOverlay();
+      this.updateMinimap();
+    });
+
+    this.winnerBanner = this.add.text(this.screenWidth / 2, 130, '', {
+      fontSize: '32px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 5
+    });
+    this.winnerBanner.setOrigin(0.5);
+    this.winnerBanner.setScrollFactor(0);
+    this.winnerBanner.setDepth(1500);
+    this.winnerBanner.setVisible(false);
+
+    this.updateSpectatorOverlay();
+  }
+
+  /**
+   * Refresh the observer's per-faction rows, view label and result banner
+   */
+  updateSpectatorOverlay() {
+    const gameScene = this.scene.get('GameScene');
+    if (!gameScene || !this.spectatorRows) return;
+
+    for (const { faction, text } of this.spectatorRows) {
+      const stats = gameScene.getFactionStats(faction);
+      const ai = gameScene.aiManagers.find(a => a.faction === faction);
+      const { food, water, sticks, stone, tools } = stats.resources;
+      const team = stats.team !== faction ? ` (Team ${stats.team})` : '';
+      const profile = ai ? ` ${AI_DIFFICULTY[ai.difficulty].name} ${AI_STRATEGIES[ai.strategy].name} - ${ai.aiState}` : '';
+
+      text.setText(`${FACTION_LABELS[faction] || faction}${team}:${profile}   ` +
+        `🌾${food} 💧${water} 🪵${sticks} 🪨${stone} 🔧${tools}   ` +
+        `🪿${stats.workers} ⚔️${stats.army} 🏠${stats.buildings}`);
+    }
+
+    const viewFaction = gameScene.viewFaction;
+    this.viewButton.setText(`View: ${viewFaction ? FACTION_LABELS[viewFaction] || viewFaction : 'All'} (V)`);
+
+    if (gameScene.gameOver && gameScene.winningFactions) {
+      const winners = gameScene.winningFactions.map(faction => FACTION_LABELS[faction] || faction);
+      this.winnerBanner.setText(winners.length > 0 ? `${winners.join(' + ')} won!` : 'Nobody is left standing');
+      this.winnerBanner.setVisible(true);
+    }
+  }
+
   /**
    * Create build menu on the right side using segmented images (top/middle/bottom)
    */
@@ -638,13 +767,29 @@ export default class UIScene extends Phaser.Scene {
     this.minimapSize = minimapSize;
     this.minimapFrameY = frameY;
 
-    // Handle minimap clicks to move camera
+    // Handle minimap clicks to move camera (or to pick an armed attack-move's or patrol's destination)
+    this.minimapOrderPointerId = null; // Pointer whose press gave an order - its drag doesn't pan
     this.minimapBorder.on('pointerdown', (pointer) => {
+      const gameScene = this.scene.get('GameScene');
+      if (gameScene?.armedOrder) {
+        this.minimapOrderPointerId = pointer.id;
+        if (pointer.rightButtonDown()) {
+          gameScene.disarmOrder();
+        } else {
+          const world = this.minimapToWorld(pointer.x, pointer.y);
+          if (world) gameScene.issueArmedOrder(world.x, world.y);
+        }
+        return;
+      }
       this.handleMinimapClick(pointer.x, pointer.y);
     });
+    this.input.on('pointerup', (pointer) => {
+      if (pointer.id === this.minimapOrderPointerId) this.minimapOrderPointerId = null;
+    });
 
     // Also handle drag on minimap
     this.input.on('pointermove', (pointer) => {
+      if (pointer.id === this.minimapOrderPointerId) return;
       if (pointer.isDown && this.isPointerOverMinimap(pointer.x, pointer.y)) {
         this.handleMinimapClick(pointer.x, pointer.y);
       }
@@ -716,33 +861,8 @@ export default class UIScene extends Phaser.Scene {
           const tile = map.getTile(x, y);
           if (!tile) continue;
 
-          // Map terrain types to colors
-          let color;
-          switch (tile.terrainType) {
-            case 'water':
-              color = 0x42A5F5;  // Blue
-              break;
-            case 'grass':
-              color = 0x66BB6A;  // Green
-              break;
-            case 'dirt':
-              color = 0x8D6E63;  // Brown
-              break;
-            case 'sand':
-              color = 0xFFD54F;  // Yellow
-              break;
-            case 'rock':
-              color = 0x757575;  // Gray
-              break;
-            case 'snow':
-              color = 0xFFFFFF;  // White
-              break;
-            case 'ice':
-              color = 0xB3E5FC;  // Light blue
-              break;
-            default:
-              color = 0x66BB6A;  // Default green
-          }
+          // Map terrain types to colors (default green)
+          const color = TERRAIN_COLORS[tile.terrainType] ?? TERRAIN_COLORS.grass;
 
           // Convert grid to isometric minimap position
           const pos = gridToMinimap(x, y);
@@ -761,17 +881,29 @@ export default class UIScene extends Phaser.Scene {
     // Update dynamic elements (units, buildings) on separate layer
     this.minimapGraphics.clear();
 
-    // Get fog of war system if available
-    const fogOfWar = gameScene.fogOfWar;
+    // Get fog of war system if it is on
+    const fogOfWar = gameScene.fogOfWar?.enabled ? gameScene.fogOfWar : null;
+
+    // Whose side the map is drawn from (observers may look from no side: null)
+    const viewFaction = gameScene.viewFaction !== undefined ? gameScene.viewFaction : FACTIONS.PLAYER;
+    const isViewersSide = faction => viewFaction === null || gameScene.diplomacy.areAllied(viewFaction, faction);
+
+    // Own side in its faction colour, allies in the ally colour, others in theirs
+    const getMinimapColor = faction => {
+      if (viewFaction === null || faction === viewFaction) return FACTION_COLORS[faction] || FACTION_COLORS.PLAYER;
+      if (gameScene.diplomacy.areAllied(viewFaction, faction)) return FACTION_COLORS.ALLY;
+      return FACTION_COLORS[faction] || FACTION_COLORS.NEUTRAL;
+    };
 
-    // Draw player buildings (always visible)
+    // Draw buildings (own and allied always visible)
     if (gameScene.buildings) {
       gameScene.buildings.forEach(building => {
         // Use proper isometric world-to-grid conversion
         const gridPos = worldToGridInt(building.x, building.y);
+        let alpha = 1;
 
-        // For enemy buildings, track last known position and only show if explored
-        if (building.faction === FACTIONS.ENEMY_AI) {
+        // For other teams' buildings, track last known position and only show if explored
+        if (!isViewersSide(building.faction)) {
           // Check if position is currently visible or was explored
           const isVisible = fogOfWar ? fogOfWar.isVisible(gridPos.x, gridPos.y) : true;
           const isExplored = fogOfWar ? fogOfWar.isExplored(gridPos.x, gridPos.y) : true;
@@ -789,13 +921,11 @@ export default class UIScene extends Phaser.Scene {
           if (!isExplored) return;
 
           // Use slightly faded color if not currently visible
-          const alpha = isVisible ? 1 : 0.6;
-          this.minimapGraphics.fillStyle(FACTION_COLORS.ENEMY_AI, alpha);
-        } else {
-          // Player buildings - always fully visible
-          this.minimapGraphics.fillStyle(FACTION_COLORS.PLAYER, 1);
+          alpha = isVisible ? 1 : 0.6;
         }
 
+        this.minimapGraphics.fillStyle(getMinimapColor(building.faction), alpha);
+
         // Convert to isometric minimap position
         const pos = gridToMinimap(gridPos.x, gridPos.y);
 
@@ -812,14 +942,13 @@ export default class UIScene extends Phaser.Scene {
         // Use proper isometric world-to-grid conversion
         const gridPos = worldToGridInt(unit.x, unit.y);
 
-        // For enemy units, only show if currently visible
-        if (unit.faction === FACTIONS.ENEMY_AI) {
+        // For other teams' units, only show if currently visible
+        if (!isViewersSide(unit.faction)) {
           const isVisible = fogOfWar ? fogOfWar.isVisible(gridPos.x, gridPos.y) : true;
           if (!isVisible) return; // Don't show enemy units in fog
         }
 
-        const factionColor = FACTION_COLORS[unit.faction] || FACTION_COLORS.PLAYER;
-        this.minimapGraphics.fillStyle(factionColor, 1);
+        this.minimapGraphics.fillStyle(getMinimapColor(unit.faction), 1);
 
         // Convert to isometric minimap position
         const pos = gridToMinimap(gridPos.x, gridPos.y);
@@ -906,8 +1035,21 @@ export default class UIScene extends Phaser.Scene {
    * Handle click on minimap to move camera
    */
   handleMinimapClick(clickX, clickY) {
+    const world = this.minimapToWorld(clickX, clickY);
+    const camera = this.scene.get('GameScene')?.cameras.main;
+
+    // Move camera to center on this position
+    if (world && camera) {
+      camera.centerOn(world.x, world.y);
+    }
+  }
+
+  /**
+   * World position under a point on the minimap (null before the map exists)
+   */
+  minimapToWorld(clickX, clickY) {
     const gameScene = this.scene.get('GameScene');
-    if (!gameScene || !gameScene.isometricMap) return;
+    if (!gameScene || !gameScene.isometricMap) return null;
 
     const map = gameScene.isometricMap;
     const gridWidth = map.gridWidth;
@@ -934,14 +1076,10 @@ export default class UIScene extends Phaser.Scene {
     // Convert grid coordinates to world coordinates
     const tileWidthHalf = 32;
     const tileHeightHalf = 16;
-    const worldX = (gridX - gridY) * tileWidthHalf;
-    const worldY = (gridX + gridY) * tileHeightHalf;
-
-    // Move camera to center on this position
-    const camera = gameScene.cameras.main;
-    if (camera) {
-      camera.centerOn(worldX, worldY);
-    }
+    return {
+      x: (gridX - gridY) * tileWidthHalf,
+      y: (gridX + gridY) * tileHeightHalf
+    };
   }
 
   /**
@@ -1149,7 +1287,7 @@ export default class UIScene extends Phaser.Scene {
       bg.on('pointerout', () => { cancel.setVisible(false); bg.setFillStyle(0x8b7355); });
       bg.on('pointerdown', () => {
         if (this.selectedBuilding && this.selectedBuilding.productionQueue) {
-          this.selectedBuilding.productionQueue.cancelQueuedItem(i);
+          this.issueBuildingCommand(COMMANDS.CANCEL_TRAINING, { index: i });
           // Refresh panel to quickly update layout
           setTimeout(() => {
             if (this.selectedBuilding) this.showBuildingPanel(this.selectedBuilding);
@@ -2209,13 +2347,43 @@ export default class UIScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Issue a player command for the selected building
+   */
+  issueBuildingCommand(type, payload = {}) {
+    const gameScene = this.scene.get('GameScene');
+    if (!gameScene || !this.selectedBuilding) {
+      return { ok: false, reason: 'No building selected' };
+    }
+
+    return gameScene.commandDispatcher.dispatch({
+      type,
+      faction: FACTIONS.PLAYER,
+      buildingId: this.selectedBuilding.entityId,
+      ...payload
+    });
+  }
+
+  /**
+   * Issue a Spy ability command against a target building
+   */
+  issueSpyCommand(type, spy, target) {
+    const gameScene = this.scene.get('GameScene');
+    return gameScene.commandDispatcher.dispatch({
+      type,
+      faction: FACTIONS.PLAYER,
+      unitId: spy.entityId,
+      targetId: target.entityId
+    });
+  }
+
   /**
    * Purchase an upgrade for the selected building
    */
   purchaseUpgrade(upgradeKey) {
     if (!this.selectedBuilding) return;
 
-    const success = this.selectedBuilding.purchaseUpgrade?.(upgradeKey);
+    const { ok: success } = this.issueBuildingCommand(COMMANDS.UPGRADE, { upgradeKey });
     if (success) {
       console.log(`UIScene: Purchased upgrade ${upgradeKey}`);
       // Refresh the panel to show updated state
@@ -2229,8 +2397,7 @@ export default class UIScene extends Phaser.Scene {
   toggleBuildingPause() {
     if (!this.selectedBuilding) return;
 
-    if (this.selectedBuilding.togglePause) {
-      this.selectedBuilding.togglePause();
+    if (this.issueBuildingCommand(COMMANDS.TOGGLE_PAUSE).ok) {
       // Refresh the panel to show updated state
       this.showBuildingPanel(this.selectedBuilding);
     }
@@ -2242,7 +2409,7 @@ export default class UIScene extends Phaser.Scene {
   makeBatchTools() {
     if (!this.selectedBuilding || this.selectedBuilding.buildingType !== 'FACTORY') return;
 
-    const success = this.selectedBuilding.queueBatchProduction?.();
+    const { ok: success } = this.issueBuildingCommand(COMMANDS.MAKE_TOOLS, { batch: true });
     if (success) {
       console.log('UIScene: Batch tool production queued');
     }
@@ -2262,7 +2429,7 @@ export default class UIScene extends Phaser.Scene {
   }
 
   /**
-   * Show unit panel (for units with special abilities like Spy)
+   * Show unit panel (command card for the selection, plus abilities for a lone Spy)
    */
   showUnitPanel(unit) {
     if (!unit) return;
@@ -2280,20 +2447,23 @@ export default class UIScene extends Phaser.Scene {
     }
 
     // Set unit name
+    const selectedUnits = this.scene.get('GameScene').selectionManager.getSelectedUnits().filter(u => u.active);
     const unitName = unit.unitType.charAt(0).toUpperCase() + unit.unitType.slice(1);
-    this.buildingNameText.setText(unitName);
+    this.buildingNameText.setText(selectedUnits.length > 1 ? `${selectedUnits.length} Units` : unitName);
 
     // Set status (health + stealth for spy)
-    if (unit.unitType === 'spy') {
+    if (unit.unitType === 'spy' && selectedUnits.length <= 1) {
       this.showSpyPanel(unit);
     } else {
-      // Generic unit info
-      const healthPercent = Math.floor((unit.currentHealth / unit.maxHealth) * 100);
-      this.buildingStatusText.setText(`Health: ${unit.currentHealth}/${unit.maxHealth} (${healthPercent}%)`);
+      // Generic unit info (health summed over the selection)
+      const health = selectedUnits.reduce((sum, u) => sum + u.currentHealth, 0) || unit.currentHealth;
+      const maxHealth = selectedUnits.reduce((sum, u) => sum + u.maxHealth, 0) || unit.maxHealth;
+      const healthPercent = Math.floor((health / maxHealth) * 100);
+      this.buildingStatusText.setText(`Health: ${Math.ceil(health)}/${maxHealth} (${healthPercent}%)`);
       this.buildingStatusText.setColor(healthPercent > 50 ? '#4CAF50' : '#FF9800');
       this.buildingInfoText.setText('');
-      this.sectionLabel.setText('');
-      this.resizePanel(0);
+      this.sectionLabel.setText('Orders:');
+      this.addCommandCard(this.resizePanel(this.getCommandCardSize(selectedUnits)));
     }
 
     this.buildingPanelContainer.setVisible(true);
@@ -2330,32 +2500,76 @@ export default class UIScene extends Phaser.Scene {
     this.sectionLabel.setText('Abilities:');
 
     // Count buttons
-    const numButtons = 2; // Sabotage + Steal
+    const numButtons = 2 + this.getCommandCardSize([spy]); // Sabotage + Steal, then the command card
     let buttonY = this.resizePanel(numButtons, infoText !== '');
 
-    // Get GameScene for target finding
-    const gameScene = this.scene.get('GameScene');
-
     // Sabotage button
-    const sabotageLabel = abilityStatus.sabotageReady ? '⚡ Sabotage Building' : `⚡ Sabotage (${abilityStatus.sabotageCooldown}s)`;
-    this.createDynamicButton(
-      sabotageLabel,
-      buttonY,
-      () => this.useSabotage(spy),
-      abilityStatus.sabotageReady,
+    this.dynamicButtons.push(this.createDynamicButton(
+      this.panelX + 10, buttonY,
+      'Sabotage Building', abilityStatus.sabotageReady ? 'Ready' : `${abilityStatus.sabotageCooldown}s`,
+      '⚡', () => this.useSabotage(spy),
+      !abilityStatus.sabotageReady,
       'Disable an enemy building for 30s.\nMust be within 100px of target.'
-    );
+    ));
     buttonY += 38;
 
     // Steal button
-    const stealLabel = abilityStatus.stealReady ? '💰 Steal Resources' : `💰 Steal (${abilityStatus.stealCooldown}s)`;
-    this.createDynamicButton(
-      stealLabel,
-      buttonY,
-      () => this.useSteal(spy),
-      abilityStatus.stealReady,
+    this.dynamicButtons.push(this.createDynamicButton(
+      this.panelX + 10, buttonY,
+      'Steal Resources', abilityStatus.stealReady ? 'Ready' : `${abilityStatus.stealCooldown}s`,
+      '💰', () => this.useSteal(spy),
+      !abilityStatus.stealReady,
       'Steal 25 of each resource from enemy storage.\nMust be within 100px of target.'
-    );
+    ));
+    buttonY += 38;
+
+    this.addCommandCard(buttonY);
+  }
+
+  /**
+   * Buttons on the command card for a selection (stances only for combat units)
+   */
+  getCommandCardSize(selectedUnits) {
+    const hasCombatUnits = selectedUnits.some(unit => unit.setStance);
+    return COMMAND_CARD.length + (hasCombatUnits ? STANCE_BUTTONS.length : 0);
+  }
+
+  /**
+   * Stop / Hold Position / Patrol buttons for the selected units, then their stances
+   */
+  addCommandCard(buttonY) {
+    const gameScene = this.scene.get('GameScene');
+
+    for (const command of COMMAND_CARD) {
+      const onClick = command.type === COMMANDS.PATROL
+        ? () => gameScene.armOrder(command.type)
+        : () => gameScene.issueUnitOrder(command.type);
+      this.dynamicButtons.push(this.createDynamicButton(
+        this.panelX + 10, buttonY,
+        command.label, `Hotkey: ${command.hotkey}`,
+        command.icon, onClick,
+        false,
+        command.tooltip
+      ));
+      buttonY += 38;
+    }
+
+    const combatUnits = gameScene.selectionManager.getSelectedUnits().filter(unit => unit.active && unit.setStance);
+    if (combatUnits.length === 0) return;
+
+    for (const button of STANCE_BUTTONS) {
+      const current = combatUnits.every(unit => unit.stance === button.stance);
+      this.dynamicButtons.push(this.createDynamicButton(
+        this.panelX + 10, buttonY,
+        button.label, current ? 'Current stance' : 'Stance',
+        button.icon, () => {
+          if (gameScene.setSelectionStance(button.stance)) this.showUnitPanel(this.selectedUnit);
+        },
+        false,
+        button.tooltip
+      ));
+      buttonY += 38;
+    }
   }
 
   /**
@@ -2371,7 +2585,7 @@ export default class UIScene extends Phaser.Scene {
 
     if (gameScene.buildings) {
       gameScene.buildings.forEach(building => {
-        if (!building.active || building.faction === spy.faction) return;
+        if (!building.active || !gameScene.diplomacy.areHostile(spy.faction, building.faction)) return;
 
         const dist = Phaser.Math.Distance.Between(spy.x, spy.y, building.x, building.y);
         if (dist < nearestDistance) {
@@ -2382,7 +2596,7 @@ export default class UIScene extends Phaser.Scene {
     }
 
     if (nearestBuilding && nearestDistance <= spy.sabotageRange) {
-      const success = spy.sabotageBuilding(nearestBuilding);
+      const { ok: success } = this.issueSpyCommand(COMMANDS.SABOTAGE, spy, nearestBuilding);
       if (success) {
         // Refresh panel to show cooldown
         this.showSpyPanel(spy);
@@ -2408,7 +2622,7 @@ export default class UIScene extends Phaser.Scene {
 
     if (gameScene.buildings) {
       gameScene.buildings.forEach(building => {
-        if (!building.active || building.faction === spy.faction) return;
+        if (!building.active || !gameScene.diplomacy.areHostile(spy.faction, building.faction)) return;
         if (!validTypes.includes(building.buildingType?.toUpperCase())) return;
 
         const dist = Phaser.Math.Distance.Between(spy.x, spy.y, building.x, building.y);
@@ -2420,7 +2634,7 @@ export default class UIScene extends Phaser.Scene {
     }
 
     if (nearestStorage && nearestDistance <= spy.stealRange) {
-      const success = spy.stealResources(nearestStorage);
+      const { ok: success } = this.issueSpyCommand(COMMANDS.STEAL, spy, nearestStorage);
       if (success) {
         // Refresh panel to show cooldown
         this.showSpyPanel(spy);
@@ -2459,10 +2673,7 @@ export default class UIScene extends Phaser.Scene {
     }
 
     // Add to production queue (queue will check resources and deduct cost)
-    const success = this.selectedBuilding.productionQueue.addToQueue(
-      unitType,
-      gameScene.resourceManager
-    );
+    const { ok: success } = this.issueBuildingCommand(COMMANDS.TRAIN, { unitType });
 
     if (success) {
       console.log(`UIScene: Added ${unitType} to production queue`);
@@ -2481,7 +2692,7 @@ export default class UIScene extends Phaser.Scene {
       return;
     }
 
-    const success = this.selectedBuilding.queueToolProduction();
+    const { ok: success } = this.issueBuildingCommand(COMMANDS.MAKE_TOOLS, { batch: false });
     if (success) {
       console.log('UIScene: Tool production queued');
     }
@@ -2497,7 +2708,7 @@ export default class UIScene extends Phaser.Scene {
       return;
     }
 
-    const success = this.selectedBuilding.startResearch(upgradeKey);
+    const { ok: success } = this.issueBuildingCommand(COMMANDS.RESEARCH, { upgradeKey });
     if (success) {
       console.log(`UIScene: Research ${upgradeKey} started`);
     }
@@ -2516,6 +2727,8 @@ export default class UIScene extends Phaser.Scene {
     // Store limits for reference
     this.storageLimits = { food: maxFood, water: maxWater, sticks: maxSticks, stone: maxStone, tools: maxTools };
 
+    if (!this.foodText) return; // No top bar while spectating
+
     this.foodText.setText(`🌾 ${food}/${maxFood}`);
     this.waterText.setText(`💧 ${water}/${maxWater}`);
     this.sticksText.setText(`🪵 ${sticks}/${maxSticks}`);
@@ -2539,6 +2752,64 @@ export default class UIScene extends Phaser.Scene {
     return { ...this.resources };
   }
 
+  /**
+   * Create pause and game speed buttons (left of the settings gear)
+   */
+  createSpeedControls() {
+    const buttonStyle = {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      backgroundColor: '#3d2817',
+      padding: { x: 8, y: 6 }
+    };
+
+    // Pause / resume (P)
+    this.pauseButton = this.add.text(this.screenWidth - 150, 32, '⏸', buttonStyle);
+    this.pauseButton.setOrigin(0.5);
+    this.pauseButton.setScrollFactor(0);
+    this.pauseButton.setDepth(1000);
+    this.pauseButton.setInteractive({ useHandCursor: true });
+    this.pauseButton.on('pointerdown', () => this.scene.get('GameScene').togglePause());
+    this.pauseButton.on('pointerover', () => this.showTooltip(this.screenWidth - 260, 55, 'Pause / resume (P)'));
+    this.pauseButton.on('pointerout', () => this.hideTooltip());
+
+    // Game speed (+/-); clicking cycles through the speeds
+    this.speedButton = this.add.text(this.screenWidth - 100, 32, '1x', buttonStyle);
+    this.speedButton.setOrigin(0.5);
+    this.speedButton.setScrollFactor(0);
+    this.speedButton.setDepth(1000);
+    this.speedButton.setInteractive({ useHandCursor: true });
+    this.speedButton.on('pointerdown', () => this.scene.get('GameScene').cycleGameSpeed());
+    this.speedButton.on('pointerover', () => this.showTooltip(this.screenWidth - 260, 55, 'Game speed (+/-)'));
+    this.speedButton.on('pointerout', () => this.hideTooltip());
+
+    this.pausedBanner = this.add.text(this.screenWidth / 2, 80, 'PAUSED', {
+      fontSize: '32px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 5
+    });
+    this.pausedBanner.setOrigin(0.5);
+    this.pausedBanner.setScrollFactor(0);
+    this.pausedBanner.setDepth(1500);
+    this.pausedBanner.setVisible(false);
+
+    const gameScene = this.scene.get('GameScene');
+    this.updateSpeedControls(!!gameScene?.paused, gameScene?.gameSpeed || 1);
+  }
+
+  /**
+   * Show the game's pause state and speed (called by GameScene when either changes)
+   */
+  updateSpeedControls(paused, speed) {
+    this.pauseButton.setText(paused ? '▶' : '⏸');
+    this.speedButton.setText(`${speed}x`);
+    this.pausedBanner.setVisible(paused);
+  }
+
   /**
    * Create settings panel for volume controls
    */
@@ -2695,6 +2966,20 @@ export default class UIScene extends Phaser.Scene {
     loadButton.setVisible(false);
     loadButton.setInteractive({ useHandCursor: true });
 
+    // Save Replay button
+    const replayButton = this.add.text(panelX + panelWidth / 2, panelY + 320, '🎬 Save Replay', {
+      fontSize: '18px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      backgroundColor: '#9C27B0',
+      padding: { x: 15, y: 8 }
+    });
+    replayButton.setOrigin(0.5);
+    replayButton.setScrollFactor(0);
+    replayButton.setDepth(2001);
+    replayButton.setVisible(false);
+    replayButton.setInteractive({ useHandCursor: true });
+
     // Close button
     const closeButton = this.add.text(panelX + panelWidth / 2, panelY + 370, 'Close', {
       fontSize: '20px',
@@ -2726,6 +3011,7 @@ export default class UIScene extends Phaser.Scene {
       sfxHandle,
       saveButton,
       loadButton,
+      replayButton,
       closeButton
     ];
 
@@ -2757,16 +3043,37 @@ export default class UIScene extends Phaser.Scene {
       this.settingsPanelElements.forEach(element => element.setVisible(false));
     });
 
+    // Save browser shared by the Save and Load buttons
+    this.saveBrowser = new SaveBrowser(this, gameScene.saveManager, {
+      onLoad: (gameState) => this.handleLoadGame(gameState),
+      getSaveData: () => ({
+        gameState: gameScene.serializeGameState(),
+        metadata: gameScene.getSaveMetadata()
+      })
+    });
+
     // Save button click handler
     saveButton.on('pointerdown', () => {
       this.settingsPanelElements.forEach(element => element.setVisible(false));
-      this.handleSaveGame();
+      if (gameScene.soundManager) gameScene.soundManager.playSFX('sfx-button-click');
+      this.saveBrowser.show('save');
     });
 
     // Load button click handler
     loadButton.on('pointerdown', () => {
       this.settingsPanelElements.forEach(element => element.setVisible(false));
-      this.handleLoadGame();
+      if (gameScene.soundManager) gameScene.soundManager.playSFX('sfx-button-click');
+      this.saveBrowser.show('load');
+    });
+
+    // Save Replay click handler (the recording so far; finished matches are saved automatically)
+    replayButton.on('pointerdown', async () => {
+      this.settingsPanelElements.forEach(element => element.setVisible(false));
+      if (gameScene.soundManager) gameScene.soundManager.playSFX('sfx-button-click');
+
+      const replayId = await gameScene.saveReplay();
+      this.showTooltip(this.screenWidth - 200, 100, replayId ? 'Replay saved' : 'Could not save replay');
+      this.time.delayedCall(2000, () => this.hideTooltip());
     });
 
     // Music slider drag handler
@@ -2806,139 +3113,16 @@ export default class UIScene extends Phaser.Scene {
     console.log('UIScene: Settings panel created');
   }
 
-
-
-  /**
-   * Orchestrate Game Save
-   */
-  async handleSaveGame() {
-    const gameScene = this.scene.get('GameScene');
-    if (!gameScene) return;
-
-    // Play sound
-    if (gameScene.soundManager) gameScene.soundManager.playSFX('sfx-button-click');
-
-    this.showTooltip(this.screenWidth - 200, 100, 'Saving game...');
-
-    try {
-      // Lazy load SaveManager since it might not be initialized globally
-      if (!this.saveManager) {
-        const { default: SaveManager } = await import('../utils/SaveManager.js');
-        this.saveManager = new SaveManager();
-      }
-
-      const gameState = {
-        resources: gameScene.resourceManager.toJSON(),
-        buildings: gameScene.buildingManager.toJSON(),
-        units: gameScene.units.map(u => u.toJSON()),
-        camera: {
-          x: gameScene.cameras.main.scrollX,
-          y: gameScene.cameras.main.scrollY,
-          zoom: gameScene.cameras.main.zoom
-        }
-      };
-
-      await this.saveManager.saveGame('auto_save', gameState);
-      this.showTooltip(this.screenWidth - 200, 100, 'Game Saved Successfully!');
-
-      // Hide tooltip after delay
-      this.time.delayedCall(2000, () => this.hideTooltip());
-
-
-    } catch (err) {
-      console.error('Failed to save game:', err);
-      this.showTooltip(this.screenWidth - 200, 100, 'Error: Could not save game.');
-      this.time.delayedCall(3000, () => this.hideTooltip());
-    }
-  }
-
   /**
-   * Orchestrate Game Load
+   * Restart the match from a save picked in the save browser
    */
-  async handleLoadGame() {
+  handleLoadGame(gameState) {
     const gameScene = this.scene.get('GameScene');
     if (!gameScene) return;
 
-    // Play sound
-    if (gameScene.soundManager) gameScene.soundManager.playSFX('sfx-button-click');
-
     this.showTooltip(this.screenWidth - 200, 100, 'Loading game...');
 
-    try {
-      if (!this.saveManager) {
-        const { default: SaveManager } = await import('../utils/SaveManager.js');
-        this.saveManager = new SaveManager();
-      }
-
-      const gameState = await this.saveManager.loadGame('auto_save');
-
-      if (!gameState) {
-        this.showTooltip(this.screenWidth - 200, 100, 'No save found.');
-        this.time.delayedCall(2000, () => this.hideTooltip());
-        return;
-      }
-
-      // Cleanup existing entities
-      [...gameScene.buildings].forEach(b => b.destroy());
-      [...gameScene.units].forEach(u => u.destroy());
-      gameScene.buildings = [];
-      gameScene.units = [];
-
-      // Restore state
-      if (gameState.resources) gameScene.resourceManager.fromJSON(gameState.resources);
-      if (gameState.buildings) gameScene.buildingManager.fromJSON(gameState.buildings);
-
-      // Restore Units
-      if (gameState.units && Array.isArray(gameState.units)) {
-        gameState.units.forEach(uData => {
-          let unit;
-          const type = uData.unitType?.toLowerCase() || 'worker';
-
-          switch (type) {
-            case 'worker':
-              const Goose = gameScene.unitClasses?.Goose;
-              if (Goose) unit = new Goose(gameScene, uData.x, uData.y, uData.faction);
-              break;
-            case 'guard':
-              const Guard = gameScene.unitClasses?.Guard;
-              if (Guard) unit = new Guard(gameScene, uData.x, uData.y, uData.faction);
-              break;
-            case 'scout':
-              const Scout = gameScene.unitClasses?.Scout;
-              if (Scout) unit = new Scout(gameScene, uData.x, uData.y, uData.faction);
-              break;
-            case 'spy':
-              const Spy = gameScene.unitClasses?.Spy;
-              if (Spy) unit = new Spy(gameScene, uData.x, uData.y, uData.faction);
-              break;
-            case 'maverick':
-              const Maverick = gameScene.unitClasses?.Maverick;
-              if (Maverick) unit = new Maverick(gameScene, uData.x, uData.y, uData.faction);
-              break;
-          }
-
-          if (unit) {
-            unit.fromJSON(uData);
-            gameScene.units.push(unit);
-          }
-        });
-        console.log(`UIScene: Restored ${gameState.units.length} units`);
-      }
-
-      // Restore camera
-      if (gameState.camera) {
-        gameScene.cameras.main.setScroll(gameState.camera.x, gameState.camera.y);
-        gameScene.cameras.main.setZoom(gameState.camera.zoom);
-      }
-
-      this.showTooltip(this.screenWidth - 200, 100, 'Game Loaded!');
-      this.time.delayedCall(2000, () => this.hideTooltip());
-
-
-    } catch (err) {
-      console.error('Failed to load game:', err);
-      this.showTooltip(this.screenWidth - 200, 100, 'Error: Could not load game.');
-      this.time.delayedCall(3000, () => this.hideTooltip());
-    }
+    // Regenerate the saved world and restore everything else on top of it
+    gameScene.restartFromSave(gameState);
   }
 }
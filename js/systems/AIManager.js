@@ -1,33 +1,59 @@
 // AI Manager - Controls enemy AI faction
 
-import { FACTIONS, UNIT_STATES, BUILDING_STATES, MAP, BUILDING } from '../utils/Constants.js';
+import { FACTIONS, UNIT_STATES, UNIT_STANCES, BUILDING_STATES, MAP, BUILDING, UNIT_COSTS, SIMULATION, AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY } from '../utils/Constants.js';
 import { worldToGridInt } from '../utils/IsometricUtils.js';
+import { COMMANDS } from './CommandDispatcher.js';
+import { AI_STRATEGIES, normalizeBuildOrder } from './AIStrategies.js';
+import FactionVision from './FactionVision.js';
+import ExpansionPlanner from './ExpansionPlanner.js';
 import Coop from '../buildings/Coop.js';
-import ResourceStorage from '../buildings/ResourceStorage.js';
-import Barracks from '../buildings/Barracks.js';
-import Factory from '../buildings/Factory.js';
-import Mine from '../buildings/Mine.js';
 import Goose from '../entities/Goose.js';
-import Guard from '../entities/Guard.js';
-import Scout from '../entities/Scout.js';
+
+const DEFAULT_STRATEGY = 'BALANCED';
+
+const AI_MAX_QUEUED = 2;            // Units queued per building at a time (keeps resources liquid)
+const AI_STAGING_DISTANCE = 200;    // px from the base toward the enemy where new troops gather
+const AI_TOOL_RESERVE = 10;         // Tools kept on hand for upgrades and repairs
+const AI_TOOLS_PER_DECISION = 5;    // Tool conversions per decision at most
+const AI_UNIT_MEMORY = 60000;       // ms a sighting of an enemy unit is trusted for
+const AI_WATCHTOWER_COVER = 200;    // px - a Watchtower this close spots spies at work on a building
+const AI_BASE_RADIUS = 600;         // px around a Coop or Resource Storage its workers gather in
+const AI_DRY_THRESHOLD = 400;       // Resources left around the bases before the AI expands
+const AI_EXPANSION_SPACING = 800;   // px - no expansion this close to a base or known enemy building
+const AI_SITE_CLAIM_RADIUS = 400;   // px - buildings this close to a site belong to it
+const AI_EXPANSION_CHECK = 15000;   // ms between searches for a new site
+const AI_PATH_RETRY = 3000;         // ms a unit is left alone after its last order found no path
+
+// Drop-off points for gathered resources
+const AI_DROP_OFFS = ['COOP', 'RESOURCE_STORAGE'];
+
+// Enemy buildings a spy goes after, by ability
+const AI_SABOTAGE_TARGETS = ['FACTORY', 'BARRACKS'];
+const AI_STEAL_TARGETS = ['RESOURCE_STORAGE', 'COOP'];
+
+/**
+ * Sum two resource costs, counting only the resource types the first one uses
+ * (a reserve of stone should not block a unit that costs no stone)
+ */
+function combineCosts(a, b) {
+  const total = { ...a };
+  for (const [type, amount] of Object.entries(b)) {
+    if (total[type]) total[type] += amount;
+  }
+  return total;
+}
 
 export default class AIManager {
-  constructor(scene, faction = FACTIONS.ENEMY_1) {
+  constructor(scene, faction = FACTIONS.ENEMY_1, difficulty = DEFAULT_AI_DIFFICULTY, strategy = DEFAULT_STRATEGY) {
     this.scene = scene;
     this.faction = faction;
 
     // AI state machine
     this.aiState = 'GATHERING'; // GATHERING, BUILDING, DEFENDING, ATTACKING
     this.updateTimer = 0;
-    this.updateInterval = 2000; // Make decisions every 2 seconds
-
-    // AI resources (separate from player)
-    this.resources = {
-      food: 200,
-      water: 100,
-      sticks: 150,
-      tools: 0
-    };
+
+    // AI stockpile (its faction's ResourceManager, with the same storage rules as the player's)
+    this.resourceManager = scene.getResourceManager(faction);
 
     // AI entity tracking
     this.aiBase = null;
@@ -35,13 +61,81 @@ export default class AIManager {
     this.aiWorkers = [];
     this.aiCombatUnits = [];
 
+    // What the AI knows: its own line of sight, and where it last saw enemy buildings and units
+    this.vision = new FactionVision(scene, faction);
+    this.enemyMemory = new Map(); // entityId -> { entityId, faction, buildingType, unitType, x, y, seenAt }
+    this.fullVision = false;      // Setup option; only difficulties that allow it see through the fog
+    this.scoutId = null;          // Unit exploring for enemy bases
+    this.scoutTarget = null;
+    this.exploreTarget = null;    // Where idle army units were last sent to explore, and on which tick
+
+    // Resource sites claimed away from the main base
+    this.expansionPlanner = new ExpansionPlanner(scene);
+    this.expansions = [];         // { x, y, gridX, gridY, rockTile } per claimed site
+    this.failedSites = [];        // "gridX,gridY" of sites that could not be built on
+    this.nextExpansionCheck = 0;  // Match time of the next search for a site
+    this.prospectorId = null;     // Worker exploring for a site when none is known
+    this.defendTarget = null;     // Base (Coop or expansion Storage) under threat
+
     // AI behavior settings
     this.aggression = 0.5; // 0-1, affects when AI attacks
     this.economyFocus = 0.7; // 0-1, affects worker vs military ratio
-    this.maxWorkers = 5;
-    this.attackArmySize = 3; // Minimum combat units before attacking
+    this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : DEFAULT_AI_DIFFICULTY;
+    this.setStrategy(strategy);
+
+    console.log(`AIManager [${this.faction}]: Initialized (${this.preset.name} ${this.profile.name})`);
+  }
+
+  /**
+   * Apply a difficulty preset (decision speed, build order depth, economy, army and micro)
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = AI_DIFFICULTY[difficulty] ? difficulty : DEFAULT_AI_DIFFICULTY;
+    this.applyTuning();
+  }
+
+  /**
+   * Apply a strategy profile (build order, army mix and attack timing)
+   */
+  setStrategy(strategy) {
+    this.strategy = AI_STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY;
+    this.applyTuning();
+  }
+
+  /**
+   * Let the AI see the whole map (applies only on difficulties whose preset allows it)
+   */
+  setFullVision(enabled) {
+    this.fullVision = !!enabled;
+  }
+
+  /**
+   * Whether the AI currently ignores the fog of war
+   */
+  hasFullVision() {
+    return this.fullVision && this.preset.fullVision;
+  }
 
-    console.log('AIManager: Initialized');
+  /**
+   * Combine the difficulty preset with the strategy profile into the values the AI plays by
+   */
+  applyTuning() {
+    const preset = AI_DIFFICULTY[this.difficulty];
+    const profile = AI_STRATEGIES[this.strategy];
+    this.preset = preset;
+    this.profile = profile;
+
+    this.updateInterval = preset.decisionInterval;
+    this.buildOrder = normalizeBuildOrder(profile.buildOrder.slice(0, preset.buildOrderDepth));
+    // Spies need a Research Center and raiding Mavericks an Airstrip; add them after the build order when missing
+    if (preset.spies > 0 && !this.buildOrder.some(step => step.build === 'RESEARCH_CENTER')) this.buildOrder.push({ build: 'RESEARCH_CENTER' });
+    if (preset.raiders > 0 && !this.buildOrder.some(step => step.build === 'AIRSTRIP')) this.buildOrder.push({ build: 'AIRSTRIP' });
+    this.researchPlan = (profile.research || []).slice(0, preset.researchDepth);
+    this.army = profile.army || preset.army;
+    this.maxWorkers = Math.max(1, Math.round(preset.maxWorkers * (profile.workerScale ?? 1)));
+    this.buildThreshold = preset.buildThreshold * (profile.buildThresholdScale ?? 1);
+    this.attackArmySize = Math.max(1, Math.round(preset.attackArmySize * (profile.attackSizeScale ?? 1)));
+    this.firstAttackTime = Math.max(preset.firstAttackTime, profile.firstAttackTime ?? 0);
   }
 
   /**
@@ -139,21 +233,38 @@ export default class AIManager {
       return;
     }
 
-    // Count resources and units
-    const workerCount = this.aiWorkers.length;
-    const combatCount = this.aiCombatUnits.length;
-    const totalResources = this.resources.food + this.resources.water + this.resources.sticks;
+    // Look around, then explore until an enemy base has been found
+    this.updateIntel();
+    this.manageScouting();
+
+    // Production buildings send new troops to the staging point
+    this.setRallyPoints();
+
+    // Spies and raiders work apart from the army; sabotaged buildings get a Watchtower
+    this.manageSpecialOps();
+    this.reactToSabotage();
+
+    // Claim new resource sites as the bases run dry (not while fighting off an attack)
+    if (this.aiState !== 'DEFENDING') {
+      this.manageExpansions();
+    }
+
+    // Count resources and units (workers still in training count toward the cap)
+    const workerCount = this.aiWorkers.length + this.countQueued('worker');
+    const combatCount = this.getArmy().length;
+    const { food, water, sticks } = this.resourceManager.getResources();
+    const totalResources = food + water + sticks;
 
     // State transitions
     switch (this.aiState) {
       case 'GATHERING':
         // Gather resources, train workers
-        if (workerCount < this.maxWorkers && this.canAfford({ food: 50 })) {
+        if (workerCount < this.maxWorkers && this.resourceManager.canAfford(UNIT_COSTS.WORKER)) {
           this.trainWorker();
         }
 
         // Transition to BUILDING if enough resources
-        if (totalResources > 500) {
+        if (totalResources > this.buildThreshold) {
           this.aiState = 'BUILDING';
           console.log('AIManager: Transitioning to BUILDING');
         }
@@ -166,11 +277,22 @@ export default class AIManager {
         break;
 
       case 'BUILDING':
-        // Build structures
+        // Build structures, make tools for them at the Factory and buy upgrades with what is left
         this.buildStructures();
+        this.makeTools();
+        this.purchaseUpgrades();
+
+        // Workers train alongside construction now, as long as the next build step stays affordable
+        if (workerCount < this.maxWorkers) {
+          const nextStep = this.getReadyBuildStep();
+          const reserve = nextStep ? BUILDING[nextStep].cost : {};
+          if (this.resourceManager.canAfford(combineCosts(UNIT_COSTS.WORKER, reserve))) {
+            this.trainWorker();
+          }
+        }
 
-        // Transition to ATTACKING if army is ready
-        if (combatCount >= this.attackArmySize) {
+        // Transition to ATTACKING if army is ready (and it is not too early to attack)
+        if (combatCount >= this.attackArmySize && this.scene.getMatchTime() >= this.firstAttackTime) {
           this.aiState = 'ATTACKING';
           console.log('AIManager: Transitioning to ATTACKING - army ready!');
         }
@@ -192,7 +314,10 @@ export default class AIManager {
         break;
 
       case 'ATTACKING':
-        // Send units to attack
+        // Send units to attack, and keep upgrading the army back home
+        this.makeTools();
+        this.purchaseUpgrades();
+
         // Transition to DEFENDING if base under attack
         if (this.detectEnemyNearBase()) {
           this.aiState = 'DEFENDING';
@@ -225,29 +350,64 @@ export default class AIManager {
     // Limit construction workers (leave some for gathering)
     const maxConstructionWorkers = Math.min(2, Math.ceil(this.aiWorkers.length / 2));
 
+    // With every worker busy gathering nobody would ever go to a new site - pull the nearest one off
+    if (incompleteBuildings.length > 0 && !this.aiWorkers.some(w => this.isBuilder(w))) {
+      const site = incompleteBuildings[0];
+      let builder = null;
+      let builderDist = Infinity;
+      for (const worker of this.aiWorkers) {
+        if (!worker.active || worker.entityId === this.prospectorId) continue;
+        const dist = Phaser.Math.Distance.Between(worker.x, worker.y, site.x, site.y);
+        if (dist < builderDist) {
+          builderDist = dist;
+          builder = worker;
+        }
+      }
+      if (builder) {
+        this.issueCommand({ type: COMMANDS.BUILD, unitIds: [builder.entityId], buildingId: site.entityId });
+      }
+    }
+
     // Assign workers to tasks
     this.aiWorkers.forEach(worker => {
-      if (!worker.active) return;
+      if (!worker.active || worker.entityId === this.prospectorId) return;
+
+      // A worker that cannot reach its order would get the same one again every tick - wait a while
+      if (this.isWaitingAfterFailedPath(worker)) return;
 
-      // Ensure workers deposit to AI base
-      if (!worker.homeBase || worker.homeBase !== this.aiBase) {
-        worker.homeBase = this.aiBase;
+      // Ensure workers deposit at the AI's nearest Coop or expansion Resource Storage
+      const dropOff = this.findDropOff(worker);
+      if (dropOff && worker.homeBase !== dropOff) {
+        worker.homeBase = dropOff;
       }
 
       // Check if worker has resources in inventory
       const hasResources = worker.inventory &&
         (worker.inventory.food + worker.inventory.water + worker.inventory.sticks + worker.inventory.tools) > 0;
 
+      // Cargo the stockpile has no room for would block the worker forever - drop it
+      if (worker.state === UNIT_STATES.IDLE && hasResources && !worker.hasStorageSpaceForInventory()) {
+        worker.emptyInventory();
+      }
+
+      // Workers that stopped short of their construction site (blocked path) go back to it;
+      // finished or destroyed sites are forgotten so they no longer count as builders
+      if (worker.state === UNIT_STATES.IDLE && worker.targetBuilding) {
+        if (worker.targetBuilding.active && worker.targetBuilding.state === BUILDING_STATES.CONSTRUCTION) {
+          this.issueCommand({ type: COMMANDS.BUILD, unitIds: [worker.entityId], buildingId: worker.targetBuilding.entityId });
+          return;
+        }
+        worker.targetBuilding = null;
+      }
+
       // Priority 1: Assign idle workers to construction (if buildings need it)
       if (worker.state === UNIT_STATES.IDLE && incompleteBuildings.length > 0) {
         // Check if we need more construction workers
-        const currentConstructing = this.aiWorkers.filter(w =>
-          w.active && (w.state === UNIT_STATES.CONSTRUCTING || w.targetBuilding)
-        ).length;
+        const currentConstructing = this.aiWorkers.filter(w => this.isBuilder(w)).length;
 
         if (currentConstructing < maxConstructionWorkers) {
           const targetBuilding = incompleteBuildings[0];
-          worker.buildConstruction(targetBuilding);
+          this.issueCommand({ type: COMMANDS.BUILD, unitIds: [worker.entityId], buildingId: targetBuilding.entityId });
           if (window.gcVerbose) console.log(`AIManager: Assigned worker to construct ${targetBuilding.buildingName}`);
           return;
         }
@@ -257,156 +417,383 @@ export default class AIManager {
       if (worker.state === UNIT_STATES.IDLE || (worker.state === UNIT_STATES.RETURNING && !hasResources)) {
         const resource = this.findNearestResource(worker);
         if (resource && resource.hasResources()) {
-          worker.gatherFrom(resource);
+          this.issueCommand({ type: COMMANDS.GATHER, unitIds: [worker.entityId], resourceId: resource.entityId });
         }
       }
     });
   }
 
+  /**
+   * Check if a unit's last path request found nothing, recently enough not to order it again yet
+   */
+  isWaitingAfterFailedPath(unit) {
+    return unit.pathFailedTick !== null && unit.pathFailedTick !== undefined &&
+      (this.scene.tick - unit.pathFailedTick) * SIMULATION.TICK_MS < AI_PATH_RETRY;
+  }
+
+  /**
+   * Check if a worker is building, or on its way to a construction site
+   */
+  isBuilder(worker) {
+    return worker.active && worker.targetBuilding?.active && worker.targetBuilding.state === BUILDING_STATES.CONSTRUCTION &&
+      (worker.state === UNIT_STATES.CONSTRUCTING || worker.state === UNIT_STATES.MOVING);
+  }
+
   /**
    * Manage AI army
    */
   manageArmy() {
     // Train combat units if in BUILDING or ATTACKING state
     if ((this.aiState === 'BUILDING' || this.aiState === 'ATTACKING') && this.aiBase) {
-      // Check if we have resources and production capacity
-      if (this.aiCombatUnits.length < this.attackArmySize * 2) {
-        // Try to train a guard (alternate with scout for variety)
-        const shouldTrainGuard = this.aiCombatUnits.length % 2 === 0;
-        if (shouldTrainGuard && this.canAfford({ food: 75, water: 25, sticks: 50, tools: 5 })) {
-          this.trainCombatUnit('guard');
-        } else if (this.canAfford({ food: 40, water: 30, sticks: 20, tools: 3 })) {
-          this.trainCombatUnit('scout');
+      // Check if we have resources and production capacity (troops in training count toward the army)
+      const armySize = this.getArmy().length + this.army.reduce((sum, unitType) => sum + this.countQueued(unitType), 0);
+      if (armySize < this.attackArmySize * 2) {
+        // Train the next unit of the army mix (the first one without waiting on the next build step)
+        const unitType = this.getNextArmyUnit(armySize);
+        const reserve = armySize > 0 ? this.getBuildReserve() : {};
+        if (unitType && this.resourceManager.canAfford(combineCosts(UNIT_COSTS[unitType.toUpperCase()], reserve))) {
+          this.trainCombatUnit(unitType);
         }
       }
     }
 
-    // Command combat units based on state
+    // Command combat units based on state; at home they chase off attackers but are not drawn away
     if (this.aiState === 'ATTACKING') {
       this.commandAttack();
-    } else if (this.aiState === 'DEFENDING') {
-      this.commandDefend();
+    } else {
+      this.setStance(this.getArmy(), UNIT_STANCES.DEFENSIVE);
+      if (this.aiState === 'DEFENDING') this.commandDefend();
+    }
+  }
+
+  /**
+   * Cost to keep back for the next build order step while building up (empty otherwise)
+   */
+  getBuildReserve() {
+    const nextStep = this.aiState === 'BUILDING' ? this.getReadyBuildStep() : null;
+    return nextStep ? BUILDING[nextStep].cost : {};
+  }
+
+  /**
+   * Combat units that fight with the main army (not scouting, spying or raiding)
+   */
+  getArmy() {
+    const raiders = this.getRaiders();
+    return this.aiCombatUnits.filter(u =>
+      u.entityId !== this.scoutId && u.unitType !== 'spy' && !raiders.includes(u));
+  }
+
+  /**
+   * Mavericks set aside to raid enemy workers (the first few trained)
+   */
+  getRaiders() {
+    return this.aiCombatUnits.filter(u => u.active && u.unitType === 'maverick').slice(0, this.preset.raiders);
+  }
+
+  /**
+   * Next combat unit in the army mix, skipping units the AI has no building to train
+   */
+  getNextArmyUnit(armySize = this.getArmy().length) {
+    const available = this.army.filter(unitType => this.findProductionBuilding(unitType));
+    if (available.length === 0) return null;
+
+    return available[armySize % available.length];
+  }
+
+  /**
+   * Operational AI building that trains a unit type, preferring the shortest queue
+   */
+  findProductionBuilding(unitType) {
+    let best = null;
+
+    for (const building of this.aiBuildings) {
+      if (!building.active || building.state !== BUILDING_STATES.OPERATIONAL || !building.productionQueue) continue;
+      if (!building.canProduce?.includes(unitType)) continue;
+
+      if (!best || building.productionQueue.queue.length < best.productionQueue.queue.length) {
+        best = building;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Units of a type waiting in (or going through) this AI's production queues
+   */
+  countQueued(unitType) {
+    let count = 0;
+
+    for (const building of this.aiBuildings) {
+      if (!building.active || !building.productionQueue) continue;
+      count += building.productionQueue.queue.filter(item => item.unitType === unitType).length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Point new military buildings' rally points at a staging spot between the base and the nearest enemy
+   */
+  setRallyPoints() {
+    const targetBase = this.findNearestEnemyBase();
+    if (!targetBase) return;
+
+    const angle = Phaser.Math.Angle.Between(this.aiBase.x, this.aiBase.y, targetBase.x, targetBase.y);
+    const x = Math.round(this.aiBase.x + Math.cos(angle) * AI_STAGING_DISTANCE);
+    const y = Math.round(this.aiBase.y + Math.sin(angle) * AI_STAGING_DISTANCE);
+
+    for (const building of this.aiBuildings) {
+      if (!building.active || building === this.aiBase || !building.productionQueue || building.rallyPoint) continue;
+      this.issueCommand({ type: COMMANDS.RALLY, buildingId: building.entityId, x, y });
     }
   }
 
+  /**
+   * Turn spare sticks into tools at an operational Factory when the next building or upgrade needs them
+   */
+  makeTools() {
+    const factory = this.aiBuildings.find(b =>
+      b.active && b.buildingType === 'FACTORY' && b.state === BUILDING_STATES.OPERATIONAL && !b.isSabotaged);
+    if (!factory) return;
+
+    const nextStep = this.getReadyBuildStep();
+    const nextUpgrade = this.getNextUpgrade();
+    const needed = Math.max(
+      (nextStep ? BUILDING[nextStep].cost.tools || 0 : 0) + (nextUpgrade ? nextUpgrade.upgrade.cost.tools || 0 : 0),
+      AI_TOOL_RESERVE
+    );
+
+    for (let i = 0; i < AI_TOOLS_PER_DECISION && this.resourceManager.getAmount('tools') < needed; i++) {
+      if (!this.issueCommand({ type: COMMANDS.MAKE_TOOLS, buildingId: factory.entityId }).ok) break;
+    }
+  }
+
+  /**
+   * Next entry of the research plan the AI can buy now: { building, upgradeKey, upgrade }.
+   * Entries wait (are skipped) while no operational building of the AI offers them.
+   */
+  getNextUpgrade() {
+    for (const upgradeKey of this.researchPlan) {
+      const offering = this.aiBuildings.filter(b =>
+        b.active && b.state === BUILDING_STATES.OPERATIONAL && b.upgrades?.[upgradeKey]);
+      if (offering.length === 0) continue;
+
+      // Research applies faction-wide, so one Research Center doing it is enough
+      if ('researched' in offering[0].upgrades[upgradeKey]) {
+        if (offering.some(b => b.upgrades[upgradeKey].researched || b.currentResearch === upgradeKey)) continue;
+        const center = offering.find(b => !b.currentResearch);
+        if (center) return { building: center, upgradeKey, upgrade: center.upgrades[upgradeKey] };
+        continue;
+      }
+
+      // Building upgrades apply per building, so each one gets its own
+      const building = offering.find(b => !b.upgrades[upgradeKey].purchased);
+      if (building) return { building, upgradeKey, upgrade: building.upgrades[upgradeKey] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Buy the next upgrade of the research plan, keeping enough back for the next build step
+   */
+  purchaseUpgrades() {
+    const next = this.getNextUpgrade();
+    if (!next) return;
+
+    const nextStep = this.getReadyBuildStep();
+    const reserve = nextStep ? BUILDING[nextStep].cost : {};
+    if (!this.resourceManager.canAfford(combineCosts(next.upgrade.cost, reserve))) return;
+
+    const isResearch = 'researched' in next.upgrade;
+    const result = this.issueCommand({
+      type: isResearch ? COMMANDS.RESEARCH : COMMANDS.UPGRADE,
+      buildingId: next.building.entityId,
+      upgradeKey: next.upgradeKey
+    });
+    if (!result.ok) return;
+
+    console.log(`AIManager [${this.faction}]: ${isResearch ? 'Researching' : 'Purchased'} ${next.upgrade.name} at ${next.building.buildingName}`);
+  }
+
   /**
    * Command AI units to attack the nearest enemy base
    */
   commandAttack() {
-    // Find closest non-allied base
+    // Find closest known enemy base; with none found yet, the army goes looking
     const targetBase = this.findNearestEnemyBase();
-    if (!targetBase) return;
+    if (!targetBase) {
+      this.commandExplore();
+      return;
+    }
 
-    // Send all combat units toward player base
-    this.aiCombatUnits.forEach(unit => {
-      if (!unit.active) return;
+    // Send the army toward the target base, fighting whatever it meets
+    const army = this.getArmy();
+    this.setStance(army, UNIT_STANCES.AGGRESSIVE);
+    army.forEach(unit => {
+      if (!unit.active || this.isWaitingAfterFailedPath(unit)) return;
+
+      // Badly hurt units fall back to defend the base instead
+      if (this.shouldRetreat(unit)) {
+        if (!this.isHeadingTo(unit, this.aiBase.x, this.aiBase.y) &&
+          Phaser.Math.Distance.Between(unit.x, unit.y, this.aiBase.x, this.aiBase.y) > 400) {
+          this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: this.aiBase.x, y: this.aiBase.y });
+        }
+        return;
+      }
 
-      // If unit is idle or has no target, move to player base
+      // If unit is idle or has no target, move to the target base
       if (unit.state === UNIT_STATES.IDLE || !unit.targetEnemy) {
-        const distance = Phaser.Math.Distance.Between(unit.x, unit.y, playerBase.x, playerBase.y);
+        const distance = Phaser.Math.Distance.Between(unit.x, unit.y, targetBase.x, targetBase.y);
 
-        // If not near player base, move there
+        // If not near the target base, move there
         if (distance > 300) {
-          unit.moveTo(targetBase.x, targetBase.y);
+          if (!this.isHeadingTo(unit, targetBase.x, targetBase.y)) {
+            this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: targetBase.x, y: targetBase.y });
+          }
         } else {
           // Near target base, look for enemies to attack
-          const enemy = unit.findNearestEnemy();
+          const enemy = (this.preset.focusFire && this.findFocusTarget(unit)) || unit.findNearestEnemy();
           if (enemy) {
-            unit.engageTarget(enemy);
+            this.issueCommand({ type: COMMANDS.ATTACK, unitIds: [unit.entityId], targetId: enemy.entityId });
           }
         }
       }
     });
   }
 
+  /**
+   * Check if a unit is hurt enough to pull out of an attack
+   */
+  shouldRetreat(unit) {
+    return this.preset.retreatHealth > 0 && unit.currentHealth / unit.maxHealth < this.preset.retreatHealth;
+  }
+
+  /**
+   * Pick the weakest hostile unit within a unit's engagement range (for focus fire)
+   */
+  findFocusTarget(unit) {
+    let weakest = null;
+
+    for (const enemy of this.scene.units) {
+      if (!enemy.active || !this.isHostile(enemy.faction) || !this.canSee(enemy)) continue;
+      if (!unit.canTargetEnemy(enemy)) continue;
+
+      const distance = Phaser.Math.Distance.Between(unit.x, unit.y, enemy.x, enemy.y);
+      if (distance <= unit.engagementRange && (!weakest || enemy.currentHealth < weakest.currentHealth)) {
+        weakest = enemy;
+      }
+    }
+
+    return weakest;
+  }
+
   /**
    * Command AI units to defend base
    */
   commandDefend() {
     if (!this.aiBase) return;
 
-    // Position combat units near base
-    this.aiCombatUnits.forEach(unit => {
-      if (!unit.active) return;
+    // Position the army near the threatened base (the main one unless an expansion is attacked)
+    const base = this.defendTarget?.active ? this.defendTarget : this.aiBase;
+    this.getArmy().forEach(unit => {
+      if (!unit.active || this.isWaitingAfterFailedPath(unit)) return;
 
-      const distanceToBase = Phaser.Math.Distance.Between(unit.x, unit.y, this.aiBase.x, this.aiBase.y);
+      const distanceToBase = Phaser.Math.Distance.Between(unit.x, unit.y, base.x, base.y);
 
       // If far from base, move back
       if (distanceToBase > 400) {
-        unit.moveTo(this.aiBase.x, this.aiBase.y);
+        if (!this.isHeadingTo(unit, base.x, base.y)) {
+          this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: base.x, y: base.y });
+        }
       } else if (unit.state === UNIT_STATES.IDLE) {
         // Patrol around base
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.scene.randomManager.gameplay.next() * Math.PI * 2;
         const patrolDist = 200;
-        const patrolX = this.aiBase.x + Math.cos(angle) * patrolDist;
-        const patrolY = this.aiBase.y + Math.sin(angle) * patrolDist;
-        unit.moveTo(patrolX, patrolY);
+        const patrolX = base.x + Math.cos(angle) * patrolDist;
+        const patrolY = base.y + Math.sin(angle) * patrolDist;
+        this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: patrolX, y: patrolY });
       }
     });
   }
 
   /**
-   * Train a worker
+   * Check if a unit is already on its way to a point (avoids re-issuing the same move order)
    */
-  trainWorker() {
-    if (!this.aiBase || !this.aiBase.productionQueue) return;
+  isHeadingTo(unit, x, y) {
+    const dest = unit.finalDestination;
+    return unit.state !== UNIT_STATES.IDLE && dest !== null && dest !== undefined && dest.x === x && dest.y === y;
+  }
 
-    // Deduct resources manually for AI
-    const cost = { food: 50, water: 0, sticks: 0, tools: 0 };
-    if (!this.spendResources(cost)) return;
+  /**
+   * Put units in a stance (only those not in it already, so no command is sent every decision)
+   */
+  setStance(units, stance) {
+    const unitIds = units.filter(u => u.active && u.stance !== stance).map(u => u.entityId);
+    if (unitIds.length > 0) {
+      this.issueCommand({ type: COMMANDS.SET_STANCE, unitIds, stance });
+    }
+  }
 
-    // Spawn worker directly (AI doesn't use production queue timing for simplicity)
-    const spawnX = this.aiBase.x + 80;
-    const spawnY = this.aiBase.y + 30;
-    const worker = new Goose(this.scene, spawnX, spawnY, this.faction);
-    this.scene.units.push(worker);
-    this.aiWorkers.push(worker);
+  /**
+   * Issue a command on behalf of this AI faction
+   */
+  issueCommand(command) {
+    return this.scene.commandDispatcher.dispatch({ ...command, faction: this.faction });
+  }
 
-    console.log('AIManager: Trained worker');
+  /**
+   * Queue a worker at the Coop (new units are picked up by updateUnitLists once trained)
+   */
+  trainWorker() {
+    this.trainUnit('worker');
   }
 
   /**
-   * Train a combat unit
+   * Queue a combat unit at a building that trains it
    */
   trainCombatUnit(unitType) {
-    if (!this.aiBase) return;
-
-    // Get cost
-    let cost, UnitClass;
-    if (unitType === 'guard') {
-      cost = { food: 75, water: 25, sticks: 50, tools: 5 };
-      UnitClass = Guard;
-    } else if (unitType === 'scout') {
-      cost = { food: 40, water: 30, sticks: 20, tools: 3 };
-      UnitClass = Scout;
-    } else {
-      return;
-    }
+    this.trainUnit(unitType);
+  }
 
-    // Deduct resources
-    if (!this.spendResources(cost)) return;
+  /**
+   * Queue a unit through a production queue, like a player's TRAIN order
+   */
+  trainUnit(unitType) {
+    const building = this.findProductionBuilding(unitType);
+    if (!building || building.productionQueue.queue.length >= AI_MAX_QUEUED) return false;
 
-    // Spawn unit
-    const spawnX = this.aiBase.x + 80;
-    const spawnY = this.aiBase.y + 30;
-    const unit = new UnitClass(this.scene, spawnX, spawnY, this.faction);
-    this.scene.units.push(unit);
-    this.aiCombatUnits.push(unit);
+    const result = this.issueCommand({ type: COMMANDS.TRAIN, buildingId: building.entityId, unitType });
+    if (!result.ok) return false;
 
-    console.log(`AIManager: Trained ${unitType}`);
+    console.log(`AIManager [${this.faction}]: Queued ${unitType} at ${building.buildingName}`);
+    return true;
   }
 
   /**
-   * Find nearest resource to unit
+   * Find nearest resource to unit (of a type there is storage space for)
    */
   findNearestResource(unit) {
     let nearest = null;
     let nearestDist = Infinity;
+    const dropOffs = this.getDropOffs();
+    const hasSpace = {};
 
     this.scene.resourceNodes.forEach(node => {
       if (!node.active || !node.hasResources()) return;
 
-      const dist = Phaser.Math.Distance.Between(unit.x, unit.y, node.x, node.y);
+      // Skip resources the stockpile has no room for
+      hasSpace[node.resourceType] ??= this.resourceManager.hasStorageSpaceFor(node.resourceType);
+      if (!hasSpace[node.resourceType]) return;
+
+      let dist = Phaser.Math.Distance.Between(unit.x, unit.y, node.x, node.y);
+      if (dist >= nearestDist) return;
+
+      // Nodes away from every drop-off cost a long walk back - prefer those around a base or expansion
+      if (!dropOffs.some(b => Phaser.Math.Distance.Between(b.x, b.y, node.x, node.y) <= AI_BASE_RADIUS)) {
+        dist += AI_BASE_RADIUS;
+      }
       if (dist < nearestDist) {
         nearestDist = dist;
         nearest = node;
@@ -417,188 +804,578 @@ export default class AIManager {
   }
 
   /**
-   * Find nearest enemy main base
+   * Nearest enemy main base the AI knows of (or, failing that, any known enemy building).
+   * Returns the remembered sighting ({ x, y, buildingType, ... }), not the building itself.
    */
   findNearestEnemyBase() {
     let nearestBase = null;
     let nearestDist = Infinity;
 
-    for (const building of this.scene.buildings) {
-      if (building.faction !== this.faction && building.buildingType === 'COOP') {
-        const dist = Phaser.Math.Distance.Between(this.aiBase.x, this.aiBase.y, building.x, building.y);
-        if (dist < nearestDist) {
-          nearestDist = dist;
-          nearestBase = building;
-        }
+    for (const memory of this.enemyMemory.values()) {
+      if (!memory.buildingType) continue;
+
+      // Any Coop beats any other building
+      const isCoop = memory.buildingType === 'COOP';
+      if (nearestBase?.buildingType === 'COOP' && !isCoop) continue;
+
+      const dist = Phaser.Math.Distance.Between(this.aiBase.x, this.aiBase.y, memory.x, memory.y);
+      if (dist < nearestDist || (isCoop && nearestBase?.buildingType !== 'COOP')) {
+        nearestDist = dist;
+        nearestBase = memory;
       }
     }
     return nearestBase;
   }
 
   /**
-   * Detect if enemy units are near AI base
+   * Factions this AI fights
+   */
+  isHostile(faction) {
+    return this.scene.diplomacy.areHostile(this.faction, faction);
+  }
+
+  /**
+   * Whether the AI can see an entity right now
+   */
+  canSee(entity) {
+    return this.hasFullVision() ? !!entity?.active : this.vision.canSee(entity);
+  }
+
+  /**
+   * Refresh what the AI knows: update its line of sight, remember hostile buildings and units
+   * in view, and drop sightings that are out of date
+   */
+  updateIntel() {
+    if (!this.hasFullVision()) this.vision.update();
+    const now = this.scene.getMatchTime();
+
+    for (const entity of [...this.scene.buildings, ...this.scene.units]) {
+      if (!entity.active || !this.isHostile(entity.faction) || !this.canSee(entity)) continue;
+
+      this.enemyMemory.set(entity.entityId, {
+        entityId: entity.entityId,
+        faction: entity.faction,
+        buildingType: entity.buildingType || null,
+        unitType: entity.buildingType ? null : entity.unitType,
+        x: entity.x,
+        y: entity.y,
+        seenAt: now
+      });
+    }
+
+    // Forget sightings whose spot is in view again without the entity, and units seen long ago
+    for (const [entityId, memory] of this.enemyMemory) {
+      if (memory.seenAt === now) continue;
+
+      const inView = this.hasFullVision() || this.vision.canSeePosition(memory.x, memory.y);
+      if (inView || (memory.unitType && now - memory.seenAt > AI_UNIT_MEMORY)) {
+        this.enemyMemory.delete(entityId);
+      }
+    }
+  }
+
+  /**
+   * Keep one Scout exploring until an enemy base has been found, then return it to the army
+   */
+  manageScouting() {
+    if (this.hasFullVision() || this.findNearestEnemyBase()) {
+      this.scoutId = null;
+      this.scoutTarget = null;
+      return;
+    }
+
+    let scout = this.aiCombatUnits.find(u => u.entityId === this.scoutId);
+    if (!scout) scout = this.aiCombatUnits.find(u => u.unitType === 'scout');
+    if (!scout) {
+      // Train one for the job if the army mix does not include Scouts
+      if (this.countQueued('scout') === 0 && this.resourceManager.canAfford(UNIT_COSTS.SCOUT)) {
+        this.trainUnit('scout');
+      }
+      return;
+    }
+    this.scoutId = scout.entityId;
+    this.setStance([scout], UNIT_STANCES.PASSIVE); // Scouting, not fighting (the army stance is restored once it rejoins)
+
+    if (this.scoutTarget) {
+      const target = worldToGridInt(this.scoutTarget.x, this.scoutTarget.y);
+      if (!this.vision.isExplored(target.x, target.y)) {
+        // Still on the way to unexplored ground
+        if (scout.state !== UNIT_STATES.IDLE && this.isHeadingTo(scout, this.scoutTarget.x, this.scoutTarget.y)) return;
+
+        // Gave up short of it (unreachable) - do not pick it again
+        this.vision.markExplored(target.x, target.y);
+      }
+    }
+
+    this.scoutTarget = this.vision.findUnexplored(scout.x, scout.y);
+    if (this.scoutTarget) {
+      this.issueCommand({ type: COMMANDS.MOVE, unitIds: [scout.entityId], x: this.scoutTarget.x, y: this.scoutTarget.y });
+    }
+  }
+
+  /**
+   * Send idle army units toward the nearest unexplored ground (attacking without a known target)
+   */
+  commandExplore() {
+    // Ground the army found no path to since it was sent there is unreachable - do not pick it again
+    const sent = this.exploreTarget;
+    if (sent && this.getArmy().some(unit => unit.pathFailedTick !== null && unit.pathFailedTick >= sent.tick)) {
+      const grid = worldToGridInt(sent.x, sent.y);
+      this.vision.markExplored(grid.x, grid.y);
+      this.exploreTarget = null;
+    }
+
+    const target = this.vision.findUnexplored(this.aiBase.x, this.aiBase.y);
+    if (!target) return;
+
+    const idle = this.getArmy().filter(unit =>
+      unit.active && unit.state === UNIT_STATES.IDLE && !this.isWaitingAfterFailedPath(unit));
+    if (idle.length === 0) return;
+
+    this.exploreTarget = { x: target.x, y: target.y, tick: this.scene.tick };
+    idle.forEach(unit => {
+      this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: target.x, y: target.y });
+    });
+  }
+
+  /**
+   * Train and command the units that work apart from the army: Spies and raiding Mavericks
+   */
+  manageSpecialOps() {
+    const reserve = this.getBuildReserve();
+    const spies = this.aiCombatUnits.filter(u => u.active && u.unitType === 'spy');
+    const raiders = this.getRaiders();
+
+    // Spies unlock at the Barracks once a Research Center stands, Mavericks need an Airstrip
+    if (spies.length + this.countQueued('spy') < this.preset.spies &&
+      this.resourceManager.canAfford(combineCosts(UNIT_COSTS.SPY, reserve))) {
+      this.trainUnit('spy');
+    }
+    if (raiders.length + this.countQueued('maverick') < this.preset.raiders &&
+      this.resourceManager.canAfford(combineCosts(UNIT_COSTS.MAVERICK, reserve))) {
+      this.trainUnit('maverick');
+    }
+
+    spies.forEach(spy => this.commandSpy(spy));
+    if (raiders.length > 0 && raiders.length >= this.preset.raiders) {
+      this.commandRaid(raiders);
+    }
+  }
+
+  /**
+   * Send a spy to sabotage a known Factory or Barracks, or steal from a known stockpile,
+   * whichever its cooldowns allow; with nothing to do it waits at home
+   */
+  commandSpy(spy) {
+    let target = null;
+    let command = null;
+    if (spy.sabotageTimer <= 0) {
+      target = this.findNearestKnown(spy, memory => AI_SABOTAGE_TARGETS.includes(memory.buildingType));
+      command = COMMANDS.SABOTAGE;
+    }
+    if (!target && spy.stealTimer <= 0) {
+      target = this.findNearestKnown(spy, memory => AI_STEAL_TARGETS.includes(memory.buildingType));
+      command = COMMANDS.STEAL;
+    }
+
+    if (!target || this.shouldRetreat(spy)) {
+      if (!this.isHeadingTo(spy, this.aiBase.x, this.aiBase.y) &&
+        Phaser.Math.Distance.Between(spy.x, spy.y, this.aiBase.x, this.aiBase.y) > 200) {
+        this.issueCommand({ type: COMMANDS.MOVE, unitIds: [spy.entityId], x: this.aiBase.x, y: this.aiBase.y });
+      }
+      return;
+    }
+
+    const range = command === COMMANDS.SABOTAGE ? spy.sabotageRange : spy.stealRange;
+    if (Phaser.Math.Distance.Between(spy.x, spy.y, target.x, target.y) <= range) {
+      // A failed attempt means the building is gone - forget it
+      const result = this.issueCommand({ type: command, unitId: spy.entityId, targetId: target.entityId });
+      if (!result.ok && !this.scene.findEntityById(target.entityId)?.active) {
+        this.enemyMemory.delete(target.entityId);
+      }
+    } else if (!this.isHeadingTo(spy, target.x, target.y)) {
+      this.issueCommand({ type: COMMANDS.MOVE, unitIds: [spy.entityId], x: target.x, y: target.y });
+    }
+  }
+
+  /**
+   * Send the raiding Mavericks after enemy workers (or where workers gather, around enemy
+   * stockpiles); hurt raiders fly home
+   */
+  commandRaid(raiders) {
+    const leader = raiders[0];
+    const target = this.findNearestKnown(leader, memory => memory.unitType === 'goose') ||
+      this.findNearestKnown(leader, memory => AI_STEAL_TARGETS.includes(memory.buildingType));
+    const worker = target?.unitType ? this.scene.findEntityById(target.entityId) : null;
+
+    raiders.forEach(unit => {
+      if (this.shouldRetreat(unit) || !target) {
+        if (!this.isHeadingTo(unit, this.aiBase.x, this.aiBase.y) &&
+          Phaser.Math.Distance.Between(unit.x, unit.y, this.aiBase.x, this.aiBase.y) > 400) {
+          this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: this.aiBase.x, y: this.aiBase.y });
+        }
+        return;
+      }
+
+      // Busy with a worker already
+      if (unit.targetEnemy?.active && unit.targetEnemy.unitType === 'goose') return;
+
+      if (worker && this.canSee(worker)) {
+        this.issueCommand({ type: COMMANDS.ATTACK, unitIds: [unit.entityId], targetId: worker.entityId });
+      } else if (!this.isHeadingTo(unit, target.x, target.y)) {
+        this.issueCommand({ type: COMMANDS.MOVE, unitIds: [unit.entityId], x: target.x, y: target.y });
+      }
+    });
+  }
+
+  /**
+   * Nearest remembered enemy sighting that passes a filter
+   */
+  findNearestKnown(from, filter) {
+    let nearest = null;
+    let nearestDist = Infinity;
+
+    for (const memory of this.enemyMemory.values()) {
+      if (!filter(memory)) continue;
+
+      const dist = Phaser.Math.Distance.Between(from.x, from.y, memory.x, memory.y);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = memory;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Put a Watchtower next to a sabotaged building so spies get spotted there next time
+   */
+  reactToSabotage() {
+    for (const building of this.aiBuildings) {
+      if (!building.active || !building.isSabotaged) continue;
+
+      const covered = this.aiBuildings.some(b => b.active && b.buildingType === 'WATCHTOWER' &&
+        Phaser.Math.Distance.Between(b.x, b.y, building.x, building.y) <= AI_WATCHTOWER_COVER);
+      if (covered) continue;
+
+      if (this.resourceManager.canAfford(BUILDING.WATCHTOWER.cost)) {
+        this.buildBuilding('WATCHTOWER', building);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Detect if enemy units are near the AI base or one of its expansions (only those the AI can see);
+   * the threatened base is kept as the one to defend
    */
   detectEnemyNearBase() {
     if (!this.aiBase) return false;
 
     const threatRadius = 500;
+    const bases = this.getDropOffs();
 
-    // Check for any non-allied units near base
+    // Check for any non-allied units near a base
     for (const unit of this.scene.units) {
-      if (unit.faction !== this.faction && unit.faction !== FACTIONS.NEUTRAL) {
-        const dist = Phaser.Math.Distance.Between(unit.x, unit.y, this.aiBase.x, this.aiBase.y);
-        if (dist < threatRadius) {
+      if (unit.active && this.isHostile(unit.faction) && this.canSee(unit)) {
+        const base = bases.find(b => Phaser.Math.Distance.Between(unit.x, unit.y, b.x, b.y) < threatRadius);
+        if (base) {
+          this.defendTarget = base;
           return true;
         }
       }
     }
 
+    this.defendTarget = null;
     return false;
   }
 
   /**
-   * Update unit lists (remove destroyed units)
+   * Operational buildings the AI's workers deposit at (its Coop and Resource Storages)
    */
-  updateUnitLists() {
-    this.aiWorkers = this.aiWorkers.filter(u => u.active && u.faction === this.faction && u.unitType === 'goose');
-    this.aiCombatUnits = this.aiCombatUnits.filter(u => u.active && u.faction === this.faction && u.unitType !== 'goose');
+  getDropOffs() {
+    return this.aiBuildings.filter(b =>
+      b.active && AI_DROP_OFFS.includes(b.buildingType) && b.state === BUILDING_STATES.OPERATIONAL);
   }
 
   /**
-   * Check if AI can afford cost
+   * Nearest drop-off to a unit
    */
-  canAfford(cost) {
-    for (const resource in cost) {
-      if (this.resources[resource] < cost[resource]) {
-        return false;
+  findDropOff(unit) {
+    let nearest = null;
+    let nearestDist = Infinity;
+
+    for (const building of this.getDropOffs()) {
+      const dist = Phaser.Math.Distance.Between(unit.x, unit.y, building.x, building.y);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = building;
       }
     }
-    return true;
+    return nearest;
+  }
+
+  /**
+   * Check if the resource nodes around every drop-off are nearly used up
+   */
+  isRunningDry() {
+    let left = 0;
+    for (const base of this.getDropOffs()) {
+      const resources = this.expansionPlanner.countResources(base.x, base.y, AI_BASE_RADIUS);
+      left += resources.food + resources.water + resources.sticks;
+    }
+    return left < AI_DRY_THRESHOLD;
   }
 
   /**
-   * Spend AI resources
+   * Claim a new resource site once the bases run dry (or the build order wants a Mine and there is
+   * no rock at home), then build up each site in turn: Resource Storage, a Mine on its rock, a Watchtower
    */
-  spendResources(cost) {
-    if (!this.canAfford(cost)) return false;
+  manageExpansions() {
+    if (!this.preset.expansions) return;
+
+    // One building per decision; buildings the AI cannot afford yet are passed over, not waited on
+    const nextStep = this.getReadyBuildStep();
+    for (const site of this.expansions) {
+      for (const buildingType of this.getMissingSiteBuildings(site)) {
+        // Keep the next build step's cost back (unless this building is what that step asks for)
+        const reserve = nextStep && nextStep !== buildingType ? BUILDING[nextStep].cost : {};
+        if (!this.resourceManager.canAfford(combineCosts(BUILDING[buildingType].cost, reserve))) continue;
+        if (this.buildAtSite(buildingType, site)) return;
+
+        // No room for the Resource Storage, or for a Mine on the site's rock - give the site up and look for another
+        if (buildingType === 'RESOURCE_STORAGE' || buildingType === 'MINE') {
+          this.failedSites.push(`${site.gridX},${site.gridY}`);
+          this.expansions = this.expansions.filter(s => s !== site);
+          return;
+        }
+      }
+    }
+
+    const wantsMine = this.getMissingBuildSteps().includes('MINE') && !this.findBuildLocation('MINE');
+    const runningDry = this.isRunningDry();
+    if (this.expansions.length >= this.preset.expansions || (!runningDry && !wantsMine)) {
+      this.prospectorId = null;
+      return;
+    }
 
-    for (const resource in cost) {
-      this.resources[resource] -= cost[resource];
+    // A prospector that has reached the last spot it was sent to looks again straight away
+    const now = this.scene.getMatchTime();
+    const prospector = this.aiWorkers.find(w => w.active && w.entityId === this.prospectorId);
+    if (now < this.nextExpansionCheck && prospector?.state !== UNIT_STATES.IDLE) return;
+    this.nextExpansionCheck = now + AI_EXPANSION_CHECK;
+
+    const site = this.expansionPlanner.findBestSite(this.aiBase.x, this.aiBase.y,
+      candidate => this.canClaimSite(candidate), { needsRock: wantsMine && !runningDry });
+    if (site) {
+      this.expansions.push(site);
+      this.prospectorId = null;
+      console.log(`AIManager [${this.faction}]: Expanding to (${site.gridX}, ${site.gridY}) worth ${Math.round(site.value)}`);
+    } else {
+      this.prospect();
     }
+  }
+
+  /**
+   * Send a worker to explore for resource sites when none worth claiming is known
+   */
+  prospect() {
+    let prospector = this.aiWorkers.find(w => w.active && w.entityId === this.prospectorId);
+    if (!prospector) {
+      prospector = this.aiWorkers.find(w => w.active && w.state !== UNIT_STATES.CONSTRUCTING && !w.targetBuilding);
+      if (!prospector || this.aiWorkers.length < 2) return;
+      this.prospectorId = prospector.entityId;
+    }
+
+    const target = this.vision.findUnexplored(prospector.x, prospector.y);
+    if (target) {
+      this.issueCommand({ type: COMMANDS.MOVE, unitIds: [prospector.entityId], x: target.x, y: target.y });
+    } else {
+      this.prospectorId = null;
+    }
+  }
+
+  /**
+   * Whether a site is known ground, clear of the AI's own bases and of enemy buildings it knows of
+   */
+  canClaimSite(site) {
+    if (!this.hasFullVision() && !this.vision.isExplored(site.gridX, site.gridY)) return false;
+    if (this.failedSites.includes(`${site.gridX},${site.gridY}`)) return false;
 
+    const tooClose = point => Phaser.Math.Distance.Between(site.x, site.y, point.x, point.y) < AI_EXPANSION_SPACING;
+    if (this.getDropOffs().some(tooClose) || this.expansions.some(tooClose)) return false;
+
+    for (const memory of this.enemyMemory.values()) {
+      if (memory.buildingType && tooClose(memory)) return false;
+    }
     return true;
   }
 
+  /**
+   * Buildings a claimed site still lacks, in build order
+   */
+  getMissingSiteBuildings(site) {
+    const wanted = site.rockTile ? ['RESOURCE_STORAGE', 'MINE', 'WATCHTOWER'] : ['RESOURCE_STORAGE', 'WATCHTOWER'];
+
+    return wanted.filter(buildingType => !this.aiBuildings.some(b => b.active && b.buildingType === buildingType &&
+      Phaser.Math.Distance.Between(b.x, b.y, site.x, site.y) <= AI_SITE_CLAIM_RADIUS));
+  }
+
+  /**
+   * Start one of a site's buildings (Mines go on the site's rock)
+   */
+  buildAtSite(buildingType, site) {
+    const anchor = buildingType === 'MINE'
+      ? this.scene.isometricMap.getWorldPosCenter(site.rockTile.x, site.rockTile.y)
+      : site;
+    return this.buildBuilding(buildingType, anchor);
+  }
+
+  /**
+   * Update unit lists (remove destroyed units)
+   */
+  updateUnitLists() {
+    // Rebuilt from the scene so units fresh out of a production queue are picked up
+    const ownUnits = this.scene.units.filter(u => u.active && u.faction === this.faction);
+    this.aiWorkers = ownUnits.filter(u => u.unitType === 'goose');
+    this.aiCombatUnits = ownUnits.filter(u => u.unitType !== 'goose');
+    this.aiBuildings = this.aiBuildings.filter(b => b.active);
+  }
+
   /**
    * Build structures (called during BUILDING state)
+   * Works through the strategy's build order (cut to the difficulty's depth) and starts the first missing building.
    */
   buildStructures() {
-    // Build priority: ResourceStorage -> Factory -> Mine -> Barracks
+    for (const step of this.getMissingSteps()) {
+      // Wait for the next step's conditions and save up for it rather than skipping ahead
+      if (!this.isStepReady(step) || !this.resourceManager.canAfford(BUILDING[step.build].cost)) return;
 
-    // Check if we need ResourceStorage (for capacity and unlocks)
-    const hasStorage = this.aiBuildings.some(b => b.buildingType === 'RESOURCE_STORAGE' && b.active);
-    if (!hasStorage && this.canAfford({ food: 50, water: 0, sticks: 100, tools: 0 })) {
-      this.buildBuilding('RESOURCE_STORAGE');
-      return;
+      // Some buildings need particular terrain (Mines need rock) - move on if there is none
+      if (this.buildBuilding(step.build)) return;
     }
+  }
 
-    // Check if we need Factory (for tool production)
-    const hasFactory = this.aiBuildings.some(b => b.buildingType === 'FACTORY' && b.active);
-    if (!hasFactory && hasStorage && this.canAfford({ food: 100, water: 50, sticks: 200, tools: 0 })) {
-      this.buildBuilding('FACTORY');
-      return;
-    }
+  /**
+   * Build order steps that are not built yet, in order
+   */
+  getMissingSteps() {
+    const required = {};
+    const missing = [];
 
-    // Build Mine on rock terrain (limit to 2)
-    const mineCount = this.aiBuildings.filter(b => b.buildingType === 'MINE' && b.active).length;
-    if (mineCount < 2 && hasFactory && this.canAfford({ food: 0, water: 50, sticks: 200, tools: 10 })) {
-      this.buildBuilding('MINE');
-      return;
-    }
+    for (const step of this.buildOrder) {
+      required[step.build] = (required[step.build] || 0) + 1;
 
-    // Check if we need Barracks (for combat unit production)
-    const hasBarracks = this.aiBuildings.some(b => b.buildingType === 'BARRACKS' && b.active);
-    if (!hasBarracks && hasFactory && this.canAfford({ food: 150, water: 0, sticks: 250, tools: 25 })) {
-      this.buildBuilding('BARRACKS');
-      return;
+      const built = this.aiBuildings.filter(b => b.buildingType === step.build && b.active).length;
+      if (built < required[step.build]) missing.push(step);
     }
+
+    // Stone only comes from Mines and tools from a Factory
+    return this.bringSourceForward(this.bringSourceForward(missing, 'stone', 'MINE'), 'tools', 'FACTORY');
   }
 
   /**
-   * Build a building
+   * Until a building that makes a resource is working, steps needing more of it than the AI has go last, and
+   * the building comes no later than the first of them (added when the build order, cut to the difficulty's
+   * depth, has none left) - so the AI never saves up for something it has no way to get
    */
-  buildBuilding(buildingType) {
-    if (!this.aiBase) return;
+  bringSourceForward(steps, resource, sourceType) {
+    const amount = this.resourceManager.getAmount(resource);
+    const lacks = step => (BUILDING[step.build].cost[resource] || 0) > amount;
+    const firstLacking = steps.findIndex(lacks);
+    const hasWorkingSource = this.aiBuildings.some(b =>
+      b.active && b.buildingType === sourceType && b.state === BUILDING_STATES.OPERATIONAL);
+    if (hasWorkingSource || firstLacking === -1) return steps;
+
+    const hasSource = this.aiBuildings.some(b => b.active && b.buildingType === sourceType);
+    const sourceStep = steps.find(step => step.build === sourceType) || (hasSource ? null : { build: sourceType });
+    const before = steps.slice(0, firstLacking);
+    const after = steps.slice(firstLacking).filter(step => step !== sourceStep);
+    if (sourceStep && !before.includes(sourceStep)) before.push(sourceStep);
+    return [...before, ...after.filter(step => !lacks(step)), ...after.filter(lacks)];
+  }
 
-    // Building class map
-    const buildingClassMap = {
-      'RESOURCE_STORAGE': ResourceStorage,
-      'BARRACKS': Barracks,
-      'FACTORY': Factory,
-      'MINE': Mine
-    };
+  /**
+   * Building types of the build order steps that are not built yet, in order
+   */
+  getMissingBuildSteps() {
+    return this.getMissingSteps().map(step => step.build);
+  }
 
-    const BuildingClass = buildingClassMap[buildingType];
-    if (!BuildingClass) {
-      console.error(`AIManager: Unknown building type ${buildingType}`);
-      return;
-    }
+  /**
+   * Whether a build order step's conditions (workers, army, match time, banked resources) hold.
+   * A worker count above the AI's cap waits for the cap instead, so easier AIs don't stall.
+   */
+  isStepReady(step) {
+    if (step.afterSeconds !== undefined && this.scene.getMatchTime() < step.afterSeconds * 1000) return false;
+    if (step.workers !== undefined && this.aiWorkers.length < Math.min(step.workers, this.maxWorkers)) return false;
+    if (step.army !== undefined && this.getArmy().length < step.army) return false;
+
+    return Object.entries(step.resources || {}).every(([resource, amount]) =>
+      this.resourceManager.getAmount(resource) >= amount);
+  }
+
+  /**
+   * Building type of the next build order step if its conditions hold (its cost is kept back), else null
+   */
+  getReadyBuildStep() {
+    const nextStep = this.getMissingSteps()[0];
+    return nextStep && this.isStepReady(nextStep) ? nextStep.build : null;
+  }
+
+  /**
+   * Build a building near the AI base, or near another of its buildings (returns true if construction started)
+   */
+  buildBuilding(buildingType, near = this.aiBase) {
+    if (!this.aiBase) return false;
 
     const config = BUILDING[buildingType];
     if (!config) {
       console.error(`AIManager: No config for building type ${buildingType}`);
-      return;
-    }
-
-    // Deduct resources
-    if (!this.spendResources(config.cost)) {
-      console.warn(`AIManager: Not enough resources to build ${buildingType}`);
-      return;
+      return false;
     }
 
-    // Find build location near AI base
-    const buildLocation = this.findBuildLocation(config.footprint);
+    // Find build location near the anchor
+    const buildLocation = this.findBuildLocation(buildingType, near);
     if (!buildLocation) {
       console.warn(`AIManager: No valid build location for ${buildingType}`);
-      // Refund resources
-      for (const [resource, amount] of Object.entries(config.cost)) {
-        this.resources[resource] += amount;
-      }
-      return;
+      return false;
     }
 
-    // Create building
-    const building = new BuildingClass(
-      this.scene,
-      buildLocation.x,
-      buildLocation.y,
-      this.faction
-    );
+    const result = this.issueCommand({
+      type: COMMANDS.PLACE_BUILDING,
+      buildingType,
+      gridX: buildLocation.x,
+      gridY: buildLocation.y
+    });
+    if (!result.ok) {
+      console.warn(`AIManager: Could not build ${buildingType} - ${result.reason}`);
+      return false;
+    }
 
-    this.scene.buildings.push(building);
-    this.aiBuildings.push(building);
+    this.aiBuildings.push(result.building);
 
-    console.log(`AIManager: Started building ${buildingType} at (${buildLocation.x}, ${buildLocation.y})`);
+    console.log(`AIManager: Started building ${buildingType} at (${result.building.x}, ${result.building.y})`);
+    return true;
   }
 
   /**
-   * Find a valid build location near AI base
+   * Find a valid build location (grid position) near AI base (or another anchor building)
    */
-  findBuildLocation(footprint) {
-    if (!this.aiBase) return null;
+  findBuildLocation(buildingType, near = this.aiBase) {
+    if (!near) return null;
 
-    const baseGridPos = worldToGridInt(this.aiBase.x, this.aiBase.y);
+    const baseGridPos = worldToGridInt(near.x, near.y);
 
-    // Search in expanding radius
-    for (let radius = 3; radius < 15; radius++) {
+    // Search in expanding radius (leaving room around the Coop)
+    for (let radius = near === this.aiBase ? 3 : 0; radius < 15; radius++) {
       for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
         const testX = Math.round(baseGridPos.x + Math.cos(angle) * radius);
         const testY = Math.round(baseGridPos.y + Math.sin(angle) * radius);
 
         // Check if location is valid for building
-        if (this.isValidBuildLocation(testX, testY, footprint)) {
-          const worldPos = this.scene.isometricMap.getWorldPosCenter(testX, testY);
-          return worldPos;
+        if (this.isValidBuildLocation(testX, testY, buildingType)) {
+          return { x: testX, y: testY };
         }
       }
     }
@@ -609,25 +1386,15 @@ export default class AIManager {
   /**
    * Check if a location is valid for building placement
    */
-  isValidBuildLocation(gridX, gridY, footprint) {
-    // Check all footprint tiles
-    for (const offset of footprint) {
-      const tileX = gridX + offset[0];
-      const tileY = gridY + offset[1];
-
-      // Check if tile is walkable
-      if (!this.scene.isometricMap.isWalkable(tileX, tileY)) {
-        return false;
-      }
-
-      // Check if not on water
-      const tile = this.scene.isometricMap.getTile(tileX, tileY);
-      if (tile && tile.type === 'water') {
-        return false;
-      }
+  isValidBuildLocation(gridX, gridY, buildingType) {
+    // Same footprint rules the command dispatcher enforces
+    if (!this.scene.buildingManager.canPlaceAt(buildingType, gridX, gridY)) {
+      return false;
+    }
 
-      // Check if no existing buildings at this location
-      const worldPos = this.scene.isometricMap.getWorldPosCenter(tileX, tileY);
+    // Keep some space between AI buildings
+    for (const offset of BUILDING[buildingType].footprint) {
+      const worldPos = this.scene.isometricMap.getWorldPosCenter(gridX + offset[0], gridY + offset[1]);
       for (const building of this.scene.buildings) {
         if (building.active) {
           const distance = Phaser.Math.Distance.Between(worldPos.x, worldPos.y, building.x, building.y);
@@ -642,13 +1409,69 @@ export default class AIManager {
   }
 
   /**
-   * Add resources to AI (called when AI workers deposit)
+   * Serialize AI state for saving (entities are referenced by id)
    */
-  addResources(type, amount) {
-    if (!this.resources[type]) {
-      this.resources[type] = 0;
-    }
-    this.resources[type] += amount;
-    // Silent - AI resource gains don't need to be logged
+  toJSON() {
+    const ids = list => list.filter(e => e && e.active).map(e => e.entityId);
+
+    return {
+      faction: this.faction,
+      difficulty: this.difficulty,
+      strategy: this.strategy,
+      aiState: this.aiState,
+      updateTimer: this.updateTimer,
+      aggression: this.aggression,
+      economyFocus: this.economyFocus,
+      maxWorkers: this.maxWorkers,
+      attackArmySize: this.attackArmySize,
+      aiBaseId: this.aiBase?.active ? this.aiBase.entityId : null,
+      aiBuildingIds: ids(this.aiBuildings),
+      aiWorkerIds: ids(this.aiWorkers),
+      aiCombatUnitIds: ids(this.aiCombatUnits),
+      vision: this.vision.toJSON(),
+      enemyMemory: [...this.enemyMemory.values()].map(memory => ({ ...memory })),
+      scoutId: this.scoutId,
+      scoutTarget: this.scoutTarget ? { ...this.scoutTarget } : null,
+      exploreTarget: this.exploreTarget ? { ...this.exploreTarget } : null,
+      expansions: this.expansions.map(site => ({ ...site })),
+      failedSites: [...this.failedSites],
+      nextExpansionCheck: this.nextExpansionCheck,
+      prospectorId: this.prospectorId
+    };
+  }
+
+  /**
+   * Restore AI state from save data (call after units and buildings are restored)
+   */
+  fromJSON(data) {
+    if (!data) return;
+
+    const lookup = list => (list || []).map(id => this.scene.findEntityById(id)).filter(Boolean);
+
+    if (data.difficulty) this.setDifficulty(data.difficulty);
+    if (data.strategy) this.setStrategy(data.strategy);
+    this.aiState = data.aiState || this.aiState;
+    this.updateTimer = data.updateTimer ?? this.updateTimer;
+    this.aggression = data.aggression ?? this.aggression;
+    this.economyFocus = data.economyFocus ?? this.economyFocus;
+    this.maxWorkers = data.maxWorkers ?? this.maxWorkers;
+    this.attackArmySize = data.attackArmySize ?? this.attackArmySize;
+
+    this.aiBase = data.aiBaseId ? this.scene.findEntityById(data.aiBaseId) : null;
+    this.aiBuildings = lookup(data.aiBuildingIds);
+    this.aiWorkers = lookup(data.aiWorkerIds);
+    this.aiCombatUnits = lookup(data.aiCombatUnitIds);
+
+    this.vision.fromJSON(data.vision);
+    this.enemyMemory = new Map((data.enemyMemory || []).map(memory => [memory.entityId, { ...memory }]));
+    this.scoutId = data.scoutId ?? null;
+    this.scoutTarget = data.scoutTarget ? { ...data.scoutTarget } : null;
+    this.exploreTarget = data.exploreTarget ? { ...data.exploreTarget } : null;
+    this.expansions = (data.expansions || []).map(site => ({ ...site }));
+    this.failedSites = [...(data.failedSites || [])];
+    this.nextExpansionCheck = data.nextExpansionCheck ?? 0;
+    this.prospectorId = data.prospectorId ?? null;
+
+    console.log(`AIManager [${this.faction}]: Restored state from save`);
   }
 }
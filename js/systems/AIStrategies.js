@@ -0,0 +1,225 @@
+// AI Strategies - Personality profiles an AIManager plays by
+//
+// A strategy decides what the AI builds, researches and trains and when it goes on the offensive;
+// its difficulty (AI_DIFFICULTY) still decides how fast, how far down the build order
+// and how well it plays. Fields left out of a profile fall back to the difficulty's.
+//
+// Build orders are data: each step names a building and may wait on conditions (see
+// normalizeBuildOrder). More strategies can be added as JSON files in assets/data/strategies/.
+
+import { BUILDING, BUILDING_UPGRADES, UNIT_COSTS, STARTING_RESOURCES } from '../utils/Constants.js';
+
+export const AI_STRATEGIES = {
+  BALANCED: {
+    name: 'Balanced',
+    description: 'Steady economy into a mixed army',
+    buildOrder: [
+      'RESOURCE_STORAGE', 'FACTORY', 'MINE', 'BARRACKS', 'MINE',
+      'FARM', 'WELL', 'LUMBER_MILL', 'WATCHTOWER', 'BARRACKS'
+    ],
+    // Research and building upgrades in purchase order (entries for buildings the AI lacks are skipped)
+    research: [
+      'HATCHERY', 'VETERAN_TRAINING', 'IRRIGATION', 'COMBAT_DRILLS', 'LARGE_NESTS',
+      'SWIFT_FEET', 'THICK_FEATHERS', 'EFFICIENT_GATHERING', 'QUICK_BUILD', 'FORTIFIED_WALLS'
+    ]
+  },
+  RUSHER: {
+    name: 'Rusher',
+    description: 'Early Guard rush on a thin economy',
+    buildOrder: [
+      'RESOURCE_STORAGE', 'BARRACKS', 'FACTORY', 'BARRACKS', 'MINE',
+      'FARM', 'WELL', 'BARRACKS', 'LUMBER_MILL', 'WATCHTOWER'
+    ],
+    research: [
+      'COMBAT_DRILLS', 'VETERAN_TRAINING', 'HATCHERY', 'BATCH_PRODUCTION', 'IRRIGATION',
+      'SWIFT_FEET', 'THICK_FEATHERS', 'LARGE_NESTS', 'SAWMILL', 'RECYCLING'
+    ],
+    army: ['guard'],
+    workerScale: 0.6,          // Multiplies the difficulty's worker cap
+    buildThresholdScale: 0.5,  // Multiplies the stockpile needed before building up
+    attackSizeScale: 0.67      // Multiplies the difficulty's attack army size
+  },
+  TURTLE: {
+    name: 'Turtle',
+    description: 'Walls the base with Watchtowers and strikes late',
+    buildOrder: [
+      'RESOURCE_STORAGE', 'FACTORY', 'WATCHTOWER', 'BARRACKS', 'MINE',
+      'WATCHTOWER', 'WATCHTOWER', 'FARM', 'WELL', 'WATCHTOWER'
+    ],
+    research: [
+      'EXTENDED_RANGE', 'VETERAN_TRAINING', 'HATCHERY', 'IRRIGATION', 'DEEP_WELL',
+      'COMBAT_DRILLS', 'FORTIFIED_WALLS', 'THICK_FEATHERS', 'EAGLE_EYES', 'QUICK_BUILD'
+    ],
+    army: ['guard'],
+    attackSizeScale: 2,
+    firstAttackTime: 600000    // Earliest first attack in ms (a later difficulty delay still wins)
+  },
+  BOOMER: {
+    name: 'Boomer',
+    description: 'Farms, Wells and Lumber Mills first, then a big army',
+    buildOrder: [
+      'RESOURCE_STORAGE', 'FARM', 'WELL', 'FACTORY', 'BARRACKS',
+      'LUMBER_MILL', 'MINE', 'FARM', 'WELL', 'LUMBER_MILL'
+    ],
+    research: [
+      'HATCHERY', 'LARGE_NESTS', 'IRRIGATION', 'DEEP_WELL', 'SAWMILL',
+      'CROP_ROTATION', 'PUMP', 'EFFICIENT_CUTTING', 'VETERAN_TRAINING', 'COMBAT_DRILLS'
+    ],
+    workerScale: 1.6,
+    attackSizeScale: 1.5,
+    firstAttackTime: 420000
+  },
+  TECH: {
+    name: 'Tech',
+    description: 'Rushes Research Center and Airstrip for Mavericks',
+    buildOrder: [
+      'RESOURCE_STORAGE', 'FACTORY', 'BARRACKS', 'RESEARCH_CENTER', 'AIRSTRIP',
+      'MINE', 'POWER_STATION', 'MINE', 'FARM', 'WELL'
+    ],
+    research: [
+      'EFFICIENT_TOOLS', 'SWIFT_FEET', 'THICK_FEATHERS', 'EFFICIENT_CONVERSION', 'EAGLE_EYES',
+      'AUTO_PRODUCTION', 'QUICK_BUILD', 'COMBAT_DRILLS', 'HATCHERY', 'POWER_SURGE'
+    ],
+    army: ['maverick', 'scout'],
+    firstAttackTime: 360000
+  }
+};
+
+// Setup option that lets the match seed pick a strategy
+export const RANDOM_STRATEGY = 'RANDOM';
+
+// Strategy files (relative to the game root); index.json lists the files to load
+export const STRATEGY_DIR = 'assets/data/strategies/';
+
+// Fields a strategy file may set (see registerStrategy), and the conditions a build step may wait on
+const STRATEGY_FIELDS = [
+  'key', 'name', 'description', 'buildOrder', 'research', 'army',
+  'workerScale', 'buildThresholdScale', 'attackSizeScale', 'firstAttackTime'
+];
+const STEP_FIELDS = ['build', 'workers', 'army', 'afterSeconds', 'resources'];
+const UPGRADE_KEYS = new Set(Object.values(BUILDING_UPGRADES).flat());
+const STRATEGY_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Resolve a strategy choice to a profile key; RANDOM (or anything unknown) draws from the given stream
+ * @param {string} choice - Strategy key or RANDOM_STRATEGY
+ * @param {SeededRandom} random - Stream to draw from, so the same seed picks the same strategies
+ */
+export function resolveStrategy(choice, random) {
+  if (AI_STRATEGIES[choice]) return choice;
+  return random.pick(Object.keys(AI_STRATEGIES));
+}
+
+/**
+ * Expand a build order into step objects: a plain building type is shorthand for { build: type }.
+ * Step conditions (all optional, all must hold before the step is started):
+ *   workers   - at least this many workers
+ *   army      - at least this many combat units in the main army
+ *   afterSeconds - match time in seconds
+ *   resources - at least this much of each listed resource banked (the building's own cost is checked separately)
+ */
+export function normalizeBuildOrder(buildOrder) {
+  return buildOrder.map(step => (typeof step === 'string' ? { build: step } : { ...step }));
+}
+
+/**
+ * Check a strategy loaded from data (see assets/data/strategies/)
+ * @returns {string[]} Problems found; empty when the strategy can be registered
+ */
+export function validateStrategy(data) {
+  if (!isObject(data)) return ['Strategy is not an object'];
+
+  const errors = [];
+  Object.keys(data).filter(field => !STRATEGY_FIELDS.includes(field))
+    .forEach(field => errors.push(`unknown field "${field}"`));
+
+  if (typeof data.key !== 'string' || !STRATEGY_KEY_PATTERN.test(data.key) || data.key === RANDOM_STRATEGY) {
+    errors.push('key should be an UPPER_SNAKE name other than RANDOM');
+  }
+  if (typeof data.name !== 'string' || data.name.length === 0) errors.push('name is missing');
+  if (data.description !== undefined && typeof data.description !== 'string') errors.push('description is not text');
+
+  if (!Array.isArray(data.buildOrder) || data.buildOrder.length === 0) {
+    errors.push('buildOrder should be a non-empty list');
+  } else {
+    data.buildOrder.forEach((step, i) => validateStep(step, `buildOrder[${i}]`, errors));
+  }
+
+  if (data.research !== undefined) {
+    if (!Array.isArray(data.research)) {
+      errors.push('research should be a list of upgrade keys');
+    } else {
+      data.research.filter(key => !UPGRADE_KEYS.has(key))
+        .forEach(key => errors.push(`research has unknown upgrade "${key}"`));
+    }
+  }
+  if (data.army !== undefined) {
+    if (!Array.isArray(data.army) || data.army.length === 0) {
+      errors.push('army should be a non-empty list of unit types');
+    } else {
+      data.army.filter(unitType => typeof unitType !== 'string' || unitType === 'worker' || !UNIT_COSTS[unitType.toUpperCase()])
+        .forEach(unitType => errors.push(`army has unknown unit type "${unitType}"`));
+    }
+  }
+
+  ['workerScale', 'buildThresholdScale', 'attackSizeScale'].forEach(field => {
+    if (data[field] !== undefined && !(Number.isFinite(data[field]) && data[field] > 0)) {
+      errors.push(`${field} should be a positive number`);
+    }
+  });
+  if (data.firstAttackTime !== undefined && !isCount(data.firstAttackTime)) {
+    errors.push('firstAttackTime should be a whole number of milliseconds');
+  }
+
+  return errors;
+}
+
+function validateStep(step, path, errors) {
+  if (typeof step === 'string') step = { build: step };
+  if (!isObject(step)) {
+    errors.push(`${path} is not a building type or step`);
+    return;
+  }
+
+  if (!BUILDING[step.build] || step.build === 'COOP') {
+    errors.push(`${path} has unknown building type "${step.build}"`);
+  }
+  Object.keys(step).filter(field => !STEP_FIELDS.includes(field)).forEach(field => {
+    if (field === 'cost') errors.push(`${path} sets a cost (costs always come from the building's own config)`);
+    else errors.push(`${path} has unknown field "${field}"`);
+  });
+
+  ['workers', 'army', 'afterSeconds'].forEach(field => {
+    if (step[field] !== undefined && !isCount(step[field])) errors.push(`${path}.${field} should be a whole number`);
+  });
+  if (step.resources !== undefined) {
+    if (!isObject(step.resources)) {
+      errors.push(`${path}.resources is not an object`);
+    } else {
+      Object.entries(step.resources).forEach(([resource, amount]) => {
+        if (!(resource in STARTING_RESOURCES)) errors.push(`${path}.resources has unknown resource "${resource}"`);
+        else if (!isCount(amount)) errors.push(`${path}.resources.${resource} should be a whole number`);
+      });
+    }
+  }
+}
+
+/**
+ * Add (or replace) a strategy from data so AIs, the New Game setup and simulate can use it
+ * @returns {boolean} Whether the strategy was valid and registered
+ */
+export function registerStrategy(data) {
+  const errors = validateStrategy(data);
+  if (errors.length > 0) {
+    console.warn(`AIStrategies: Skipping strategy ${data?.key}: ${errors.join('; ')}`);
+    return false;
+  }
+
+  const { key, ...profile } = data;
+  AI_STRATEGIES[key] = { ...profile, buildOrder: normalizeBuildOrder(profile.buildOrder) };
+  console.log(`AIStrategies: Registered strategy ${key} (${profile.name})`);
+  return true;
+}
@@ -15,6 +15,23 @@ import PowerStation from '../buildings/PowerStation.js';
 import Farm from '../buildings/Farm.js';
 import Well from '../buildings/Well.js';
 import LumberMill from '../buildings/LumberMill.js';
+import { COMMANDS } from './CommandDispatcher.js';
+
+// Specialized classes by building type (anything else uses the generic Building)
+const BUILDING_CLASSES = {
+  'COOP': Coop,
+  'RESOURCE_STORAGE': ResourceStorage,
+  'RESEARCH_CENTER': ResearchCenter,
+  'BARRACKS': Barracks,
+  'FACTORY': Factory,
+  'MINE': Mine,
+  'AIRSTRIP': Airstrip,
+  'WATCHTOWER': Watchtower,
+  'POWER_STATION': PowerStation,
+  'FARM': Farm,
+  'WELL': Well,
+  'LUMBER_MILL': LumberMill
+};
 
 export default class BuildingManager {
   constructor(scene) {
@@ -168,7 +185,7 @@ export default class BuildingManager {
   }
 
   /**
-   * Validate building placement
+   * Validate building placement for the current building type
    */
   validatePlacement(gridX, gridY) {
     const config = BUILDING[this.currentBuildingType];
@@ -181,6 +198,18 @@ export default class BuildingManager {
       return false;
     }
 
+    return this.canPlaceAt(this.currentBuildingType, gridX, gridY);
+  }
+
+  /**
+   * Check whether a building's footprint fits at a grid position (ignores cost)
+   */
+  canPlaceAt(buildingType, gridX, gridY) {
+    const config = BUILDING[buildingType];
+    if (!config) {
+      return false;
+    }
+
     // Track rock tiles for Mine placement
     let rockTileCount = 0;
 
@@ -207,7 +236,7 @@ export default class BuildingManager {
     }
 
     // Mine requires at least 2 rock tiles in its footprint
-    if (this.currentBuildingType === 'MINE' && rockTileCount < 2) {
+    if (buildingType === 'MINE' && rockTileCount < 2) {
       return false;
     }
 
@@ -215,7 +244,7 @@ export default class BuildingManager {
   }
 
   /**
-   * Attempt to place building
+   * Attempt to place building (issues a PLACE_BUILDING command)
    */
   placeBuilding(pointer) {
     if (!this.isPlacementMode || !this.isValidPlacement) {
@@ -225,76 +254,62 @@ export default class BuildingManager {
     // Explicitly use this scene's camera for world coordinate conversion
     const camera = this.scene.cameras.main;
     const worldPoint = camera.getWorldPoint(pointer.x, pointer.y);
-    const worldPos = { x: worldPoint.x, y: worldPoint.y };
-    const gridPos = worldToGridInt(worldPos.x, worldPos.y);
-    const snappedWorld = this.scene.isometricMap.getWorldPosCenter(gridPos.x, gridPos.y);
-
-    const config = BUILDING[this.currentBuildingType];
+    const gridPos = worldToGridInt(worldPoint.x, worldPoint.y);
+
+    // Auto-assign any selected builders to construct this building (shift queues it after
+    // their current orders and keeps placing, so one worker can be given several buildings)
+    const builderIds = this.scene.selectionManager
+      ? this.scene.selectionManager.getSelectedUnits().map(unit => unit.entityId)
+      : [];
+    const queued = this.scene.isQueueingOrders();
+
+    const result = this.scene.commandDispatcher.dispatch({
+      type: COMMANDS.PLACE_BUILDING,
+      faction: FACTIONS.PLAYER,
+      buildingType: this.currentBuildingType,
+      gridX: gridPos.x,
+      gridY: gridPos.y,
+      builderIds,
+      queued
+    });
 
-    // Spend resources
-    if (!this.scene.resourceManager.spend(config.cost)) {
-      console.warn('BuildingManager: Cannot afford building');
+    if (!result.ok) {
+      console.warn(`BuildingManager: Cannot place ${this.currentBuildingType} - ${result.reason}`);
       return false;
     }
 
-    // Create the building using specific class if available
-    const buildingClassMap = {
-      'COOP': Coop,
-      'RESOURCE_STORAGE': ResourceStorage,
-      'RESEARCH_CENTER': ResearchCenter,
-      'BARRACKS': Barracks,
-      'FACTORY': Factory,
-      'MINE': Mine,
-      'AIRSTRIP': Airstrip,
-      'WATCHTOWER': Watchtower,
-      'POWER_STATION': PowerStation,
-      'FARM': Farm,
-      'WELL': Well,
-      'LUMBER_MILL': LumberMill
-    };
+    console.log(`BuildingManager: Placed ${this.currentBuildingType} at (${result.building.x}, ${result.building.y})`);
 
-    const BuildingClass = buildingClassMap[this.currentBuildingType];
-    const faction = FACTIONS.PLAYER; // Player buildings
+    // Cancel placement mode (unless queueing more buildings)
+    if (!queued) {
+      this.cancelPlacement();
+    }
 
-    let building;
+    return true;
+  }
 
+  /**
+   * Create a building of the given type at a world position
+   */
+  createBuilding(buildingType, x, y, faction) {
+    const BuildingClass = BUILDING_CLASSES[buildingType];
     if (BuildingClass) {
       // Use specialized building class
-      building = new BuildingClass(this.scene, snappedWorld.x, snappedWorld.y, faction);
-    } else {
-      // Use generic building for other types
-      const buildingConfig = {
-        type: this.currentBuildingType,
-        name: config.name,
-        health: config.health,
-        constructionTime: config.constructionTime,
-        footprint: config.footprint,
-        spriteKey: this.getSpriteKey(this.currentBuildingType),
-        size: Math.max(config.width, config.height)
-      };
-      building = new Building(this.scene, snappedWorld.x, snappedWorld.y, buildingConfig, faction);
-    }
-
-    // Add to buildings array
-    this.scene.buildings.push(building);
-
-    console.log(`BuildingManager: Placed ${this.currentBuildingType} at (${snappedWorld.x}, ${snappedWorld.y})`);
-
-    // Auto-assign any selected builders to construct this building
-    if (this.scene.selectionManager) {
-      const selectedUnits = this.scene.selectionManager.getSelectedUnits();
-      selectedUnits.forEach(unit => {
-        if (typeof unit.buildConstruction === 'function') {
-          // It's a builder goose, command to build!
-          unit.buildConstruction(building);
-        }
-      });
+      return new BuildingClass(this.scene, x, y, faction);
     }
 
-    // Cancel placement mode
-    this.cancelPlacement();
-
-    return true;
+    // Use generic building for other types
+    const config = BUILDING[buildingType];
+    const buildingConfig = {
+      type: buildingType,
+      name: config?.name || 'Building',
+      health: config?.health || 100,
+      constructionTime: config?.constructionTime || 0,
+      footprint: config?.footprint || [[0, 0]],
+      spriteKey: this.getSpriteKey(buildingType),
+      size: Math.max(config?.width || 64, config?.height || 64)
+    };
+    return new Building(this.scene, x, y, buildingConfig, faction);
   }
 
   /**
@@ -338,41 +353,8 @@ export default class BuildingManager {
   fromJSON(data) {
     if (!data || !Array.isArray(data)) return;
 
-    const buildingClassMap = {
-      'COOP': Coop,
-      'RESOURCE_STORAGE': ResourceStorage,
-      'RESEARCH_CENTER': ResearchCenter,
-      'BARRACKS': Barracks,
-      'FACTORY': Factory,
-      'MINE': Mine,
-      'AIRSTRIP': Airstrip,
-      'WATCHTOWER': Watchtower,
-      'POWER_STATION': PowerStation,
-      'FARM': Farm,
-      'WELL': Well,
-      'LUMBER_MILL': LumberMill
-    };
-
     data.forEach(bData => {
-      const BuildingClass = buildingClassMap[bData.buildingType] || Building;
-      let building;
-
-      if (BuildingClass === Building) {
-        const config = BUILDING[bData.buildingType];
-        const genericConfig = {
-          type: bData.buildingType,
-          name: config?.name || 'Building',
-          health: config?.health || 100,
-          constructionTime: config?.constructionTime || 0,
-          footprint: config?.footprint || [[0, 0]],
-          spriteKey: this.getSpriteKey(bData.buildingType),
-          size: Math.max(config?.width || 64, config?.height || 64)
-        };
-        building = new Building(this.scene, bData.x, bData.y, genericConfig, bData.faction);
-      } else {
-        building = new BuildingClass(this.scene, bData.x, bData.y, bData.faction);
-      }
-
+      const building = this.createBuilding(bData.buildingType, bData.x, bData.y, bData.faction);
       building.fromJSON(bData);
       this.scene.buildings.push(building);
     });
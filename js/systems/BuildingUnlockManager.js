@@ -40,7 +40,7 @@ export default class BuildingUnlockManager {
    */
   checkUnlocks() {
     // Notify UI to update available buildings
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.updateBuildMenu) {
       uiScene.updateBuildMenu();
     }
@@ -125,4 +125,24 @@ export default class BuildingUnlockManager {
   getBuildingCount(buildingName) {
     return this.builtBuildings[buildingName] || 0;
   }
+
+  /**
+   * Serialize state for saving
+   */
+  toJSON() {
+    return {
+      builtBuildings: { ...this.builtBuildings }
+    };
+  }
+
+  /**
+   * Restore state from load
+   */
+  fromJSON(data) {
+    if (!data || !data.builtBuildings) return;
+
+    this.builtBuildings = { ...this.builtBuildings, ...data.builtBuildings };
+    console.log('BuildingUnlockManager: Restored state from save');
+    this.checkUnlocks();
+  }
 }
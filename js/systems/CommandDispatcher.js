@@ -0,0 +1,432 @@
+// Command Dispatcher - Validates and executes every player and AI order
+//
+// Orders are plain, serializable objects: { type, faction, tick, ...payload }.
+// Entities are referenced by entityId so a command can be stored, sent or
+// replayed without holding on to live game objects.
+
+import { BUILDING, FACTIONS, UNIT_COSTS, UNIT_STANCES } from '../utils/Constants.js';
+
+export const COMMANDS = {
+  MOVE: 'MOVE',                       // unitIds, x, y, [queued]
+  GATHER: 'GATHER',                   // unitIds, resourceId, [queued]
+  BUILD: 'BUILD',                     // unitIds, buildingId, [queued]
+  ATTACK: 'ATTACK',                   // unitIds, targetId, [queued]
+  ATTACK_MOVE: 'ATTACK_MOVE',         // unitIds, x, y, [queued]
+  PATROL: 'PATROL',                   // unitIds, x, y, [queued] (queued onto a patrol: adds a point)
+  HOLD: 'HOLD',                       // unitIds, [queued]
+  STOP: 'STOP',                       // unitIds
+  SET_STANCE: 'SET_STANCE',           // unitIds, stance (UNIT_STANCES)
+  PLACE_BUILDING: 'PLACE_BUILDING',   // buildingType, gridX, gridY, builderIds, [queued]
+  TRAIN: 'TRAIN',                     // buildingId, unitType
+  SPAWN_UNIT: 'SPAWN_UNIT',           // buildingId, unitType
+  CANCEL_TRAINING: 'CANCEL_TRAINING', // buildingId, index
+  MAKE_TOOLS: 'MAKE_TOOLS',           // buildingId, batch
+  RESEARCH: 'RESEARCH',               // buildingId, upgradeKey
+  UPGRADE: 'UPGRADE',                 // buildingId, upgradeKey
+  TOGGLE_PAUSE: 'TOGGLE_PAUSE',       // buildingId
+  RALLY: 'RALLY',                     // buildingId, x, y
+  SABOTAGE: 'SABOTAGE',               // unitId, targetId
+  STEAL: 'STEAL'                      // unitId, targetId
+};
+
+export default class CommandDispatcher {
+  constructor(scene) {
+    this.scene = scene;
+
+    this.handlers = {
+      [COMMANDS.MOVE]: cmd => this.executeMove(cmd),
+      [COMMANDS.GATHER]: cmd => this.executeGather(cmd),
+      [COMMANDS.BUILD]: cmd => this.executeBuild(cmd),
+      [COMMANDS.ATTACK]: cmd => this.executeAttack(cmd),
+      [COMMANDS.ATTACK_MOVE]: cmd => this.executeAttackMove(cmd),
+      [COMMANDS.PATROL]: cmd => this.executePatrol(cmd),
+      [COMMANDS.HOLD]: cmd => this.executeHold(cmd),
+      [COMMANDS.STOP]: cmd => this.executeStop(cmd),
+      [COMMANDS.SET_STANCE]: cmd => this.executeSetStance(cmd),
+      [COMMANDS.PLACE_BUILDING]: cmd => this.executePlaceBuilding(cmd),
+      [COMMANDS.TRAIN]: cmd => this.executeTrain(cmd),
+      [COMMANDS.SPAWN_UNIT]: cmd => this.executeSpawnUnit(cmd),
+      [COMMANDS.CANCEL_TRAINING]: cmd => this.executeCancelTraining(cmd),
+      [COMMANDS.MAKE_TOOLS]: cmd => this.executeMakeTools(cmd),
+      [COMMANDS.RESEARCH]: cmd => this.executeResearch(cmd),
+      [COMMANDS.UPGRADE]: cmd => this.executeUpgrade(cmd),
+      [COMMANDS.TOGGLE_PAUSE]: cmd => this.executeTogglePause(cmd),
+      [COMMANDS.RALLY]: cmd => this.executeRally(cmd),
+      [COMMANDS.SABOTAGE]: cmd => this.executeSabotage(cmd),
+      [COMMANDS.STEAL]: cmd => this.executeSteal(cmd)
+    };
+
+    console.log('CommandDispatcher: Initialized');
+  }
+
+  /**
+   * Validate and execute a command.
+   * Returns { ok: true, ...details } or { ok: false, reason }.
+   */
+  dispatch(command) {
+    const cmd = { ...command, tick: command.tick ?? this.scene.tick ?? 0 };
+
+    const handler = this.handlers[cmd.type];
+    let result;
+    if (!handler) {
+      result = this.reject(`Unknown command type "${cmd.type}"`);
+    } else if (!cmd.faction) {
+      result = this.reject('Command has no issuing faction');
+    } else {
+      result = handler(cmd);
+    }
+
+    if (!result.ok && cmd.faction === FACTIONS.PLAYER) {
+      console.log(`CommandDispatcher: ${cmd.type} rejected - ${result.reason}`);
+    }
+
+    this.scene.events?.emit('command', cmd, result);
+    return result;
+  }
+
+  reject(reason) {
+    return { ok: false, reason };
+  }
+
+  // --- Entity lookup and ownership ---
+
+  /**
+   * Live units owned by the issuing faction (unknown or foreign ids are dropped)
+   */
+  getOwnedUnits(cmd) {
+    return (cmd.unitIds || [])
+      .map(id => this.scene.findEntityById(id))
+      .filter(unit => unit && unit.active && unit.unitType && unit.faction === cmd.faction);
+  }
+
+  /**
+   * A live building owned by the issuing faction, or null
+   */
+  getOwnedBuilding(cmd) {
+    const building = this.scene.findEntityById(cmd.buildingId);
+    if (!building || !building.active || !building.buildingType || building.faction !== cmd.faction) {
+      return null;
+    }
+    return building;
+  }
+
+  /**
+   * Resource pool a faction pays from (its ResourceManager)
+   */
+  getResourcePool(faction) {
+    return this.scene.getResourceManager(faction);
+  }
+
+  // --- Unit orders ---
+  // All but STOP take an optional `queued` flag (shift-click):
+  // busy units then carry the order out after their current ones instead of dropping them.
+
+  executeMove(cmd) {
+    if (!Number.isFinite(cmd.x) || !Number.isFinite(cmd.y)) return this.reject('Invalid destination');
+    const units = this.getOwnedUnits(cmd);
+    if (units.length === 0) return this.reject('No units to command');
+
+    units.forEach(unit => this.issueOrder(unit, { type: COMMANDS.MOVE, x: cmd.x, y: cmd.y }, cmd.queued));
+    return { ok: true, units };
+  }
+
+  executeGather(cmd) {
+    const resource = this.scene.findEntityById(cmd.resourceId);
+    if (!resource || !resource.active || !resource.hasResources?.()) return this.reject('Resource is depleted or missing');
+
+    const workers = this.getOwnedUnits(cmd).filter(unit => unit.unitType === 'goose' && unit.gatherFrom);
+    if (workers.length === 0) return this.reject('No workers to command');
+
+    workers.forEach(worker => this.issueOrder(worker, { type: COMMANDS.GATHER, resourceId: resource.entityId }, cmd.queued));
+    return { ok: true, units: workers };
+  }
+
+  executeBuild(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || building.state !== 'CONSTRUCTION') return this.reject('Building is not under construction');
+
+    const workers = this.getOwnedUnits(cmd).filter(unit => unit.buildConstruction);
+    if (workers.length === 0) return this.reject('No workers to command');
+
+    workers.forEach(worker => this.issueOrder(worker, { type: COMMANDS.BUILD, buildingId: building.entityId }, cmd.queued));
+    return { ok: true, units: workers };
+  }
+
+  executeAttack(cmd) {
+    const target = this.scene.findEntityById(cmd.targetId);
+    if (!target || !target.active) return this.reject('Target is missing');
+    if (!this.scene.diplomacy.areHostile(cmd.faction, target.faction)) return this.reject('Target is not hostile');
+
+    const units = this.getOwnedUnits(cmd).filter(unit => unit.attackOrder);
+    if (units.length === 0) return this.reject('No combat units to command');
+
+    units.forEach(unit => this.issueOrder(unit, { type: COMMANDS.ATTACK, targetId: target.entityId }, cmd.queued));
+    return { ok: true, units };
+  }
+
+  executeAttackMove(cmd) {
+    if (!Number.isFinite(cmd.x) || !Number.isFinite(cmd.y)) return this.reject('Invalid destination');
+    const units = this.getOwnedUnits(cmd).filter(unit => unit.attackMoveTo);
+    if (units.length === 0) return this.reject('No combat units to command');
+
+    units.forEach(unit => this.issueOrder(unit, { type: COMMANDS.ATTACK_MOVE, x: cmd.x, y: cmd.y }, cmd.queued));
+    return { ok: true, units };
+  }
+
+  executePatrol(cmd) {
+    if (!Number.isFinite(cmd.x) || !Number.isFinite(cmd.y)) return this.reject('Invalid destination');
+    const units = this.getOwnedUnits(cmd).filter(unit => unit.patrolTo);
+    if (units.length === 0) return this.reject('No combat units to command');
+
+    units.forEach(unit => {
+      // Shift-clicking more patrol points extends the loop
+      if (cmd.queued && unit.patrolRoute && unit.orderQueue.length === 0) {
+        unit.addPatrolPoint(cmd.x, cmd.y);
+      } else {
+        this.issueOrder(unit, { type: COMMANDS.PATROL, x: cmd.x, y: cmd.y }, cmd.queued);
+      }
+    });
+    return { ok: true, units };
+  }
+
+  executeHold(cmd) {
+    const units = this.getOwnedUnits(cmd).filter(unit => unit.holdPosition);
+    if (units.length === 0) return this.reject('No combat units to command');
+
+    units.forEach(unit => this.issueOrder(unit, { type: COMMANDS.HOLD }, cmd.queued));
+    return { ok: true, units };
+  }
+
+  executeStop(cmd) {
+    const units = this.getOwnedUnits(cmd);
+    if (units.length === 0) return this.reject('No units to command');
+
+    units.forEach(unit => this.issueOrder(unit, { type: COMMANDS.STOP }));
+    return { ok: true, units };
+  }
+
+  /**
+   * A stance is a standing setting, not an order: it keeps the units' current orders
+   */
+  executeSetStance(cmd) {
+    if (!Object.values(UNIT_STANCES).includes(cmd.stance)) return this.reject(`Unknown stance "${cmd.stance}"`);
+    const units = this.getOwnedUnits(cmd).filter(unit => unit.setStance);
+    if (units.length === 0) return this.reject('No combat units to command');
+
+    units.forEach(unit => unit.setStance(cmd.stance));
+    return { ok: true, units };
+  }
+
+  /**
+   * Give a unit an order now (replacing its current ones), or queue it if the unit is busy
+   */
+  issueOrder(unit, order, queued = false) {
+    if (queued && (unit.orderQueue.length > 0 || unit.isBusy())) {
+      unit.orderQueue.push(order);
+      return;
+    }
+
+    unit.clearOrders();
+    this.applyOrder(unit, order);
+  }
+
+  /**
+   * Carry out a unit order (also used by units working through their order queue)
+   * @returns {boolean} False if the order's target is gone and there was nothing to do
+   */
+  applyOrder(unit, order) {
+    // Any other order takes a worker off gathering
+    if (order.type !== COMMANDS.GATHER && unit.unitType === 'goose' && unit.stopGathering) {
+      unit.stopGathering();
+    }
+
+    switch (order.type) {
+      case COMMANDS.MOVE:
+        unit.moveTo(order.x, order.y);
+        return true;
+
+      case COMMANDS.GATHER: {
+        const resource = this.scene.findEntityById(order.resourceId);
+        if (!resource || !resource.active || !resource.hasResources()) return false;
+        unit.gatherFrom(resource);
+        return true;
+      }
+
+      case COMMANDS.BUILD: {
+        const building = this.scene.findEntityById(order.buildingId);
+        if (!building || !building.active || building.state !== 'CONSTRUCTION') return false;
+        unit.buildConstruction(building);
+        return true;
+      }
+
+      case COMMANDS.ATTACK: {
+        // Focus fire; Spies put buildings out of action with their abilities rather than fighting them
+        const target = this.scene.findEntityById(order.targetId);
+        if (!target || !target.active) return false;
+        if (!unit.useAbilityOn?.(target)) unit.attackOrder(target);
+        return true;
+      }
+
+      case COMMANDS.ATTACK_MOVE:
+        unit.attackMoveTo(order.x, order.y);
+        return true;
+
+      case COMMANDS.PATROL:
+        unit.patrolTo(order.x, order.y);
+        return true;
+
+      case COMMANDS.HOLD:
+        unit.holdPosition();
+        return true;
+
+      case COMMANDS.STOP:
+        unit.stop();
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  // --- Construction and production ---
+
+  executePlaceBuilding(cmd) {
+    const config = BUILDING[cmd.buildingType];
+    if (!config) return this.reject(`Unknown building type "${cmd.buildingType}"`);
+    if (!Number.isInteger(cmd.gridX) || !Number.isInteger(cmd.gridY)) return this.reject('Invalid build location');
+
+    // Unlocks track the player's tech tree; AI factions follow their own build order
+    if (cmd.faction === FACTIONS.PLAYER && this.scene.buildingUnlockManager &&
+      !this.scene.buildingUnlockManager.isBuildingUnlocked(cmd.buildingType)) {
+      return this.reject(`${config.name} is locked`);
+    }
+
+    const buildingManager = this.scene.buildingManager;
+    if (!buildingManager.canPlaceAt(cmd.buildingType, cmd.gridX, cmd.gridY)) {
+      return this.reject('Cannot build there');
+    }
+
+    const pool = this.getResourcePool(cmd.faction);
+    if (!pool || !pool.spend(config.cost)) return this.reject('Not enough resources');
+
+    const worldPos = this.scene.isometricMap.getWorldPosCenter(cmd.gridX, cmd.gridY);
+    const building = buildingManager.createBuilding(cmd.buildingType, worldPos.x, worldPos.y, cmd.faction);
+    this.scene.buildings.push(building);
+
+    // Assign any builders sent along with the order (queued: after their current orders)
+    this.getOwnedUnits({ ...cmd, unitIds: cmd.builderIds }).forEach(unit => {
+      if (typeof unit.buildConstruction === 'function') {
+        this.issueOrder(unit, { type: COMMANDS.BUILD, buildingId: building.entityId }, cmd.queued);
+      }
+    });
+
+    return { ok: true, building };
+  }
+
+  executeTrain(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || !building.productionQueue) return this.reject('Building cannot train units');
+    if (!building.canProduce?.includes(cmd.unitType)) return this.reject(`${building.buildingName} cannot train ${cmd.unitType}`);
+
+    // The queue checks and deducts the cost itself
+    const success = building.productionQueue.addToQueue(cmd.unitType, this.getResourcePool(cmd.faction));
+    return success ? { ok: true, building } : this.reject('Not enough resources or queue is full');
+  }
+
+  /**
+   * Pay for a unit and spawn it beside the building at once, skipping the production queue.
+   * Kept for scripted setups and tests; AI factions train through TRAIN like the player.
+   */
+  executeSpawnUnit(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building) return this.reject('Building is missing');
+
+    const UnitClass = this.scene.unitClasses?.[this.getUnitClassName(cmd.unitType)];
+    const cost = UNIT_COSTS[cmd.unitType?.toUpperCase()];
+    if (!UnitClass || !cost) return this.reject(`Unknown unit type "${cmd.unitType}"`);
+
+    const pool = this.getResourcePool(cmd.faction);
+    if (!pool || !pool.spend(cost)) return this.reject('Not enough resources');
+
+    const unit = new UnitClass(this.scene, building.x + 80, building.y + 30, cmd.faction);
+    this.scene.units.push(unit);
+    return { ok: true, unit };
+  }
+
+  getUnitClassName(unitType) {
+    if (unitType === 'worker' || unitType === 'goose') return 'Goose';
+    return unitType ? unitType.charAt(0).toUpperCase() + unitType.slice(1) : null;
+  }
+
+  executeCancelTraining(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || !building.productionQueue) return this.reject('Building has no production queue');
+
+    const success = building.productionQueue.cancelQueuedItem(cmd.index);
+    return success ? { ok: true, building } : this.reject('Nothing to cancel');
+  }
+
+  executeMakeTools(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || building.buildingType !== 'FACTORY') return this.reject('Tools are made at a Factory');
+
+    const success = cmd.batch ? building.queueBatchProduction?.() : building.queueToolProduction();
+    return success ? { ok: true, building } : this.reject('Cannot make tools');
+  }
+
+  executeResearch(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || building.buildingType !== 'RESEARCH_CENTER') return this.reject('Research needs a Research Center');
+
+    const success = building.startResearch(cmd.upgradeKey);
+    return success ? { ok: true, building } : this.reject(`Cannot research ${cmd.upgradeKey}`);
+  }
+
+  executeUpgrade(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || !building.purchaseUpgrade) return this.reject('Building has no upgrades');
+
+    const success = building.purchaseUpgrade(cmd.upgradeKey);
+    return success ? { ok: true, building } : this.reject(`Cannot purchase ${cmd.upgradeKey}`);
+  }
+
+  executeTogglePause(cmd) {
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || !building.togglePause) return this.reject('Building cannot be paused');
+
+    building.togglePause();
+    return { ok: true, building };
+  }
+
+  executeRally(cmd) {
+    if (!Number.isFinite(cmd.x) || !Number.isFinite(cmd.y)) return this.reject('Invalid rally point');
+    const building = this.getOwnedBuilding(cmd);
+    if (!building || !building.setRallyPoint) return this.reject('Building has no rally point');
+
+    building.setRallyPoint(cmd.x, cmd.y);
+    return { ok: true, building };
+  }
+
+  // --- Spy abilities (range and cooldown are checked by the Spy) ---
+
+  executeSabotage(cmd) {
+    const spy = this.getOwnedSpy(cmd);
+    if (!spy) return this.reject('No spy to command');
+
+    const target = this.scene.findEntityById(cmd.targetId);
+    return spy.sabotageBuilding(target) ? { ok: true, unit: spy } : this.reject('Sabotage failed');
+  }
+
+  executeSteal(cmd) {
+    const spy = this.getOwnedSpy(cmd);
+    if (!spy) return this.reject('No spy to command');
+
+    const target = this.scene.findEntityById(cmd.targetId);
+    return spy.stealResources(target) ? { ok: true, unit: spy } : this.reject('Steal failed');
+  }
+
+  getOwnedSpy(cmd) {
+    const [spy] = this.getOwnedUnits({ ...cmd, unitIds: [cmd.unitId] });
+    return spy && spy.unitType === 'spy' ? spy : null;
+  }
+}
@@ -0,0 +1,69 @@
+// Diplomacy - Which factions fight each other
+//
+// Every faction belongs to a team; factions on the same team are allies (no targeting,
+// shared vision, shared victory) and all others are hostile. A faction missing from the
+// table is a team of its own, so an empty table is a free-for-all. NEUTRAL is nobody's enemy.
+
+import { FACTIONS, TEAM_SETUPS } from '../utils/Constants.js';
+
+export default class Diplomacy {
+  /**
+   * @param {Object<string, string>} [teams] - Team name per faction, e.g. { PLAYER: 'A', ENEMY_1: 'A' }
+   */
+  constructor(teams = {}) {
+    this.teams = { ...teams };
+  }
+
+  /**
+   * Team table for a New Game setup preset
+   * @param {string} setup - TEAM_SETUPS key
+   * @param {string[]} factions - Factions in the match (see GameScene.getFactions)
+   * @returns {Object<string, string>} Team per faction; free-for-all ({}) when the preset would
+   *   put everyone on one team (e.g. teaming up with the only AI, or no player when spectating)
+   */
+  static teamsForSetup(setup, factions) {
+    const preset = TEAM_SETUPS[setup];
+    if (!preset || !preset.teams) return {};
+
+    const teams = {};
+    factions.forEach(faction => {
+      if (preset.teams[faction]) teams[faction] = preset.teams[faction];
+    });
+
+    const diplomacy = new Diplomacy(teams);
+    const teamCount = new Set(factions.map(faction => diplomacy.getTeam(faction))).size;
+    return teamCount > 1 ? teams : {};
+  }
+
+  /**
+   * Team a faction plays on
+   */
+  getTeam(faction) {
+    return this.teams[faction] || faction;
+  }
+
+  /**
+   * Whether two factions are on the same side (a faction is its own ally)
+   */
+  areAllied(factionA, factionB) {
+    if (factionA === factionB) return true;
+    if (factionA === FACTIONS.NEUTRAL || factionB === FACTIONS.NEUTRAL) return false;
+    return this.getTeam(factionA) === this.getTeam(factionB);
+  }
+
+  /**
+   * Whether two factions fight each other
+   */
+  areHostile(factionA, factionB) {
+    if (!factionA || !factionB) return false;
+    if (factionA === FACTIONS.NEUTRAL || factionB === FACTIONS.NEUTRAL) return false;
+    return !this.areAllied(factionA, factionB);
+  }
+
+  /**
+   * Serialize the team table (stored in the map config)
+   */
+  toJSON() {
+    return { ...this.teams };
+  }
+}
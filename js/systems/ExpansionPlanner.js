@@ -0,0 +1,107 @@
+// Expansion Planner - Finds resource sites worth claiming away from an AI's main base
+//
+// Candidate sites sit on a coarse grid over the map; each is scored by the resources left in
+// its nodes (via the resource spatial hash) and the walkable rock tiles around it (stone needs a
+// Mine on rock, counted only where one fits), and discounted by its distance from the base.
+
+const SITE_GRID_STEP = 8;      // Tiles between candidate site centers
+const SITE_RADIUS = 300;       // px - resource nodes counted towards a site
+const SITE_ROCK_RADIUS = 5;    // Tiles searched for rock around a site center
+const ROCK_TILE_VALUE = 40;    // Score of one rock tile, in resource units
+const MIN_SITE_VALUE = 600;    // Sites worth less than this are not worth a Resource Storage
+const DISTANCE_FALLOFF = 1500; // px - a site this far away counts half
+
+export default class ExpansionPlanner {
+  constructor(scene) {
+    this.scene = scene;
+  }
+
+  /**
+   * Resources left within a radius of a world position, by type
+   */
+  countResources(x, y, radius = SITE_RADIUS) {
+    const resources = { food: 0, water: 0, sticks: 0 };
+    const nodes = this.scene.resourceSpatialHash.findAll(x, y, radius,
+      node => node.active && node.hasResources());
+
+    for (const { object: node } of nodes) {
+      if (resources[node.resourceType] !== undefined) resources[node.resourceType] += node.currentCapacity;
+    }
+
+    return resources;
+  }
+
+  /**
+   * Score a site centered on a grid tile (resources, rock and the rock tile nearest the center)
+   */
+  scoreSite(gridX, gridY) {
+    const map = this.scene.isometricMap;
+    const pos = map.getWorldPosCenter(gridX, gridY);
+    const resources = this.countResources(pos.x, pos.y);
+
+    // Only walkable rock can be mined (mountain rock cannot be built on)
+    let rockTiles = 0;
+    let rockTile = null;
+    let rockDistSq = Infinity;
+    for (let dy = -SITE_ROCK_RADIUS; dy <= SITE_ROCK_RADIUS; dy++) {
+      for (let dx = -SITE_ROCK_RADIUS; dx <= SITE_ROCK_RADIUS; dx++) {
+        const tile = map.getTile(gridX + dx, gridY + dy);
+        if (!tile || tile.terrainType !== 'rock' || !map.isWalkable(gridX + dx, gridY + dy)) continue;
+
+        rockTiles++;
+        if (dx * dx + dy * dy < rockDistSq && this.scene.buildingManager.canPlaceAt('MINE', gridX + dx, gridY + dy)) {
+          rockDistSq = dx * dx + dy * dy;
+          rockTile = { x: gridX + dx, y: gridY + dy };
+        }
+      }
+    }
+
+    // Rock no Mine fits on is worth nothing
+    if (!rockTile) rockTiles = 0;
+
+    const total = resources.food + resources.water + resources.sticks;
+    return {
+      x: pos.x,
+      y: pos.y,
+      gridX,
+      gridY,
+      resources,
+      rockTiles,
+      rockTile,
+      value: total + rockTiles * ROCK_TILE_VALUE
+    };
+  }
+
+  /**
+   * Best site to expand to from a world position
+   * @param {number} fromX - World position the site is measured from (the main base)
+   * @param {number} fromY
+   * @param {function} isAvailable - (site) => whether the AI may claim it (known, unclaimed, reachable)
+   * @param {object} [options]
+   * @param {boolean} [options.needsRock] - Only sites with rock for a Mine
+   * @returns {object|null} Site as returned by scoreSite, or null if nothing is worth claiming
+   */
+  findBestSite(fromX, fromY, isAvailable, { needsRock = false } = {}) {
+    const map = this.scene.isometricMap;
+    let best = null;
+    let bestScore = 0;
+
+    for (let gridY = SITE_GRID_STEP / 2; gridY < map.gridHeight; gridY += SITE_GRID_STEP) {
+      for (let gridX = SITE_GRID_STEP / 2; gridX < map.gridWidth; gridX += SITE_GRID_STEP) {
+        if (!map.isWalkable(gridX, gridY)) continue;
+
+        const site = this.scoreSite(gridX, gridY);
+        if (site.value < MIN_SITE_VALUE || (needsRock && !site.rockTile)) continue;
+
+        const distance = Phaser.Math.Distance.Between(fromX, fromY, site.x, site.y);
+        const score = site.value / (1 + distance / DISTANCE_FALLOFF);
+        if (score > bestScore && isAvailable(site)) {
+          bestScore = score;
+          best = site;
+        }
+      }
+    }
+
+    return best;
+  }
+}
@@ -0,0 +1,167 @@
+// Faction Vision - What one faction's units and buildings can see (no rendering)
+//
+// FogOfWar draws the fog for the faction on screen; FactionVision keeps the same
+// unexplored / explored / visible grid for any faction, so AI opponents only act on
+// what their own side (the faction and its allies, see Diplomacy) has seen.
+
+import { MAP } from '../utils/Constants.js';
+import { worldToGridInt } from '../utils/IsometricUtils.js';
+
+const UNEXPLORED = 0;
+const EXPLORED = 1;
+const VISIBLE = 2;
+
+const BUILDING_VISION = 8;   // tiles, as in FogOfWar
+const SCOUT_GRID_STEP = 4;   // Tiles between candidate exploration targets
+
+export default class FactionVision {
+  constructor(scene, faction) {
+    this.scene = scene;
+    this.faction = faction;
+    this.width = scene.mapWidth || MAP.GRID_WIDTH;
+    this.height = scene.mapHeight || MAP.GRID_HEIGHT;
+
+    // 0=unexplored, 1=explored, 2=visible
+    this.grid = [];
+    for (let y = 0; y < this.height; y++) {
+      this.grid[y] = new Array(this.width).fill(UNEXPLORED);
+    }
+  }
+
+  /**
+   * Whether a faction's units and buildings give this faction sight (itself or an ally)
+   */
+  sharesVision(faction) {
+    return this.scene.diplomacy.areAllied(this.faction, faction);
+  }
+
+  /**
+   * Recompute what the faction and its allies see now (call before acting on it)
+   */
+  update() {
+    for (let y = 0; y < this.height; y++) {
+      const row = this.grid[y];
+      for (let x = 0; x < this.width; x++) {
+        if (row[x] === VISIBLE) row[x] = EXPLORED;
+      }
+    }
+
+    for (const unit of this.scene.units) {
+      if (!unit.active || !this.sharesVision(unit.faction)) continue;
+      const gridPos = worldToGridInt(unit.x, unit.y);
+      this.revealArea(gridPos.x, gridPos.y, unit.visionRange || 5);
+    }
+
+    for (const building of this.scene.buildings) {
+      if (!building.active || !this.sharesVision(building.faction)) continue;
+      const gridPos = worldToGridInt(building.x, building.y);
+      this.revealArea(gridPos.x, gridPos.y, BUILDING_VISION);
+    }
+  }
+
+  /**
+   * Mark a circle of tiles visible
+   */
+  revealArea(centerX, centerY, radius) {
+    const radiusSq = radius * radius;
+    for (let dy = -radius; dy <= radius; dy++) {
+      const y = centerY + dy;
+      if (y < 0 || y >= this.height) continue;
+      for (let dx = -radius; dx <= radius; dx++) {
+        const x = centerX + dx;
+        if (x < 0 || x >= this.width || dx * dx + dy * dy > radiusSq) continue;
+        this.grid[y][x] = VISIBLE;
+      }
+    }
+  }
+
+  isValidTile(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Check if a tile is in sight right now
+   */
+  isVisible(gridX, gridY) {
+    return this.isValidTile(gridX, gridY) && this.grid[gridY][gridX] === VISIBLE;
+  }
+
+  /**
+   * Check if a tile has ever been seen
+   */
+  isExplored(gridX, gridY) {
+    return this.isValidTile(gridX, gridY) && this.grid[gridY][gridX] >= EXPLORED;
+  }
+
+  /**
+   * Mark a tile as seen without having been there (e.g. a target that turned out unreachable)
+   */
+  markExplored(gridX, gridY) {
+    if (this.isValidTile(gridX, gridY) && this.grid[gridY][gridX] === UNEXPLORED) {
+      this.grid[gridY][gridX] = EXPLORED;
+    }
+  }
+
+  /**
+   * Check if a world position is in sight right now
+   */
+  canSeePosition(x, y) {
+    const gridPos = worldToGridInt(x, y);
+    return this.isVisible(gridPos.x, gridPos.y);
+  }
+
+  /**
+   * Check if an entity stands in sight right now (stealthed spies of other teams stay hidden)
+   */
+  canSee(entity) {
+    if (!entity || !entity.active) return false;
+    if (entity.isStealthed && !this.sharesVision(entity.faction)) return false;
+    return this.canSeePosition(entity.x, entity.y);
+  }
+
+  /**
+   * Nearest unexplored, walkable tile to a world position (sampled on a coarse grid), as world coords
+   * @returns {{x: number, y: number}|null} null once the whole map has been explored
+   */
+  findUnexplored(fromX, fromY) {
+    const map = this.scene.isometricMap;
+    const from = worldToGridInt(fromX, fromY);
+    let best = null;
+    let bestDistSq = Infinity;
+
+    for (let y = SCOUT_GRID_STEP / 2; y < this.height; y += SCOUT_GRID_STEP) {
+      for (let x = SCOUT_GRID_STEP / 2; x < this.width; x += SCOUT_GRID_STEP) {
+        if (this.grid[y][x] !== UNEXPLORED || !map.isWalkable(x, y)) continue;
+
+        const distSq = (x - from.x) * (x - from.x) + (y - from.y) * (y - from.y);
+        if (distSq < bestDistSq) {
+          bestDistSq = distSq;
+          best = { x, y };
+        }
+      }
+    }
+
+    return best ? map.getWorldPosCenter(best.x, best.y) : null;
+  }
+
+  /**
+   * Serialize the grid for saving (one string of 0/1/2 digits per row, like FogOfWar)
+   */
+  toJSON() {
+    return this.grid.map(row => row.join(''));
+  }
+
+  /**
+   * Restore the grid from save data
+   */
+  fromJSON(rows) {
+    if (!Array.isArray(rows)) return;
+
+    rows.forEach((row, y) => {
+      if (!this.grid[y]) return;
+      for (let x = 0; x < this.width && x < row.length; x++) {
+        this.grid[y][x] = parseInt(row.charAt(x), 10) || UNEXPLORED;
+      }
+    });
+  }
+}
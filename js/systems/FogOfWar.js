@@ -10,14 +10,11 @@ export default class FogOfWar {
     // Enabled state (can be toggled for debugging)
     this.enabled = true;
 
+    // Faction whose sight lifts the fog (replays can switch between factions)
+    this.viewFaction = FACTIONS.PLAYER;
+
     // Fog state for each tile: 0=unexplored, 1=explored, 2=visible
-    this.fogState = [];
-    for (let y = 0; y < (this.scene.mapHeight || MAP.GRID_HEIGHT); y++) {
-      this.fogState[y] = [];
-      for (let x = 0; x < (this.scene.mapWidth || MAP.GRID_WIDTH); x++) {
-        this.fogState[y][x] = 0; // All tiles start unexplored
-      }
-    }
+    this.resetFogState();
 
     // Create fog overlay graphics
     this.fogGraphics = scene.add.graphics();
@@ -30,6 +27,30 @@ export default class FogOfWar {
     console.log('FogOfWar: Initialized');
   }
 
+  /**
+   * Mark every tile unexplored
+   */
+  resetFogState() {
+    this.fogState = [];
+    for (let y = 0; y < (this.scene.mapHeight || MAP.GRID_HEIGHT); y++) {
+      this.fogState[y] = [];
+      for (let x = 0; x < (this.scene.mapWidth || MAP.GRID_WIDTH); x++) {
+        this.fogState[y][x] = 0; // All tiles start unexplored
+      }
+    }
+  }
+
+  /**
+   * Show the map through another faction's eyes (exploration starts over)
+   */
+  setViewFaction(faction) {
+    if (faction === this.viewFaction) return;
+    this.viewFaction = faction;
+    this.resetFogState();
+    this.updateVisibility(); // Immediately, in case the game is paused
+    console.log(`FogOfWar: Viewing as ${faction}`);
+  }
+
   /**
    * Reveal fog around player's starting base
    */
@@ -63,6 +84,8 @@ export default class FogOfWar {
       // When disabled, clear fog graphics and show all entities
       this.fogGraphics.clear();
       this.showAllEntities();
+    } else {
+      this.updateVisibility(); // Immediately, in case the game is paused
     }
 
     console.log(`FogOfWar: ${this.enabled ? 'Enabled' : 'Disabled'}`);
@@ -90,12 +113,25 @@ export default class FogOfWar {
   }
 
   /**
-   * Update fog of war (call every frame or periodically)
+   * Update fog of war (call every frame)
+   * @param {boolean} [simulationAdvanced=true] - False when no tick ran (paused), so visibility is unchanged
    */
-  update() {
+  update(simulationAdvanced = true) {
     // Skip if disabled
     if (!this.enabled) return;
 
+    if (simulationAdvanced) {
+      this.updateVisibility();
+    }
+
+    // Draw fog overlay (follows the camera, so it is redrawn even while paused)
+    this.drawFogOverlay();
+  }
+
+  /**
+   * Recompute visible tiles and which entities can be seen
+   */
+  updateVisibility() {
     // Reset all explored tiles to "explored but not visible"
     for (let y = 0; y < (this.scene.mapHeight || MAP.GRID_HEIGHT); y++) {
       for (let x = 0; x < (this.scene.mapWidth || MAP.GRID_WIDTH); x++) {
@@ -105,23 +141,27 @@ export default class FogOfWar {
       }
     }
 
-    // Reveal fog around player units and buildings
+    // Reveal fog around the viewing faction's (and its allies') units and buildings
     this.revealAroundPlayerUnits();
     this.revealAroundPlayerBuildings();
 
     // Update visibility of units and buildings
     this.updateEntityVisibility();
+  }
 
-    // Draw fog overlay
-    this.drawFogOverlay();
+  /**
+   * Whether a faction shares its sight with the viewing faction (itself or an ally)
+   */
+  sharesVision(faction) {
+    return this.scene.diplomacy.areAllied(this.viewFaction, faction);
   }
 
   /**
-   * Reveal fog around player units
+   * Reveal fog around the viewing faction's and its allies' units
    */
   revealAroundPlayerUnits() {
     this.scene.units.forEach(unit => {
-      if (unit.faction === FACTIONS.PLAYER && unit.active) {
+      if (this.sharesVision(unit.faction) && unit.active) {
         const gridPos = worldToGridInt(unit.x, unit.y);
         this.revealArea(gridPos.x, gridPos.y, unit.visionRange || 5);
       }
@@ -129,11 +169,11 @@ export default class FogOfWar {
   }
 
   /**
-   * Reveal fog around player buildings
+   * Reveal fog around the viewing faction's and its allies' buildings
    */
   revealAroundPlayerBuildings() {
     this.scene.buildings.forEach(building => {
-      if (building.faction === FACTIONS.PLAYER && building.active) {
+      if (this.sharesVision(building.faction) && building.active) {
         const gridPos = worldToGridInt(building.x, building.y);
         this.revealArea(gridPos.x, gridPos.y, 8);
       }
@@ -176,13 +216,13 @@ export default class FogOfWar {
       const gridPos = worldToGridInt(unit.x, unit.y);
       const isVisible = this.isVisible(gridPos.x, gridPos.y);
 
-      // Enemy units are only visible in fog-revealed areas
-      if (unit.faction === FACTIONS.ENEMY_AI) {
+      // Other factions' units are only visible in fog-revealed areas
+      if (unit.faction !== this.viewFaction) {
         unit.setVisible(isVisible);
         if (unit.selectionCircle) unit.selectionCircle.setVisible(false);
         if (unit.statusText) unit.statusText.setVisible(isVisible);
       } else {
-        // Player units are always visible
+        // Own units are always visible
         unit.setVisible(true);
       }
     });
@@ -194,11 +234,11 @@ export default class FogOfWar {
       const gridPos = worldToGridInt(building.x, building.y);
       const isVisible = this.isVisible(gridPos.x, gridPos.y);
 
-      // Enemy buildings are only visible in fog-revealed areas
-      if (building.faction === FACTIONS.ENEMY_AI) {
+      // Other factions' buildings are only visible in fog-revealed areas
+      if (building.faction !== this.viewFaction) {
         building.setVisible(isVisible);
       } else {
-        // Player buildings are always visible
+        // Own buildings are always visible
         building.setVisible(true);
       }
     });
@@ -340,6 +380,36 @@ export default class FogOfWar {
     this.fogGraphics.fillPath();
   }
 
+  /**
+   * Serialize fog grid for saving (one string of 0/1/2 digits per row)
+   */
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      fogState: this.fogState.map(row => row.join(''))
+    };
+  }
+
+  /**
+   * Restore fog grid from save data
+   */
+  fromJSON(data) {
+    if (!data || !Array.isArray(data.fogState)) return;
+
+    data.fogState.forEach((row, y) => {
+      if (!this.fogState[y]) return;
+      for (let x = 0; x < this.fogState[y].length && x < row.length; x++) {
+        this.fogState[y][x] = parseInt(row.charAt(x), 10) || 0;
+      }
+    });
+
+    if (data.enabled === false && this.enabled) {
+      this.toggle();
+    }
+
+    console.log('FogOfWar: Restored fog state from save');
+  }
+
   /**
    * Clean up
    */
@@ -4,12 +4,23 @@ import { TILE, MAP, DEPTH, COLORS } from '../utils/Constants.js';
 import { gridToWorld, worldToGridInt, isWithinBounds } from '../utils/IsometricUtils.js';
 import NoiseManager from '../utils/NoiseManager.js';
 
+// Single-character codes used to store terrain compactly in save files
+const TERRAIN_CODES = {
+  grass: 'g',
+  dirt: 'd',
+  water: 'w',
+  sand: 's',
+  rock: 'r',
+  snow: 'n',
+  ice: 'i'
+};
+
 export default class IsometricMap {
   constructor(scene) {
     this.scene = scene;
     this.gridWidth = scene.mapConfig?.width || MAP.GRID_WIDTH;
     this.gridHeight = scene.mapConfig?.height || MAP.GRID_HEIGHT;
-    this.seed = scene.mapConfig?.seed || this.generateRandomSeed();
+    this.seed = scene.randomManager.seed;
     this.noise = new NoiseManager(this.seed);
 
     // 2D array for tile data [x][y]
@@ -27,7 +38,10 @@ export default class IsometricMap {
     this.activeTerrainTiles = new Map(); // Key: "x,y", Value: Sprite[]
 
     // Generate soft-edged terrain textures with feathered alpha borders
-    this.createSoftTileTextures();
+    // (view-only; headless matches have no canvas to draw them on)
+    if (!scene.headless) {
+      this.createSoftTileTextures();
+    }
 
     this.initialize();
   }
@@ -284,13 +298,6 @@ export default class IsometricMap {
     }
   }
 
-  /**
-   * Helper to generate a random string seed if one isn't provided
-   */
-  generateRandomSeed() {
-    return Math.random().toString(36).substring(2, 10);
-  }
-
   /**
    * Generate raw terrain data for a tile using Procedural Simplex Noise.
    * Returns { type: string, z: number, isSpawn: boolean }
@@ -349,7 +356,7 @@ export default class IsometricMap {
         return { type: 'rock', z: 0, isSpawn: false };
       } else {
         // Standard fertile grassland
-        return { type: (Math.random() > 0.9) ? 'dirt' : 'grass', z: 0, isSpawn: false };
+        return { type: (this.scene.randomManager.mapgen.next() > 0.9) ? 'dirt' : 'grass', z: 0, isSpawn: false };
       }
     }
   }
@@ -565,6 +572,73 @@ export default class IsometricMap {
     return highlight;
   }
 
+  /**
+   * Serialize terrain for saving.
+   * Each column is stored as a string of (terrain code, z) character pairs.
+   */
+  toJSON() {
+    const terrain = [];
+    for (let x = 0; x < this.gridWidth; x++) {
+      let column = '';
+      for (let y = 0; y < this.gridHeight; y++) {
+        const tile = this.tiles[x][y];
+        column += (TERRAIN_CODES[tile.terrainType] || 'g') + tile.z;
+      }
+      terrain.push(column);
+    }
+
+    return {
+      seed: this.seed,
+      width: this.gridWidth,
+      height: this.gridHeight,
+      terrain
+    };
+  }
+
+  /**
+   * Restore terrain from save data (map must already be generated at the same size)
+   */
+  fromJSON(data) {
+    if (!data || !Array.isArray(data.terrain)) return;
+
+    if (data.width !== this.gridWidth || data.height !== this.gridHeight) {
+      console.warn(`IsometricMap: Saved map is ${data.width}x${data.height}, current map is ${this.gridWidth}x${this.gridHeight} - skipping terrain restore`);
+      return;
+    }
+
+    const terrainTypes = Object.fromEntries(
+      Object.entries(TERRAIN_CODES).map(([type, code]) => [code, type])
+    );
+
+    for (let x = 0; x < this.gridWidth; x++) {
+      const column = data.terrain[x] || '';
+      for (let y = 0; y < this.gridHeight; y++) {
+        const tile = this.tiles[x][y];
+        const code = column.charAt(y * 2);
+        if (!code) continue;
+
+        tile.terrainType = terrainTypes[code] || 'grass';
+        tile.z = parseInt(column.charAt(y * 2 + 1), 10) || 0;
+        tile.walkable = tile.terrainType !== 'water' && tile.z === 0;
+        this.pathfindingGrid[y][x] = (tile.walkable && !tile.occupied) ? 0 : 1;
+      }
+    }
+
+    // Return every active terrain sprite to the pool so the next update() redraws it
+    for (const [key, spritesArray] of this.activeTerrainTiles.entries()) {
+      spritesArray.forEach(sprite => {
+        sprite.setVisible(false);
+        sprite.setActive(false);
+        this.terrainPool.push(sprite);
+      });
+      const [gx, gy] = key.split(',').map(Number);
+      this.tiles[gx][gy].sprites = [];
+    }
+    this.activeTerrainTiles.clear();
+
+    console.log('IsometricMap: Restored terrain from save');
+  }
+
   /**
    * Get world position from grid coordinates
    */
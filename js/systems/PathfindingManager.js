@@ -14,6 +14,9 @@ export default class PathfindingManager {
     // Pending path requests
     this.pendingRequests = 0;
 
+    // Finished searches waiting to be delivered on the next update()
+    this.completedPaths = [];
+
     // Track if grid needs updating (optimization)
     this.gridDirty = false;
     this.dirtyCells = []; // Track specific dirty cells
@@ -42,9 +45,25 @@ export default class PathfindingManager {
     // Set iterations per calculation (higher = faster but may cause lag)
     this.easystar.setIterationsPerCalculation(1000);
 
+    // Searches only advance from update(), so results arrive on a fixed tick
+    // rather than on a browser timeout (keeps replays deterministic)
+    this.easystar.enableSync();
+
     console.log('PathfindingManager: Grid configured');
   }
 
+  /**
+   * Drop all in-flight searches and rebuild the grid (used when a save replaces the world)
+   */
+  reset() {
+    this.easystar = new EasyStar.js();
+    this.setupPathfinding();
+    this.pendingRequests = 0;
+    this.completedPaths = [];
+    this.gridDirty = false;
+    this.dirtyCells = [];
+  }
+
   /**
    * Find a path from start to end
    * @param {number} startX - Start grid X
@@ -125,7 +144,7 @@ export default class PathfindingManager {
 
     this.pendingRequests++;
 
-    this.easystar.findPath(startX, startY, endX, endY, (path) => {
+    this.easystar.findPath(startX, startY, endX, endY, (path) => this.completedPaths.push(() => {
       this.pendingRequests--;
 
       if (path === null) {
@@ -143,10 +162,20 @@ export default class PathfindingManager {
         console.log(`PathfindingManager: Path found with ${path.length} nodes`);
         callback(path);
       }
-    });
+    }));
+  }
+
+  /**
+   * Advance pending searches and deliver finished paths (call once per simulation tick)
+   */
+  update() {
+    if (this.pendingRequests > 0) {
+      this.easystar.calculate();
+    }
 
-    // Calculate paths
-    this.easystar.calculate();
+    const completed = this.completedPaths;
+    this.completedPaths = [];
+    completed.forEach(deliver => deliver());
   }
 
   /**
@@ -285,4 +285,29 @@ export default class ProductionQueue {
       queue: this.queue
     };
   }
+
+  /**
+   * Serialize queue for saving (the head of the queue is the item in production)
+   */
+  toJSON() {
+    return {
+      queue: this.queue.map(item => ({ ...item, cost: { ...item.cost } })),
+      speedMultiplier: this.speedMultiplier
+    };
+  }
+
+  /**
+   * Restore queue from save data
+   */
+  fromJSON(data) {
+    if (!data) return;
+
+    this.queue = Array.isArray(data.queue) ? data.queue.map(item => ({ ...item })) : [];
+    this.speedMultiplier = data.speedMultiplier || this.speedMultiplier;
+
+    this.currentProduction = null;
+    if (this.queue.length > 0) {
+      this.startNextProduction();
+    }
+  }
 }
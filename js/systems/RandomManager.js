@@ -0,0 +1,47 @@
+// Random Manager - Seeded random streams shared by every system
+
+import SeededRandom from '../utils/SeededRandom.js';
+
+export default class RandomManager {
+  constructor(seed) {
+    this.seed = seed || RandomManager.createSeed();
+
+    // Map generation and gameplay draw from separate streams, so gameplay code
+    // can change how often it rolls without altering the map a seed produces
+    this.mapgen = new SeededRandom(`${this.seed}:mapgen`);
+    this.gameplay = new SeededRandom(`${this.seed}:gameplay`);
+
+    // Match setup rolls (e.g. random AI strategies) only happen while a match is created, so
+    // they get a stream of their own that saves need not track
+    this.setup = new SeededRandom(`${this.seed}:setup`);
+
+    console.log(`RandomManager: Seeded with "${this.seed}"`);
+  }
+
+  /**
+   * Generate a random string seed for games started without one
+   */
+  static createSeed() {
+    return Math.random().toString(36).substring(2, 10);
+  }
+
+  /**
+   * Serialize stream positions for saving
+   */
+  toJSON() {
+    return {
+      seed: this.seed,
+      mapgen: this.mapgen.getState(),
+      gameplay: this.gameplay.getState()
+    };
+  }
+
+  /**
+   * Resume both streams where the save left off
+   */
+  fromJSON(data) {
+    if (!data) return;
+    if (Number.isFinite(data.mapgen)) this.mapgen.setState(data.mapgen);
+    if (Number.isFinite(data.gameplay)) this.gameplay.setState(data.gameplay);
+  }
+}
@@ -0,0 +1,134 @@
+// Replay Recorder - Records a match as its map config, starting state and command stream
+
+import { GAME_VERSION } from '../utils/Constants.js';
+import { REPLAY_FORMAT_VERSION } from '../utils/ReplayFile.js';
+import { hashSeed } from '../utils/SeededRandom.js';
+
+// AI factions re-decide on their own during playback, so their orders are not stored -
+// only a count and hash of them per this many ticks, to spot a desync
+export const AI_CHECK_TICKS = 250; // 5 seconds
+
+/**
+ * Running checksum of a command stream, one { tick, count, hash } entry per AI_CHECK_TICKS
+ * ticks that had commands (tick is where the interval starts)
+ */
+export class CommandDigest {
+  constructor(startTick) {
+    this.startTick = startTick;
+    this.checks = [];
+  }
+
+  /**
+   * First tick of the interval a tick falls in
+   */
+  intervalStart(tick) {
+    return this.startTick + Math.floor((tick - this.startTick) / AI_CHECK_TICKS) * AI_CHECK_TICKS;
+  }
+
+  add(command) {
+    const tick = this.intervalStart(command.tick);
+    let check = this.checks[this.checks.length - 1];
+    if (!check || check.tick !== tick) {
+      check = { tick, count: 0, hash: 0 };
+      this.checks.push(check);
+    }
+    check.count++;
+    check.hash = hashSeed(`${check.hash}:${JSON.stringify(command)}`);
+  }
+
+  /**
+   * Entry for the interval starting at a tick, or null if it had no commands
+   */
+  get(tick) {
+    for (let i = this.checks.length - 1; i >= 0; i--) {
+      if (this.checks[i].tick === tick) return this.checks[i];
+      if (this.checks[i].tick < tick) break;
+    }
+    return null;
+  }
+}
+
+export default class ReplayRecorder {
+  /**
+   * @param {Phaser.Scene} scene - GameScene being recorded (must own a CommandDispatcher)
+   * @param {Object} [startState] - Serialized state the match resumed from (null for a fresh map)
+   */
+  constructor(scene, startState = null) {
+    this.scene = scene;
+    this.mapConfig = scene.getMapConfig();
+    this.startState = startState;
+    this.startTick = scene.tick;
+
+    // Frame deltas are run-length encoded as [delta, count] pairs
+    this.deltas = [];
+    this.tickCount = 0;
+    this.commands = [];
+    this.aiFactions = new Set((scene.aiManagers || []).map(ai => ai.faction));
+    this.aiDigest = new CommandDigest(this.startTick);
+    this.outcome = null;
+    this.finished = false;
+
+    // Rejected commands changed nothing, so only accepted ones are kept
+    this.onCommand = (command, result) => {
+      if (!result.ok || this.finished) return;
+      if (this.aiFactions.has(command.faction)) {
+        this.aiDigest.add(command);
+      } else {
+        this.commands.push(JSON.parse(JSON.stringify(command)));
+      }
+    };
+    scene.events.on('command', this.onCommand);
+
+    console.log(`ReplayRecorder: Recording from tick ${this.startTick}`);
+  }
+
+  /**
+   * Record the delta of one simulation tick
+   */
+  recordTick(delta) {
+    if (this.finished) return;
+
+    const last = this.deltas[this.deltas.length - 1];
+    if (last && last[0] === delta) {
+      last[1]++;
+    } else {
+      this.deltas.push([delta, 1]);
+    }
+    this.tickCount++;
+  }
+
+  /**
+   * Stop recording at the end of the match ('victory' or 'defeat')
+   */
+  finish(outcome) {
+    if (this.finished) return;
+    this.outcome = outcome;
+    this.finished = true;
+  }
+
+  /**
+   * Detach from the scene (the recording itself stays readable)
+   */
+  destroy() {
+    this.finish(this.outcome);
+    this.scene.events.off('command', this.onCommand);
+  }
+
+  /**
+   * Snapshot the recording so far
+   */
+  toJSON() {
+    return {
+      replayVersion: REPLAY_FORMAT_VERSION,
+      gameVersion: GAME_VERSION,
+      mapConfig: { ...this.mapConfig },
+      startTick: this.startTick,
+      endTick: this.startTick + this.tickCount,
+      startState: this.startState,
+      deltas: this.deltas.map(run => [...run]),
+      commands: [...this.commands],
+      aiChecks: this.aiDigest.checks.map(check => ({ ...check })),
+      outcome: this.outcome
+    };
+  }
+}
@@ -1,10 +1,15 @@
-// Resource Manager - Central resource tracking
+// Resource Manager - Resource stockpile and storage limits of one faction
 
-import { STORAGE, STARTING_RESOURCES } from '../utils/Constants.js';
+import { STORAGE, STARTING_RESOURCES, FACTIONS } from '../utils/Constants.js';
 
 export default class ResourceManager {
-  constructor(scene) {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {string} [faction] - Owner of the stockpile (GameScene keeps one per faction)
+   */
+  constructor(scene, faction = FACTIONS.PLAYER) {
     this.scene = scene;
+    this.faction = faction;
 
     // Current resources
     this.resources = {
@@ -24,7 +29,16 @@ export default class ResourceManager {
       tools: STORAGE.TOOLS
     };
 
-    console.log('ResourceManager: Initialized with starting resources', this.resources);
+    this.log('Initialized with starting resources', this.resources);
+  }
+
+  /**
+   * Log stockpile changes for the player (AI economies change too often to be worth logging)
+   */
+  log(...args) {
+    if (this.faction === FACTIONS.PLAYER) {
+      console.log('ResourceManager:', ...args);
+    }
   }
 
   /**
@@ -81,7 +95,7 @@ export default class ResourceManager {
     const spaceAvailable = limit - currentAmount;
 
     if (spaceAvailable <= 0) {
-      console.log(`ResourceManager: Storage full for ${type}`);
+      this.log(`Storage full for ${type}`);
       return false;
     }
 
@@ -89,7 +103,7 @@ export default class ResourceManager {
     const amountToAdd = Math.min(amount, spaceAvailable);
     this.resources[type] += amountToAdd;
 
-    console.log(`ResourceManager: Added ${amountToAdd} ${type}, total: ${this.resources[type]}/${limit}`);
+    this.log(`Added ${amountToAdd} ${type}, total: ${this.resources[type]}/${limit}`);
 
     // Update UI
     this.updateUI();
@@ -127,12 +141,12 @@ export default class ResourceManager {
     }
 
     if (this.resources[type] < amount) {
-      console.log(`ResourceManager: Insufficient ${type}: ${this.resources[type]}/${amount}`);
+      this.log(`Insufficient ${type}: ${this.resources[type]}/${amount}`);
       return false;
     }
 
     this.resources[type] -= amount;
-    console.log(`ResourceManager: Removed ${amount} ${type}, remaining: ${this.resources[type]}`);
+    this.log(`Removed ${amount} ${type}, remaining: ${this.resources[type]}`);
 
     // Update UI
     this.updateUI();
@@ -226,7 +240,7 @@ export default class ResourceManager {
     }
 
     this.storageLimits[type] += amount;
-    console.log(`ResourceManager: Increased ${type} storage to ${this.storageLimits[type]}`);
+    this.log(`Increased ${type} storage to ${this.storageLimits[type]}`);
     this.updateUI();
     return true;
   }
@@ -239,10 +253,12 @@ export default class ResourceManager {
   }
 
   /**
-   * Update UI with current resources
+   * Update UI with current resources (the HUD shows the player's stockpile only)
    */
   updateUI() {
-    const uiScene = this.scene.scene.get('UIScene');
+    if (this.faction !== FACTIONS.PLAYER) return;
+
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.updateResources) {
       uiScene.updateResources(
         this.resources.food, this.resources.water, this.resources.sticks, this.resources.stone, this.resources.tools,
@@ -267,15 +283,16 @@ export default class ResourceManager {
   fromJSON(data) {
     if (!data) return;
 
+    // Merged over the defaults so a stockpile saved without a resource type (e.g. AI stone) still has it
     if (data.resources) {
-      this.resources = { ...data.resources };
+      this.resources = { ...this.resources, ...data.resources };
     }
 
     if (data.storageLimits) {
-      this.storageLimits = { ...data.storageLimits };
+      this.storageLimits = { ...this.storageLimits, ...data.storageLimits };
     }
 
-    console.log('ResourceManager: Restored state from save');
+    this.log('Restored state from save');
     this.updateUI();
   }
 }
@@ -255,7 +255,7 @@ export default class SelectionManager {
    * Show building UI
    */
   showBuildingUI(building) {
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.showBuildingPanel) {
       uiScene.showBuildingPanel(building);
     }
@@ -265,17 +265,17 @@ export default class SelectionManager {
    * Hide building UI
    */
   hideBuildingUI() {
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.hideBuildingPanel) {
       uiScene.hideBuildingPanel();
     }
   }
 
   /**
-   * Show unit UI (for units with special abilities like Spy)
+   * Show unit UI (command card and Spy abilities)
    */
   showUnitUI(unit) {
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.showUnitPanel) {
       uiScene.showUnitPanel(unit);
     }
@@ -285,7 +285,7 @@ export default class SelectionManager {
    * Hide unit UI
    */
   hideUnitUI() {
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.hideUnitPanel) {
       uiScene.hideUnitPanel();
     }
@@ -394,19 +394,15 @@ export default class SelectionManager {
    * Update UI with current selection
    */
   updateUI() {
-    // Check if single unit with abilities is selected (like Spy)
-    if (this.selectedUnits.length === 1) {
-      const unit = this.selectedUnits[0];
-      // Show ability panel for Spy (and potentially other special units)
-      if (unit.unitType === 'spy') {
-        this.showUnitUI(unit);
-        return;
-      }
+    // Selected units get the unit panel (command card, plus abilities for a lone Spy)
+    if (this.selectedUnits.length > 0) {
+      this.showUnitUI(this.selectedUnits[0]);
+      return;
     }
 
-    // Hide unit panel if no special unit selected
+    // Hide unit panel if no units selected
     this.hideUnitUI();
-    const uiScene = this.scene.scene.get('UIScene');
+    const uiScene = this.scene.getUIScene();
     if (uiScene && uiScene.updateUnitInfo) {
       uiScene.updateUnitInfo(this.selectedUnits);
     }
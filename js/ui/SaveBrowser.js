@@ -0,0 +1,602 @@
+// Save Browser - Lists save slots (or recorded replays) with metadata and thumbnails, for loading and saving
+
+import { SAVE_FORMAT_VERSION, SaveVersionError } from '../utils/SaveMigrations.js';
+import { SaveFileError, canCompress, encodeSaveFile, downloadBlob, readSaveFile } from '../utils/SaveFile.js';
+import { REPLAY_FORMAT_VERSION, encodeReplayFile, readReplayFile, validateReplay } from '../utils/ReplayFile.js';
+
+const PANEL_WIDTH = 640;
+const PANEL_HEIGHT = 560;
+const ROW_HEIGHT = 96;
+const ROWS_PER_PAGE = 4;
+const THUMB_DISPLAY_SIZE = 80;
+const OUTCOME_LABELS = { victory: 'Victory', defeat: 'Defeat', finished: 'Spectated' };
+
+/**
+ * Format match time in ms as m:ss or h:mm:ss
+ */
+export function formatMatchTime(ms) {
+  const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
+export default class SaveBrowser {
+  /**
+   * @param {Phaser.Scene} scene - Scene to draw the browser in
+   * @param {SaveManager} saveManager - Save storage
+   * @param {Object} options
+   * @param {Function} options.onLoad - Called with the loaded game state
+   * @param {Function} [options.getSaveData] - Returns { gameState, metadata } for the current match (enables save mode)
+   * @param {Function} [options.onWatch] - Called with a recorded replay (enables replays mode)
+   */
+  constructor(scene, saveManager, options = {}) {
+    this.scene = scene;
+    this.saveManager = saveManager;
+    this.options = options;
+
+    this.mode = 'load';
+    this.page = 0;
+    this.saves = [];
+    this.rowElements = [];
+    this.thumbnailKeys = new Set();
+    this.refreshId = 0;
+    this.visible = false;
+    this.compressExports = false;
+
+    this.create();
+  }
+
+  /**
+   * Create the static panel elements (hidden by default)
+   */
+  create() {
+    const width = this.scene.cameras.main.width;
+    const height = this.scene.cameras.main.height;
+    this.panelX = width / 2 - PANEL_WIDTH / 2;
+    this.panelY = height / 2 - PANEL_HEIGHT / 2;
+
+    this.container = this.scene.add.container(0, 0);
+    this.container.setDepth(3000);
+    this.container.setScrollFactor(0);
+    this.container.setVisible(false);
+
+    // Panel background - interactive to block clicks passing through to underlying elements
+    const bg = this.scene.add.rectangle(width / 2, height / 2, PANEL_WIDTH, PANEL_HEIGHT, 0x1a1a1a, 0.97);
+    bg.setInteractive();
+
+    const border = this.scene.add.rectangle(width / 2, height / 2, PANEL_WIDTH, PANEL_HEIGHT);
+    border.setStrokeStyle(2, 0x4CAF50);
+
+    this.titleText = this.scene.add.text(width / 2, this.panelY + 30, 'Load Game', {
+      fontSize: '28px', fill: '#ffffff', fontFamily: 'Arial', fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.newSaveButton = this.createTextButton(this.panelX + PANEL_WIDTH - 20, this.panelY + 30, '+ New Save', '#2196F3',
+      () => this.createNewSave());
+    this.newSaveButton.setOrigin(1, 0.5);
+
+    this.importButton = this.createTextButton(this.panelX + PANEL_WIDTH - 20, this.panelY + 30, 'Import File', '#2196F3',
+      () => this.importFromFile());
+    this.importButton.setOrigin(1, 0.5);
+
+    this.emptyText = this.scene.add.text(width / 2, this.panelY + 200, '', {
+      fontSize: '18px', fill: '#aaaaaa', fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    // Footer: paging, status and close
+    const footerY = this.panelY + PANEL_HEIGHT - 40;
+    this.prevButton = this.createTextButton(this.panelX + 60, footerY, '◀', '#333333', () => this.changePage(-1));
+    this.pageText = this.scene.add.text(this.panelX + 120, footerY, '', {
+      fontSize: '16px', fill: '#aaaaaa', fontFamily: 'Arial'
+    }).setOrigin(0.5);
+    this.nextButton = this.createTextButton(this.panelX + 180, footerY, '▶', '#333333', () => this.changePage(1));
+
+    this.statusText = this.scene.add.text(width / 2, footerY - 30, '', {
+      fontSize: '16px', fill: '#4CAF50', fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    // Exports are plain JSON unless gzip is switched on (and supported by the browser)
+    this.compressButton = this.createTextButton(this.panelX + PANEL_WIDTH - 170, footerY, 'Gzip Export: Off', '#333333', () => {
+      this.compressExports = !this.compressExports;
+      this.compressButton.setText(`Gzip Export: ${this.compressExports ? 'On' : 'Off'}`);
+    });
+    this.compressButton.setVisible(canCompress());
+
+    const closeButton = this.createTextButton(this.panelX + PANEL_WIDTH - 60, footerY, 'Close', '#4CAF50', () => this.hide());
+
+    this.container.add([
+      bg, border, this.titleText, this.newSaveButton, this.importButton, this.emptyText,
+      this.prevButton, this.pageText, this.nextButton, this.statusText, this.compressButton, closeButton
+    ]);
+
+    this.createErrorScreen(width, height);
+  }
+
+  /**
+   * Create the modal error screen shown when a save cannot be loaded (hidden by default)
+   */
+  createErrorScreen(width, height) {
+    const boxWidth = 480;
+    const boxHeight = 360;
+
+    this.errorContainer = this.scene.add.container(0, 0);
+    this.errorContainer.setDepth(3100);
+    this.errorContainer.setScrollFactor(0);
+    this.errorContainer.setVisible(false);
+
+    // Dim everything behind the dialog and swallow clicks
+    const overlay = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.6);
+    overlay.setInteractive();
+
+    const box = this.scene.add.rectangle(width / 2, height / 2, boxWidth, boxHeight, 0x1a1a1a, 1);
+    box.setStrokeStyle(2, 0xF44336);
+
+    this.errorTitle = this.scene.add.text(width / 2, height / 2 - boxHeight / 2 + 30, '', {
+      fontSize: '24px', fill: '#ff6666', fontFamily: 'Arial', fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.errorMessage = this.scene.add.text(width / 2, height / 2 - 10, '', {
+      fontSize: '16px', fill: '#ffffff', fontFamily: 'Arial', align: 'center',
+      wordWrap: { width: boxWidth - 40 }
+    }).setOrigin(0.5);
+
+    const okButton = this.createTextButton(width / 2, height / 2 + boxHeight / 2 - 35, 'OK', '#4CAF50',
+      () => this.errorContainer.setVisible(false));
+
+    this.errorContainer.add([overlay, box, this.errorTitle, this.errorMessage, okButton]);
+  }
+
+  /**
+   * Show the modal error screen
+   */
+  showError(title, message) {
+    this.errorTitle.setText(title);
+    this.errorMessage.setText(message);
+    this.errorContainer.setVisible(true);
+  }
+
+  /**
+   * Create a small text button in the style of the settings panels
+   */
+  createTextButton(x, y, label, color, onClick) {
+    const button = this.scene.add.text(x, y, label, {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      backgroundColor: color,
+      padding: { x: 12, y: 6 }
+    }).setOrigin(0.5);
+    button.setInteractive({ useHandCursor: true });
+    button.on('pointerdown', onClick);
+    return button;
+  }
+
+  /**
+   * Open the browser in 'load', 'save' or 'replays' mode
+   */
+  show(mode = 'load') {
+    if (mode === 'save' && this.options.getSaveData) {
+      this.mode = 'save';
+    } else if (mode === 'replays' && this.options.onWatch) {
+      this.mode = 'replays';
+    } else {
+      this.mode = 'load';
+    }
+    this.page = 0;
+    this.visible = true;
+
+    const titles = { load: 'Load Game', save: 'Save Game', replays: 'Replays' };
+    this.titleText.setText(titles[this.mode]);
+    this.newSaveButton.setVisible(this.mode === 'save');
+    this.importButton.setVisible(this.mode !== 'save');
+    this.setStatus('');
+    this.container.setVisible(true);
+
+    this.refresh();
+  }
+
+  /**
+   * Close the browser
+   */
+  hide() {
+    this.visible = false;
+    this.container.setVisible(false);
+    this.errorContainer.setVisible(false);
+    this.clearRows();
+  }
+
+  /**
+   * Reload the save list and redraw the current page
+   */
+  async refresh() {
+    const refreshId = ++this.refreshId;
+
+    try {
+      const saves = this.mode === 'replays'
+        ? await this.saveManager.listReplays()
+        : await this.saveManager.listSaves();
+      if (refreshId !== this.refreshId || !this.visible) return;
+      this.saves = saves;
+    } catch (err) {
+      console.error('SaveBrowser: Failed to list saves:', err);
+      this.saves = [];
+      this.setStatus('Could not read saves', true);
+    }
+
+    const pageCount = Math.max(1, Math.ceil(this.saves.length / ROWS_PER_PAGE));
+    this.page = Math.min(this.page, pageCount - 1);
+    this.pageText.setText(`${this.page + 1}/${pageCount}`);
+    this.prevButton.setVisible(this.page > 0);
+    this.nextButton.setVisible(this.page < pageCount - 1);
+
+    this.renderRows();
+  }
+
+  /**
+   * Move to the previous/next page
+   */
+  changePage(direction) {
+    this.page = Math.max(0, this.page + direction);
+    this.refresh();
+  }
+
+  /**
+   * Destroy the current page's row elements
+   */
+  clearRows() {
+    this.rowElements.forEach(element => element.destroy());
+    this.rowElements = [];
+  }
+
+  /**
+   * Drop decoded thumbnails for saves that are no longer on the current page
+   */
+  pruneThumbnails(pageSaves) {
+    const keep = new Set(pageSaves.map(save => this.getThumbnailKey(save)));
+
+    this.thumbnailKeys.forEach(key => {
+      if (keep.has(key)) return;
+      if (this.scene.textures.exists(key)) this.scene.textures.remove(key);
+      this.thumbnailKeys.delete(key);
+    });
+  }
+
+  /**
+   * Draw one row per save on the current page
+   */
+  renderRows() {
+    this.clearRows();
+
+    const pageSaves = this.saves.slice(this.page * ROWS_PER_PAGE, (this.page + 1) * ROWS_PER_PAGE);
+    this.pruneThumbnails(pageSaves);
+    const emptyMessage = this.mode === 'replays' ? 'No replays yet' : 'No saved games yet';
+    this.emptyText.setText(pageSaves.length === 0 ? emptyMessage : '');
+
+    pageSaves.forEach((save, index) => {
+      this.createRow(save, this.panelY + 70 + index * (ROW_HEIGHT + 8));
+    });
+  }
+
+  /**
+   * Create the elements for a single save row
+   */
+  createRow(save, y) {
+    const meta = save.metadata || {};
+    const left = this.panelX + 20;
+    const centerY = y + ROW_HEIGHT / 2;
+    const elements = [];
+
+    const rowBg = this.scene.add.rectangle(left, y, PANEL_WIDTH - 40, ROW_HEIGHT, 0x2a2a2a, 1).setOrigin(0, 0);
+    elements.push(rowBg);
+
+    const thumbFrame = this.scene.add.rectangle(left + 8 + THUMB_DISPLAY_SIZE / 2, centerY, THUMB_DISPLAY_SIZE, THUMB_DISPLAY_SIZE, 0x111111, 1);
+    elements.push(thumbFrame);
+
+    // Saves from a newer build are listed but flagged, loading them shows the error screen
+    const isReplay = this.mode === 'replays';
+    const isNewer = isReplay ? save.replayVersion > REPLAY_FORMAT_VERSION : save.saveVersion > SAVE_FORMAT_VERSION;
+    let name = save.name.length > 28 ? `${save.name.slice(0, 27)}…` : save.name;
+    if (save.isAutosave) name += ' (auto)';
+    if (isNewer) name += ' (newer version)';
+    elements.push(this.scene.add.text(left + THUMB_DISPLAY_SIZE + 20, y + 10, name, {
+      fontSize: '18px', fill: isNewer ? '#ff6666' : '#ffffff', fontFamily: 'Arial', fontStyle: 'bold'
+    }));
+
+    const savedAt = save.timestamp ? new Date(save.timestamp).toLocaleString() : 'Unknown date';
+    elements.push(this.scene.add.text(left + THUMB_DISPLAY_SIZE + 20, y + 38, savedAt, {
+      fontSize: '14px', fill: '#aaaaaa', fontFamily: 'Arial'
+    }));
+
+    const details = [];
+    if (meta.mapWidth && meta.mapHeight) details.push(`${meta.mapWidth}x${meta.mapHeight}`);
+    if (meta.seed !== undefined && meta.seed !== null && meta.seed !== '') details.push(`Seed ${meta.seed}`);
+    if (meta.matchTime !== undefined) details.push(`Time ${formatMatchTime(meta.matchTime)}`);
+    if (meta.outcome) details.push(OUTCOME_LABELS[meta.outcome] || meta.outcome);
+    if (save.gameVersion) details.push(`v${save.gameVersion}`);
+    elements.push(this.scene.add.text(left + THUMB_DISPLAY_SIZE + 20, y + 60, details.join('  •  '), {
+      fontSize: '14px', fill: '#aaaaaa', fontFamily: 'Arial'
+    }));
+
+    // Actions (two columns of two buttons)
+    const actionsX = this.panelX + PANEL_WIDTH - 150;
+    let primaryLabel = 'Load';
+    let primaryColor = '#4CAF50';
+    let primaryAction = () => this.loadSave(save);
+    if (this.mode === 'save') {
+      primaryLabel = 'Overwrite';
+      primaryColor = '#FF9800';
+      primaryAction = () => this.overwriteSave(save);
+    } else if (isReplay) {
+      primaryLabel = 'Watch';
+      primaryAction = () => this.watchReplay(save);
+    }
+    elements.push(this.createTextButton(actionsX, y + 28, primaryLabel, primaryColor, primaryAction));
+    elements.push(this.createTextButton(actionsX, y + 68, 'Rename', '#555555', () => this.renameSave(save)));
+    elements.push(this.createTextButton(actionsX + 90, y + 28, 'Export', '#2196F3', () => this.exportSave(save)));
+    elements.push(this.createTextButton(actionsX + 90, y + 68, 'Delete', '#F44336', () => this.deleteSave(save)));
+
+    this.container.add(elements);
+    this.rowElements.push(...elements);
+
+    if (meta.thumbnail) {
+      this.addThumbnail(save, left + 8 + THUMB_DISPLAY_SIZE / 2, centerY);
+    }
+  }
+
+  /**
+   * Texture key for a save's thumbnail (changes whenever the slot is overwritten)
+   */
+  getThumbnailKey(save) {
+    return `save-thumb-${save.id}-${save.timestamp}`;
+  }
+
+  /**
+   * Decode a save's thumbnail data URL into a texture and show it in its row
+   */
+  addThumbnail(save, x, y) {
+    const key = this.getThumbnailKey(save);
+    const refreshId = this.refreshId;
+    const textures = this.scene.textures;
+
+    const place = () => {
+      // The page may have been redrawn while the texture was decoding
+      if (refreshId !== this.refreshId || !this.visible || !textures.exists(key)) return;
+      const image = this.scene.add.image(x, y, key);
+      image.setDisplaySize(THUMB_DISPLAY_SIZE, THUMB_DISPLAY_SIZE);
+      this.container.add(image);
+      this.rowElements.push(image);
+    };
+
+    if (textures.exists(key)) {
+      place();
+      return;
+    }
+
+    textures.once(`addtexture-${key}`, place);
+    if (!this.thumbnailKeys.has(key)) {
+      this.thumbnailKeys.add(key);
+      textures.addBase64(key, save.metadata.thumbnail);
+    }
+  }
+
+  /**
+   * Show a short status message in the footer
+   */
+  setStatus(message, isError = false) {
+    this.statusText.setText(message);
+    this.statusText.setColor(isError ? '#ff6666' : '#4CAF50');
+  }
+
+  /**
+   * Load a save and hand its game state to the owning scene
+   */
+  async loadSave(save) {
+    try {
+      const gameState = await this.saveManager.loadGame(save.id);
+      if (!gameState) {
+        this.setStatus('Save could not be read', true);
+        return;
+      }
+      this.hide();
+      this.options.onLoad(gameState);
+    } catch (err) {
+      console.error('SaveBrowser: Failed to load game:', err);
+      if (err instanceof SaveVersionError) {
+        this.showError('Save Not Supported', `${err.message}\n\nUpdate GooseCraft to load "${save.name}".`);
+      } else {
+        this.setStatus('Error: Could not load game', true);
+      }
+    }
+  }
+
+  /**
+   * Validate a recorded replay and hand it to the owning scene
+   */
+  async watchReplay(save) {
+    try {
+      const record = await this.saveManager.getReplay(save.id);
+      if (!record) {
+        this.setStatus('Replay could not be read', true);
+        return;
+      }
+
+      const errors = validateReplay(record.data);
+      if (errors.length > 0) {
+        this.showError('Replay Not Supported', `${errors.join('\n')}\n\nCould not play "${save.name}".`);
+        return;
+      }
+
+      this.hide();
+      this.options.onWatch(record.data);
+    } catch (err) {
+      console.error('SaveBrowser: Failed to load replay:', err);
+      this.setStatus('Error: Could not load replay', true);
+    }
+  }
+
+  /**
+   * Download a save (or replay) as a portable file
+   */
+  async exportSave(save) {
+    const isReplay = this.mode === 'replays';
+
+    try {
+      const record = isReplay
+        ? await this.saveManager.getReplay(save.id)
+        : await this.saveManager.getSave(save.id);
+      if (!record) {
+        this.setStatus(`${isReplay ? 'Replay' : 'Save'} could not be read`, true);
+        return;
+      }
+
+      const { blob, filename } = isReplay
+        ? await encodeReplayFile(record, this.compressExports)
+        : await encodeSaveFile(record, this.compressExports);
+      downloadBlob(blob, filename);
+      this.setStatus(`Exported ${filename}`);
+    } catch (err) {
+      console.error('SaveBrowser: Failed to export save:', err);
+      this.setStatus('Error: Could not export save', true);
+    }
+  }
+
+  /**
+   * Let the user pick an exported save (or replay) file, validate it and load it
+   */
+  importFromFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.gz,application/json,application/gzip';
+
+    input.addEventListener('change', async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+
+      if (this.mode === 'replays') {
+        await this.importReplay(file);
+        return;
+      }
+
+      try {
+        const { name, gameState } = await readSaveFile(file);
+        console.log(`SaveBrowser: Imported "${name}" from ${file.name}`);
+        this.hide();
+        this.options.onLoad(gameState);
+      } catch (err) {
+        console.error('SaveBrowser: Failed to import save:', err);
+        if (err instanceof SaveFileError) {
+          this.showError('Invalid Save File', err.errors.join('\n'));
+        } else if (err instanceof SaveVersionError) {
+          this.showError('Save Not Supported', `${err.message}\n\nUpdate GooseCraft to load "${file.name}".`);
+        } else {
+          this.showError('Import Failed', `Could not read ${file.name}.`);
+        }
+      }
+    });
+
+    input.click();
+  }
+
+  /**
+   * Validate an exported replay file and watch it
+   */
+  async importReplay(file) {
+    try {
+      const { name, replay } = await readReplayFile(file);
+      console.log(`SaveBrowser: Imported replay "${name}" from ${file.name}`);
+      this.hide();
+      this.options.onWatch(replay);
+    } catch (err) {
+      console.error('SaveBrowser: Failed to import replay:', err);
+      if (err instanceof SaveFileError) {
+        this.showError('Invalid Replay File', err.errors.join('\n'));
+      } else {
+        this.showError('Import Failed', `Could not read ${file.name}.`);
+      }
+    }
+  }
+
+  /**
+   * Save the current match into a new named slot
+   */
+  async createNewSave() {
+    const defaultName = `Save ${new Date().toLocaleString()}`;
+    const input = prompt('Name this save', defaultName);
+    if (input === null) return;
+
+    await this.writeSave(this.saveManager.createSaveId(), input.trim() || defaultName);
+  }
+
+  /**
+   * Overwrite an existing slot after confirmation
+   */
+  async overwriteSave(save) {
+    if (!confirm(`Overwrite "${save.name}"?`)) return;
+
+    await this.writeSave(save.id, save.isAutosave ? `Save ${new Date().toLocaleString()}` : save.name);
+  }
+
+  /**
+   * Write the current match to a slot
+   */
+  async writeSave(saveId, name) {
+    try {
+      const { gameState, metadata } = this.options.getSaveData();
+      await this.saveManager.saveGame(saveId, gameState, { name, metadata });
+      this.page = 0;
+      this.setStatus('Game saved');
+      this.refresh();
+    } catch (err) {
+      console.error('SaveBrowser: Failed to save game:', err);
+      this.setStatus('Error: Could not save game', true);
+    }
+  }
+
+  /**
+   * Rename a save
+   */
+  async renameSave(save) {
+    const isReplay = this.mode === 'replays';
+    const input = prompt(isReplay ? 'Rename replay' : 'Rename save', save.name);
+    if (input === null || !input.trim()) return;
+
+    try {
+      if (isReplay) {
+        await this.saveManager.renameReplay(save.id, input.trim());
+      } else {
+        await this.saveManager.renameSave(save.id, input.trim());
+      }
+      this.refresh();
+    } catch (err) {
+      console.error('SaveBrowser: Failed to rename save:', err);
+      this.setStatus('Error: Could not rename save', true);
+    }
+  }
+
+  /**
+   * Delete a save after confirmation
+   */
+  async deleteSave(save) {
+    if (!confirm(`Delete "${save.name}"? This cannot be undone.`)) return;
+
+    try {
+      if (this.mode === 'replays') {
+        await this.saveManager.deleteReplay(save.id);
+        this.setStatus('Replay deleted');
+      } else {
+        await this.saveManager.deleteSave(save.id);
+        this.setStatus('Save deleted');
+      }
+      this.refresh();
+    } catch (err) {
+      console.error('SaveBrowser: Failed to delete save:', err);
+      this.setStatus('Error: Could not delete save', true);
+    }
+  }
+}
@@ -1,5 +1,8 @@
 // Game Configuration Constants
 
+// Build version (keep in sync with package.json), stamped into saves
+export const GAME_VERSION = '0.4.0';
+
 export const GAME_CONFIG = {
   WIDTH: 1280,
   HEIGHT: 720,
@@ -43,7 +46,8 @@ export const UNIT = {
   VISION_RANGE: 5,      // tiles
   HEALTH_MAX: 100,
   GATHER_DURATION: 3000,  // milliseconds
-  INVENTORY_MAX: 20       // resources per trip
+  INVENTORY_MAX: 20,      // resources per trip
+  DEFENSIVE_LEASH: 5 * TILE.WIDTH // px - defensive units give up a chase this far from where it started
 };
 
 // Building Configuration
@@ -226,6 +230,24 @@ export const BUILDING = {
   }
 };
 
+// Upgrade and research keys each building type offers (the upgrades themselves are
+// defined on the building classes; strategy files are checked against these)
+export const BUILDING_UPGRADES = {
+  COOP: ['HATCHERY', 'LARGE_NESTS'],
+  FACTORY: ['BATCH_PRODUCTION', 'RECYCLING'],
+  RESEARCH_CENTER: [
+    'SPY_TRAINING', 'EFFICIENT_TOOLS', 'AUTO_PRODUCTION', 'ADVANCED_SHELVING', 'EFFICIENT_GATHERING',
+    'SWIFT_FEET', 'EAGLE_EYES', 'THICK_FEATHERS', 'QUICK_BUILD', 'FORTIFIED_WALLS'
+  ],
+  BARRACKS: ['VETERAN_TRAINING', 'COMBAT_DRILLS'],
+  WATCHTOWER: ['EXTENDED_RANGE', 'ALARM_BELL'],
+  POWER_STATION: ['EFFICIENT_CONVERSION', 'POWER_SURGE'],
+  MINE: ['AUTO_EXTRACT', 'DEEP_MINING'],
+  FARM: ['IRRIGATION', 'CROP_ROTATION'],
+  WELL: ['DEEP_WELL', 'PUMP'],
+  LUMBER_MILL: ['SAWMILL', 'EFFICIENT_CUTTING']
+};
+
 // Resource Configuration
 export const RESOURCE = {
   FOOD: {
@@ -301,6 +323,95 @@ export const UI = {
   BUILD_MENU_WIDTH: 200
 };
 
+// Save Configuration
+export const SAVE = {
+  AUTOSAVE_INTERVAL: 300000,  // 5 minutes
+  AUTOSAVE_SLOTS: 3,          // Autosaves rotate through this many slots
+  REPLAY_SLOTS: 20,           // Replays kept; saving another deletes the oldest
+  THUMBNAIL_SIZE: 96          // Minimap thumbnail size in pixels
+};
+
+// Simulation Clock Configuration
+export const SIMULATION = {
+  TICK_MS: 20,               // Fixed simulation step (50 ticks per second), independent of frame rate
+  MAX_TICKS_PER_FRAME: 16,   // Backlog past this is dropped (e.g. after a stalled tab)
+  SPEEDS: [0.5, 1, 2, 4]     // Game speed multipliers selectable with +/- or the HUD
+};
+
+// AI Difficulty Presets (picked per enemy slot in the game setup panel)
+export const AI_DIFFICULTY = {
+  EASY: {
+    name: 'Easy',
+    decisionInterval: 4000,   // ms between strategic decisions
+    buildOrderDepth: 4,       // How many steps of the build order the AI works through
+    researchDepth: 0,         // How many entries of the strategy's research plan it buys
+    maxWorkers: 3,
+    buildThreshold: 700,      // Stockpile (food + water + sticks) needed to start building
+    army: ['scout'],          // Combat units trained, repeating in this order
+    attackArmySize: 2,        // Minimum combat units before attacking
+    firstAttackTime: 480000,  // Match time (ms) before the first attack
+    focusFire: false,         // Gang up on the weakest enemy unit in range
+    retreatHealth: 0,         // Pull units home below this health fraction (0 = never)
+    fullVision: false,        // May see through the fog when the setup's full-vision option is on
+    spies: 0,                 // Spies kept for sabotage and theft (adds a Research Center to the build order)
+    raiders: 0,               // Mavericks kept to raid enemy workers (adds an Airstrip to the build order)
+    expansions: 1             // Resource sites claimed once the bases run dry
+  },
+  NORMAL: {
+    name: 'Normal',
+    decisionInterval: 2000,
+    buildOrderDepth: 6,
+    researchDepth: 3,
+    maxWorkers: 5,
+    buildThreshold: 500,
+    army: ['guard', 'scout'],
+    attackArmySize: 3,
+    firstAttackTime: 0,
+    focusFire: false,
+    retreatHealth: 0,
+    fullVision: false,
+    spies: 1,
+    raiders: 0,
+    expansions: 1
+  },
+  HARD: {
+    name: 'Hard',
+    decisionInterval: 1200,
+    buildOrderDepth: 8,
+    researchDepth: 6,
+    maxWorkers: 8,
+    buildThreshold: 400,
+    army: ['guard', 'guard', 'scout'],
+    attackArmySize: 5,
+    firstAttackTime: 0,
+    focusFire: true,
+    retreatHealth: 0.25,
+    fullVision: true,
+    spies: 1,
+    raiders: 2,
+    expansions: 2
+  },
+  BRUTAL: {
+    name: 'Brutal',
+    decisionInterval: 750,
+    buildOrderDepth: 10,
+    researchDepth: 10,
+    maxWorkers: 12,
+    buildThreshold: 300,
+    army: ['guard', 'guard', 'guard', 'scout'],
+    attackArmySize: 6,
+    firstAttackTime: 0,
+    focusFire: true,
+    retreatHealth: 0.35,
+    fullVision: true,
+    spies: 2,
+    raiders: 3,
+    expansions: 3
+  }
+};
+
+export const DEFAULT_AI_DIFFICULTY = 'NORMAL';
+
 // Input Configuration
 export const INPUT = {
   DOUBLE_CLICK_THRESHOLD: 300,  // milliseconds
@@ -328,6 +439,13 @@ export const UNIT_STATES = {
   ATTACKING: 'ATTACKING'
 };
 
+// Combat unit stances - how a unit reacts to enemies it was not ordered to fight
+export const UNIT_STANCES = {
+  AGGRESSIVE: 'AGGRESSIVE', // Engage anything in range and chase it
+  DEFENSIVE: 'DEFENSIVE',   // Engage, but walk back to where the fight started
+  PASSIVE: 'PASSIVE'        // Never engage unprompted (scouts, stealthy Spies)
+};
+
 // Building States
 export const BUILDING_STATES = {
   CONSTRUCTION: 'CONSTRUCTION',
@@ -344,13 +462,29 @@ export const FACTIONS = {
   NEUTRAL: 'NEUTRAL'
 };
 
+// Faction names shown in overlays
+export const FACTION_LABELS = {
+  PLAYER: 'Player',
+  ENEMY_1: 'Enemy 1',
+  ENEMY_2: 'Enemy 2',
+  ENEMY_3: 'Enemy 3'
+};
+
 // Faction Colors
 export const FACTION_COLORS = {
   PLAYER: 0x2196F3,    // Blue
   ENEMY_1: 0xF44336,   // Red
   ENEMY_2: 0x9C27B0,   // Purple
   ENEMY_3: 0xFF9800,   // Orange
-  NEUTRAL: 0x9E9E9E    // Gray
+  NEUTRAL: 0x9E9E9E,   // Gray
+  ALLY: 0x4CAF50       // Green - allies of the viewing faction on the minimap
+};
+
+// Team setups offered in the New Game panel (factions on the same team are allies)
+export const TEAM_SETUPS = {
+  FREE_FOR_ALL: { name: 'Free-for-all', teams: null },
+  PLAYER_VS_AI: { name: 'Player vs All AIs', teams: { PLAYER: 'A', ENEMY_1: 'B', ENEMY_2: 'B', ENEMY_3: 'B' } },
+  TEAM_UP: { name: 'Player + AI 1 vs Rest', teams: { PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B', ENEMY_3: 'B' } }
 };
 
 // Unit Costs (resources required to train)
@@ -456,6 +590,17 @@ export const COLORS = {
   MINIMAP_UNEXPLORED: 0x000000
 };
 
+// Minimap terrain colors
+export const TERRAIN_COLORS = {
+  water: 0x42A5F5,  // Blue
+  grass: 0x66BB6A,  // Green
+  dirt: 0x8D6E63,   // Brown
+  sand: 0xFFD54F,   // Yellow
+  rock: 0x757575,   // Gray
+  snow: 0xFFFFFF,   // White
+  ice: 0xB3E5FC     // Light blue
+};
+
 // Z-Depth layers
 export const DEPTH = {
   TERRAIN: 0,
@@ -0,0 +1,155 @@
+// Replay File - Replay format version, validation and export/import
+
+import { GAME_VERSION } from './Constants.js';
+import { SaveFileError, encodeFile, readFileText, validateSaveState, limitErrors } from './SaveFile.js';
+import { migrateSave } from './SaveMigrations.js';
+
+// Bump whenever the recorded fields change; replays are re-simulated, so older
+// builds cannot play a newer recording
+export const REPLAY_FORMAT_VERSION = 2; // 2: AI commands kept as aiChecks checksums only
+
+const FILE_FORMAT = 'goosecraft-replay';
+
+/**
+ * Wrap a stored replay record (from SaveManager.getReplay) as export file JSON
+ */
+export function serializeReplayFile(record) {
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    gameVersion: GAME_VERSION,
+    replayVersion: record.data?.replayVersion,
+    exportedAt: Date.now(),
+    name: record.name || record.id,
+    metadata: record.metadata || {},
+    data: record.data
+  });
+}
+
+/**
+ * Build the downloadable file for a replay record
+ */
+export async function encodeReplayFile(record, compress = false) {
+  return encodeFile(serializeReplayFile(record), record.name || record.id, 'goosecraft-replay.json', compress);
+}
+
+/**
+ * Read a user-picked replay file (plain or gzip JSON)
+ */
+export async function readReplayFile(file) {
+  return parseReplayFile(await readFileText(file));
+}
+
+/**
+ * Parse export file JSON into { name, metadata, replay }; throws SaveFileError
+ */
+export function parseReplayFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new SaveFileError(['File is not valid JSON']);
+  }
+
+  if (!isObject(file) || file.format !== FILE_FORMAT) {
+    throw new SaveFileError(['File is not a GooseCraft replay']);
+  }
+
+  const errors = validateReplay(file.data);
+  if (errors.length > 0) {
+    throw new SaveFileError(errors);
+  }
+
+  return {
+    name: typeof file.name === 'string' && file.name ? file.name : 'Imported replay',
+    metadata: isObject(file.metadata) ? file.metadata : {},
+    replay: file.data
+  };
+}
+
+/**
+ * Check a recording against the current replay format.
+ * Returns a list of human-readable problems, empty when the replay can be played.
+ */
+export function validateReplay(replay) {
+  if (!isObject(replay)) {
+    return ['Replay data is not an object'];
+  }
+
+  if (!Number.isInteger(replay.replayVersion)) {
+    return ['Replay has no format version'];
+  }
+  if (replay.replayVersion > REPLAY_FORMAT_VERSION) {
+    return [`Replay was recorded by a newer version of GooseCraft (${replay.gameVersion || 'unknown'})`];
+  }
+
+  const errors = [];
+
+  if (!isObject(replay.mapConfig) || replay.mapConfig.seed === undefined || replay.mapConfig.seed === '') {
+    errors.push('mapConfig has no seed');
+  }
+
+  const { startTick, endTick } = replay;
+  const hasTicks = Number.isInteger(startTick) && Number.isInteger(endTick) && startTick >= 0 && endTick >= startTick;
+  if (!hasTicks) {
+    errors.push('Replay has no valid tick range');
+  }
+
+  if (!Array.isArray(replay.deltas)) {
+    errors.push('deltas is missing');
+  } else {
+    let recordedTicks = 0;
+    replay.deltas.forEach((run, i) => {
+      if (!Array.isArray(run) || !(run[0] > 0) || !Number.isFinite(run[0]) || !Number.isInteger(run[1]) || run[1] <= 0) {
+        errors.push(`deltas[${i}] is not a [delta, count] pair`);
+      } else {
+        recordedTicks += run[1];
+      }
+    });
+    if (hasTicks && errors.length === 0 && recordedTicks !== endTick - startTick) {
+      errors.push(`deltas cover ${recordedTicks} ticks, expected ${endTick - startTick}`);
+    }
+  }
+
+  if (!Array.isArray(replay.commands)) {
+    errors.push('commands is missing');
+  } else {
+    let lastTick = hasTicks ? startTick : 0;
+    replay.commands.forEach((command, i) => {
+      if (!isObject(command) || typeof command.type !== 'string' || typeof command.faction !== 'string') {
+        errors.push(`commands[${i}] has no type or faction`);
+      } else if (!Number.isInteger(command.tick) || command.tick < lastTick || (hasTicks && command.tick > endTick)) {
+        errors.push(`commands[${i}] has an out-of-order tick`);
+      } else {
+        lastTick = command.tick;
+      }
+    });
+  }
+
+  // Version 1 recordings hold AI commands in full instead
+  if (replay.aiChecks !== undefined) {
+    if (!Array.isArray(replay.aiChecks)) {
+      errors.push('aiChecks is not a list');
+    } else {
+      replay.aiChecks.forEach((check, i) => {
+        if (!isObject(check) || !Number.isInteger(check.tick) || !Number.isInteger(check.count) || !Number.isInteger(check.hash)) {
+          errors.push(`aiChecks[${i}] is not a { tick, count, hash } entry`);
+        }
+      });
+    }
+  }
+
+  // Replays of loaded games start from the state that was loaded
+  if (replay.startState !== undefined && replay.startState !== null) {
+    try {
+      validateSaveState(migrateSave(replay.startState)).forEach(error => errors.push(`startState: ${error}`));
+    } catch (err) {
+      errors.push(`startState: ${err.message}`);
+    }
+  }
+
+  return limitErrors(errors);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,251 @@
+// Save File - Portable save files for export/import (JSON, optionally gzip-compressed)
+
+import { BUILDING, RESOURCE, GAME_VERSION } from './Constants.js';
+import { migrateSave } from './SaveMigrations.js';
+
+const FILE_FORMAT = 'goosecraft-save';
+const UNIT_TYPES = ['goose', 'worker', 'guard', 'scout', 'spy', 'maverick'];
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Thrown when an imported file is not a usable save. errors lists every problem found.
+ */
+export class SaveFileError extends Error {
+  constructor(errors) {
+    super(`Invalid save file: ${errors[0]}`);
+    this.name = 'SaveFileError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Whether this browser can write gzip-compressed exports
+ */
+export function canCompress() {
+  return typeof CompressionStream !== 'undefined';
+}
+
+/**
+ * Wrap a stored save record (from SaveManager.getSave) as export file JSON
+ */
+export function serializeSaveFile(record) {
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    gameVersion: GAME_VERSION,
+    saveVersion: record.data?.saveVersion,
+    exportedAt: Date.now(),
+    name: record.name || record.id,
+    metadata: record.metadata || {},
+    data: record.data
+  });
+}
+
+/**
+ * Build the downloadable file for a save record
+ */
+export async function encodeSaveFile(record, compress = false) {
+  return encodeFile(serializeSaveFile(record), record.name || record.id, 'goosecraft.json', compress);
+}
+
+/**
+ * Turn file JSON into a downloadable blob named after the record, gzipped on request
+ */
+export async function encodeFile(json, name, extension, compress = false) {
+  const baseName = name.replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'save';
+  let blob = new Blob([json], { type: 'application/json' });
+
+  if (compress && canCompress()) {
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    blob = new Blob([await new Response(stream).arrayBuffer()], { type: 'application/gzip' });
+    return { blob, filename: `${baseName}.${extension}.gz` };
+  }
+
+  return { blob, filename: `${baseName}.${extension}` };
+}
+
+/**
+ * Offer a blob to the user as a file download
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a user-picked file (plain or gzip JSON) into a validated, migrated save
+ */
+export async function readSaveFile(file) {
+  return parseSaveFile(await readFileText(file));
+}
+
+/**
+ * Read a user-picked file as text, decompressing it first if it is gzipped
+ */
+export async function readFileText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let text;
+
+  // gzip magic number
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new SaveFileError(['This browser cannot open compressed saves']);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    try {
+      text = await new Response(stream).text();
+    } catch (err) {
+      throw new SaveFileError(['File is not a valid gzip archive']);
+    }
+  } else {
+    text = new TextDecoder().decode(bytes);
+  }
+
+  return text;
+}
+
+/**
+ * Parse export file JSON into { name, metadata, gameState }.
+ * Older formats are migrated; throws SaveFileError or SaveVersionError.
+ */
+export function parseSaveFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new SaveFileError(['File is not valid JSON']);
+  }
+
+  if (!isObject(file) || file.format !== FILE_FORMAT) {
+    throw new SaveFileError(['File is not a GooseCraft save']);
+  }
+  if (!isObject(file.data)) {
+    throw new SaveFileError(['Save file has no game data']);
+  }
+
+  const gameState = migrateSave(file.data);
+  const errors = validateSaveState(gameState);
+  if (errors.length > 0) {
+    throw new SaveFileError(errors);
+  }
+
+  return {
+    name: typeof file.name === 'string' && file.name ? file.name : 'Imported save',
+    metadata: isObject(file.metadata) ? file.metadata : {},
+    gameState
+  };
+}
+
+/**
+ * Check a (migrated) game state against the current save format.
+ * Returns a list of human-readable problems, empty when the state is loadable.
+ */
+export function validateSaveState(state) {
+  const errors = [];
+  const entityIds = new Set();
+
+  const checkEntity = (path, entity, typeKey, isKnownType) => {
+    if (!isObject(entity)) {
+      errors.push(`${path} is not an object`);
+      return;
+    }
+    if (!isKnownType(entity[typeKey])) {
+      errors.push(`${path} has unknown ${typeKey} "${entity[typeKey]}"`);
+    }
+    if (!isFiniteNumber(entity.x) || !isFiniteNumber(entity.y)) {
+      errors.push(`${path} has no valid position`);
+    }
+    if (entity.entityId !== undefined) {
+      if (!Number.isInteger(entity.entityId) || entity.entityId <= 0) {
+        errors.push(`${path} has an invalid entityId`);
+      } else if (entityIds.has(entity.entityId)) {
+        errors.push(`${path} reuses entityId ${entity.entityId}`);
+      } else {
+        entityIds.add(entity.entityId);
+      }
+    }
+  };
+
+  if (!isObject(state)) {
+    return ['Game data is not an object'];
+  }
+
+  if (state.mapConfig !== undefined && !isObject(state.mapConfig)) {
+    errors.push('mapConfig is not an object');
+  }
+
+  if (state.map !== undefined) {
+    const map = state.map;
+    if (!isObject(map) || !Number.isInteger(map.width) || !Number.isInteger(map.height) || map.width <= 0 || map.height <= 0) {
+      errors.push('map has no valid size');
+    } else if (!Array.isArray(map.terrain) || map.terrain.length !== map.width) {
+      errors.push(`map terrain should have ${map.width} columns`);
+    } else if (map.terrain.some(column => typeof column !== 'string' || column.length !== map.height * 2)) {
+      errors.push(`map terrain columns should each describe ${map.height} tiles`);
+    }
+  }
+
+  if (state.resources !== undefined && !isObject(state.resources)) {
+    errors.push('resources is not an object');
+  }
+
+  if (!Array.isArray(state.buildings)) {
+    errors.push('buildings is missing');
+  } else {
+    state.buildings.forEach((b, i) => checkEntity(`buildings[${i}]`, b, 'buildingType', type => !!BUILDING[type]));
+  }
+
+  if (!Array.isArray(state.units)) {
+    errors.push('units is missing');
+  } else {
+    state.units.forEach((u, i) => checkEntity(`units[${i}]`, u, 'unitType',
+      type => typeof type === 'string' && UNIT_TYPES.includes(type.toLowerCase())));
+  }
+
+  if (state.resourceNodes !== undefined) {
+    if (!Array.isArray(state.resourceNodes)) {
+      errors.push('resourceNodes is not a list');
+    } else {
+      state.resourceNodes.forEach((n, i) => checkEntity(`resourceNodes[${i}]`, n, 'resourceType',
+        type => typeof type === 'string' && !!RESOURCE[type.toUpperCase()]));
+    }
+  }
+
+  if (state.aiManagers !== undefined) {
+    if (!Array.isArray(state.aiManagers)) {
+      errors.push('aiManagers is not a list');
+    } else {
+      state.aiManagers.forEach((ai, i) => {
+        if (!isObject(ai) || typeof ai.faction !== 'string') {
+          errors.push(`aiManagers[${i}] has no faction`);
+        }
+      });
+    }
+  }
+
+  return limitErrors(errors);
+}
+
+/**
+ * Keep long error lists readable: the first few problems plus a count of the rest
+ */
+export function limitErrors(errors) {
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    const hidden = errors.length - MAX_REPORTED_ERRORS;
+    return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${hidden} more`];
+  }
+  return errors;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
@@ -1,11 +1,17 @@
 // Save Manager - IndexedDB wrapper for game state
 
+import { SAVE } from './Constants.js';
+import { migrateSave, getSaveVersion } from './SaveMigrations.js';
+
 export default class SaveManager {
     constructor() {
         this.dbName = 'GooseCraftDB';
-        this.dbVersion = 1;
+        this.dbVersion = 2;
         this.storeName = 'saves';
+        this.replayStoreName = 'replays';
         this.db = null;
+        this.autosaveSlots = SAVE.AUTOSAVE_SLOTS;
+        this.replaySlots = SAVE.REPLAY_SLOTS;
     }
 
     async init() {
@@ -29,35 +35,29 @@ export default class SaveManager {
                     db.createObjectStore(this.storeName, { keyPath: 'id' });
                     console.log('SaveManager: Created object store');
                 }
+                if (!db.objectStoreNames.contains(this.replayStoreName)) {
+                    db.createObjectStore(this.replayStoreName, { keyPath: 'id' });
+                    console.log('SaveManager: Created replay store');
+                }
             };
         });
     }
 
-    async saveGame(saveId, gameState) {
-        if (!this.db) await this.init();
-
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-
-            const saveObject = {
-                id: saveId,
-                timestamp: Date.now(),
-                data: gameState
-            };
-
-            const request = store.put(saveObject);
-
-            request.onsuccess = () => {
-                console.log(`SaveManager: Successfully saved game ${saveId}`);
-                resolve(true);
-            };
-
-            request.onerror = (event) => {
-                console.error('SaveManager: Error saving game:', event.target.error);
-                reject(false);
-            };
+    /**
+     * Store a game state in a slot. Info holds the display name, autosave flag
+     * and metadata (map size, seed, match time, thumbnail) shown in the save browser.
+     */
+    async saveGame(saveId, gameState, info = {}) {
+        await this.putRecord(this.storeName, {
+            id: saveId,
+            name: info.name || saveId,
+            isAutosave: !!info.isAutosave,
+            timestamp: Date.now(),
+            metadata: info.metadata || {},
+            data: gameState
         });
+        console.log(`SaveManager: Successfully saved game ${saveId}`);
+        return true;
     }
 
     async loadGame(saveId) {
@@ -70,8 +70,15 @@ export default class SaveManager {
 
             request.onsuccess = (event) => {
                 if (request.result) {
-                    console.log(`SaveManager: Successfully loaded game ${saveId}`);
-                    resolve(request.result.data);
+                    // Older saves are upgraded here; saves from a newer build reject with SaveVersionError
+                    try {
+                        const gameState = migrateSave(request.result.data);
+                        console.log(`SaveManager: Successfully loaded game ${saveId}`);
+                        resolve(gameState);
+                    } catch (err) {
+                        console.error(`SaveManager: Cannot load game ${saveId}:`, err.message);
+                        reject(err);
+                    }
                 } else {
                     console.log(`SaveManager: No save found for ${saveId}`);
                     resolve(null);
@@ -85,16 +92,271 @@ export default class SaveManager {
         });
     }
 
+    /**
+     * Get the full stored record for a save (name, metadata and raw game state)
+     */
+    async getSave(saveId) {
+        return this.getRecord(this.storeName, saveId);
+    }
+
     async deleteSave(saveId) {
+        return this.deleteRecord(this.storeName, saveId);
+    }
+
+    /**
+     * List all saves (without their game state), newest first
+     */
+    async listSaves() {
+        const records = await this.listRecords(this.storeName, record => this.toSummary(record));
+        return records.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Check whether a slot already holds a save
+     */
+    async saveExists(saveId) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName], 'readonly');
             const store = transaction.objectStore(this.storeName);
-            const request = store.delete(saveId);
+            const request = store.count(saveId);
+
+            request.onsuccess = () => resolve(request.result > 0);
+            request.onerror = () => reject(false);
+        });
+    }
+
+    /**
+     * Change the display name of a save
+     */
+    async renameSave(saveId, name) {
+        return this.renameRecord(this.storeName, saveId, name);
+    }
+
+    /**
+     * Write an autosave, rotating through the autosave slots
+     */
+    async autosave(gameState, metadata = {}) {
+        const saves = await this.listSaves();
+        const saveId = this.getNextAutosaveId(saves);
+        const slot = Number(saveId.split('_')[1]) + 1;
+
+        await this.saveGame(saveId, gameState, {
+            name: `Autosave ${slot}`,
+            isAutosave: true,
+            metadata
+        });
+        return saveId;
+    }
+
+    /**
+     * Pick the autosave slot to write next: the first unused slot, otherwise the oldest
+     */
+    getNextAutosaveId(saves) {
+        let oldest = null;
+
+        for (let i = 0; i < this.autosaveSlots; i++) {
+            const id = `autosave_${i}`;
+            const existing = saves.find(save => save.id === id);
+            if (!existing) return id;
+            if (!oldest || existing.timestamp < oldest.timestamp) {
+                oldest = existing;
+            }
+        }
+
+        return oldest.id;
+    }
+
+    /**
+     * Generate an id for a new manual save slot
+     */
+    createSaveId() {
+        return `save_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    }
+
+    /**
+     * Store a recorded match. Replays live in their own store so they never show up as saves.
+     * Every finished match is kept automatically, so the oldest replays rotate out.
+     */
+    async saveReplay(replayId, replay, info = {}) {
+        await this.putRecord(this.replayStoreName, {
+            id: replayId,
+            name: info.name || replayId,
+            timestamp: Date.now(),
+            metadata: info.metadata || {},
+            data: replay
+        });
+        console.log(`SaveManager: Saved replay ${replayId}`);
+
+        const stale = this.getStaleReplayIds(await this.listReplays(), replayId);
+        for (const id of stale) {
+            await this.deleteReplay(id);
+            console.log(`SaveManager: Rotated out replay ${id}`);
+        }
+        return true;
+    }
+
+    /**
+     * Replays past the kept number, oldest first to go (never the one just written)
+     * @param {Object[]} replays - Replay summaries, newest first (as from listReplays)
+     */
+    getStaleReplayIds(replays, keepId) {
+        return replays
+            .filter(replay => replay.id !== keepId)
+            .slice(Math.max(this.replaySlots - 1, 0))
+            .map(replay => replay.id);
+    }
+
+    /**
+     * Get the full stored record for a replay
+     */
+    async getReplay(replayId) {
+        return this.getRecord(this.replayStoreName, replayId);
+    }
+
+    async deleteReplay(replayId) {
+        return this.deleteRecord(this.replayStoreName, replayId);
+    }
+
+    async renameReplay(replayId, name) {
+        return this.renameRecord(this.replayStoreName, replayId, name);
+    }
+
+    /**
+     * List all replays (without their command stream), newest first
+     */
+    async listReplays() {
+        const records = await this.listRecords(this.replayStoreName, record => this.toReplaySummary(record));
+        return records.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Generate an id for a new replay
+     */
+    createReplayId() {
+        return `replay_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    }
+
+    async getRecord(storeName, id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(null);
+        });
+    }
+
+    async putRecord(storeName, record) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.put(record);
 
             request.onsuccess = () => resolve(true);
+            request.onerror = (event) => {
+                console.error(`SaveManager: Error writing ${record.id}:`, event.target.error);
+                reject(false);
+            };
+        });
+    }
+
+    async deleteRecord(storeName, id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(false);
+        });
+    }
+
+    async renameRecord(storeName, id, name) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    resolve(false);
+                    return;
+                }
+                store.put({ ...request.result, name });
+                console.log(`SaveManager: Renamed ${id} to "${name}"`);
+                resolve(true);
+            };
+
             request.onerror = () => reject(false);
         });
     }
+
+    /**
+     * Read every record in a store through a cursor, mapping each one as it is read
+     */
+    async listRecords(storeName, mapRecord) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.openCursor();
+            const records = [];
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    records.push(mapRecord(cursor.value));
+                    cursor.continue();
+                } else {
+                    resolve(records);
+                }
+            };
+
+            request.onerror = (event) => {
+                console.error(`SaveManager: Error listing ${storeName}:`, event.target.error);
+                reject([]);
+            };
+        });
+    }
+
+    /**
+     * Strip the game state from a stored record (older records have no name or metadata)
+     */
+    toSummary(record) {
+        return {
+            id: record.id,
+            name: record.name || record.id,
+            isAutosave: !!record.isAutosave,
+            timestamp: record.timestamp || 0,
+            metadata: record.metadata || {},
+            saveVersion: record.data ? getSaveVersion(record.data) : 0,
+            gameVersion: record.data?.gameVersion || null
+        };
+    }
+
+    /**
+     * Strip the recording from a stored replay record
+     */
+    toReplaySummary(record) {
+        return {
+            id: record.id,
+            name: record.name || record.id,
+            timestamp: record.timestamp || 0,
+            metadata: record.metadata || {},
+            replayVersion: record.data?.replayVersion ?? 0,
+            gameVersion: record.data?.gameVersion || null
+        };
+    }
 }
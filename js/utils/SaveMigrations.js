@@ -0,0 +1,94 @@
+// Save Migrations - Versioned save format and step-by-step upgrades of older saves
+
+/**
+ * Current save format version.
+ * Bump this and register a migration whenever the shape of GameScene.serializeGameState
+ * (or any toJSON it calls) changes.
+ */
+export const SAVE_FORMAT_VERSION = 3;
+
+/**
+ * Thrown when a save was written by a newer build than the one running
+ */
+export class SaveVersionError extends Error {
+  constructor(saveVersion, gameVersion) {
+    super(`This save was made with a newer version of GooseCraft (${gameVersion || 'unknown'}, save format ${saveVersion}). ` +
+      `This build supports save format ${SAVE_FORMAT_VERSION} and older.`);
+    this.name = 'SaveVersionError';
+    this.saveVersion = saveVersion;
+    this.gameVersion = gameVersion;
+  }
+}
+
+/**
+ * Migrations keyed by the version they upgrade from; each returns the state for version + 1
+ */
+export const MIGRATIONS = {
+  // 0 -> 1: quick saves from the settings panel (resources, buildings, units and camera only).
+  // Buildings were saved without health or construction progress.
+  0: (state) => ({
+    ...state,
+    mapConfig: state.mapConfig || {},
+    buildings: (state.buildings || []).map(b => ({
+      ...b,
+      health: b.health ?? b.maxHealth,
+      progress: b.progress ?? (b.state === 'OPERATIONAL' ? 100 : 0)
+    })),
+    units: state.units || []
+  }),
+
+  // 1 -> 2: every faction has its own ResourceManager. The player's stockpile moves under its
+  // faction, and AI stockpiles (kept on the AI managers, without storage limits) move beside it.
+  1: (state) => {
+    const resources = state.resources ? { PLAYER: state.resources } : {};
+    const aiManagers = (state.aiManagers || []).map(({ resources: aiResources, ...ai }) => {
+      if (aiResources) resources[ai.faction] = { resources: aiResources };
+      return ai;
+    });
+
+    return { ...state, resources, ...(state.aiManagers ? { aiManagers } : {}) };
+  },
+
+  // 2 -> 3: research and building upgrade flags are kept per faction. Only the player could
+  // research or buy upgrades before, so the old scene-wide flags were all the player's.
+  2: (state) => ({
+    ...state,
+    researchUpgrades: state.researchUpgrades ? { PLAYER: state.researchUpgrades } : {},
+    buildingUpgrades: state.buildingUpgrades ? { PLAYER: state.buildingUpgrades } : {}
+  })
+};
+
+/**
+ * Read the format version of a save. Saves from before versioning have no saveVersion:
+ * full-world saves (with a map) match version 1, older quick saves are version 0.
+ */
+export function getSaveVersion(gameState) {
+  if (Number.isInteger(gameState.saveVersion)) return gameState.saveVersion;
+  return gameState.map ? 1 : 0;
+}
+
+/**
+ * Upgrade a save to the current format one version at a time.
+ * Throws SaveVersionError if the save is newer than this build.
+ */
+export function migrateSave(gameState, migrations = MIGRATIONS, targetVersion = SAVE_FORMAT_VERSION) {
+  let version = getSaveVersion(gameState);
+
+  if (version > targetVersion) {
+    throw new SaveVersionError(version, gameState.gameVersion);
+  }
+
+  let state = gameState;
+  while (version < targetVersion) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`SaveMigrations: No migration registered from save format ${version}`);
+    }
+
+    state = migrate(state);
+    version++;
+    console.log(`SaveMigrations: Upgraded save to format ${version}`);
+  }
+
+  return { ...state, saveVersion: targetVersion };
+}
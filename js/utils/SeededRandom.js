@@ -0,0 +1,73 @@
+// Seeded Random - Deterministic PRNG (mulberry32) seeded from a string or number
+
+/**
+ * Hash any seed value to a 32-bit unsigned integer (FNV-1a)
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export default class SeededRandom {
+  constructor(seed) {
+    this.state = hashSeed(seed);
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with the given probability (0-1)
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Random element of an array (undefined if empty)
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Current internal state, for saving
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Resume from a saved internal state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
@@ -0,0 +1,78 @@
+// Simulate - Run a match headless and print a per-faction summary
+//
+//   npm run simulate -- --seed honk --size 100 --enemies 2 --minutes 10
+//   npm run simulate -- --seed honk --enemies 2 --difficulty hard,easy   (one per enemy slot, or one for all)
+//   npm run simulate -- --seed honk --enemies 2 --strategy rusher,tech     (balanced, rusher, turtle, boomer, tech, a strategy file key or random)
+//   npm run simulate -- --seed honk --difficulty brutal --full-vision   (Hard and Brutal AIs see through the fog)
+//   npm run simulate -- --seed honk --enemies 3 --teams team_up        (free_for_all, player_vs_ai or team_up)
+//   npm run simulate -- --seed honk --enemies 2 --spectate             (AIs in every spawn slot, no player)
+//   npm run simulate -- --seed honk --replay honk.json   (importable from the Replays menu)
+
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import HeadlessMatch, { DEFAULT_TICK_MS } from '../js/headless/HeadlessMatch.js';
+import Diplomacy from '../js/systems/Diplomacy.js';
+import { FACTIONS } from '../js/utils/Constants.js';
+import { serializeReplayFile } from '../js/utils/ReplayFile.js';
+
+const { values: options } = parseArgs({
+  options: {
+    seed: { type: 'string', default: String(Date.now()) },
+    size: { type: 'string', default: '100' },
+    enemies: { type: 'string', default: '1' },
+    minutes: { type: 'string', default: '5' },
+    difficulty: { type: 'string', default: 'normal' },
+    strategy: { type: 'string', default: 'random' },
+    'full-vision': { type: 'boolean', default: false },
+    teams: { type: 'string', default: 'free_for_all' },
+    spectate: { type: 'boolean', default: false },
+    replay: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+// Entities log every decision; keep the output to the summary unless asked
+const log = console.log.bind(console);
+if (!options.verbose) {
+  console.log = () => { };
+  console.warn = () => { };
+}
+
+const size = parseInt(options.size, 10);
+const enemies = parseInt(options.enemies, 10);
+const difficulties = options.difficulty.toUpperCase().split(',');
+const strategies = options.strategy.toUpperCase().split(',');
+const aiFactions = [FACTIONS.ENEMY_1, FACTIONS.ENEMY_2, FACTIONS.ENEMY_3].slice(0, enemies);
+const perSlot = (choices) => Array.from({ length: enemies }, (_, i) => choices[Math.min(i, choices.length - 1)]);
+const mapConfig = {
+  seed: options.seed,
+  width: size,
+  height: size,
+  enemies,
+  aiDifficulties: perSlot(difficulties),
+  aiStrategies: perSlot(strategies),
+  aiFullVision: options['full-vision'],
+  spectate: options.spectate,
+  teams: Diplomacy.teamsForSetup(options.teams.toUpperCase(), options.spectate ? aiFactions : [FACTIONS.PLAYER, ...aiFactions])
+};
+const ticks = Math.round(parseFloat(options.minutes) * 60000 / DEFAULT_TICK_MS);
+
+const match = await HeadlessMatch.create(mapConfig);
+
+const started = performance.now();
+match.run(ticks);
+const elapsed = performance.now() - started;
+
+const summary = match.getSummary();
+log(JSON.stringify(summary, null, 2));
+log(`Simulated ${summary.tick} ticks in ${(elapsed / 1000).toFixed(1)}s (${Math.round(summary.tick / (elapsed / 1000))} ticks/s)`);
+
+if (options.replay) {
+  const replay = match.getReplay();
+  writeFileSync(options.replay, serializeReplayFile({
+    name: `Simulation ${options.seed}`,
+    metadata: { mapWidth: size, mapHeight: size, seed: options.seed, matchTime: summary.simTime, outcome: summary.outcome },
+    data: replay
+  }));
+  log(`Replay written to ${options.replay}`);
+}
@@ -0,0 +1,823 @@
+// Tests for running matches without a renderer
+
+import HeadlessMatch from '../../js/headless/HeadlessMatch.js';
+import { COMMANDS } from '../../js/systems/CommandDispatcher.js';
+import { AI_CHECK_TICKS } from '../../js/systems/ReplayRecorder.js';
+import { AI_STRATEGIES, normalizeBuildOrder } from '../../js/systems/AIStrategies.js';
+import { AI_DIFFICULTY, BUILDING, BUILDING_STATES, BUILDING_UPGRADES, SIMULATION, TILE, UNIT_STANCES, UNIT_TRAIN_TIME } from '../../js/utils/Constants.js';
+import { worldToGridInt } from '../../js/utils/IsometricUtils.js';
+
+const MAP_CONFIG = { seed: 'headless-test', width: 60, height: 60, enemies: 1 };
+
+describe('HeadlessMatch', () => {
+  it('should build a match with both starting bases', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const summary = match.getSummary();
+
+    expect(summary.tick).toBe(0);
+    expect(summary.factions.PLAYER.buildings).toBe(1);
+    expect(summary.factions.PLAYER.units).toBeGreaterThan(0);
+    expect(summary.factions.ENEMY_1.buildings).toBe(1);
+  });
+
+  it('should advance the simulation clock by the stepped deltas', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    match.run(120, 20);
+
+    expect(match.tick).toBe(120);
+    expect(match.scene.simTime).toBe(2400);
+    expect(match.scene.time.now).toBe(2400);
+  });
+
+  it('should reach the same state from the same seed', async () => {
+    const first = await HeadlessMatch.create(MAP_CONFIG);
+    const second = await HeadlessMatch.create(MAP_CONFIG);
+    first.run(600);
+    second.run(600);
+
+    expect(second.getState()).toEqual(first.getState());
+  });
+
+  it('should move units ordered through the dispatcher', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const goose = match.scene.units.find(u => u.faction === 'PLAYER');
+    const start = { x: goose.x, y: goose.y };
+
+    const target = match.scene.isometricMap.getWorldPosCenter(30, 30);
+    const result = match.dispatch({
+      type: COMMANDS.MOVE,
+      faction: 'PLAYER',
+      unitIds: [goose.entityId],
+      x: target.x,
+      y: target.y
+    });
+    expect(result.ok).toBe(true);
+
+    match.run(300);
+    expect(Math.hypot(goose.x - start.x, goose.y - start.y)).toBeGreaterThan(0);
+  });
+
+  it('should step units that walked off the map back onto it before pathing', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const edge = scene.isometricMap.getWorldPosCenter(59, 30); // Reads back as column 60, outside the map
+    const goose = new scene.unitClasses.Goose(scene, edge.x + 8, edge.y, 'PLAYER');
+    scene.units.push(goose);
+
+    const target = scene.isometricMap.getWorldPosCenter(30, 30);
+    match.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [goose.entityId], x: target.x, y: target.y });
+    const grid = worldToGridInt(goose.x, goose.y);
+    expect(grid.x).toBeLessThan(60);
+    expect(scene.isometricMap.isWalkable(grid.x, grid.y)).toBe(true);
+
+    match.run(5);
+    expect(goose.pathFailedTick).toBeNull();
+    expect(goose.state).toBe('MOVING');
+  });
+
+  it('should not re-order an AI worker every tick after its path failed', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const base = worldToGridInt(ai.aiBase.x, ai.aiBase.y);
+    const tile = scene.pathfindingManager.findNearestWalkableTile(base.x + 3, base.y + 3);
+    const spot = scene.isometricMap.getWorldPosCenter(tile.x, tile.y);
+    const worker = new scene.unitClasses.Goose(scene, spot.x, spot.y, 'ENEMY_1');
+    scene.units.push(worker);
+    match.run(150); // Past the AI's first decision, which lists its workers
+    expect(ai.aiWorkers).toContain(worker);
+
+    const orders = [];
+    scene.events.on('command', command => {
+      if (command.unitIds?.includes(worker.entityId)) orders.push(command.tick);
+    });
+
+    worker.stop();
+    worker.pathFailedTick = match.tick;
+    match.run(100); // 2 seconds
+    expect(orders).toEqual([]);
+
+    match.run(100);
+    expect(orders.length).toBeGreaterThan(0);
+  });
+
+  it('should work through shift-queued orders in turn', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const coop = scene.buildings.find(b => b.faction === 'PLAYER');
+    const worker = new scene.unitClasses.Goose(scene, coop.x + 60, coop.y + 40, 'PLAYER');
+    scene.units.push(worker);
+
+    const sites = [[-4, 4], [4, 4]].map(([dx, dy]) => {
+      const grid = worldToGridInt(coop.x, coop.y);
+      const pos = scene.isometricMap.getWorldPosCenter(grid.x + dx, grid.y + dy);
+      const site = scene.buildingManager.createBuilding('FARM', pos.x, pos.y, 'PLAYER');
+      scene.buildings.push(site);
+      return site;
+    });
+
+    match.dispatch({ type: COMMANDS.BUILD, faction: 'PLAYER', unitIds: [worker.entityId], buildingId: sites[0].entityId });
+    match.dispatch({ type: COMMANDS.BUILD, faction: 'PLAYER', unitIds: [worker.entityId], buildingId: sites[1].entityId, queued: true });
+    expect(worker.orderQueue).toHaveLength(1);
+    expect(worker.getOrderWaypoints().pop()).toMatchObject({ x: sites[1].x, y: sites[1].y, type: COMMANDS.BUILD });
+
+    for (let i = 0; i < 1500 && sites[0].state === 'CONSTRUCTION'; i++) match.step();
+    expect(sites[0].state).toBe('OPERATIONAL');
+    expect(sites[1].state).toBe('CONSTRUCTION');
+
+    match.run(5);
+    expect(worker.orderQueue).toHaveLength(0);
+    expect(worker.targetBuilding).toBe(sites[1]);
+
+    // An order without shift replaces the queue
+    match.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [worker.entityId], x: coop.x, y: coop.y + 200, queued: true });
+    expect(worker.orderQueue).toHaveLength(1);
+    match.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [worker.entityId], x: coop.x, y: coop.y + 200 });
+    expect(worker.orderQueue).toHaveLength(0);
+    expect(worker.targetBuilding).toBeNull();
+  });
+
+  it('should fight enemies met on an attack-move and carry on to the destination', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const coop = scene.buildings.find(b => b.faction === 'PLAYER');
+    const guard = new scene.unitClasses.Guard(scene, coop.x + 60, coop.y + 40, 'PLAYER');
+    const straggler = new scene.unitClasses.Goose(scene, coop.x + 200, coop.y + 60, 'ENEMY_1');
+    straggler.currentHealth = 1;
+    scene.units.push(guard, straggler);
+
+    const target = scene.isometricMap.getWorldPosCenter(30, 30);
+    const result = match.dispatch({
+      type: COMMANDS.ATTACK_MOVE,
+      faction: 'PLAYER',
+      unitIds: [guard.entityId],
+      x: target.x,
+      y: target.y
+    });
+    expect(result.ok).toBe(true);
+
+    match.run(1500);
+    expect(straggler.active).toBe(false);
+    expect(Math.hypot(guard.x - target.x, guard.y - target.y)).toBeLessThan(100);
+    expect(guard.attackMoveTarget).toBeNull();
+  });
+
+  it('should patrol round a loop of shift-clicked points', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const route = [[30, 6], [36, 6], [36, 12]].map(([x, y]) => scene.isometricMap.getWorldPosCenter(x, y));
+    const guard = new scene.unitClasses.Guard(scene, route[0].x, route[0].y, 'PLAYER');
+    scene.units.push(guard);
+
+    match.dispatch({ type: COMMANDS.PATROL, faction: 'PLAYER', unitIds: [guard.entityId], x: route[1].x, y: route[1].y });
+    match.dispatch({ type: COMMANDS.PATROL, faction: 'PLAYER', unitIds: [guard.entityId], x: route[2].x, y: route[2].y, queued: true });
+    expect(guard.patrolRoute).toHaveLength(3);
+
+    // Reaches every point in turn, then starts the loop again
+    const reached = [];
+    for (let i = 0; i < 1500 && reached.length < 4; i++) {
+      const index = guard.patrolIndex;
+      match.step();
+      if (guard.patrolIndex !== index) {
+        const distances = route.map(p => Math.hypot(p.x - guard.x, p.y - guard.y));
+        reached.push(distances.indexOf(Math.min(...distances)));
+      }
+    }
+    expect(reached).toEqual([1, 2, 0, 1]);
+  });
+
+  it('should only fight within attack range while holding position, until stopped', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const spot = scene.isometricMap.getWorldPosCenter(30, 30);
+    const guard = new scene.unitClasses.Guard(scene, spot.x, spot.y, 'PLAYER');
+    const farm = scene.buildingManager.createBuilding('FARM', spot.x + 150, spot.y, 'ENEMY_1');
+    farm.completeConstruction();
+    scene.units.push(guard);
+    scene.buildings.push(farm);
+
+    match.dispatch({ type: COMMANDS.HOLD, faction: 'PLAYER', unitIds: [guard.entityId] });
+    match.run(100);
+    expect(Math.hypot(guard.x - spot.x, guard.y - spot.y)).toBeLessThan(5);
+    expect(farm.currentHealth).toBe(farm.maxHealth);
+
+    match.dispatch({ type: COMMANDS.STOP, faction: 'PLAYER', unitIds: [guard.entityId] });
+    expect(guard.holdingPosition).toBe(false);
+    match.run(100);
+    expect(farm.currentHealth).toBeLessThan(farm.maxHealth);
+  });
+
+  it('should leave passive units alone until their stance changes', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const spot = scene.isometricMap.getWorldPosCenter(30, 30);
+    const guard = new scene.unitClasses.Guard(scene, spot.x, spot.y, 'PLAYER');
+    const farm = scene.buildingManager.createBuilding('FARM', spot.x + 150, spot.y, 'ENEMY_1');
+    farm.completeConstruction();
+    scene.units.push(guard);
+    scene.buildings.push(farm);
+
+    match.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [guard.entityId], stance: UNIT_STANCES.PASSIVE });
+    match.run(100);
+    expect(farm.currentHealth).toBe(farm.maxHealth);
+
+    match.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [guard.entityId], stance: UNIT_STANCES.AGGRESSIVE });
+    match.run(100);
+    expect(farm.currentHealth).toBeLessThan(farm.maxHealth);
+  });
+
+  it('should walk defensive units back after a chase instead of following the enemy off', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const spot = scene.isometricMap.getWorldPosCenter(30, 30);
+    const guard = new scene.unitClasses.Guard(scene, spot.x, spot.y, 'PLAYER');
+    const intruder = new scene.unitClasses.Goose(scene, spot.x + 120, spot.y, 'ENEMY_1');
+    scene.units.push(guard, intruder);
+
+    match.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [guard.entityId], stance: UNIT_STANCES.DEFENSIVE });
+    match.step();
+    expect(guard.targetEnemy).toBe(intruder);
+
+    // The intruder runs off faster than the guard can follow
+    const away = scene.isometricMap.getWorldPosCenter(30, 6);
+    match.dispatch({ type: COMMANDS.MOVE, faction: 'ENEMY_1', unitIds: [intruder.entityId], x: away.x, y: away.y });
+
+    let farthest = 0;
+    for (let i = 0; i < 1200; i++) {
+      match.step();
+      farthest = Math.max(farthest, Math.hypot(guard.x - spot.x, guard.y - spot.y));
+    }
+    expect(farthest).toBeGreaterThan(100);
+    expect(farthest).toBeLessThan(450);
+    expect(Math.hypot(guard.x - spot.x, guard.y - spot.y)).toBeLessThan(TILE.WIDTH * 1.5); // Back within a tile
+    expect(intruder.active).toBe(true);
+  });
+
+  it('should keep going when a chase is cut off from its target mid-path', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const map = scene.isometricMap;
+    const spot = map.getWorldPosCenter(20, 30);
+    const guard = new scene.unitClasses.Guard(scene, spot.x, spot.y, 'PLAYER');
+    const farmTile = { x: 34, y: 30 };
+    const farmPos = map.getWorldPosCenter(farmTile.x, farmTile.y);
+    const farm = scene.buildingManager.createBuilding('FARM', farmPos.x, farmPos.y, 'ENEMY_1');
+    farm.completeConstruction();
+    scene.units.push(guard);
+    scene.buildings.push(farm);
+
+    match.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [guard.entityId], targetId: farm.entityId });
+    match.run(20);
+    expect(guard.currentPathIndex).toBeLessThan(guard.currentPath.length);
+
+    // Walled in past the reach of the nearest-walkable-tile search: the next pursuit path comes back empty at once
+    for (let y = farmTile.y - 6; y <= farmTile.y + 6; y++) {
+      for (let x = farmTile.x - 6; x <= farmTile.x + 6; x++) map.setOccupied(x, y, true);
+    }
+    expect(() => match.run(150)).not.toThrow();
+  });
+
+  it('should chase an ordered attack target past the usual chase range', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const coop = scene.buildings.find(b => b.faction === 'PLAYER');
+    const guard = new scene.unitClasses.Guard(scene, coop.x + 60, coop.y + 40, 'PLAYER');
+    const spot = scene.isometricMap.getWorldPosCenter(25, 20);
+    const straggler = new scene.unitClasses.Goose(scene, spot.x, spot.y, 'ENEMY_1');
+    straggler.currentHealth = 1;
+    scene.units.push(guard, straggler);
+
+    const result = match.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [guard.entityId], targetId: straggler.entityId });
+    expect(result.ok).toBe(true);
+
+    let farthest = 0;
+    for (let i = 0; i < 1500 && straggler.active; i++) {
+      match.step();
+      farthest = Math.max(farthest, Math.hypot(straggler.x - guard.x, straggler.y - guard.y));
+    }
+    expect(farthest).toBeGreaterThan(guard.chaseRange);
+    expect(straggler.active).toBe(false);
+
+    match.step();
+    expect(guard.orderedTarget).toBeNull();
+  });
+
+  it('should send Spies ordered onto a building to use their ability on it', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const enemyCoop = scene.buildings.find(b => b.faction === 'ENEMY_1' && b.buildingType === 'COOP');
+    const spy = new scene.unitClasses.Spy(scene, enemyCoop.x + 250, enemyCoop.y + 100, 'PLAYER');
+    scene.units.push(spy);
+    const foodBefore = scene.resourceManager.getAmount('food');
+
+    const result = match.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [spy.entityId], targetId: enemyCoop.entityId });
+    expect(result.ok).toBe(true);
+    expect(spy.abilityOrder.ability).toBe('steal');
+
+    match.run(500);
+    expect(spy.abilityOrder).toBeNull();
+    expect(spy.stealTimer).toBeGreaterThan(0);
+    expect(scene.resourceManager.getAmount('food')).toBeGreaterThan(foodBefore);
+  });
+
+  it('should credit passive income to the owning faction\'s stockpile', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const pos = scene.isometricMap.getWorldPosCenter(10, 10);
+    const farm = scene.buildingManager.createBuilding('FARM', pos.x, pos.y, 'ENEMY_1');
+    const before = match.getSummary().factions;
+
+    farm.generateFood();
+
+    const after = match.getSummary().factions;
+    expect(after.ENEMY_1.resources.food).toBe(before.ENEMY_1.resources.food + farm.gatherAmount);
+    expect(after.PLAYER.resources.food).toBe(before.PLAYER.resources.food);
+  });
+
+  it('should apply per-slot AI difficulty and keep it in saves', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, aiDifficulties: ['HARD', 'NOT_A_LEVEL'] });
+    const [hard, fallback] = match.scene.aiManagers;
+
+    expect(hard.difficulty).toBe('HARD');
+    expect(hard.updateInterval).toBe(AI_DIFFICULTY.HARD.decisionInterval);
+    expect(hard.maxWorkers).toBe(AI_DIFFICULTY.HARD.maxWorkers);
+    expect(fallback.difficulty).toBe('NORMAL');
+
+    const state = match.getState();
+    expect(state.mapConfig.aiDifficulties).toEqual(['HARD', 'NORMAL']);
+    expect(state.aiManagers[0].difficulty).toBe('HARD');
+  });
+
+  it('should give each AI slot its chosen or seeded strategy', async () => {
+    const config = { ...MAP_CONFIG, enemies: 2, aiStrategies: ['TURTLE', 'RANDOM'] };
+    const first = await HeadlessMatch.create(config);
+    const second = await HeadlessMatch.create(config);
+    const [turtle, random] = first.scene.aiManagers;
+
+    expect(turtle.strategy).toBe('TURTLE');
+    expect(turtle.getMissingBuildSteps()).toContain('WATCHTOWER');
+    expect(Object.keys(AI_STRATEGIES)).toContain(random.strategy);
+    expect(second.scene.aiManagers[1].strategy).toBe(random.strategy);
+    expect(first.getState().mapConfig.aiStrategies).toEqual(['TURTLE', random.strategy]);
+  });
+
+  it('should only field units the AI has the building for', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiStrategies: ['TECH'] });
+    const ai = match.scene.aiManagers[0];
+
+    expect(ai.getNextArmyUnit()).toBeNull();
+
+    const queue = { queue: [] };
+    ai.aiBuildings.push({ active: true, buildingType: 'BARRACKS', state: 'OPERATIONAL', canProduce: ['guard', 'scout'], productionQueue: queue });
+    expect(ai.getNextArmyUnit()).toBe('scout');
+
+    ai.aiBuildings.push({ active: true, buildingType: 'AIRSTRIP', state: 'CONSTRUCTION', canProduce: ['maverick'], productionQueue: queue });
+    expect(ai.getNextArmyUnit()).toBe('scout');
+
+    ai.aiBuildings[ai.aiBuildings.length - 1].state = 'OPERATIONAL';
+    expect(ai.getNextArmyUnit()).toBe('maverick');
+  });
+
+  it('should train AI units through the production queue', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const ai = match.scene.aiManagers[0];
+    const newUnits = () => match.scene.units.filter(u => u.faction === 'ENEMY_1' && !startingIds.has(u.entityId));
+    const startingIds = new Set(match.scene.units.map(u => u.entityId));
+    const trainTicks = UNIT_TRAIN_TIME.WORKER / SIMULATION.TICK_MS;
+
+    expect(ai.trainUnit('worker')).toBe(true);
+    expect(ai.aiBase.productionQueue.queue[0].unitType).toBe('worker');
+    expect(ai.countQueued('worker')).toBe(1);
+    expect(newUnits()).toHaveLength(0);
+
+    match.run(trainTicks - 10);
+    expect(newUnits()).toHaveLength(0);
+
+    match.run(20);
+    expect(newUnits().map(u => u.unitType)).toEqual(['goose']);
+
+    ai.updateUnitLists();
+    expect(ai.aiWorkers).toContain(newUnits()[0]);
+  });
+
+  it('should buy upgrades from its strategy\'s research plan', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['BRUTAL'], aiStrategies: ['BALANCED'] });
+    const ai = match.scene.aiManagers[0];
+    ai.resourceManager.fromJSON({ resources: { food: 1000, water: 1000, sticks: 1000, tools: 100 } });
+
+    expect(ai.researchPlan[0]).toBe('HATCHERY');
+    ai.purchaseUpgrades();
+
+    expect(ai.aiBase.upgrades.HATCHERY.purchased).toBe(true);
+    expect(ai.getNextUpgrade().upgradeKey).toBe('LARGE_NESTS'); // Nothing offers the Barracks or Farm upgrades yet
+  });
+
+  it('should keep research effects to the faction that researched them', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const pos = scene.isometricMap.getWorldPosCenter(10, 10);
+    const center = scene.buildingManager.createBuilding('RESEARCH_CENTER', pos.x, pos.y, 'ENEMY_1');
+    center.completeConstruction();
+    scene.buildings.push(center);
+    ai.aiBuildings.push(center);
+    ai.researchPlan = ['SWIFT_FEET'];
+    ai.resourceManager.fromJSON({ resources: { food: 1000, water: 1000, sticks: 1000, tools: 100 } });
+
+    ai.purchaseUpgrades();
+    expect(center.currentResearch).toBe('SWIFT_FEET');
+
+    expect(match.runUntil(() => center.upgrades.SWIFT_FEET.researched, 1000)).toBe(true);
+    expect(scene.getResearchUpgrades('ENEMY_1').swiftFeet).toBe(true);
+    expect(scene.getResearchUpgrades('PLAYER').swiftFeet).toBeUndefined();
+    expect(match.getState().researchUpgrades.ENEMY_1).toEqual(expect.objectContaining({ swiftFeet: true }));
+  });
+
+  it('should only know of enemy buildings its own side has seen', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['HARD'] });
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const playerCoop = scene.buildings.find(b => b.faction === 'PLAYER' && b.buildingType === 'COOP');
+
+    ai.updateIntel();
+    expect(ai.canSee(playerCoop)).toBe(false);
+    expect(ai.findNearestEnemyBase()).toBeNull();
+
+    // Walk a unit up to the player's base and back: the sighting is remembered
+    const scout = new scene.unitClasses.Scout(scene, ai.aiBase.x + 80, ai.aiBase.y, 'ENEMY_1');
+    scene.units.push(scout);
+    const home = { x: scout.x, y: scout.y };
+    scout.setPosition(playerCoop.x + 60, playerCoop.y);
+    ai.updateIntel();
+    scout.setPosition(home.x, home.y);
+    ai.updateIntel();
+
+    expect(ai.canSee(playerCoop)).toBe(false);
+    expect(ai.findNearestEnemyBase()).toEqual(expect.objectContaining({ entityId: playerCoop.entityId, x: playerCoop.x, y: playerCoop.y }));
+    expect(ai.toJSON().enemyMemory).toHaveLength(ai.enemyMemory.size);
+  });
+
+  it('should send a Scout to explore until it finds an enemy base', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const scout = new scene.unitClasses.Scout(scene, ai.aiBase.x + 80, ai.aiBase.y, 'ENEMY_1');
+    scene.units.push(scout);
+    ai.updateUnitLists();
+
+    ai.updateIntel();
+    ai.manageScouting();
+
+    expect(ai.scoutId).toBe(scout.entityId);
+    expect(ai.scoutTarget).not.toBeNull();
+
+    const start = { x: scout.x, y: scout.y };
+    match.run(100);
+    expect(Math.hypot(scout.x - start.x, scout.y - start.y)).toBeGreaterThan(0);
+  });
+
+  it('should only let Hard and Brutal opponents use full vision', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, aiDifficulties: ['EASY', 'BRUTAL'], aiFullVision: true });
+    const [easy, brutal] = match.scene.aiManagers;
+    easy.updateIntel();
+    brutal.updateIntel();
+
+    expect(easy.hasFullVision()).toBe(false);
+    expect(brutal.hasFullVision()).toBe(true);
+    expect(brutal.findNearestEnemyBase().buildingType).toBe('COOP');
+    expect(match.scene.getMapConfig().aiFullVision).toBe(true);
+  });
+
+  it('should keep Spies and raiding Mavericks apart from the army', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['BRUTAL'], aiStrategies: ['BALANCED'] });
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    for (const unitType of ['Spy', 'Maverick', 'Maverick', 'Maverick', 'Maverick', 'Guard']) {
+      scene.units.push(new scene.unitClasses[unitType](scene, ai.aiBase.x + 80, ai.aiBase.y, 'ENEMY_1'));
+    }
+    ai.updateUnitLists();
+
+    expect(ai.getMissingBuildSteps()).toEqual(expect.arrayContaining(['RESEARCH_CENTER', 'AIRSTRIP']));
+    expect(ai.getRaiders()).toHaveLength(AI_DIFFICULTY.BRUTAL.raiders);
+    expect(ai.getArmy().map(u => u.unitType)).toEqual(['maverick', 'guard']);
+  });
+
+  it('should send a Spy to sabotage a Factory it knows of', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['HARD'] });
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const pos = scene.isometricMap.getWorldPosCenter(20, 20);
+    const factory = scene.buildingManager.createBuilding('FACTORY', pos.x, pos.y, 'PLAYER');
+    factory.completeConstruction();
+    scene.buildings.push(factory);
+
+    const spy = new scene.unitClasses.Spy(scene, factory.x + 50, factory.y, 'ENEMY_1');
+    scene.units.push(spy);
+    ai.updateUnitLists();
+    ai.updateIntel();
+    ai.manageSpecialOps();
+
+    expect(factory.isSabotaged).toBe(true);
+    expect(spy.isStealthed).toBe(false);
+  });
+
+  it('should guard a sabotaged building with a Watchtower', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    ai.resourceManager.fromJSON({ resources: { food: 1000, water: 1000, sticks: 1000, stone: 1000, tools: 100 } });
+
+    ai.aiBase.setSabotaged(10000);
+    ai.reactToSabotage();
+    const tower = ai.aiBuildings.find(b => b.buildingType === 'WATCHTOWER');
+
+    expect(tower).toBeDefined();
+    ai.reactToSabotage();
+    expect(ai.aiBuildings.filter(b => b.buildingType === 'WATCHTOWER')).toHaveLength(1);
+  });
+
+  it('should expand to a new resource site once its base runs dry, and defend it', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['HARD'], aiFullVision: true });
+    const scene = match.scene;
+    const ai = scene.aiManagers[0];
+    const distanceTo = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    for (const node of scene.resourceNodes) {
+      if (distanceTo(node, ai.aiBase) <= 600) node.currentCapacity = 0;
+    }
+    ai.resourceManager.fromJSON({ resources: { food: 1000, water: 1000, sticks: 1000, stone: 1000, tools: 100 } });
+
+    expect(ai.isRunningDry()).toBe(true);
+    ai.manageExpansions();
+    expect(ai.expansions).toHaveLength(1);
+    const site = ai.expansions[0];
+    expect(distanceTo(site, ai.aiBase)).toBeGreaterThanOrEqual(800);
+
+    ai.manageExpansions();
+    const storage = ai.aiBuildings.find(b => b.buildingType === 'RESOURCE_STORAGE');
+    expect(distanceTo(storage, site)).toBeLessThanOrEqual(400);
+    expect(ai.toJSON().expansions).toEqual([site]);
+
+    // Enemies at the expansion pull the army there
+    storage.completeConstruction();
+    scene.units.push(new scene.unitClasses.Guard(scene, storage.x + 100, storage.y, 'PLAYER'));
+    expect(ai.detectEnemyNearBase()).toBe(true);
+    expect(ai.defendTarget).toBe(storage);
+  });
+
+  it('should give up an expansion whose rock has no room left for a Mine', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiDifficulties: ['HARD'], aiFullVision: true });
+    const scene = match.scene;
+    const map = scene.isometricMap;
+    const ai = scene.aiManagers[0];
+    ai.resourceManager.fromJSON({ resources: { food: 1000, water: 1000, sticks: 1000, stone: 1000, tools: 100 } });
+
+    // Sites only count rock a Mine can go on
+    const site = ai.expansionPlanner.findBestSite(ai.aiBase.x, ai.aiBase.y,
+      candidate => ai.canClaimSite(candidate), { needsRock: true });
+    expect(scene.buildingManager.canPlaceAt('MINE', site.rockTile.x, site.rockTile.y)).toBe(true);
+    ai.expansions.push(site);
+    ai.manageExpansions();
+    expect(ai.getMissingSiteBuildings(site)[0]).toBe('MINE');
+
+    // The rock fills up before the Mine goes down
+    for (let y = 0; y < map.gridHeight; y++) {
+      for (let x = 0; x < map.gridWidth; x++) {
+        if (map.getTile(x, y).terrainType === 'rock') map.setOccupied(x, y, true);
+      }
+    }
+    expect(ai.expansionPlanner.scoreSite(site.gridX, site.gridY)).toMatchObject({ rockTiles: 0, rockTile: null });
+
+    ai.manageExpansions();
+    expect(ai.expansions).not.toContain(site);
+    expect(ai.failedSites).toContain(`${site.gridX},${site.gridY}`);
+  });
+
+  it('should build a Mine before steps that need stone it has no other way to get', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiStrategies: ['TECH'] });
+    const ai = match.scene.aiManagers[0];
+    ai.buildOrder = normalizeBuildOrder(['BARRACKS', 'RESEARCH_CENTER', 'MINE']);
+    ai.resourceManager.fromJSON({ resources: { tools: 50 } });
+
+    expect(ai.getMissingBuildSteps()).toEqual(['MINE', 'BARRACKS', 'RESEARCH_CENTER']);
+    ai.resourceManager.fromJSON({ resources: { stone: 100 } });
+    expect(ai.getMissingBuildSteps()).toEqual(['BARRACKS', 'RESEARCH_CENTER', 'MINE']);
+  });
+
+  it('should build a Factory before steps that need more tools than it has', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiStrategies: ['BOOMER'] });
+    const ai = match.scene.aiManagers[0];
+    ai.buildOrder = normalizeBuildOrder(['FARM', 'WELL', 'RESOURCE_STORAGE', 'FACTORY']);
+    ai.resourceManager.fromJSON({ resources: { tools: 0 } });
+
+    expect(ai.getMissingBuildSteps()).toEqual(['FACTORY', 'RESOURCE_STORAGE', 'FARM', 'WELL']);
+    ai.resourceManager.fromJSON({ resources: { tools: 10 } });
+    expect(ai.getMissingBuildSteps()).toEqual(['FARM', 'WELL', 'RESOURCE_STORAGE', 'FACTORY']);
+  });
+
+  it('should keep every AI growing an army or mining stone through a longer match', async () => {
+    // Seeds where an AI used to stall for good, waiting on stone it had no Mine to get
+    for (const seed of ['c3', 'e5']) {
+      const match = await HeadlessMatch.create({ seed, width: 80, height: 80, enemies: 2, spectate: true });
+      match.run(18000); // 6 minutes
+
+      for (const ai of match.scene.aiManagers) {
+        if (!ai.aiBase?.active) continue; // Knocked out by the other AI
+        ai.updateUnitLists();
+        const mining = ai.aiBuildings.some(b =>
+          b.active && b.buildingType === 'MINE' && b.state === BUILDING_STATES.OPERATIONAL);
+        expect({ seed, faction: ai.faction, growing: ai.getArmy().length > 0 || mining })
+          .toEqual({ seed, faction: ai.faction, growing: true });
+      }
+    }
+  }, 120000);
+
+  it('should hold a build step until its conditions are met', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, aiStrategies: ['GREEDY'] });
+    const ai = match.scene.aiManagers[0];
+    ai.buildOrder = normalizeBuildOrder([{ build: 'FARM', workers: 20, afterSeconds: 60, resources: { food: 5000 } }]);
+    ai.resourceManager.fromJSON({ resources: { food: 5000, water: 5000, sticks: 5000, tools: 50 } });
+    ai.updateUnitLists();
+
+    const [step] = ai.getMissingSteps();
+    expect(ai.strategy).toBe('GREEDY');
+    expect(ai.isStepReady(step)).toBe(false);
+    ai.buildStructures();
+    expect(ai.aiBuildings.some(b => b.buildingType === 'FARM')).toBe(false);
+
+    step.workers = 0;
+    expect(ai.isStepReady(step)).toBe(false);
+    match.scene.matchTimeOffset = 60 * 1000;
+    expect(ai.isStepReady(step)).toBe(true);
+    expect(ai.getReadyBuildStep()).toBe('FARM');
+  });
+
+  it('should list the upgrades every building type offers', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    const offered = {};
+    for (const type of Object.keys(BUILDING)) {
+      const building = match.scene.buildingManager.createBuilding(type, 100, 100, 'PLAYER');
+      if (building?.upgrades) offered[type] = Object.keys(building.upgrades);
+    }
+
+    expect(offered).toEqual(BUILDING_UPGRADES);
+  });
+
+  it('should keep allies from fighting and share their sight', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, teams: { PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B' } });
+    const scene = match.scene;
+    const [ally, enemy] = scene.aiManagers;
+    const playerCoop = scene.buildings.find(b => b.faction === 'PLAYER' && b.buildingType === 'COOP');
+    const enemyCoop = scene.buildings.find(b => b.faction === 'ENEMY_2' && b.buildingType === 'COOP');
+
+    const guard = new scene.unitClasses.Guard(scene, playerCoop.x + 60, playerCoop.y, 'ENEMY_1');
+    scene.units.push(guard);
+    expect(guard.findNearestEnemy().faction).toBe('ENEMY_2');
+
+    // A player Scout next to the enemy base shows it to the allied AI
+    scene.units.push(new scene.unitClasses.Scout(scene, enemyCoop.x + 60, enemyCoop.y, 'PLAYER'));
+    ally.updateIntel();
+    enemy.updateIntel();
+
+    expect(ally.findNearestEnemyBase()).toEqual(expect.objectContaining({ entityId: enemyCoop.entityId }));
+    expect(enemy.isHostile('ENEMY_1')).toBe(true);
+    expect(match.scene.getMapConfig().teams).toEqual({ PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B' });
+  });
+
+  it('should win once no hostile team has buildings, even with allied AIs left', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, teams: { PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B' } });
+    const scene = match.scene;
+    scene.simTime = 10000;
+
+    scene.checkVictoryConditions();
+    expect(scene.gameOver).toBeFalsy();
+
+    scene.buildings.filter(b => b.faction === 'ENEMY_2').forEach(b => b.destroy());
+    scene.checkVictoryConditions();
+    expect(scene.outcome).toBe('victory');
+  });
+
+  it('should fill every spawn slot with an AI when spectating', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, spectate: true });
+    const scene = match.scene;
+
+    expect(scene.getFactions()).toEqual(['ENEMY_1', 'ENEMY_2']);
+    expect(scene.units.concat(scene.buildings).some(e => e.faction === 'PLAYER')).toBe(false);
+    expect(scene.aiManagers.map(ai => ai.aiBase.x)).not.toContain(undefined);
+    expect(Object.keys(match.getSummary().factions)).toEqual(['ENEMY_1', 'ENEMY_2']);
+
+    // Observers start with the fog off and can look through each faction's eyes
+    expect(scene.viewFaction).toBeNull();
+    expect(scene.fogOfWar.enabled).toBe(false);
+    expect(scene.cycleViewFaction()).toBe('ENEMY_1');
+    expect(scene.fogOfWar.viewFaction).toBe('ENEMY_1');
+  });
+
+  it('should end a spectated match once one team is left', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, enemies: 2, spectate: true });
+    const scene = match.scene;
+    scene.simTime = 10000;
+
+    scene.checkVictoryConditions();
+    expect(scene.gameOver).toBeFalsy();
+
+    scene.buildings.filter(b => b.faction === 'ENEMY_2').forEach(b => b.destroy());
+    scene.checkVictoryConditions();
+    expect(scene.outcome).toBe('finished');
+    expect(scene.winningFactions).toEqual(['ENEMY_1']);
+  });
+
+  it('should record a replay of the run', async () => {
+    const match = await HeadlessMatch.create(MAP_CONFIG);
+    match.run(60);
+    const replay = match.getReplay();
+
+    expect(replay.mapConfig.seed).toBe(MAP_CONFIG.seed);
+    expect(replay.endTick).toBe(60);
+  });
+
+  it('should keep the replay of a few minutes small', async () => {
+    const match = await HeadlessMatch.create({ ...MAP_CONFIG, seed: 'honk' });
+    match.run(9000); // 3 minutes
+    const replay = match.getReplay();
+
+    expect(replay.commands.filter(c => c.faction === 'ENEMY_1')).toEqual([]);
+    expect(replay.aiChecks.length).toBeGreaterThan(0);
+    expect(replay.aiChecks.length).toBeLessThanOrEqual(9000 / AI_CHECK_TICKS + 1);
+    expect(JSON.stringify(replay).length).toBeLessThan(20000);
+  });
+});
+
+describe('GameScene simulation loop', () => {
+  let scene;
+
+  beforeEach(async () => {
+    scene = (await HeadlessMatch.create(MAP_CONFIG)).scene;
+  });
+
+  it('should run whole fixed ticks and carry the remainder', () => {
+    expect(scene.runSimulationFrame(SIMULATION.TICK_MS * 2.5)).toBe(2);
+    expect(scene.simTime).toBe(SIMULATION.TICK_MS * 2);
+
+    expect(scene.runSimulationFrame(SIMULATION.TICK_MS / 2)).toBe(1);
+    expect(scene.simTime).toBe(SIMULATION.TICK_MS * 3);
+  });
+
+  it('should reach the same state at any frame rate', async () => {
+    const other = (await HeadlessMatch.create(MAP_CONFIG)).scene;
+
+    for (let i = 0; i < 300; i++) scene.runSimulationFrame(1000 / 60);
+    for (let i = 0; i < 150; i++) other.runSimulationFrame(1000 / 30);
+
+    expect(other.tick).toBe(scene.tick);
+    expect(other.serializeGameState().units).toEqual(scene.serializeGameState().units);
+  });
+
+  it('should scale simulated time by game speed', () => {
+    scene.setGameSpeed(4);
+    scene.runSimulationFrame(50);
+    expect(scene.simTime).toBe(200);
+    expect(scene.time.timeScale).toBe(4);
+
+    scene.setGameSpeed(0.5);
+    scene.runSimulationFrame(80);
+    expect(scene.simTime).toBe(240);
+  });
+
+  it('should not advance while paused', () => {
+    scene.togglePause();
+    expect(scene.runSimulationFrame(1000)).toBe(0);
+    expect(scene.tick).toBe(0);
+    expect(scene.time.timeScale).toBe(0);
+
+    scene.togglePause();
+    expect(scene.runSimulationFrame(SIMULATION.TICK_MS)).toBe(1);
+  });
+
+  it('should step speeds within the allowed range', () => {
+    expect(scene.changeGameSpeed(1)).toBe(2);
+    expect(scene.changeGameSpeed(1)).toBe(4);
+    expect(scene.changeGameSpeed(1)).toBe(4);
+    expect(scene.changeGameSpeed(-1)).toBe(2);
+    expect(scene.cycleGameSpeed()).toBe(4);
+    expect(scene.cycleGameSpeed()).toBe(0.5);
+  });
+
+  it('should drop a backlog larger than the per-frame tick cap', () => {
+    expect(scene.runSimulationFrame(60000)).toBe(SIMULATION.MAX_TICKS_PER_FRAME);
+    expect(scene.simAccumulator).toBeLessThanOrEqual(SIMULATION.TICK_MS);
+  });
+
+  it('should draw units between ticks and restore their simulation positions', () => {
+    const unit = scene.units[0];
+    unit.prevX = unit.x - 10;
+    unit.prevY = unit.y;
+    const simX = unit.x;
+    scene.simAccumulator = SIMULATION.TICK_MS / 2;
+
+    scene.interpolateUnits();
+    expect(unit.x).toBe(simX - 5);
+
+    scene.restoreUnitPositions();
+    expect(unit.x).toBe(simX);
+  });
+});
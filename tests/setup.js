@@ -36,6 +36,7 @@ global.EasyStar = {
     enableDiagonals() { }
     disableCornerCutting() { }
     setIterationsPerCalculation() { }
+    enableSync() { }
     findPath() { }
     calculate() { }
   }
@@ -0,0 +1,66 @@
+// Tests for AI strategy profiles and strategy files
+
+import { readFileSync } from 'node:fs';
+import { AI_STRATEGIES, normalizeBuildOrder, validateStrategy, registerStrategy } from '../../js/systems/AIStrategies.js';
+
+const readStrategyFile = file => JSON.parse(readFileSync(new URL(`../../assets/data/strategies/${file}`, import.meta.url), 'utf8'));
+
+const STRATEGY = {
+  key: 'TEST_STRATEGY',
+  name: 'Test',
+  buildOrder: ['RESOURCE_STORAGE', { build: 'BARRACKS', workers: 6, afterSeconds: 120, resources: { food: 300 } }],
+  army: ['guard', 'scout']
+};
+
+describe('AIStrategies', () => {
+  it('should accept every built-in profile and shipped strategy file', () => {
+    for (const [key, profile] of Object.entries(AI_STRATEGIES)) {
+      expect(validateStrategy({ key, ...profile })).toEqual([]);
+    }
+    for (const file of readStrategyFile('index.json').strategies) {
+      expect(validateStrategy(readStrategyFile(file))).toEqual([]);
+    }
+  });
+
+  it('should expand building types into build steps', () => {
+    expect(normalizeBuildOrder(['FARM', { build: 'WELL', workers: 4 }])).toEqual([
+      { build: 'FARM' },
+      { build: 'WELL', workers: 4 }
+    ]);
+  });
+
+  it('should reject unknown buildings, units, fields and conditions', () => {
+    const errors = validateStrategy({
+      ...STRATEGY,
+      buildOrder: [
+        'CASTLE', { build: 'FARM', cost: { food: 10 } }, { build: 'WELL', workers: -1, resources: { gold: 5 } },
+        { build: 'MINE', after: 60 }
+      ],
+      research: ['HATCHERY', 'TIME_TRAVEL'],
+      army: ['knight'],
+      speed: 2
+    });
+
+    expect(errors).toEqual([
+      'unknown field "speed"',
+      'buildOrder[0] has unknown building type "CASTLE"',
+      'buildOrder[1] sets a cost (costs always come from the building\'s own config)',
+      'buildOrder[2].workers should be a whole number',
+      'buildOrder[2].resources has unknown resource "gold"',
+      'buildOrder[3] has unknown field "after"',
+      'research has unknown upgrade "TIME_TRAVEL"',
+      'army has unknown unit type "knight"'
+    ]);
+    expect(validateStrategy({ ...STRATEGY, key: 'RANDOM' })).toHaveLength(1);
+  });
+
+  it('should register valid strategies and skip invalid ones', () => {
+    expect(registerStrategy(STRATEGY)).toBe(true);
+    expect(AI_STRATEGIES.TEST_STRATEGY.buildOrder[0]).toEqual({ build: 'RESOURCE_STORAGE' });
+    expect(AI_STRATEGIES.TEST_STRATEGY.key).toBeUndefined();
+
+    expect(registerStrategy({ ...STRATEGY, key: 'BROKEN', buildOrder: [] })).toBe(false);
+    expect(AI_STRATEGIES.BROKEN).toBeUndefined();
+    delete AI_STRATEGIES.TEST_STRATEGY;
+  });
+});
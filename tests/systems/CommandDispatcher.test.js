@@ -0,0 +1,228 @@
+// Tests for the command dispatcher
+
+import CommandDispatcher, { COMMANDS } from '../../js/systems/CommandDispatcher.js';
+import Diplomacy from '../../js/systems/Diplomacy.js';
+
+function createUnit(entityId, faction, unitType = 'goose') {
+  return {
+    entityId,
+    faction,
+    unitType,
+    active: true,
+    moveTo: jest.fn(),
+    stopGathering: jest.fn(),
+    gatherFrom: jest.fn(),
+    buildConstruction: jest.fn(),
+    attackOrder: jest.fn(),
+    clearOrders: jest.fn()
+  };
+}
+
+function createScene(entities) {
+  const resourceManager = { canAfford: jest.fn(() => true), spend: jest.fn(() => true) };
+  return {
+    tick: 42,
+    events: { emit: jest.fn() },
+    resourceManager,
+    resourceManagers: { PLAYER: resourceManager },
+    aiManagers: [],
+    units: [],
+    buildings: [],
+    diplomacy: new Diplomacy(),
+    findEntityById: id => entities.find(e => e.entityId === id) || null,
+    getResourceManager(faction) {
+      return this.resourceManagers[faction] || null;
+    }
+  };
+}
+
+describe('CommandDispatcher', () => {
+  let worker;
+  let enemyWorker;
+  let coop;
+  let scene;
+  let dispatcher;
+
+  beforeEach(() => {
+    worker = createUnit(1, 'PLAYER');
+    enemyWorker = createUnit(2, 'ENEMY_1');
+    coop = {
+      entityId: 3,
+      faction: 'PLAYER',
+      buildingType: 'COOP',
+      buildingName: 'Coop',
+      active: true,
+      canProduce: ['worker'],
+      productionQueue: { addToQueue: jest.fn(() => true) },
+      setRallyPoint: jest.fn()
+    };
+    scene = createScene([worker, enemyWorker, coop]);
+    dispatcher = new CommandDispatcher(scene);
+  });
+
+  it('should move owned units and stop their gathering', () => {
+    const result = dispatcher.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [1], x: 100, y: 50 });
+
+    expect(result.ok).toBe(true);
+    expect(worker.stopGathering).toHaveBeenCalled();
+    expect(worker.moveTo).toHaveBeenCalledWith(100, 50);
+  });
+
+  it('should ignore units owned by another faction', () => {
+    const result = dispatcher.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [2], x: 0, y: 0 });
+
+    expect(result.ok).toBe(false);
+    expect(enemyWorker.moveTo).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown command types and commands without a faction', () => {
+    expect(dispatcher.dispatch({ type: 'TELEPORT', faction: 'PLAYER' }).ok).toBe(false);
+    expect(dispatcher.dispatch({ type: COMMANDS.MOVE, unitIds: [1], x: 0, y: 0 }).ok).toBe(false);
+    expect(worker.moveTo).not.toHaveBeenCalled();
+  });
+
+  it('should stamp the current tick and announce executed commands', () => {
+    dispatcher.dispatch({ type: COMMANDS.RALLY, faction: 'PLAYER', buildingId: 3, x: 5, y: 6 });
+
+    expect(coop.setRallyPoint).toHaveBeenCalledWith(5, 6);
+    const [event, command, result] = scene.events.emit.mock.calls[0];
+    expect(event).toBe('command');
+    expect(command.tick).toBe(42);
+    expect(result.ok).toBe(true);
+  });
+
+  it('should only attack factions that are not allied', () => {
+    expect(dispatcher.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [1], targetId: 2 }).ok).toBe(true);
+
+    scene.diplomacy = new Diplomacy({ PLAYER: 'A', ENEMY_1: 'A' });
+    worker.attackOrder.mockClear();
+    const result = dispatcher.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [1], targetId: 2 });
+
+    expect(result.ok).toBe(false);
+    expect(worker.attackOrder).not.toHaveBeenCalled();
+  });
+
+  it('should let Spies use their ability on an attack target before fighting it', () => {
+    const spy = { ...createUnit(6, 'PLAYER', 'spy'), useAbilityOn: jest.fn(() => true) };
+    const guard = createUnit(7, 'PLAYER', 'guard');
+    scene = createScene([spy, guard, enemyWorker]);
+    dispatcher = new CommandDispatcher(scene);
+
+    dispatcher.dispatch({ type: COMMANDS.ATTACK, faction: 'PLAYER', unitIds: [6, 7], targetId: 2 });
+
+    expect(spy.useAbilityOn).toHaveBeenCalledWith(enemyWorker);
+    expect(spy.attackOrder).not.toHaveBeenCalled();
+    expect(guard.attackOrder).toHaveBeenCalledWith(enemyWorker);
+  });
+
+  it('should only send combat units on an attack-move', () => {
+    const guard = { ...createUnit(5, 'PLAYER', 'guard'), attackMoveTo: jest.fn() };
+    scene = createScene([worker, guard]);
+    dispatcher = new CommandDispatcher(scene);
+
+    const result = dispatcher.dispatch({ type: COMMANDS.ATTACK_MOVE, faction: 'PLAYER', unitIds: [1, 5], x: 10, y: 20 });
+
+    expect(result.ok).toBe(true);
+    expect(result.units).toEqual([guard]);
+    expect(guard.attackMoveTo).toHaveBeenCalledWith(10, 20);
+    expect(dispatcher.dispatch({ type: COMMANDS.ATTACK_MOVE, faction: 'PLAYER', unitIds: [1], x: 10, y: 20 }).ok).toBe(false);
+  });
+
+  it('should queue shift orders behind busy units and carry them out at once otherwise', () => {
+    const busy = { ...createUnit(8, 'PLAYER', 'scout'), orderQueue: [], isBusy: () => true };
+    const idle = { ...createUnit(9, 'PLAYER', 'scout'), orderQueue: [], isBusy: () => false };
+    scene = createScene([busy, idle]);
+    dispatcher = new CommandDispatcher(scene);
+
+    dispatcher.dispatch({ type: COMMANDS.MOVE, faction: 'PLAYER', unitIds: [8, 9], x: 10, y: 20, queued: true });
+
+    expect(busy.orderQueue).toEqual([{ type: COMMANDS.MOVE, x: 10, y: 20 }]);
+    expect(busy.moveTo).not.toHaveBeenCalled();
+    expect(idle.orderQueue).toEqual([]);
+    expect(idle.moveTo).toHaveBeenCalledWith(10, 20);
+  });
+
+  it('should extend a patrol with shift-clicked points and stop any unit', () => {
+    const guard = {
+      ...createUnit(5, 'PLAYER', 'guard'),
+      orderQueue: [],
+      isBusy: () => true,
+      patrolRoute: [{ x: 0, y: 0 }, { x: 10, y: 20 }],
+      patrolTo: jest.fn(),
+      addPatrolPoint: jest.fn(),
+      stop: jest.fn()
+    };
+    scene = createScene([guard]);
+    dispatcher = new CommandDispatcher(scene);
+
+    dispatcher.dispatch({ type: COMMANDS.PATROL, faction: 'PLAYER', unitIds: [5], x: 30, y: 40, queued: true });
+    expect(guard.addPatrolPoint).toHaveBeenCalledWith(30, 40);
+    expect(guard.orderQueue).toEqual([]);
+
+    dispatcher.dispatch({ type: COMMANDS.STOP, faction: 'PLAYER', unitIds: [5] });
+    expect(guard.clearOrders).toHaveBeenCalled();
+    expect(guard.stop).toHaveBeenCalled();
+  });
+
+  it('should set the stance of combat units without dropping their orders', () => {
+    const guard = { ...createUnit(5, 'PLAYER', 'guard'), setStance: jest.fn() };
+    scene = createScene([worker, guard]);
+    dispatcher = new CommandDispatcher(scene);
+
+    const result = dispatcher.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [1, 5], stance: 'DEFENSIVE' });
+    expect(result.ok).toBe(true);
+    expect(result.units).toEqual([guard]);
+    expect(guard.setStance).toHaveBeenCalledWith('DEFENSIVE');
+    expect(guard.clearOrders).not.toHaveBeenCalled();
+
+    expect(dispatcher.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [5], stance: 'COWARDLY' }).ok).toBe(false);
+    expect(dispatcher.dispatch({ type: COMMANDS.SET_STANCE, faction: 'PLAYER', unitIds: [1], stance: 'PASSIVE' }).ok).toBe(false);
+  });
+
+  it('should only gather from resources that still have something left', () => {
+    const node = { entityId: 4, active: true, hasResources: () => false };
+    scene = createScene([worker, node]);
+    dispatcher = new CommandDispatcher(scene);
+
+    const result = dispatcher.dispatch({ type: COMMANDS.GATHER, faction: 'PLAYER', unitIds: [1], resourceId: 4 });
+
+    expect(result.ok).toBe(false);
+    expect(worker.gatherFrom).not.toHaveBeenCalled();
+  });
+
+  it('should train units the building can produce, paying from the faction pool', () => {
+    const result = dispatcher.dispatch({ type: COMMANDS.TRAIN, faction: 'PLAYER', buildingId: 3, unitType: 'worker' });
+
+    expect(result.ok).toBe(true);
+    expect(coop.productionQueue.addToQueue).toHaveBeenCalledWith('worker', scene.resourceManager);
+  });
+
+  it('should refuse to train units the building cannot produce', () => {
+    const result = dispatcher.dispatch({ type: COMMANDS.TRAIN, faction: 'PLAYER', buildingId: 3, unitType: 'maverick' });
+
+    expect(result.ok).toBe(false);
+    expect(coop.productionQueue.addToQueue).not.toHaveBeenCalled();
+  });
+
+  it('should not let a faction order another faction\'s buildings', () => {
+    const result = dispatcher.dispatch({ type: COMMANDS.TRAIN, faction: 'ENEMY_1', buildingId: 3, unitType: 'worker' });
+
+    expect(result.ok).toBe(false);
+  });
+
+  it('should charge AI factions from their own stockpile', () => {
+    const enemyCoop = { ...coop, entityId: 5, faction: 'ENEMY_1' };
+    const aiResources = { canAfford: jest.fn(() => false), spend: jest.fn(() => false) };
+    scene = createScene([enemyCoop]);
+    scene.resourceManagers.ENEMY_1 = aiResources;
+    scene.unitClasses = { Goose: jest.fn() };
+    dispatcher = new CommandDispatcher(scene);
+
+    const result = dispatcher.dispatch({ type: COMMANDS.SPAWN_UNIT, faction: 'ENEMY_1', buildingId: 5, unitType: 'worker' });
+
+    expect(result.ok).toBe(false);
+    expect(aiResources.spend).toHaveBeenCalled();
+    expect(scene.resourceManager.spend).not.toHaveBeenCalled();
+    expect(scene.unitClasses.Goose).not.toHaveBeenCalled();
+  });
+});
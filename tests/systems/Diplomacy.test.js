@@ -0,0 +1,42 @@
+// Tests for teams and alliances
+
+import Diplomacy from '../../js/systems/Diplomacy.js';
+
+const ALL_FACTIONS = ['PLAYER', 'ENEMY_1', 'ENEMY_2', 'ENEMY_3'];
+
+describe('Diplomacy', () => {
+  it('should make every faction hostile to every other in a free-for-all', () => {
+    const diplomacy = new Diplomacy();
+
+    expect(diplomacy.areHostile('PLAYER', 'ENEMY_1')).toBe(true);
+    expect(diplomacy.areHostile('ENEMY_1', 'ENEMY_2')).toBe(true);
+    expect(diplomacy.areAllied('ENEMY_1', 'ENEMY_1')).toBe(true);
+  });
+
+  it('should ally factions on the same team', () => {
+    const diplomacy = new Diplomacy({ PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B', ENEMY_3: 'B' });
+
+    expect(diplomacy.areAllied('PLAYER', 'ENEMY_1')).toBe(true);
+    expect(diplomacy.areHostile('PLAYER', 'ENEMY_1')).toBe(false);
+    expect(diplomacy.areHostile('ENEMY_1', 'ENEMY_2')).toBe(true);
+    expect(diplomacy.areAllied('ENEMY_2', 'ENEMY_3')).toBe(true);
+  });
+
+  it('should keep NEUTRAL out of every fight and alliance', () => {
+    const diplomacy = new Diplomacy({ PLAYER: 'A', NEUTRAL: 'A' });
+
+    expect(diplomacy.areHostile('PLAYER', 'NEUTRAL')).toBe(false);
+    expect(diplomacy.areAllied('PLAYER', 'NEUTRAL')).toBe(false);
+  });
+
+  it('should build team tables from the New Game presets', () => {
+    expect(Diplomacy.teamsForSetup('FREE_FOR_ALL', ALL_FACTIONS)).toEqual({});
+    expect(Diplomacy.teamsForSetup('TEAM_UP', ALL_FACTIONS)).toEqual({ PLAYER: 'A', ENEMY_1: 'A', ENEMY_2: 'B', ENEMY_3: 'B' });
+    expect(Diplomacy.teamsForSetup('PLAYER_VS_AI', ALL_FACTIONS.slice(0, 3))).toEqual({ PLAYER: 'A', ENEMY_1: 'B', ENEMY_2: 'B' });
+  });
+
+  it('should fall back to a free-for-all when everyone would be on one team', () => {
+    expect(Diplomacy.teamsForSetup('TEAM_UP', ['PLAYER', 'ENEMY_1'])).toEqual({});
+    expect(Diplomacy.teamsForSetup('PLAYER_VS_AI', ['ENEMY_1', 'ENEMY_2'])).toEqual({});
+  });
+});
@@ -0,0 +1,54 @@
+// Tests for ProductionQueue save/load
+
+import ProductionQueue from '../../js/systems/ProductionQueue.js';
+
+describe('ProductionQueue', () => {
+  let queue;
+  const mockBuilding = { buildingName: 'Coop', faction: 'PLAYER', x: 0, y: 0 };
+
+  beforeEach(() => {
+    queue = new ProductionQueue(mockBuilding, {});
+  });
+
+  describe('addToQueue', () => {
+    it('should start producing the first queued unit', () => {
+      expect(queue.addToQueue('worker')).toBe(true);
+      expect(queue.currentProduction).toBe(queue.queue[0]);
+    });
+
+    it('should reject unknown unit types', () => {
+      expect(queue.addToQueue('dragon')).toBe(false);
+      expect(queue.queue.length).toBe(0);
+    });
+  });
+
+  describe('toJSON and fromJSON', () => {
+    it('should round-trip queue contents and progress', () => {
+      queue.addToQueue('worker');
+      queue.addToQueue('worker');
+      queue.setSpeedMultiplier(1.4);
+      queue.update(1000);
+
+      const restored = new ProductionQueue(mockBuilding, {});
+      restored.fromJSON(JSON.parse(JSON.stringify(queue.toJSON())));
+
+      expect(restored.queue.length).toBe(2);
+      expect(restored.speedMultiplier).toBe(1.4);
+      expect(restored.currentProduction).toBe(restored.queue[0]);
+      expect(restored.currentProduction.progress).toBe(queue.currentProduction.progress);
+    });
+
+    it('should not share item objects with the serialized data', () => {
+      queue.addToQueue('worker');
+      const data = queue.toJSON();
+      data.queue[0].progress = 999;
+
+      expect(queue.queue[0].progress).toBe(0);
+    });
+
+    it('should handle an empty queue', () => {
+      queue.fromJSON({ queue: [] });
+      expect(queue.currentProduction).toBeNull();
+    });
+  });
+});
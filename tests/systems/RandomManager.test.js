@@ -0,0 +1,44 @@
+// Tests for RandomManager streams
+
+import RandomManager from '../../js/systems/RandomManager.js';
+
+describe('RandomManager', () => {
+  it('should keep map generation independent from gameplay rolls', () => {
+    const a = new RandomManager('seed-1');
+    const b = new RandomManager('seed-1');
+
+    // Extra gameplay rolls must not shift the map generation stream
+    b.gameplay.next();
+    b.gameplay.next();
+
+    expect(a.mapgen.next()).toBe(b.mapgen.next());
+  });
+
+  it('should keep match setup rolls out of the gameplay stream', () => {
+    const a = new RandomManager('seed-1');
+    const b = new RandomManager('seed-1');
+
+    b.setup.next();
+
+    expect(a.gameplay.next()).toBe(b.gameplay.next());
+  });
+
+  it('should generate a seed when none is given', () => {
+    const manager = new RandomManager('');
+    expect(typeof manager.seed).toBe('string');
+    expect(manager.seed.length).toBeGreaterThan(0);
+  });
+
+  it('should round-trip stream positions through toJSON and fromJSON', () => {
+    const original = new RandomManager('seed-2');
+    original.mapgen.next();
+    original.gameplay.next();
+    original.gameplay.next();
+
+    const restored = new RandomManager('seed-2');
+    restored.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+
+    expect(restored.mapgen.next()).toBe(original.mapgen.next());
+    expect(restored.gameplay.next()).toBe(original.gameplay.next());
+  });
+});
@@ -0,0 +1,102 @@
+// Tests for match replay recording
+
+import ReplayRecorder, { AI_CHECK_TICKS } from '../../js/systems/ReplayRecorder.js';
+import { REPLAY_FORMAT_VERSION, validateReplay } from '../../js/utils/ReplayFile.js';
+
+function createScene() {
+  const listeners = [];
+  return {
+    tick: 10,
+    getMapConfig: () => ({ width: 100, height: 100, enemies: 1, seed: 'abc' }),
+    aiManagers: [{ faction: 'ENEMY_1' }],
+    events: {
+      on: (event, fn) => listeners.push(fn),
+      off: (event, fn) => listeners.splice(listeners.indexOf(fn), 1),
+      emit: (event, ...args) => listeners.forEach(fn => fn(...args))
+    },
+    listeners
+  };
+}
+
+describe('ReplayRecorder', () => {
+  let scene;
+  let recorder;
+
+  beforeEach(() => {
+    scene = createScene();
+    recorder = new ReplayRecorder(scene);
+  });
+
+  it('should run-length encode tick deltas', () => {
+    [16.67, 16.67, 16.67, 33.33, 16.67].forEach(delta => recorder.recordTick(delta));
+
+    const replay = recorder.toJSON();
+
+    expect(replay.deltas).toEqual([[16.67, 3], [33.33, 1], [16.67, 1]]);
+    expect(replay.startTick).toBe(10);
+    expect(replay.endTick).toBe(15);
+  });
+
+  it('should only keep commands that were carried out', () => {
+    scene.events.emit('command', { type: 'MOVE', faction: 'PLAYER', tick: 10, unitIds: [1] }, { ok: true });
+    scene.events.emit('command', { type: 'MOVE', faction: 'PLAYER', tick: 10, unitIds: [2] }, { ok: false, reason: 'No units' });
+
+    expect(recorder.toJSON().commands).toEqual([{ type: 'MOVE', faction: 'PLAYER', tick: 10, unitIds: [1] }]);
+  });
+
+  it('should keep AI commands only as a count and hash per interval', () => {
+    const gather = tick => ({ type: 'GATHER', faction: 'ENEMY_1', tick, unitIds: [5], resourceId: 9 });
+    scene.events.emit('command', gather(10), { ok: true });
+    scene.events.emit('command', gather(11), { ok: true });
+    scene.events.emit('command', gather(10 + AI_CHECK_TICKS), { ok: true });
+    scene.events.emit('command', { type: 'MOVE', faction: 'PLAYER', tick: 12, unitIds: [1] }, { ok: true });
+
+    const replay = recorder.toJSON();
+    expect(replay.commands.map(c => c.faction)).toEqual(['PLAYER']);
+    expect(replay.aiChecks.map(({ tick, count }) => [tick, count])).toEqual([[10, 2], [10 + AI_CHECK_TICKS, 1]]);
+
+    // The same orders give the same hash
+    const other = new ReplayRecorder(createScene());
+    other.onCommand(gather(10), { ok: true });
+    other.onCommand(gather(11), { ok: true });
+    expect(other.toJSON().aiChecks[0].hash).toBe(replay.aiChecks[0].hash);
+  });
+
+  it('should copy commands so later changes do not leak into the recording', () => {
+    const command = { type: 'MOVE', faction: 'PLAYER', tick: 10, unitIds: [1] };
+    scene.events.emit('command', command, { ok: true });
+    command.unitIds.push(2);
+
+    expect(recorder.toJSON().commands[0].unitIds).toEqual([1]);
+  });
+
+  it('should stop recording once the match is finished', () => {
+    recorder.recordTick(16);
+    recorder.finish('victory');
+    recorder.recordTick(16);
+    scene.events.emit('command', { type: 'MOVE', faction: 'PLAYER', tick: 11 }, { ok: true });
+
+    const replay = recorder.toJSON();
+    expect(replay.outcome).toBe('victory');
+    expect(replay.endTick).toBe(11);
+    expect(replay.commands).toEqual([]);
+  });
+
+  it('should stop listening for commands when destroyed', () => {
+    recorder.destroy();
+
+    expect(scene.listeners).toHaveLength(0);
+  });
+
+  it('should produce a recording that passes validation', () => {
+    recorder.recordTick(16);
+    scene.events.emit('command', { type: 'MOVE', faction: 'PLAYER', tick: 11, unitIds: [1], x: 0, y: 0 }, { ok: true });
+    recorder.recordTick(16);
+
+    const replay = recorder.toJSON();
+
+    expect(replay.replayVersion).toBe(REPLAY_FORMAT_VERSION);
+    expect(replay.mapConfig.seed).toBe('abc');
+    expect(validateReplay(replay)).toEqual([]);
+  });
+});
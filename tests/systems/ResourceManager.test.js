@@ -2,11 +2,9 @@
 
 // Mock the scene object
 const mockScene = {
-  scene: {
-    get: jest.fn(() => ({
-      updateResources: jest.fn()
-    }))
-  }
+  getUIScene: jest.fn(() => ({
+    updateResources: jest.fn()
+  }))
 };
 
 // Import after setting up mocks
@@ -201,4 +199,38 @@ describe('ResourceManager', () => {
       expect(resourceManager.getAmount('food')).not.toBe(9999);
     });
   });
+
+  describe('factions', () => {
+    it('should belong to the player by default', () => {
+      expect(resourceManager.faction).toBe('PLAYER');
+    });
+
+    it('should keep AI stockpiles out of the HUD', () => {
+      const scene = { getUIScene: jest.fn() };
+      const aiResources = new ResourceManager(scene, 'ENEMY_1');
+
+      aiResources.addResources('food', 10);
+
+      expect(aiResources.getAmount('food')).toBe(210);
+      expect(scene.getUIScene).not.toHaveBeenCalled();
+    });
+
+    it('should apply storage limits to AI stockpiles too', () => {
+      const aiResources = new ResourceManager(mockScene, 'ENEMY_1');
+      const limit = aiResources.getLimit('sticks');
+
+      aiResources.addResources('sticks', limit + 100);
+
+      expect(aiResources.getAmount('sticks')).toBe(limit);
+    });
+  });
+
+  describe('fromJSON', () => {
+    it('should keep default resource types a save does not mention', () => {
+      resourceManager.fromJSON({ resources: { food: 42 } });
+
+      expect(resourceManager.getAmount('food')).toBe(42);
+      expect(resourceManager.getResources()).toHaveProperty('stone');
+    });
+  });
 });
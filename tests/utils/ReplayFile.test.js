@@ -0,0 +1,115 @@
+// Tests for replay validation and export/import
+
+import { SaveFileError } from '../../js/utils/SaveFile.js';
+import {
+  REPLAY_FORMAT_VERSION,
+  serializeReplayFile,
+  parseReplayFile,
+  validateReplay
+} from '../../js/utils/ReplayFile.js';
+
+function createReplay(overrides = {}) {
+  return {
+    replayVersion: REPLAY_FORMAT_VERSION,
+    gameVersion: '0.4.0',
+    mapConfig: { width: 100, height: 100, enemies: 1, seed: 'abc' },
+    startTick: 0,
+    endTick: 5,
+    startState: null,
+    deltas: [[16.67, 4], [20, 1]],
+    commands: [
+      { type: 'MOVE', faction: 'PLAYER', tick: 1, unitIds: [1], x: 0, y: 0 }
+    ],
+    aiChecks: [{ tick: 0, count: 1, hash: 2166136261 }],
+    outcome: 'victory',
+    ...overrides
+  };
+}
+
+describe('ReplayFile', () => {
+  describe('serializeReplayFile and parseReplayFile', () => {
+    it('should round-trip a stored replay record', () => {
+      const record = { id: 'replay_1', name: 'Close one', metadata: { outcome: 'victory' }, data: createReplay() };
+
+      const imported = parseReplayFile(serializeReplayFile(record));
+
+      expect(imported.name).toBe('Close one');
+      expect(imported.metadata).toEqual({ outcome: 'victory' });
+      expect(imported.replay).toEqual(record.data);
+    });
+
+    it('should reject save files', () => {
+      expect(() => parseReplayFile(JSON.stringify({ format: 'goosecraft-save', data: {} }))).toThrow(SaveFileError);
+    });
+
+    it('should report every problem with an invalid replay', () => {
+      const record = { id: 'replay_1', data: createReplay({ commands: 'none' }) };
+
+      try {
+        parseReplayFile(serializeReplayFile(record));
+        throw new Error('Expected a SaveFileError');
+      } catch (err) {
+        expect(err).toBeInstanceOf(SaveFileError);
+        expect(err.errors).toEqual(['commands is missing']);
+      }
+    });
+  });
+
+  describe('validateReplay', () => {
+    it('should accept a well-formed recording', () => {
+      expect(validateReplay(createReplay())).toEqual([]);
+    });
+
+    it('should accept version 1 recordings with AI commands in full', () => {
+      const commands = [
+        { type: 'MOVE', faction: 'PLAYER', tick: 1, unitIds: [1], x: 0, y: 0 },
+        { type: 'GATHER', faction: 'ENEMY_1', tick: 3, unitIds: [4], resourceId: 9 }
+      ];
+
+      expect(validateReplay(createReplay({ replayVersion: 1, commands, aiChecks: undefined }))).toEqual([]);
+    });
+
+    it('should check the AI order checksums', () => {
+      expect(validateReplay(createReplay({ aiChecks: {} }))).toEqual(['aiChecks is not a list']);
+      expect(validateReplay(createReplay({ aiChecks: [{ tick: 0, count: 1 }] }))).toEqual(['aiChecks[0] is not a { tick, count, hash } entry']);
+    });
+
+    it('should refuse recordings from a newer build', () => {
+      const errors = validateReplay(createReplay({ replayVersion: REPLAY_FORMAT_VERSION + 1, gameVersion: '9.0.0' }));
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('newer version');
+    });
+
+    it('should require a map seed', () => {
+      expect(validateReplay(createReplay({ mapConfig: { width: 100 } }))).toEqual(['mapConfig has no seed']);
+    });
+
+    it('should check that deltas cover the recorded ticks', () => {
+      expect(validateReplay(createReplay({ deltas: [[16.67, 2]] }))).toEqual(['deltas cover 2 ticks, expected 5']);
+      expect(validateReplay(createReplay({ deltas: [[0, 5]] }))).toEqual(['deltas[0] is not a [delta, count] pair']);
+    });
+
+    it('should reject commands out of tick order', () => {
+      const commands = [
+        { type: 'MOVE', faction: 'PLAYER', tick: 3 },
+        { type: 'MOVE', faction: 'PLAYER', tick: 2 },
+        { type: 'MOVE', faction: 'PLAYER', tick: 9 },
+        { faction: 'PLAYER', tick: 4 }
+      ];
+
+      expect(validateReplay(createReplay({ commands }))).toEqual([
+        'commands[1] has an out-of-order tick',
+        'commands[2] has an out-of-order tick',
+        'commands[3] has no type or faction'
+      ]);
+    });
+
+    it('should validate the starting state of recordings made after a load', () => {
+      const errors = validateReplay(createReplay({ startState: { units: 'broken' } }));
+
+      expect(errors.length).toBeGreaterThan(0);
+      errors.forEach(error => expect(error.startsWith('startState: ')).toBe(true));
+    });
+  });
+});
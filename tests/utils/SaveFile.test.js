@@ -0,0 +1,120 @@
+// Tests for save file export/import
+
+import {
+  SaveFileError,
+  serializeSaveFile,
+  parseSaveFile,
+  validateSaveState
+} from '../../js/utils/SaveFile.js';
+import { SAVE_FORMAT_VERSION, SaveVersionError } from '../../js/utils/SaveMigrations.js';
+
+function createState(overrides = {}) {
+  return {
+    saveVersion: SAVE_FORMAT_VERSION,
+    mapConfig: { width: 2, height: 2, seed: 'abc' },
+    map: { seed: 'abc', width: 2, height: 2, terrain: ['g0g0', 'w0r1'] },
+    resources: { current: { food: 100 } },
+    resourceNodes: [{ entityId: 1, resourceType: 'food', x: 10, y: 10 }],
+    buildings: [{ entityId: 2, buildingType: 'COOP', x: 0, y: 0, faction: 'PLAYER' }],
+    units: [{ entityId: 3, unitType: 'goose', x: 5, y: 5, faction: 'PLAYER' }],
+    aiManagers: [{ faction: 'ENEMY_1' }],
+    ...overrides
+  };
+}
+
+function getErrors(fn) {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(SaveFileError);
+    return err.errors;
+  }
+  throw new Error('Expected a SaveFileError');
+}
+
+describe('SaveFile', () => {
+  describe('serializeSaveFile and parseSaveFile', () => {
+    it('should round-trip a stored save record', () => {
+      const record = { id: 'save_1', name: 'Before the raid', metadata: { seed: 'abc' }, data: createState() };
+
+      const imported = parseSaveFile(serializeSaveFile(record));
+
+      expect(imported.name).toBe('Before the raid');
+      expect(imported.metadata).toEqual({ seed: 'abc' });
+      expect(imported.gameState).toEqual(record.data);
+    });
+
+    it('should reject files that are not JSON', () => {
+      expect(getErrors(() => parseSaveFile('not json {'))).toEqual(['File is not valid JSON']);
+    });
+
+    it('should reject JSON that is not a GooseCraft save', () => {
+      expect(getErrors(() => parseSaveFile('{"units": []}'))).toEqual(['File is not a GooseCraft save']);
+    });
+
+    it('should migrate saves from older formats', () => {
+      const file = JSON.stringify({
+        format: 'goosecraft-save',
+        data: { buildings: [{ buildingType: 'COOP', state: 'OPERATIONAL', x: 0, y: 0, maxHealth: 1000 }], units: [] }
+      });
+
+      const { gameState } = parseSaveFile(file);
+
+      expect(gameState.saveVersion).toBe(SAVE_FORMAT_VERSION);
+      expect(gameState.buildings[0].health).toBe(1000);
+    });
+
+    it('should reject saves from a newer build', () => {
+      const file = serializeSaveFile({ id: 'save_1', data: createState({ saveVersion: SAVE_FORMAT_VERSION + 1 }) });
+
+      expect(() => parseSaveFile(file)).toThrow(SaveVersionError);
+    });
+  });
+
+  describe('validateSaveState', () => {
+    it('should accept a well-formed state', () => {
+      expect(validateSaveState(createState())).toEqual([]);
+    });
+
+    it('should report unknown entity types and missing positions', () => {
+      const errors = validateSaveState(createState({
+        buildings: [{ buildingType: 'CASTLE', x: 0, y: 0 }],
+        units: [{ unitType: 'dragon', x: 'left', y: 0 }]
+      }));
+
+      expect(errors).toContain('buildings[0] has unknown buildingType "CASTLE"');
+      expect(errors).toContain('units[0] has unknown unitType "dragon"');
+      expect(errors).toContain('units[0] has no valid position');
+    });
+
+    it('should report duplicate entity ids', () => {
+      const errors = validateSaveState(createState({
+        units: [{ entityId: 2, unitType: 'guard', x: 0, y: 0 }]
+      }));
+
+      expect(errors).toEqual(['units[0] reuses entityId 2']);
+    });
+
+    it('should report terrain that does not match the map size', () => {
+      const errors = validateSaveState(createState({
+        map: { width: 2, height: 2, terrain: ['g0g0'] }
+      }));
+
+      expect(errors).toEqual(['map terrain should have 2 columns']);
+    });
+
+    it('should require buildings and units lists', () => {
+      const errors = validateSaveState({ saveVersion: SAVE_FORMAT_VERSION });
+
+      expect(errors).toEqual(['buildings is missing', 'units is missing']);
+    });
+
+    it('should cap the number of reported errors', () => {
+      const units = Array.from({ length: 15 }, () => ({ unitType: 'dragon', x: 0, y: 0 }));
+      const errors = validateSaveState(createState({ units }));
+
+      expect(errors.length).toBe(11);
+      expect(errors[10]).toBe('...and 5 more');
+    });
+  });
+});
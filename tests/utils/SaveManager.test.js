@@ -0,0 +1,130 @@
+// Tests for SaveManager slot handling
+
+import SaveManager from '../../js/utils/SaveManager.js';
+
+describe('SaveManager', () => {
+  let saveManager;
+
+  beforeEach(() => {
+    saveManager = new SaveManager();
+    saveManager.autosaveSlots = 3;
+  });
+
+  describe('getNextAutosaveId', () => {
+    it('should use the first unused autosave slot', () => {
+      const saves = [
+        { id: 'autosave_0', timestamp: 100 },
+        { id: 'save_1', timestamp: 50 }
+      ];
+
+      expect(saveManager.getNextAutosaveId(saves)).toBe('autosave_1');
+    });
+
+    it('should overwrite the oldest autosave once all slots are used', () => {
+      const saves = [
+        { id: 'autosave_0', timestamp: 300 },
+        { id: 'autosave_1', timestamp: 100 },
+        { id: 'autosave_2', timestamp: 200 },
+        { id: 'save_1', timestamp: 10 }
+      ];
+
+      expect(saveManager.getNextAutosaveId(saves)).toBe('autosave_1');
+    });
+  });
+
+  describe('autosave', () => {
+    it('should name the slot and flag it as an autosave', async () => {
+      saveManager.listSaves = jest.fn().mockResolvedValue([{ id: 'autosave_0', timestamp: 100 }]);
+      saveManager.saveGame = jest.fn().mockResolvedValue(true);
+
+      const saveId = await saveManager.autosave({ units: [] }, { seed: 'abc' });
+
+      expect(saveId).toBe('autosave_1');
+      expect(saveManager.saveGame).toHaveBeenCalledWith('autosave_1', { units: [] }, {
+        name: 'Autosave 2',
+        isAutosave: true,
+        metadata: { seed: 'abc' }
+      });
+    });
+  });
+
+  describe('toSummary', () => {
+    it('should drop the game state', () => {
+      const summary = saveManager.toSummary({
+        id: 'save_1',
+        name: 'Before the raid',
+        timestamp: 42,
+        metadata: { mapWidth: 100 },
+        data: { units: [] }
+      });
+
+      expect(summary).toEqual({
+        id: 'save_1',
+        name: 'Before the raid',
+        isAutosave: false,
+        timestamp: 42,
+        metadata: { mapWidth: 100 },
+        saveVersion: 0,
+        gameVersion: null
+      });
+    });
+
+    it('should fall back to the id for saves without a name', () => {
+      const summary = saveManager.toSummary({ id: 'auto_save', timestamp: 1, data: {} });
+
+      expect(summary.name).toBe('auto_save');
+      expect(summary.metadata).toEqual({});
+    });
+  });
+
+  describe('replay rotation', () => {
+    it('should let the oldest replays go once the store is full', () => {
+      saveManager.replaySlots = 3;
+      const replays = [
+        { id: 'replay_new', timestamp: 400 },
+        { id: 'replay_3', timestamp: 300 },
+        { id: 'replay_2', timestamp: 200 },
+        { id: 'replay_1', timestamp: 100 }
+      ];
+
+      expect(saveManager.getStaleReplayIds(replays, 'replay_new')).toEqual(['replay_1']);
+      expect(saveManager.getStaleReplayIds(replays.slice(0, 3), 'replay_new')).toEqual([]);
+    });
+
+    it('should delete stale replays after saving a new one', async () => {
+      saveManager.replaySlots = 2;
+      saveManager.putRecord = jest.fn().mockResolvedValue(true);
+      saveManager.listReplays = jest.fn().mockResolvedValue([
+        { id: 'replay_3', timestamp: 300 },
+        { id: 'replay_2', timestamp: 200 },
+        { id: 'replay_1', timestamp: 100 }
+      ]);
+      saveManager.deleteReplay = jest.fn().mockResolvedValue(true);
+
+      await saveManager.saveReplay('replay_3', { commands: [] });
+
+      expect(saveManager.deleteReplay.mock.calls).toEqual([['replay_1']]);
+    });
+  });
+
+  describe('toReplaySummary', () => {
+    it('should drop the recording but keep its versions', () => {
+      const summary = saveManager.toReplaySummary({
+        id: 'replay_1',
+        name: 'Victory',
+        timestamp: 7,
+        metadata: { outcome: 'victory' },
+        data: { replayVersion: 1, gameVersion: '0.4.0', commands: [{ type: 'MOVE' }] }
+      });
+
+      expect(summary).toEqual({
+        id: 'replay_1',
+        name: 'Victory',
+        timestamp: 7,
+        metadata: { outcome: 'victory' },
+        replayVersion: 1,
+        gameVersion: '0.4.0'
+      });
+    });
+  });
+});
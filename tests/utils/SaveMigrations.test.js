@@ -0,0 +1,115 @@
+// Tests for save format versioning and migrations
+
+import {
+  SAVE_FORMAT_VERSION,
+  SaveVersionError,
+  getSaveVersion,
+  migrateSave
+} from '../../js/utils/SaveMigrations.js';
+
+describe('SaveMigrations', () => {
+  describe('getSaveVersion', () => {
+    it('should read an explicit save version', () => {
+      expect(getSaveVersion({ saveVersion: 3, map: {} })).toBe(3);
+    });
+
+    it('should detect unversioned world saves and quick saves', () => {
+      expect(getSaveVersion({ map: {}, units: [] })).toBe(1);
+      expect(getSaveVersion({ units: [] })).toBe(0);
+    });
+  });
+
+  describe('migrateSave', () => {
+    it('should upgrade a legacy quick save to the current format', () => {
+      const legacy = {
+        resources: { current: {} },
+        buildings: [
+          { buildingType: 'COOP', state: 'OPERATIONAL', maxHealth: 1000 },
+          { buildingType: 'FARM', state: 'CONSTRUCTION', maxHealth: 300, progress: 40 }
+        ],
+        units: [{ unitType: 'goose', x: 10, y: 20 }]
+      };
+
+      const migrated = migrateSave(legacy);
+
+      expect(migrated.saveVersion).toBe(SAVE_FORMAT_VERSION);
+      expect(migrated.mapConfig).toEqual({});
+      expect(migrated.buildings[0].health).toBe(1000);
+      expect(migrated.buildings[0].progress).toBe(100);
+      expect(migrated.buildings[1].progress).toBe(40);
+      expect(migrated.units).toEqual(legacy.units);
+    });
+
+    it('should move the player and AI stockpiles under their factions', () => {
+      const v1 = {
+        saveVersion: 1,
+        map: {},
+        resources: { resources: { food: 50 }, storageLimits: { food: 500 } },
+        aiManagers: [{ faction: 'ENEMY_1', state: 'GATHERING', resources: { food: 300, sticks: 20 } }]
+      };
+
+      const migrated = migrateSave(v1);
+
+      expect(migrated.resources).toEqual({
+        PLAYER: { resources: { food: 50 }, storageLimits: { food: 500 } },
+        ENEMY_1: { resources: { food: 300, sticks: 20 } }
+      });
+      expect(migrated.aiManagers).toEqual([{ faction: 'ENEMY_1', state: 'GATHERING' }]);
+    });
+
+    it('should move scene-wide upgrade flags under the player', () => {
+      const v2 = {
+        saveVersion: 2,
+        map: {},
+        researchUpgrades: { swiftFeet: true },
+        buildingUpgrades: { largeNests: true }
+      };
+
+      const migrated = migrateSave(v2);
+
+      expect(migrated.researchUpgrades).toEqual({ PLAYER: { swiftFeet: true } });
+      expect(migrated.buildingUpgrades).toEqual({ PLAYER: { largeNests: true } });
+    });
+
+    it('should not modify the original save', () => {
+      const legacy = { buildings: [{ state: 'OPERATIONAL', maxHealth: 500 }] };
+      migrateSave(legacy);
+
+      expect(legacy.buildings[0].health).toBeUndefined();
+      expect(legacy.saveVersion).toBeUndefined();
+    });
+
+    it('should leave current saves unchanged', () => {
+      const current = { saveVersion: SAVE_FORMAT_VERSION, map: { width: 10 }, units: [] };
+      expect(migrateSave(current)).toEqual(current);
+    });
+
+    it('should apply migrations one version at a time', () => {
+      const migrations = {
+        0: (state) => ({ ...state, steps: ['0->1'] }),
+        1: (state) => ({ ...state, steps: [...state.steps, '1->2'] })
+      };
+
+      const migrated = migrateSave({ saveVersion: 0 }, migrations, 2);
+
+      expect(migrated.steps).toEqual(['0->1', '1->2']);
+      expect(migrated.saveVersion).toBe(2);
+    });
+
+    it('should fail when a migration step is missing', () => {
+      expect(() => migrateSave({ saveVersion: 0 }, {}, 1)).toThrow('No migration registered');
+    });
+
+    it('should reject saves from a newer build', () => {
+      const future = { saveVersion: SAVE_FORMAT_VERSION + 1, gameVersion: '9.9.9', map: {} };
+
+      expect(() => migrateSave(future)).toThrow(SaveVersionError);
+      try {
+        migrateSave(future);
+      } catch (err) {
+        expect(err.saveVersion).toBe(SAVE_FORMAT_VERSION + 1);
+        expect(err.message).toContain('9.9.9');
+      }
+    });
+  });
+});
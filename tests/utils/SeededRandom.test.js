@@ -0,0 +1,61 @@
+// Tests for SeededRandom
+
+import SeededRandom, { hashSeed } from '../../js/utils/SeededRandom.js';
+
+describe('SeededRandom', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom('goose');
+    const b = new SeededRandom('goose');
+
+    for (let i = 0; i < 20; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  it('should produce different sequences for different seeds', () => {
+    const a = new SeededRandom('goose');
+    const b = new SeededRandom('gander');
+
+    const seqA = Array.from({ length: 5 }, () => a.next());
+    const seqB = Array.from({ length: 5 }, () => b.next());
+    expect(seqA).not.toEqual(seqB);
+  });
+
+  it('should treat numeric and string seeds alike', () => {
+    expect(hashSeed(42)).toBe(hashSeed('42'));
+  });
+
+  it('should stay within range', () => {
+    const rng = new SeededRandom(1);
+
+    for (let i = 0; i < 200; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+
+      const roll = rng.int(2, 4);
+      expect(roll).toBeGreaterThanOrEqual(2);
+      expect(roll).toBeLessThanOrEqual(4);
+    }
+  });
+
+  it('should resume from a saved state', () => {
+    const rng = new SeededRandom('save');
+    rng.next();
+    rng.next();
+    const state = rng.getState();
+    const expected = [rng.next(), rng.next()];
+
+    const resumed = new SeededRandom('other');
+    resumed.setState(state);
+    expect([resumed.next(), resumed.next()]).toEqual(expected);
+  });
+
+  it('should pick elements from an array', () => {
+    const rng = new SeededRandom('pick');
+    const items = ['a', 'b', 'c'];
+
+    expect(items).toContain(rng.pick(items));
+    expect(rng.pick([])).toBeUndefined();
+  });
+});